@@ -14,8 +14,10 @@ contract ChatSession {
     uint256 public lastActivity;
     uint256 public sessionExpiry;
     
-    // Session duration (1 hour = 3600 seconds)
-    uint256 public constant SESSION_DURATION = 3600;
+    // Session duration chosen by the creator (0 = 1 hour), and bounds for it and for extensions
+    uint256 public constant DEFAULT_SESSION_DURATION = 3600;
+    uint256 public constant MIN_SESSION_DURATION = 300;
+    uint256 public constant MAX_SESSION_DURATION = 30 days;
     
     event MessageSent(
         address indexed from,
@@ -29,6 +31,7 @@ contract ChatSession {
     
     event SessionClosed(address closedBy, uint256 timestamp);
     event SessionExpired(uint256 timestamp); 
+    event SessionExtended(address extendedBy, uint256 newExpiry);
     
     modifier onlyParticipants() {
         require(
@@ -44,16 +47,19 @@ contract ChatSession {
         _;
     }
     
-    constructor(address _participant1, address _participant2) {
+    constructor(address _participant1, address _participant2, uint256 _duration) {
         require(_participant1 != address(0) && _participant2 != address(0), "Invalid participants");
         require(_participant1 != _participant2, "Participants must differ");
         
+        uint256 duration = _duration == 0 ? DEFAULT_SESSION_DURATION : _duration;
+        require(duration >= MIN_SESSION_DURATION && duration <= MAX_SESSION_DURATION, "Invalid session duration");
+        
         participant1 = _participant1;
         participant2 = _participant2;
         sessionActive = true;
         createdAt = block.timestamp;
         lastActivity = block.timestamp;
-        sessionExpiry = block.timestamp + SESSION_DURATION;
+        sessionExpiry = block.timestamp + duration;
     }
     
     function sendMessage(
@@ -87,6 +93,18 @@ contract ChatSession {
         emit SessionClosed(msg.sender, block.timestamp);
     }
     
+    /**
+     * @dev Push the expiry of a live session back by `duration` seconds. Expired sessions are not
+     * revived: the factory may already have counted them out of `activeSessions`.
+     */
+    function extendSession(uint256 duration) external onlyParticipants sessionMustBeActive {
+        require(duration >= MIN_SESSION_DURATION, "Extension too short");
+        require(sessionExpiry + duration <= block.timestamp + MAX_SESSION_DURATION, "Extension too long");
+        
+        sessionExpiry += duration;
+        emit SessionExtended(msg.sender, sessionExpiry);
+    }
+    
     function isSessionExpired() external view returns (bool) {
         return block.timestamp >= sessionExpiry;
     }
@@ -176,10 +194,11 @@ contract ChatFactory {
     uint256 public constant MAX_SESSIONS_PER_USER = 100;
     
     /**
-     * @dev Create new private chat session with expiry handling
+     * @dev Create new private chat session with expiry handling; `duration` in seconds (0 = 1 hour)
      */
     function createChatSession(
-        address participant
+        address participant,
+        uint256 duration
     ) external returns (address sessionContract, bytes32 sessionId) {
         require(participant != address(0), "Invalid participant");
         require(participant != msg.sender, "Cannot session with yourself");
@@ -215,8 +234,9 @@ contract ChatFactory {
                     revert("Active session exists");
                 }
                 
-                // If session is expired but still marked active, update statistics
+                // Mark an expired session inactive so cleanupExpiredSessions cannot count it out again
                 if (isExpired && isActive) {
+                    existing.forceExpireSession();
                     activeSessions--;
                 }
             }
@@ -224,7 +244,7 @@ contract ChatFactory {
         
         ChatSession newSession = new ChatSession{
             salt: sessionId
-        }(msg.sender, participant);
+        }(msg.sender, participant, duration);
         
         sessionContract = address(newSession);
         
@@ -0,0 +1,250 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+/**
+ * @title GroupChat
+ * @dev Group threads with member management and sender-key distribution.
+ * Every membership change starts a new key epoch so members rotate their sender keys.
+ */
+contract GroupChat {
+    event GroupCreated(
+        uint256 indexed groupId,
+        address indexed owner,
+        string name,
+        uint256 timestamp
+    );
+
+    event MemberAdded(
+        uint256 indexed groupId,
+        address indexed member,
+        address addedBy,
+        uint256 epoch,
+        uint256 timestamp
+    );
+
+    event MemberRemoved(
+        uint256 indexed groupId,
+        address indexed member,
+        address removedBy,
+        uint256 epoch,
+        uint256 timestamp
+    );
+
+    event SenderKeyDistributed(
+        uint256 indexed groupId,
+        address indexed from,
+        uint256 epoch,
+        string keys,
+        uint256 timestamp
+    );
+
+    event GroupMessage(
+        uint256 indexed groupId,
+        address indexed from,
+        string cid,
+        uint256 timestamp,
+        uint256 expiry,
+        uint256 messageIndex,
+        uint256 epoch
+    );
+
+    struct Group {
+        address owner;
+        string name;
+        uint256 createdAt;
+        uint256 createdBlock;
+        uint256 messageCount;
+        uint256 epoch;
+    }
+
+    uint256 private groupCounter;
+    mapping(uint256 => Group) private groups;
+    mapping(uint256 => address[]) private groupMembers;
+    mapping(uint256 => mapping(address => uint256)) private memberIndex;
+    mapping(address => uint256[]) private userGroups;
+    mapping(uint256 => mapping(address => bool)) private wasMember;
+
+    uint256 public constant MAX_GROUP_MEMBERS = 50;
+
+    modifier groupExists(uint256 groupId) {
+        require(groupId < groupCounter, "Group not found");
+        _;
+    }
+
+    modifier onlyOwner(uint256 groupId) {
+        require(groups[groupId].owner == msg.sender, "Unauthorized: not group owner");
+        _;
+    }
+
+    modifier onlyMember(uint256 groupId) {
+        require(memberIndex[groupId][msg.sender] != 0, "Unauthorized: not a member");
+        _;
+    }
+
+    /**
+     * @dev Create a group owned by the caller, with initial members
+     */
+    function createGroup(string calldata name, address[] calldata members)
+        external
+        returns (uint256 groupId)
+    {
+        require(bytes(name).length > 0, "Name required");
+
+        groupId = groupCounter++;
+
+        Group storage group = groups[groupId];
+        group.owner = msg.sender;
+        group.name = name;
+        group.createdAt = block.timestamp;
+        group.createdBlock = block.number;
+        group.epoch = 1;
+
+        emit GroupCreated(groupId, msg.sender, name, block.timestamp);
+
+        _addMember(groupId, msg.sender);
+        for (uint256 i = 0; i < members.length; i++) {
+            if (memberIndex[groupId][members[i]] == 0) {
+                _addMember(groupId, members[i]);
+            }
+        }
+
+        return groupId;
+    }
+
+    /**
+     * @dev Add a member; starts a new key epoch
+     */
+    function addMember(uint256 groupId, address member)
+        external
+        groupExists(groupId)
+        onlyOwner(groupId)
+    {
+        require(memberIndex[groupId][member] == 0, "Already a member");
+
+        groups[groupId].epoch++;
+        _addMember(groupId, member);
+    }
+
+    /**
+     * @dev Remove a member (owner) or leave the group (self); starts a new key epoch
+     */
+    function removeMember(uint256 groupId, address member) external groupExists(groupId) {
+        require(
+            groups[groupId].owner == msg.sender || member == msg.sender,
+            "Unauthorized: owner or self only"
+        );
+        require(member != groups[groupId].owner, "Owner cannot be removed");
+
+        uint256 index = memberIndex[groupId][member];
+        require(index != 0, "Not a member");
+
+        address[] storage members = groupMembers[groupId];
+        address last = members[members.length - 1];
+        members[index - 1] = last;
+        memberIndex[groupId][last] = index;
+        members.pop();
+        delete memberIndex[groupId][member];
+
+        groups[groupId].epoch++;
+
+        emit MemberRemoved(groupId, member, msg.sender, groups[groupId].epoch, block.timestamp);
+    }
+
+    /**
+     * @dev Publish the caller's sender key, encrypted separately for each member
+     */
+    function distributeSenderKey(uint256 groupId, uint256 epoch, string calldata keys)
+        external
+        groupExists(groupId)
+        onlyMember(groupId)
+    {
+        require(epoch == groups[groupId].epoch, "Stale epoch");
+        require(bytes(keys).length > 0, "Keys required");
+
+        emit SenderKeyDistributed(groupId, msg.sender, epoch, keys, block.timestamp);
+    }
+
+    /**
+     * @dev Send one sender-key ciphertext to every member
+     */
+    function sendMessage(uint256 groupId, string calldata cid, uint256 expiry)
+        external
+        groupExists(groupId)
+        onlyMember(groupId)
+    {
+        require(bytes(cid).length > 0, "CID required");
+
+        if (expiry > 0) {
+            require(expiry > block.timestamp, "Invalid expiry");
+        }
+
+        Group storage group = groups[groupId];
+
+        emit GroupMessage(
+            groupId,
+            msg.sender,
+            cid,
+            block.timestamp,
+            expiry,
+            group.messageCount++,
+            group.epoch
+        );
+    }
+
+    function getGroupInfo(uint256 groupId)
+        external
+        view
+        groupExists(groupId)
+        returns (
+            address owner,
+            string memory name,
+            uint256 memberCount,
+            uint256 messageCount,
+            uint256 epoch,
+            uint256 createdAt,
+            uint256 createdBlock
+        )
+    {
+        Group storage group = groups[groupId];
+        return (
+            group.owner,
+            group.name,
+            groupMembers[groupId].length,
+            group.messageCount,
+            group.epoch,
+            group.createdAt,
+            group.createdBlock
+        );
+    }
+
+    function getMembers(uint256 groupId) external view groupExists(groupId) returns (address[] memory) {
+        return groupMembers[groupId];
+    }
+
+    function isMember(uint256 groupId, address user) external view returns (bool) {
+        return memberIndex[groupId][user] != 0;
+    }
+
+    /**
+     * @dev Get every group a user has ever joined (including ones they have left)
+     */
+    function getUserGroups(address user) external view returns (uint256[] memory) {
+        return userGroups[user];
+    }
+
+    function _addMember(uint256 groupId, address member) private {
+        require(member != address(0), "Invalid member");
+        require(groupMembers[groupId].length < MAX_GROUP_MEMBERS, "Group is full");
+
+        groupMembers[groupId].push(member);
+        memberIndex[groupId][member] = groupMembers[groupId].length;
+
+        // Re-added members are already listed
+        if (!wasMember[groupId][member]) {
+            wasMember[groupId][member] = true;
+            userGroups[member].push(groupId);
+        }
+
+        emit MemberAdded(groupId, member, msg.sender, groups[groupId].epoch, block.timestamp);
+    }
+}
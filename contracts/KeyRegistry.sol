@@ -0,0 +1,54 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+/**
+ * @title KeyRegistry
+ * @dev Public directory of messaging public keys so peers can derive ECDH secrets
+ */
+contract KeyRegistry {
+    event PublicKeyRegistered(
+        address indexed user,
+        bytes publicKey,
+        uint256 timestamp
+    );
+
+    mapping(address => bytes) private publicKeys;
+    mapping(address => uint256) public registeredAt;
+
+    uint256 public totalRegistered;
+
+    /**
+     * @dev Publish the caller's uncompressed secp256k1 public key (64 bytes, no 0x04 prefix).
+     * The key must hash to msg.sender, so nobody can register a key they do not own.
+     */
+    function registerKey(bytes calldata publicKey) external {
+        require(publicKey.length == 64, "Invalid public key length");
+        require(
+            address(uint160(uint256(keccak256(publicKey)))) == msg.sender,
+            "Public key does not match sender"
+        );
+
+        if (registeredAt[msg.sender] == 0) {
+            totalRegistered++;
+        }
+
+        publicKeys[msg.sender] = publicKey;
+        registeredAt[msg.sender] = block.timestamp;
+
+        emit PublicKeyRegistered(msg.sender, publicKey, block.timestamp);
+    }
+
+    /**
+     * @dev Get the registered public key for a user (empty if not registered)
+     */
+    function getPublicKey(address user) external view returns (bytes memory) {
+        return publicKeys[user];
+    }
+
+    /**
+     * @dev Check whether a user has published a key
+     */
+    function hasKey(address user) external view returns (bool) {
+        return registeredAt[user] != 0;
+    }
+}
@@ -122,6 +122,76 @@ async function main() {
         };
 
 
+        console.log(chalk.blue('🔑 Deploying KeyRegistry...'));
+
+        const KeyRegistryContract = await ethers.getContractFactory('KeyRegistry');
+
+        const registryDeploymentOptions = {
+            gasLimit: 720000,
+            gasPrice: adjustedGasPrice
+        };
+
+        console.log(chalk.gray(`   Gas limit: ${registryDeploymentOptions.gasLimit}`));
+        console.log(chalk.gray(`   Estimated cost: ${ethers.formatEther(BigInt(registryDeploymentOptions.gasLimit) * registryDeploymentOptions.gasPrice)} ETH`));
+
+        const keyRegistryContract = await KeyRegistryContract.deploy(registryDeploymentOptions);
+
+        console.log(chalk.yellow(`   Transaction hash: ${keyRegistryContract.deploymentTransaction().hash}`));
+        console.log(chalk.yellow('   Waiting for confirmation...'));
+
+        await keyRegistryContract.waitForDeployment();
+        const keyRegistryAddress = await keyRegistryContract.getAddress();
+
+        const registryReceipt = await keyRegistryContract.deploymentTransaction().wait();
+        console.log(chalk.green(`✅ KeyRegistry deployed successfully!`));
+        console.log(chalk.gray(`   Address: ${keyRegistryAddress}`));
+        console.log(chalk.gray(`   Gas used: ${registryReceipt.gasUsed}`));
+        console.log(chalk.gray(`   Cost: ${ethers.formatEther(registryReceipt.gasUsed * registryReceipt.gasPrice)} ETH\n`));
+
+        deploymentResults.keyRegistry = {
+            address: keyRegistryAddress,
+            transactionHash: keyRegistryContract.deploymentTransaction().hash,
+            gasUsed: registryReceipt.gasUsed.toString(),
+            gasPrice: registryReceipt.gasPrice.toString(),
+            cost: ethers.formatEther(registryReceipt.gasUsed * registryReceipt.gasPrice)
+        };
+
+
+        console.log(chalk.blue('👥 Deploying GroupChat...'));
+
+        const GroupChatContract = await ethers.getContractFactory('GroupChat');
+
+        const groupDeploymentOptions = {
+            gasLimit: 1800000,
+            gasPrice: adjustedGasPrice
+        };
+
+        console.log(chalk.gray(`   Gas limit: ${groupDeploymentOptions.gasLimit}`));
+        console.log(chalk.gray(`   Estimated cost: ${ethers.formatEther(BigInt(groupDeploymentOptions.gasLimit) * groupDeploymentOptions.gasPrice)} ETH`));
+
+        const groupChatContract = await GroupChatContract.deploy(groupDeploymentOptions);
+
+        console.log(chalk.yellow(`   Transaction hash: ${groupChatContract.deploymentTransaction().hash}`));
+        console.log(chalk.yellow('   Waiting for confirmation...'));
+
+        await groupChatContract.waitForDeployment();
+        const groupChatAddress = await groupChatContract.getAddress();
+
+        const groupReceipt = await groupChatContract.deploymentTransaction().wait();
+        console.log(chalk.green(`✅ GroupChat deployed successfully!`));
+        console.log(chalk.gray(`   Address: ${groupChatAddress}`));
+        console.log(chalk.gray(`   Gas used: ${groupReceipt.gasUsed}`));
+        console.log(chalk.gray(`   Cost: ${ethers.formatEther(groupReceipt.gasUsed * groupReceipt.gasPrice)} ETH\n`));
+
+        deploymentResults.groupChat = {
+            address: groupChatAddress,
+            transactionHash: groupChatContract.deploymentTransaction().hash,
+            gasUsed: groupReceipt.gasUsed.toString(),
+            gasPrice: groupReceipt.gasPrice.toString(),
+            cost: ethers.formatEther(groupReceipt.gasUsed * groupReceipt.gasPrice)
+        };
+
+
         console.log(chalk.blue('🔍 Verifying contract functionality...'));
 
 
@@ -133,10 +203,22 @@ async function main() {
         console.log(chalk.green(`✅ ChatFactory functional - sessions: ${factoryStats.total}/${factoryStats.active}`));
 
 
+        const registeredKeys = await keyRegistryContract.totalRegistered();
+        console.log(chalk.green(`✅ KeyRegistry functional - registered keys: ${registeredKeys}`));
+
+
+        const groupCount = (await groupChatContract.getUserGroups(deployer.address)).length;
+        console.log(chalk.green(`✅ GroupChat functional - deployer groups: ${groupCount}`));
+
+
         const totalGasUsed = BigInt(deploymentResults.chatContract.gasUsed) +
-                            BigInt(deploymentResults.chatFactory.gasUsed);
+                            BigInt(deploymentResults.chatFactory.gasUsed) +
+                            BigInt(deploymentResults.keyRegistry.gasUsed) +
+                            BigInt(deploymentResults.groupChat.gasUsed);
         const avgGasPrice = (BigInt(deploymentResults.chatContract.gasPrice) +
-                           BigInt(deploymentResults.chatFactory.gasPrice)) / 2n;
+                           BigInt(deploymentResults.chatFactory.gasPrice) +
+                           BigInt(deploymentResults.keyRegistry.gasPrice) +
+                           BigInt(deploymentResults.groupChat.gasPrice)) / 4n;
         const totalCost = totalGasUsed * avgGasPrice;
 
 
@@ -159,18 +241,26 @@ async function main() {
                 totalCost: totalCost.toString(),
                 totalCostETH: ethers.formatEther(totalCost),
                 chatContractCost: deploymentResults.chatContract.cost,
-                factoryCost: deploymentResults.chatFactory.cost
+                factoryCost: deploymentResults.chatFactory.cost,
+                keyRegistryCost: deploymentResults.keyRegistry.cost,
+                groupChatCost: deploymentResults.groupChat.cost
             },
             explorer: {
                 chatContract: `https://sepolia.scrollscan.dev/address/${chatAddress}`,
                 chatFactory: `https://sepolia.scrollscan.dev/address/${factoryAddress}`,
+                keyRegistry: `https://sepolia.scrollscan.dev/address/${keyRegistryAddress}`,
+                groupChat: `https://sepolia.scrollscan.dev/address/${groupChatAddress}`,
                 chatContractTx: `https://sepolia.scrollscan.dev/tx/${deploymentResults.chatContract.transactionHash}`,
-                factoryTx: `https://sepolia.scrollscan.dev/tx/${deploymentResults.chatFactory.transactionHash}`
+                factoryTx: `https://sepolia.scrollscan.dev/tx/${deploymentResults.chatFactory.transactionHash}`,
+                keyRegistryTx: `https://sepolia.scrollscan.dev/tx/${deploymentResults.keyRegistry.transactionHash}`,
+                groupChatTx: `https://sepolia.scrollscan.dev/tx/${deploymentResults.groupChat.transactionHash}`
             },
             configuration: {
                 gasLimits: {
                     chatContract: chatDeploymentOptions.gasLimit,
-                    chatFactory: factoryDeploymentOptions.gasLimit
+                    chatFactory: factoryDeploymentOptions.gasLimit,
+                    keyRegistry: registryDeploymentOptions.gasLimit,
+                    groupChat: groupDeploymentOptions.gasLimit
                 },
                 gasPrice: ethers.formatUnits(adjustedGasPrice, 'gwei') + ' Gwei'
             }
@@ -187,7 +277,7 @@ async function main() {
 
 
         console.log(chalk.blue('📝 Updating configuration files...'));
-        await updateConfigFiles(chatAddress, factoryAddress);
+        await updateConfigFiles(chatAddress, factoryAddress, keyRegistryAddress, groupChatAddress);
         console.log(chalk.green(`✅ Configuration files updated`));
 
 
@@ -196,6 +286,8 @@ async function main() {
         console.log(chalk.blue('📊 Deployment Summary:'));
         console.log(chalk.white(`   ChatContract: ${chatAddress}`));
         console.log(chalk.white(`   ChatFactory: ${factoryAddress}`));
+        console.log(chalk.white(`   KeyRegistry: ${keyRegistryAddress}`));
+        console.log(chalk.white(`   GroupChat: ${groupChatAddress}`));
         console.log(chalk.gray(`   Total Gas Used: ${deploymentArtifact.costs.totalGasUsed}`));
         console.log(chalk.gray(`   Total Cost: ${deploymentArtifact.costs.totalCostETH} ETH`));
         console.log(chalk.gray(`   Average Gas Price: ${deploymentArtifact.configuration.gasPrice}`));
@@ -203,8 +295,12 @@ async function main() {
         console.log(chalk.blue('\n🔗 Block Explorer Links:'));
         console.log(chalk.white(`   ChatContract: ${deploymentArtifact.explorer.chatContract}`));
         console.log(chalk.white(`   ChatFactory: ${deploymentArtifact.explorer.chatFactory}`));
+        console.log(chalk.white(`   KeyRegistry: ${deploymentArtifact.explorer.keyRegistry}`));
+        console.log(chalk.white(`   GroupChat: ${deploymentArtifact.explorer.groupChat}`));
         console.log(chalk.white(`   Chat Tx: ${deploymentArtifact.explorer.chatContractTx}`));
         console.log(chalk.white(`   Factory Tx: ${deploymentArtifact.explorer.factoryTx}`));
+        console.log(chalk.white(`   KeyRegistry Tx: ${deploymentArtifact.explorer.keyRegistryTx}`));
+        console.log(chalk.white(`   GroupChat Tx: ${deploymentArtifact.explorer.groupChatTx}`));
 
 
         console.log(chalk.gray(`\n💾 Deployment artifact saved to: ${artifactPath}`));
@@ -228,7 +324,7 @@ async function main() {
     }
 }
 
-async function updateConfigFiles(chatAddress, factoryAddress) {
+async function updateConfigFiles(chatAddress, factoryAddress, keyRegistryAddress, groupChatAddress) {
 
     const networkConfigPath = path.join(process.cwd(), 'src/config/networks.js');
 
@@ -236,12 +332,20 @@ async function updateConfigFiles(chatAddress, factoryAddress) {
         let configContent = fs.readFileSync(networkConfigPath, 'utf8');
 
         configContent = configContent.replace(
-            /chatContract:\s*['"`]0x[a-fA-F0-9]{40}['"`]/,
-            `chatContract: '${chatAddress}'`
+            /chatContract:\s*process\.env\.MAIN_CONTRACT_ADDRESS\s*\|\|\s*['"`](0x[a-fA-F0-9]{40})?['"`]/,
+            `chatContract: process.env.MAIN_CONTRACT_ADDRESS || '${chatAddress}'`
+        );
+        configContent = configContent.replace(
+            /factoryContract:\s*process\.env\.FACTORY_CONTRACT_ADDRESS\s*\|\|\s*['"`](0x[a-fA-F0-9]{40})?['"`]/,
+            `factoryContract: process.env.FACTORY_CONTRACT_ADDRESS || '${factoryAddress}'`
+        );
+        configContent = configContent.replace(
+            /keyRegistry:\s*process\.env\.KEY_REGISTRY_ADDRESS\s*\|\|\s*['"`](0x[a-fA-F0-9]{40})?['"`]/,
+            `keyRegistry: process.env.KEY_REGISTRY_ADDRESS || '${keyRegistryAddress}'`
         );
         configContent = configContent.replace(
-            /factoryContract:\s*['"`]0x[a-fA-F0-9]{40}['"`]/,
-            `factoryContract: '${factoryAddress}'`
+            /groupChat:\s*process\.env\.GROUP_CHAT_ADDRESS\s*\|\|\s*['"`](0x[a-fA-F0-9]{40})?['"`]/,
+            `groupChat: process.env.GROUP_CHAT_ADDRESS || '${groupChatAddress}'`
         );
 
         fs.writeFileSync(networkConfigPath, configContent);
@@ -274,6 +378,24 @@ async function updateConfigFiles(chatAddress, factoryAddress) {
                 envContent += `\nFACTORY_CONTRACT_ADDRESS=${factoryAddress}`;
             }
 
+            if (envContent.includes('KEY_REGISTRY_ADDRESS=')) {
+                envContent = envContent.replace(
+                    /KEY_REGISTRY_ADDRESS=.*/,
+                    `KEY_REGISTRY_ADDRESS=${keyRegistryAddress}`
+                );
+            } else {
+                envContent += `\nKEY_REGISTRY_ADDRESS=${keyRegistryAddress}`;
+            }
+
+            if (envContent.includes('GROUP_CHAT_ADDRESS=')) {
+                envContent = envContent.replace(
+                    /GROUP_CHAT_ADDRESS=.*/,
+                    `GROUP_CHAT_ADDRESS=${groupChatAddress}`
+                );
+            } else {
+                envContent += `\nGROUP_CHAT_ADDRESS=${groupChatAddress}`;
+            }
+
             fs.writeFileSync(envPath, envContent);
             console.log(chalk.green(`✅ Updated: ${envPath}`));
         }
@@ -7,13 +7,14 @@ const SessionManager = require('../services/sessionManager');
 const PrivacyManager = require('../services/privacyManager');
 const { getNetworkConfig, validateNetworkConfig } = require('../config/networks');
 const logger = require('../utils/logger');
+const reporter = require('../utils/reporter');
 
 async function replayCommand(argv, blockchainService) {
     try {
-        console.log(chalk.blue('🔄 ChainWhisper - Replay Conversation\n'));
+        reporter.info(chalk.blue('🔄 ChainWhisper - Replay Conversation\n'));
 
 
-        console.log(chalk.blue('🔐 Connecting wallet...'));
+        reporter.info(chalk.blue('🔐 Connecting wallet...'));
         const walletService = new WalletService(argv.network ? getNetworkConfig(argv.network) : getNetworkConfig('sepolia-scroll'));
         const walletInfo = await walletService.connect();
         displayWalletInfo(walletInfo, argv.network || 'sepolia-scroll');
@@ -28,26 +29,26 @@ async function replayCommand(argv, blockchainService) {
 
         const targetAddress = argv.address || argv.replay;
 
-        console.log(chalk.blue(`📚 Fetching conversation with ${targetAddress.substring(0, 8)}...${targetAddress.substring(targetAddress.length - 4)}...\n`));
+        reporter.info(chalk.blue(`📚 Fetching conversation with ${targetAddress.substring(0, 8)}...${targetAddress.substring(targetAddress.length - 4)}...\n`));
 
 
-        console.log(chalk.blue('📨 Checking main contract messages...'));
+        reporter.info(chalk.blue('📨 Checking main contract messages...'));
         let standardMessages = [];
         try {
             standardMessages = await blockchainServiceInstance.getConversationMessages(targetAddress);
-            console.log(chalk.gray(`   Found ${standardMessages.length} messages in main contract`));
+            reporter.info(chalk.gray(`   Found ${standardMessages.length} messages in main contract`));
         } catch (error) {
-            console.log(chalk.yellow(`   ⚠️  Standard messages unavailable: ${error.message}`));
+            reporter.warn(chalk.yellow(`   ⚠️  Standard messages unavailable: ${error.message}`));
         }
 
 
-        console.log(chalk.blue('🔒 Checking private session messages...'));
+        reporter.info(chalk.blue('🔒 Checking private session messages...'));
         let sessionMessages = [];
         try {
             sessionMessages = await sessionManager.getMessages(targetAddress);
-            console.log(chalk.gray(`   Found ${sessionMessages.length} messages in sessions`));
+            reporter.info(chalk.gray(`   Found ${sessionMessages.length} messages in sessions`));
         } catch (error) {
-            console.log(chalk.yellow(`   ⚠️  Session messages unavailable: ${error.message.split('\n')[0]}`));
+            reporter.warn(chalk.yellow(`   ⚠️  Session messages unavailable: ${error.message.split('\n')[0]}`));
         }
 
 
@@ -55,16 +56,16 @@ async function replayCommand(argv, blockchainService) {
         allMessages.sort((a, b) => a.timestamp - b.timestamp);
 
         if (allMessages.length === 0) {
-            console.log(chalk.yellow('\n💬 No messages found in this conversation'));
-            console.log(chalk.gray(`   Start a conversation with:`));
-            console.log(chalk.white(`   npm run start -- --to ${targetAddress} --message "Hello!"`));
+            reporter.info(chalk.yellow('\n💬 No messages found in this conversation'));
+            reporter.info(chalk.gray(`   Start a conversation with:`));
+            reporter.info(chalk.white(`   npm run start -- --to ${targetAddress} --message "Hello!"`));
             return;
         }
 
-        console.log(chalk.green(`\n📬 Found ${allMessages.length} messages total\n`));
-        console.log(chalk.blue('═'.repeat(80)));
-        console.log(chalk.cyan.bold('                CONVERSATION HISTORY'));
-        console.log(chalk.blue('═'.repeat(80)));
+        reporter.info(chalk.green(`\n📬 Found ${allMessages.length} messages total\n`));
+        reporter.info(chalk.blue('═'.repeat(80)));
+        reporter.info(chalk.cyan.bold('                CONVERSATION HISTORY'));
+        reporter.info(chalk.blue('═'.repeat(80)));
 
 
         let displayedCount = 0;
@@ -78,8 +79,8 @@ async function replayCommand(argv, blockchainService) {
                     currentTime > message.expiry;
 
                 if (isExpired) {
-                    console.log(chalk.gray(`\n[${index + 1}] ⏰ [EXPIRED] Message from ${new Date(message.timestamp * 1000).toLocaleString()}`));
-                    console.log(chalk.red('   [Content hidden - message has expired]'));
+                    reporter.info(chalk.gray(`\n[${index + 1}] ⏰ [EXPIRED] Message from ${new Date(message.timestamp * 1000).toLocaleString()}`));
+                    reporter.info(chalk.red('   [Content hidden - message has expired]'));
                     continue;
                 }
 
@@ -94,7 +95,7 @@ async function replayCommand(argv, blockchainService) {
                         const mediaType = message.messageType || 'file';
                         decryptedContent = `[Media: ${mediaType}] ${message.cid}`;
                         isMediaMessage = true;
-                        console.log(chalk.blue(`📎 IPFS Gateway: https://ipfs.io/ipfs/${message.cid}`));
+                        reporter.info(chalk.blue(`📎 IPFS Gateway: https://ipfs.io/ipfs/${message.cid}`));
                     } else {
 
                         const encryptedContent = await ipfsService.downloadContent(message.cid);
@@ -105,9 +106,9 @@ async function replayCommand(argv, blockchainService) {
                         );
                     }
                 } catch (decryptError) {
-                    console.log(chalk.red(`\n[${index + 1}] ❌ Failed to decrypt message from ${message.from.substring(0, 8)}...`));
-                    console.log(chalk.gray(`   CID: ${message.cid.substring(0, 20)}...`));
-                    console.log(chalk.gray(`   Error: ${decryptError.message.split('\n')[0]}`));
+                    reporter.info(chalk.red(`\n[${index + 1}] ❌ Failed to decrypt message from ${message.from.substring(0, 8)}...`));
+                    reporter.info(chalk.gray(`   CID: ${message.cid.substring(0, 20)}...`));
+                    reporter.info(chalk.gray(`   Error: ${decryptError.message.split('\n')[0]}`));
                     failedCount++;
                     continue;
                 }
@@ -119,14 +120,14 @@ async function replayCommand(argv, blockchainService) {
                 const messageDate = new Date(message.timestamp * 1000).toLocaleString();
                 const source = message.source === 'session' ? '🔒' : '📨';
 
-                console.log(`\n[${index + 1}] ${source} ${senderColor(senderLabel)} (${messageDate}):`);
+                reporter.info(`\n[${index + 1}] ${source} ${senderColor(senderLabel)} (${messageDate}):`);
 
 
                 if (isMediaMessage) {
-                    console.log(chalk.white(`   ${decryptedContent}`));
-                    console.log(chalk.gray(`   📂 Click link above to view media content`));
+                    reporter.info(chalk.white(`   ${decryptedContent}`));
+                    reporter.info(chalk.gray(`   📂 Click link above to view media content`));
                 } else {
-                    console.log(chalk.white(`   ${decryptedContent}`));
+                    reporter.info(chalk.white(`   ${decryptedContent}`));
                 }
 
 
@@ -136,25 +137,25 @@ async function replayCommand(argv, blockchainService) {
                     if (timeLeft > 0) {
                         const hours = Math.floor(timeLeft / 3600);
                         const minutes = Math.floor((timeLeft % 3600) / 60);
-                        console.log(chalk.yellow(`   ⏰ Expires: ${expiryDate} (${hours}h ${minutes}m left)`));
+                        reporter.info(chalk.yellow(`   ⏰ Expires: ${expiryDate} (${hours}h ${minutes}m left)`));
                     }
                 }
 
                 displayedCount++;
 
             } catch (messageError) {
-                console.log(chalk.red(`\n[${index + 1}] ❌ Message processing error`));
-                console.log(chalk.gray(`   Error: ${messageError.message.split('\n')[0]}`));
+                reporter.info(chalk.red(`\n[${index + 1}] ❌ Message processing error`));
+                reporter.info(chalk.gray(`   Error: ${messageError.message.split('\n')[0]}`));
                 failedCount++;
             }
         }
 
-        console.log(chalk.blue('\n═'.repeat(80)));
-        console.log(chalk.green(`📊 Summary:`));
-        console.log(chalk.gray(`   Total messages found: ${allMessages.length}`));
-        console.log(chalk.gray(`   Successfully displayed: ${displayedCount}`));
+        reporter.info(chalk.blue('\n═'.repeat(80)));
+        reporter.info(chalk.green(`📊 Summary:`));
+        reporter.info(chalk.gray(`   Total messages found: ${allMessages.length}`));
+        reporter.info(chalk.gray(`   Successfully displayed: ${displayedCount}`));
         if (failedCount > 0) {
-            console.log(chalk.yellow(`   Failed to decrypt: ${failedCount}`));
+            reporter.info(chalk.yellow(`   Failed to decrypt: ${failedCount}`));
         }
 
 
@@ -166,7 +167,7 @@ async function replayCommand(argv, blockchainService) {
         });
 
     } catch (error) {
-        console.error(chalk.red('\n❌ Replay failed:'), error.message);
+        reporter.error(chalk.red('\n❌ Replay failed:'), error.message);
         logger.error('Replay command failed', error);
         throw error;
     }
@@ -174,8 +175,8 @@ async function replayCommand(argv, blockchainService) {
 
 
 function displayWalletInfo(walletInfo, networkName) {
-    console.log(chalk.green(`✅ Connected: ${walletInfo.address}`));
-    console.log(chalk.gray(`💰 Balance: ${walletInfo.balance} ETH\n`));
+    reporter.info(chalk.green(`✅ Connected: ${walletInfo.address}`));
+    reporter.info(chalk.gray(`💰 Balance: ${walletInfo.balance} ETH\n`));
 }
 
 module.exports = { replayCommand };
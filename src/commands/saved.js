@@ -1,122 +1,94 @@
 const chalk = require('chalk');
 const fs = require('fs');
 const path = require('path');
+const { ethers } = require('ethers');
 const WalletService = require('../services/wallet');
 const BlockchainService = require('../services/blockchain');
-const SessionManager = require('../services/sessionManager');
-const { getNetworkConfig, validateNetworkConfig } = require('../config/networks');
+const EncryptionService = require('../services/encryption');
+const ConversationService = require('../services/conversation');
+const IPFSService = require('../services/ipfs');
+const ExportVerifier = require('../services/exportVerifier');
 const logger = require('../utils/logger');
+const reporter = require('../utils/reporter');
+const prompt = require('../utils/prompt');
+const { EXPORT_FORMATS, renderExport } = require('../utils/exportFormats');
 
-async function savedCommand(argv) {
-    try {
-        console.log(chalk.cyan('💾 ChainWhisper - Export Chat History\n'));
 
+const EXPORT_FILE_FORMAT = 'chainwhisper-export';
+const EXPORT_LABEL = 'chainwhisper-export-1';
+const MIN_PASSPHRASE_LENGTH = 8;
 
-        const supportedFormats = ['json', 'md', 'txt'];
-        if (!supportedFormats.includes(argv.saved)) {
-            throw new Error(`Unsupported format: ${argv.saved}. Supported: ${supportedFormats.join(', ')}`);
-        }
+const stripAnsi = (text) => text.replace(/\u001b\[[0-9;]*m/g, '');
 
 
-        const networkConfig = getNetworkConfig(argv.network);
-        validateNetworkConfig(networkConfig);
+async function savedCommand(argv, networkConfig) {
+    try {
+        reporter.info(chalk.cyan('💾 ChainWhisper - Export Chat History\n'));
+
+
+        if (!EXPORT_FORMATS.includes(argv.export)) {
+            throw new Error(`Unsupported format: ${argv.export}. Supported: ${EXPORT_FORMATS.join(', ')}`);
+        }
 
         const walletService = new WalletService(networkConfig);
         const walletInfo = await walletService.connect();
 
         const blockchainService = new BlockchainService(walletService.getWallet(), networkConfig);
-        const sessionManager = new SessionManager(blockchainService, walletService.getWallet());
-
-        console.log(chalk.blue('📥 Gathering all conversation data...'));
-
-
-        const userMessages = await blockchainService.chatContract.getUserMessages(walletInfo.address);
-        console.log(chalk.gray(`   Main contract messages: ${userMessages.length}`));
-
-
-        const sessions = await sessionManager.getUserSessions();
-        console.log(chalk.gray(`   Private sessions: ${sessions.length}`));
-
-
-        const conversationPartners = new Set();
+        const conversation = new ConversationService(blockchainService, walletService.getWallet(), new IPFSService(argv.storage));
+        EncryptionService.attachBlockchain(blockchainService);
 
+        reporter.info(chalk.blue('📥 Gathering conversation data...'));
+        await conversation.syncCache();
 
-        const mainConversations = new Map();
-        for (const messageId of userMessages) {
-            try {
-                const messageData = await blockchainService.chatContract.getMessage(messageId);
-                const otherParty = messageData.from.toLowerCase() === walletInfo.address.toLowerCase()
-                    ? messageData.to
-                    : messageData.from;
-
-                conversationPartners.add(otherParty.toLowerCase());
-
-                if (!mainConversations.has(otherParty.toLowerCase())) {
-                    mainConversations.set(otherParty.toLowerCase(), []);
-                }
-
-                mainConversations.get(otherParty.toLowerCase()).push( {
-                    ...messageData,
-                    messageId: messageId.toString(),
-                    source: 'main'
-                });
-            } catch (error) {
-                logger.warn(`Failed to fetch message ${messageId}: ${error.message}`);
-            }
-        }
-
-
-        const sessionConversations = new Map();
-        for (const session of sessions) {
-            const otherParty = session.participant1.toLowerCase() === walletInfo.address.toLowerCase()
-                ? session.participant2
-                : session.participant1;
-
-            conversationPartners.add(otherParty.toLowerCase());
-
-            try {
-                const sessionMessages = await sessionManager.getMessages(otherParty);
-                if (sessionMessages.length > 0) {
-                    sessionConversations.set(otherParty.toLowerCase(), sessionMessages.map(msg => ( {
-                        ...msg,
-                        source: 'session'
-                    })));
-                }
-            } catch (error) {
-                logger.warn(`Failed to fetch session messages for ${otherParty}: ${error.message}`);
-            }
-        }
 
+        const partners = argv.conversation
+            ? [ethers.getAddress(argv.conversation)]
+            : conversation.cache.getCounterparties();
 
         const exportData = {
             metadata: {
                 exportedAt: new Date().toISOString(),
                 exportedBy: walletInfo.address,
                 network: networkConfig.name,
-                format: argv.saved,
-                totalConversations: conversationPartners.size,
-                totalMainMessages: userMessages.length,
-                totalSessions: sessions.length
+                chainId: networkConfig.chainId,
+                format: argv.export,
+                scope: argv.conversation ? ethers.getAddress(argv.conversation) : 'all',
+                decrypted: Boolean(argv.decrypt),
+                totalConversations: 0,
+                totalMessages: 0
             },
             conversations: {}
         };
 
 
-        for (const partner of conversationPartners) {
-            const mainMsgs = mainConversations.get(partner) || [];
-            const sessionMsgs = sessionConversations.get(partner) || [];
-            const allMsgs = [...mainMsgs, ...sessionMsgs];
+        for (const partner of partners) {
+            const { mainMessages, sessionMessages } = conversation.cache.getConversation(partner);
+            const messages = [...mainMessages, ...sessionMessages];
 
+            if (messages.length === 0) {
+                continue;
+            }
+
+            if (argv.decrypt) {
+                await conversation.decryptMessages(messages, partner);
+            }
 
-            allMsgs.sort((a, b) => a.timestamp - b.timestamp);
+            messages.sort((a, b) => a.timestamp - b.timestamp);
 
-            exportData.conversations[partner] = {
+            exportData.conversations[partner.toLowerCase()] = {
                 participant: partner,
-                totalMessages: allMsgs.length,
-                mainContractMessages: mainMsgs.length,
-                sessionMessages: sessionMsgs.length,
-                messages: allMsgs
+                totalMessages: messages.length,
+                mainContractMessages: mainMessages.length,
+                sessionMessages: sessionMessages.length,
+                messages: messages.map((message) => toExportRecord(message, argv.decrypt))
             };
+            exportData.metadata.totalMessages += messages.length;
+        }
+
+        exportData.metadata.totalConversations = Object.keys(exportData.conversations).length;
+
+        if (exportData.metadata.totalConversations === 0) {
+            throw new Error(argv.conversation ? `No messages with ${argv.conversation}` : 'No conversations to export');
         }
 
 
@@ -127,148 +99,312 @@ async function savedCommand(argv) {
 
 
         const timestamp = new Date().toISOString().replace(/[:.]/g, '-').split('T')[0];
-        const filename = `chainwhisper-export-${timestamp}.${argv.saved}`;
-        const filepath = path.join(exportDir, filename);
+        const scope = argv.conversation ? `-${argv.conversation.toLowerCase().substring(0, 10)}` : '';
+        let filename = `chainwhisper-export-${timestamp}${scope}.${argv.export}`;
 
 
-        console.log(chalk.blue(`💾 Exporting to ${argv.saved.toUpperCase()} format...`));
+        reporter.info(chalk.blue(`💾 Exporting to ${argv.export.toUpperCase()} format...`));
 
-        switch (argv.saved) {
-            case 'json':
-                await exportJSON(exportData, filepath);
-                break;
-            case 'md':
-                await exportMarkdown(exportData, filepath);
-                break;
-            case 'txt':
-                await exportText(exportData, filepath);
-                break;
+        const content = renderExport(argv.export, exportData, networkConfig);
+
+        if (argv.decrypt) {
+            filename += '.enc';
+            const passphrase = await askExportPassphrase();
+
+            reporter.info(chalk.blue('🔐 Encrypting export with your passphrase (scrypt)...'));
+            const sealed = {
+                format: EXPORT_FILE_FORMAT,
+                version: 1,
+                contentFormat: argv.export,
+                ...await EncryptionService.encryptWithPassphrase(content, passphrase, EXPORT_LABEL)
+            };
+            fs.writeFileSync(path.join(exportDir, filename), JSON.stringify(sealed, null, 2), { mode: 0o600 });
+        } else {
+            fs.writeFileSync(path.join(exportDir, filename), content);
         }
 
+        const filepath = path.join(exportDir, filename);
+
 
-        console.log(chalk.green.bold('\n🎉 Export completed successfully!\n'));
+        reporter.info(chalk.green.bold('\n🎉 Export completed successfully!\n'));
 
-        console.log(chalk.blue('📊 Export Summary:'));
-        console.log(chalk.gray(`   File: ${filename}`));
-        console.log(chalk.gray(`   Location: ${filepath}`));
-        console.log(chalk.gray(`   Format: ${argv.saved.toUpperCase()}`));
-        console.log(chalk.gray(`   Conversations: ${conversationPartners.size}`));
-        console.log(chalk.gray(`   Total messages: ${userMessages.length + sessions.reduce((sum, s) => sum + s.messageCount, 0)}`));
-        console.log(chalk.gray(`   File size: ${Math.round(fs.statSync(filepath).size / 1024)} KB`));
+        reporter.info(chalk.blue('📊 Export Summary:'));
+        reporter.info(chalk.gray(`   File: ${filename}`));
+        reporter.info(chalk.gray(`   Location: ${filepath}`));
+        reporter.info(chalk.gray(`   Format: ${argv.export.toUpperCase()}${argv.decrypt ? ' (decrypted, passphrase-protected)' : ''}`));
+        reporter.info(chalk.gray(`   Conversations: ${exportData.metadata.totalConversations}`));
+        reporter.info(chalk.gray(`   Total messages: ${exportData.metadata.totalMessages}`));
+        reporter.info(chalk.gray(`   File size: ${Math.round(fs.statSync(filepath).size / 1024)} KB`));
 
-        console.log(chalk.yellow('\n⚠️  Privacy Notice:'));
-        console.log(chalk.gray('   Exported file contains encrypted message CIDs only'));
-        console.log(chalk.gray('   Actual message content requires IPFS retrieval + decryption'));
-        console.log(chalk.gray('   Store exported file securely'));
+        reporter.warn(chalk.yellow('\n⚠️  Privacy Notice:'));
+        if (argv.decrypt) {
+            reporter.info(chalk.gray('   Message plaintext is encrypted with your export passphrase'));
+            reporter.info(chalk.gray(`   Read it with: chain-whisper --open-export ${path.relative(process.cwd(), filepath)}`));
+        } else {
+            reporter.info(chalk.gray('   Exported file contains message ciphertext only'));
+            reporter.info(chalk.gray('   Use --decrypt for a passphrase-protected plaintext export'));
+        }
+        reporter.info(chalk.gray('   Store exported file securely'));
 
 
         logger.info('Chat history exported', {
-            format: argv.saved,
-            conversationCount: conversationPartners.size,
-            messageCount: userMessages.length,
+            format: argv.export,
+            scope: exportData.metadata.scope,
+            decrypted: Boolean(argv.decrypt),
+            conversationCount: exportData.metadata.totalConversations,
+            messageCount: exportData.metadata.totalMessages,
             filepath
         });
 
+        reporter.event('summary', {
+            command: 'export',
+            format: argv.export,
+            scope: exportData.metadata.scope,
+            decrypted: Boolean(argv.decrypt),
+            conversations: exportData.metadata.totalConversations,
+            messages: exportData.metadata.totalMessages,
+            file: filepath
+        });
+
     } catch (error) {
-        console.error(chalk.red('\n❌ Export failed:'), error.message);
-        logger.error('Saved command failed', error, { argv });
-        process.exit(1);
+        reporter.error(chalk.red('\n❌ Export failed:'), error.message);
+        logger.error('Saved command failed', error, { format: argv.export });
+        throw error;
     }
 }
 
-async function exportJSON(data, filepath) {
-    fs.writeFileSync(filepath, JSON.stringify(data, null, 2));
+
+/**
+ * Write the plaintext of a passphrase-protected export next to it (without `.enc`)
+ */
+async function openExportCommand(filePath) {
+    try {
+        reporter.info(chalk.cyan('🔓 ChainWhisper - Open Export\n'));
+
+        const { contentFormat, content } = await readExport(filePath);
+        const outputPath = filePath.replace(/\.enc$/, '');
+
+        if (outputPath === filePath) {
+            throw new Error(`${filePath} is not a passphrase-protected export`);
+        }
+
+        fs.writeFileSync(outputPath, content, { mode: 0o600, flag: 'wx' });
+
+        reporter.info(chalk.green(`✅ Decrypted ${contentFormat.toUpperCase()} export written to ${outputPath}`));
+        reporter.warn(chalk.yellow('⚠️  This file holds your messages in plaintext - delete it when done'));
+
+        reporter.event('summary', { command: 'open-export', format: contentFormat, file: outputPath });
+
+    } catch (error) {
+        reporter.error(chalk.red('❌ Open export failed:'), error.code === 'EEXIST' ? `${error.path} already exists` : error.message);
+        throw error;
+    }
 }
 
-async function exportMarkdown(data, filepath) {
-    let markdown = `# ChainWhisper Chat Export\n\n`;
 
-    markdown += `**Exported:** ${data.metadata.exportedAt}\n`;
-    markdown += `**Account:** ${data.metadata.exportedBy}\n`;
-    markdown += `**Network:** ${data.metadata.network}\n`;
-    markdown += `**Conversations:** ${data.metadata.totalConversations}\n`;
-    markdown += `**Total Messages:** ${data.metadata.totalMainMessages}\n\n`;
+/**
+ * Load a JSON export (plain or passphrase-protected) into the local message cache. Every
+ * record is checked against the chain first; only verified records are imported, and the
+ * command fails when any record was tampered with, is missing, was reorged away or names no
+ * transaction to check it against.
+ */
+async function importCommand(argv, networkConfig) {
+    try {
+        reporter.info(chalk.cyan('📦 ChainWhisper - Import Chat History\n'));
 
-    markdown += `---\n\n`;
+        const { contentFormat, content } = await readExport(argv.import);
+        if (contentFormat !== 'json') {
+            throw new Error(`Only JSON exports can be imported (${contentFormat.toUpperCase()} exports are for reading)`);
+        }
 
-    for (const [partner, conversation] of Object.entries(data.conversations)) {
-        markdown += `## Conversation with ${partner}\n\n`;
-        markdown += `- **Total Messages:** ${conversation.totalMessages}\n`;
-        markdown += `- **Main Contract:** ${conversation.mainContractMessages}\n`;
-        markdown += `- **Private Sessions:** ${conversation.sessionMessages}\n\n`;
+        let exportData;
+        try {
+            exportData = JSON.parse(content);
+        } catch (error) {
+            throw new Error(`${argv.import} is not a valid ChainWhisper export`);
+        }
+
+        if (!exportData.metadata || !exportData.conversations) {
+            throw new Error(`${argv.import} is not a valid ChainWhisper export`);
+        }
+
+        if (Number(exportData.metadata.chainId) !== Number(networkConfig.chainId)) {
+            throw new Error(`Export is from chain ${exportData.metadata.chainId}, but ${networkConfig.name} is chain ${networkConfig.chainId}`);
+        }
+
+        const walletService = new WalletService(networkConfig);
+        const walletInfo = await walletService.connect();
+
+        if (exportData.metadata.exportedBy.toLowerCase() !== walletInfo.address.toLowerCase()) {
+            throw new Error(`Export belongs to ${exportData.metadata.exportedBy}; connect with that wallet to import it`);
+        }
+
+        const blockchainService = new BlockchainService(walletService.getWallet(), networkConfig);
+        const conversation = new ConversationService(blockchainService, walletService.getWallet(), new IPFSService(argv.storage));
+
+        // Verification needs the chain, so a failed sync stops the import instead of falling back
+        reporter.info(chalk.blue('🗄️  Syncing local message cache...'));
+        await conversation.cache.sync();
 
-        for (const [index, message] of conversation.messages.entries()) {
-            const date = new Date(message.timestamp * 1000);
-            const source = message.source === 'session' ? '🔒 Private' : '📨 Standard';
 
-            markdown += `### Message ${index + 1} - ${source}\n\n`;
-            markdown += `**Date:** ${date.toLocaleString()}\n`;
-            markdown += `**From:** ${message.from}\n`;
-            markdown += `**To:** ${message.to || 'Session participant'}\n`;
-            markdown += `**IPFS CID:** \`${message.cid}\`\n`;
+        const verifier = new ExportVerifier(blockchainService, conversation.cache);
+        const records = Object.values(exportData.conversations).flatMap((entry) => entry.messages);
+        const counts = { verified: 0, tampered: 0, missing: 0, reorged: 0, unanchored: 0 };
+        let imported = 0;
 
-            if (message.expiry && message.expiry > 0) {
-                const expiryDate = new Date((message.timestamp + message.expiry) * 1000);
-                markdown += `**Expires:** ${expiryDate.toLocaleString()}\n`;
+        reporter.info(chalk.blue(`🔍 Verifying ${records.length} messages against the chain...`));
+
+        for (const record of records) {
+            const label = record.source === 'session'
+                ? `session message #${record.messageId} (${record.transactionHash || 'no tx hash'})`
+                : `message #${record.messageId}`;
+            const result = await verifier.verify(record);
+
+            counts[result.status]++;
+
+            if (result.status !== 'verified') {
+                reporter.warn(chalk.red(`   ❌ ${result.status.toUpperCase()} ${label}: ${result.reason}`));
+                reporter.event('import.failed', {
+                    status: result.status,
+                    reason: result.reason,
+                    source: record.source,
+                    messageId: record.messageId,
+                    sessionAddress: record.sessionAddress ?? null,
+                    transactionHash: record.transactionHash ?? null
+                });
+                continue;
             }
 
-            if (message.isMedia) {
-                markdown += `**Media Type:** ${message.messageType}\n`;
+            if (conversation.cache.merge(result.message)) {
+                imported++;
             }
+        }
+
+        await conversation.cache.save();
+
+        const failed = records.length - counts.verified;
+
+
+        reporter.info(chalk.blue('\n📊 Import Summary:'));
+        reporter.info(chalk.gray(`   Archive: ${argv.import}`));
+        reporter.info(chalk.gray(`   Exported: ${exportData.metadata.exportedAt}${exportData.metadata.decrypted ? ' (decrypted export: content itself is not re-checked)' : ''}`));
+        reporter.info(chalk.green(`   ✅ Verified: ${counts.verified}`));
+        reporter.info(chalk.gray(`   Added to local cache: ${imported}`));
+        if (failed > 0) {
+            reporter.info(chalk.red(`   ❌ Tampered: ${counts.tampered}, missing: ${counts.missing}, reorged: ${counts.reorged}, unanchored: ${counts.unanchored}`));
+        }
+
+        logger.info('Chat history imported', { file: argv.import, ...counts, imported });
+
+        reporter.event('summary', {
+            command: 'import',
+            file: argv.import,
+            messages: records.length,
+            ...counts,
+            imported
+        });
 
-            markdown += `\n`;
+        if (failed > 0) {
+            throw new Error(`${failed} of ${records.length} messages failed verification`);
         }
 
-        markdown += `---\n\n`;
+        reporter.info(chalk.green.bold('\n🎉 Archive verified against the chain and imported'));
+
+    } catch (error) {
+        reporter.error(chalk.red('\n❌ Import failed:'), error.message);
+        logger.error('Import command failed', error, { file: argv.import });
+        throw error;
     }
+}
+
+
+/**
+ * Contents of an export file, asking for the passphrase when it is protected
+ */
+async function readExport(filePath) {
+    const raw = fs.readFileSync(filePath, 'utf8');
+
+    let sealed = null;
+    try {
+        sealed = JSON.parse(raw);
+    } catch (error) {
+        // Markdown and text exports are not JSON
+    }
+
+    if (sealed?.format !== EXPORT_FILE_FORMAT) {
+        return { contentFormat: path.extname(filePath).slice(1), content: raw, protected: false };
+    }
+
+    const passphrase = await prompt.askPassphrase(`🔑 Passphrase for ${path.basename(filePath)}: `);
+    reporter.info(chalk.blue('🔓 Decrypting export...'));
 
-    fs.writeFileSync(filepath, markdown);
+    return {
+        contentFormat: sealed.contentFormat,
+        content: await EncryptionService.decryptWithPassphrase(sealed, passphrase, EXPORT_LABEL),
+        protected: true
+    };
 }
 
-async function exportText(data, filepath) {
-    let text = `CHAINWHISPER CHAT EXPORT\n`;
-    text += `${'='.repeat(50)}\n\n`;
-
-    text += `Exported: ${data.metadata.exportedAt}\n`;
-    text += `Account: ${data.metadata.exportedBy}\n`;
-    text += `Network: ${data.metadata.network}\n`;
-    text += `Conversations: ${data.metadata.totalConversations}\n`;
-    text += `Total Messages: ${data.metadata.totalMainMessages}\n\n`;
-
-    text += `${'='.repeat(50)}\n\n`;
-
-    for (const [partner, conversation] of Object.entries(data.conversations)) {
-        text += `CONVERSATION WITH: ${partner}\n`;
-        text += `${'-'.repeat(30)}\n`;
-        text += `Total Messages: ${conversation.totalMessages}\n`;
-        text += `Main Contract: ${conversation.mainContractMessages}\n`;
-        text += `Private Sessions: ${conversation.sessionMessages}\n\n`;
-
-        for (const [index, message] of conversation.messages.entries()) {
-            const date = new Date(message.timestamp * 1000);
-            const source = message.source === 'session' ? '[PRIVATE]' : '[STANDARD]';
-
-            text += `[${index + 1}] ${source} ${date.toLocaleString()}\n`;
-            text += `From: ${message.from}\n`;
-            text += `To: ${message.to || 'Session participant'}\n`;
-            text += `IPFS CID: ${message.cid}\n`;
-
-            if (message.expiry && message.expiry > 0) {
-                const expiryDate = new Date((message.timestamp + message.expiry) * 1000);
-                text += `Expires: ${expiryDate.toLocaleString()}\n`;
-            }
 
-            if (message.isMedia) {
-                text += `Media Type: ${message.messageType}\n`;
-            }
+async function askExportPassphrase() {
+    if (prompt.options.passphraseFile) {
+        return prompt.askPassphrase();
+    }
+
+    for (let attempt = 0; attempt < 3; attempt++) {
+        const passphrase = await prompt.askHidden('🔑 Passphrase for this export: ');
+
+        if (passphrase.length < MIN_PASSPHRASE_LENGTH) {
+            reporter.info(chalk.red(`❌ Passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters`));
+            continue;
+        }
 
-            text += `\n`;
+        if (await prompt.askHidden('🔑 Repeat passphrase: ') !== passphrase) {
+            reporter.info(chalk.red('❌ Passphrases do not match'));
+            continue;
         }
 
-        text += `${'='.repeat(50)}\n\n`;
+        return passphrase;
     }
 
-    fs.writeFileSync(filepath, text);
+    throw new Error('No export passphrase set');
 }
 
-module.exports = savedCommand;
+
+/**
+ * What a message looks like in an export. `cid` is the value stored on-chain (a content ID,
+ * or the ciphertext itself for messages sent before off-chain storage).
+ */
+function toExportRecord(message, decrypted) {
+    const record = {
+        source: message.source,
+        messageId: message.messageId ?? null,
+        sessionAddress: message.sessionAddress ?? null,
+        from: message.from,
+        to: message.to ?? null,
+        timestamp: message.timestamp,
+        expiry: message.expiry,
+        isMedia: message.isMedia,
+        messageType: message.messageType,
+        blockNumber: message.blockNumber ?? null,
+        transactionHash: message.transactionHash ?? null,
+        cid: message.contentId || message.cid
+    };
+
+    if (!decrypted) {
+        record.ciphertext = message.contentId ? message.cid : null;
+        return record;
+    }
+
+    record.content = message.decryptError ? null : stripAnsi(message.content);
+    record.error = message.decryptError ?? null;
+    return record;
+}
+
+
+module.exports = {
+    savedCommand,
+    openExportCommand,
+    importCommand,
+    readExport
+};
@@ -2,12 +2,13 @@
 const chalk = require('chalk');
 const EncryptionService = require('../services/encryption');
 const IPFSService = require('../services/ipfs');
+const reporter = require('../utils/reporter');
 
 async function sendCommand(options, blockchainService) {
     try {
         const { to, message, expiry = 0, media, session } = options;
 
-        console.log(chalk.blue('\n🚀 ChainWhisper - Send Message\n'));
+        reporter.info(chalk.blue('\n🚀 ChainWhisper - Send Message\n'));
 
 
         if (!to || !message) {
@@ -15,35 +16,36 @@ async function sendCommand(options, blockchainService) {
         }
 
 
-        console.log(chalk.blue('🔐 Connecting wallet...'));
+        reporter.info(chalk.blue('🔐 Connecting wallet...'));
         await blockchainService.connect();
 
 
-        console.log(chalk.blue('\n🔐 Encrypting message...'));
+        reporter.info(chalk.blue('\n🔐 Encrypting message...'));
         const encryptedMessage = await EncryptionService.encryptForRecipient(
             message,
             blockchainService.privateKey,
-            to
+            to,
+            { senderCopy: true }
         );
 
 
-        console.log(chalk.blue('📤 Uploading to IPFS...'));
+        reporter.info(chalk.blue('📤 Uploading to IPFS...'));
         const ipfsService = new IPFSService();
         const cid = await ipfsService.uploadEncryptedContent(encryptedMessage);
 
 
         let result;
         if (session) {
-            console.log(chalk.blue('📨 Sending via private session...'));
+            reporter.info(chalk.blue('📨 Sending via private session...'));
             result = await blockchainService.sendSessionMessage(to, cid, expiry);
         } else {
-            console.log(chalk.blue('📨 Sending message...'));
+            reporter.info(chalk.blue('📨 Sending message...'));
             result = await blockchainService.sendMessage(to, cid, false, expiry);
         }
 
 
         if (!cid.startsWith('QmChainWhisper')) {
-            console.log(chalk.gray(`📎 IPFS: ${cid}`));
+            reporter.info(chalk.gray(`📎 IPFS: ${cid}`));
         }
 
         return {
@@ -55,7 +57,7 @@ async function sendCommand(options, blockchainService) {
         };
 
     } catch (error) {
-        console.error(chalk.red('❌ Send failed:'), error.message);
+        reporter.error(chalk.red('❌ Send failed:'), error.message);
         throw error;
     }
 }
@@ -1,6 +1,8 @@
+const fs = require('fs');
+const path = require('path');
 const { ethers } = require('ethers');
 
-const networks = {
+const builtInNetworks = {
   'sepolia-scroll': {
       name: 'Sepolia Scroll Testnet',
       chainId: 534351,
@@ -18,15 +20,152 @@ const networks = {
       blockExplorer: 'https://sepolia.scrollscan.com',
       contracts: {
           chatContract: process.env.MAIN_CONTRACT_ADDRESS || '0x47E0cc6b3Be7459e06f7a175771BfCD227E38A99',
-          factoryContract: process.env.FACTORY_CONTRACT_ADDRESS || '0x627C28aD9885951e3B1ffB2701B25f17d39bc33e'
+          factoryContract: process.env.FACTORY_CONTRACT_ADDRESS || '0x627C28aD9885951e3B1ffB2701B25f17d39bc33e',
+          keyRegistry: process.env.KEY_REGISTRY_ADDRESS || '',
+          groupChat: process.env.GROUP_CHAT_ADDRESS || ''
       }
+  },
+
+  'scroll': {
+      name: 'Scroll Mainnet',
+      chainId: 534352,
+      rpcUrl: 'https://rpc.scroll.io/',
+      fallbackRpcs: [
+          'https://scroll-rpc.publicnode.com/',
+          'https://scroll.drpc.org/',
+          'https://rpc.ankr.com/scroll'
+      ],
+      currency: {
+          name: 'Ether',
+          symbol: 'ETH',
+          decimals: 18
+      },
+      blockExplorer: 'https://scrollscan.com',
+      contracts: {
+          chatContract: '',
+          factoryContract: '',
+          keyRegistry: '',
+          groupChat: ''
+      }
+  },
+
+  'localhost': {
+      name: 'Local Hardhat Node',
+      chainId: 31337,
+      rpcUrl: 'http://127.0.0.1:8545',
+      fallbackRpcs: [],
+      currency: {
+          name: 'Ether',
+          symbol: 'ETH',
+          decimals: 18
+      },
+      blockExplorer: '',
+      contracts: {
+          chatContract: '',
+          factoryContract: '',
+          keyRegistry: '',
+          groupChat: ''
+      }
+  }
+};
+
+const getNetworksFilePath = () =>
+  path.resolve(process.env.NETWORKS_FILE || path.join(process.cwd(), '.chainwhisper', 'networks.json'));
+
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Shape checks for the networks file; complete settings (RPC URL, chain ID, contract addresses)
+ * are checked for the selected network by validateNetworkConfig
+ */
+const validateNetworksFile = (userNetworks, filePath) => {
+  if (!isPlainObject(userNetworks)) {
+      throw new Error(`Networks file ${filePath} must contain an object keyed by network name`);
+  }
+
+  for (const [key, userConfig] of Object.entries(userNetworks)) {
+      const invalid = (field, expected) => new Error(`Invalid "${key}" in networks file ${filePath}: ${field} must be ${expected}`);
+
+      if (!isPlainObject(userConfig)) {
+          throw invalid('the entry', 'an object');
+      }
+      if (userConfig.rpcUrl !== undefined && typeof userConfig.rpcUrl !== 'string') {
+          throw invalid('rpcUrl', 'a string');
+      }
+      if (userConfig.chainId !== undefined && (!Number.isInteger(userConfig.chainId) || userConfig.chainId <= 0)) {
+          throw invalid('chainId', 'a positive integer');
+      }
+      if (userConfig.fallbackRpcs !== undefined &&
+          (!Array.isArray(userConfig.fallbackRpcs) || !userConfig.fallbackRpcs.every((url) => typeof url === 'string'))) {
+          throw invalid('fallbackRpcs', 'a list of URLs');
+      }
+      for (const field of ['currency', 'contracts']) {
+          if (userConfig[field] !== undefined && !isPlainObject(userConfig[field])) {
+              throw invalid(field, 'an object');
+          }
+      }
+  }
+};
+
+
+/**
+ * Built-in networks merged with the ones from the networks file. A file entry with a
+ * built-in key only overrides the fields it sets (e.g. contract addresses for localhost).
+ */
+const loadNetworks = () => {
+  const networks = { ...builtInNetworks };
+  const filePath = getNetworksFilePath();
+
+  if (!fs.existsSync(filePath)) {
+      return networks;
+  }
+
+  let userNetworks;
+  try {
+      userNetworks = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+      throw new Error(`Could not read networks file ${filePath}: ${error.message}`);
   }
+
+  validateNetworksFile(userNetworks, filePath);
+
+  for (const [key, userConfig] of Object.entries(userNetworks)) {
+      const base = builtInNetworks[key] || {
+          name: key,
+          fallbackRpcs: [],
+          currency: { name: 'Ether', symbol: 'ETH', decimals: 18 },
+          blockExplorer: '',
+          contracts: {}
+      };
+
+      networks[key] = {
+          ...base,
+          ...userConfig,
+          currency: { ...base.currency, ...userConfig.currency },
+          contracts: { ...base.contracts, ...userConfig.contracts }
+      };
+  }
+
+  return networks;
 };
 
+// Read on first use, so a broken networks file is reported by the command instead of at startup
+let networks = null;
+
+const getNetworks = () => {
+  if (!networks) {
+      networks = loadNetworks();
+  }
+  return networks;
+};
+
+const getNetworkNames = () => Object.keys(getNetworks());
+
 const getNetworkConfig = (networkName) => {
-  const config = networks[networkName];
+  const config = getNetworks()[networkName];
   if (!config) {
-      throw new Error(`Network ${networkName} not supported`);
+      throw new Error(`Network ${networkName} not supported. Available: ${getNetworkNames().join(', ')}`);
   }
   return config;
 };
@@ -35,16 +174,23 @@ const validateNetworkConfig = (config) => {
   if (!config.rpcUrl) {
       throw new Error('RPC URL is required');
   }
-  if (!config.chainId) {
+  if (!Number.isInteger(config.chainId) || config.chainId <= 0) {
       throw new Error('Chain ID is required');
   }
   if (!config.contracts?.chatContract || !config.contracts?.factoryContract) {
-      throw new Error('Contract addresses are required');
+      throw new Error(`Contract addresses are required for ${config.name}: set chatContract and factoryContract in ${getNetworksFilePath()}`);
+  }
+
+  for (const [contract, address] of Object.entries(config.contracts)) {
+      if (address && !ethers.isAddress(address)) {
+          throw new Error(`Invalid ${contract} address for ${config.name}: ${address}`);
+      }
   }
 };
 
 module.exports = {
-  networks,
+  getNetworks,
+  getNetworkNames,
   getNetworkConfig,
   validateNetworkConfig
 };
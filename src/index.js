@@ -2,30 +2,47 @@
 
 const yargs = require('yargs/yargs');
 const { hideBin } = require('yargs/helpers');
+const fs = require('fs');
+const readline = require('readline');
 const chalk = require('chalk');
 const figlet = require('figlet');
+const { ethers } = require('ethers');
+
+
+// Load .env before the network registry reads contract addresses and NETWORKS_FILE
+require('dotenv').config();
 
 
 const WalletService = require('./services/wallet');
 const BlockchainService = require('./services/blockchain');
 const EncryptionService = require('./services/encryption');
-const SessionManager = require('./services/sessionManager');
 const PrivacyManager = require('./services/privacyManager');
+const GroupManager = require('./services/groupManager');
+const IPFSService = require('./services/ipfs');
+const AttachmentService = require('./services/attachments');
+const ReactionService = require('./services/reactions');
+const ConversationService = require('./services/conversation');
+const ListenerService = require('./services/listener');
+const InboxService = require('./services/inbox');
+const RpcProvider = require('./services/rpcProvider');
+const SessionManager = require('./services/sessionManager');
+const { savedCommand, openExportCommand, importCommand } = require('./commands/saved');
+const { EXPORT_FORMATS } = require('./utils/exportFormats');
+const { canPreview, renderImage } = require('./utils/terminalImage');
+const prompt = require('./utils/prompt');
 const { getNetworkConfig, validateNetworkConfig } = require('./config/networks');
 const logger = require('./utils/logger');
-
-
-require('dotenv').config();
+const reporter = require('./utils/reporter');
 
 
 function displayHeader() {
-    console.log(chalk.cyan(figlet.textSync('ChainWhisper', {
+    reporter.info(chalk.cyan(figlet.textSync('ChainWhisper', {
         font: 'Small',
         horizontalLayout: 'fitted'
     })));
 
-    console.log(chalk.gray('Privacy-focused Web3 Chat CLI v1.0.0'));
-    console.log(chalk.gray('Built on Sepolia Scroll Testnet\n'));
+    reporter.info(chalk.gray('Privacy-focused Web3 Chat CLI v1.0.0'));
+    reporter.info(chalk.gray('Built on Sepolia Scroll Testnet\n'));
 }
 
 
@@ -45,6 +62,23 @@ const argv = yargs(hideBin(process.argv))
         type: 'string',
         alias: 'm'
     })
+    .option('attach', {
+        describe: 'Encrypt and attach a file (--message becomes its caption)',
+        type: 'string'
+    })
+    .option('react', {
+        describe: 'React to a message: --react <messageId> <emoji>',
+        type: 'array',
+        string: true
+    })
+    .option('public-reaction', {
+        describe: 'Publish the --react emoji unencrypted (cheaper, readable by anyone)',
+        type: 'boolean'
+    })
+    .option('estimate', {
+        describe: 'Dry run: print what --to would cost in standard and session mode without sending',
+        type: 'boolean'
+    })
 
 
     .option('session', {
@@ -52,19 +86,140 @@ const argv = yargs(hideBin(process.argv))
         type: 'boolean',
         alias: 's'
     })
+    .option('session-duration', {
+        describe: 'Lifetime in seconds of a new session, or of an --extend-session extension',
+        type: 'number',
+        default: Number(process.env.SESSION_DURATION) || SessionManager.DEFAULT_DURATION
+    })
     .option('expiry', {
         describe: 'Message expiry time in seconds (0 = permanent)',
         type: 'number',
         alias: 'e',
         default: 0
     })
+    .option('storage', {
+        describe: 'Where message ciphertext is stored (only its CID goes on-chain): ipfs needs an IPFS node; local is single-machine, for testing only',
+        type: 'string',
+        choices: Object.keys(IPFSService.backends)
+    })
 
 
+    .option('chat', {
+        describe: 'Open a live chat with an address',
+        type: 'string',
+        alias: 'c'
+    })
+    .option('save-attachments', {
+        describe: 'Save every attachment in a replayed conversation to this directory',
+        type: 'string'
+    })
     .option('replay', {
         describe: 'Replay conversation history with specified address',
         type: 'string',
         alias: 'r'
     })
+    .option('inbox', {
+        describe: 'List every conversation with its last activity and unread count',
+        type: 'boolean',
+        alias: 'i'
+    })
+
+
+    .option('export', {
+        describe: 'Export chat history to exports/ (json, md, txt, html, csv or mbox)',
+        type: 'string',
+        choices: EXPORT_FORMATS
+    })
+    .option('conversation', {
+        describe: 'Limit --export to the conversation with this address',
+        type: 'string'
+    })
+    .option('decrypt', {
+        describe: 'Include decrypted message text in --export (file is encrypted with a passphrase)',
+        type: 'boolean'
+    })
+    .option('open-export', {
+        describe: 'Decrypt a passphrase-protected export next to the .enc file',
+        type: 'string'
+    })
+    .option('import', {
+        describe: 'Verify a JSON export against the chain and load it into the local message cache',
+        type: 'string'
+    })
+
+
+    .option('listen', {
+        describe: 'Run in the background and deliver incoming messages as they arrive',
+        type: 'boolean',
+        alias: 'l'
+    })
+    .option('on-message', {
+        describe: 'Shell command run for each incoming message (JSON on stdin)',
+        type: 'string'
+    })
+    .option('mailbox', {
+        describe: 'Append each incoming message as a JSON line to this file',
+        type: 'string'
+    })
+    .option('confirmations', {
+        describe: 'Blocks a message needs before --listen delivers it',
+        type: 'number'
+    })
+
+
+    .option('create-group', {
+        describe: 'Create a group conversation with the given name',
+        type: 'string',
+        alias: 'cg'
+    })
+    .option('members', {
+        describe: 'Member addresses for --create-group, --group-invite or --group-remove',
+        type: 'array',
+        string: true
+    })
+    .option('group-invite', {
+        describe: 'Invite --members to a group (owner only)',
+        type: 'string',
+        alias: 'gi'
+    })
+    .option('group-remove', {
+        describe: 'Remove --members from a group (owner, or yourself to leave)',
+        type: 'string',
+        alias: 'gr'
+    })
+    .option('group', {
+        describe: 'Send --message to a group by ID',
+        type: 'string',
+        alias: 'g'
+    })
+    .option('replay-group', {
+        describe: 'Replay a group conversation by ID',
+        type: 'string',
+        alias: 'rg'
+    })
+    .option('list-groups', {
+        describe: 'List groups you belong to',
+        type: 'boolean',
+        alias: 'lg'
+    })
+
+
+    .option('sessions', {
+        describe: 'List your private sessions with their status, messages and remaining time',
+        type: 'boolean'
+    })
+    .option('close-session', {
+        describe: 'Close a private session contract you take part in',
+        type: 'string'
+    })
+    .option('extend-session', {
+        describe: 'Extend a live session by --session-duration',
+        type: 'string'
+    })
+    .option('cleanup-sessions', {
+        describe: 'Mark all your expired sessions inactive on-chain',
+        type: 'boolean'
+    })
 
 
     .option('list-wallets', {
@@ -77,13 +232,64 @@ const argv = yargs(hideBin(process.argv))
         type: 'string',
         alias: 'dw'
     })
+    .option('wallet', {
+        describe: 'Use a saved wallet by alias instead of the selection menu',
+        type: 'string',
+        alias: 'w'
+    })
+    .option('passphrase-file', {
+        describe: 'Read the wallet passphrase from the first line of this file',
+        type: 'string'
+    })
+    .option('identity', {
+        describe: 'Identity of an HD wallet to use, by index or alias',
+        type: 'string'
+    })
+    .option('derive-identity', {
+        describe: 'Derive a new named identity from an HD wallet recovery phrase',
+        type: 'string'
+    })
+    .option('derivation-path', {
+        describe: "BIP-32 path for --derive-identity (default: next index under m/44'/60'/0'/0)",
+        type: 'string'
+    })
+    .option('import-keystore', {
+        describe: 'Import a JSON keystore file as a saved wallet',
+        type: 'string'
+    })
+    .option('export-keystore', {
+        describe: 'Export a saved wallet as a JSON keystore file',
+        type: 'string'
+    })
+
+
+    .option('register-key', {
+        describe: 'Publish your messaging public key to the on-chain key registry',
+        type: 'boolean',
+        alias: 'rk'
+    })
 
 
     .option('network', {
-        describe: 'Blockchain network to use',
+        describe: 'Blockchain network to use: sepolia-scroll, scroll, localhost or one from the networks file',
+        type: 'string',
+        default: process.env.DEFAULT_NETWORK || 'sepolia-scroll'
+    })
+    .option('verbose', {
+        describe: 'Show RPC endpoint health and which endpoint served each request',
+        type: 'boolean'
+    })
+    .option('output', {
+        describe: 'Output format: pretty, plain (no colors/emojis), json (one event per line) or silent',
         type: 'string',
-        default: 'sepolia-scroll',
-        choices: ['sepolia-scroll']
+        alias: 'o',
+        default: process.env.OUTPUT_FORMAT || 'pretty',
+        choices: reporter.formats
+    })
+    .option('yes', {
+        describe: 'Answer yes to every confirmation prompt',
+        type: 'boolean',
+        alias: 'y'
     })
 
 
@@ -91,16 +297,45 @@ const argv = yargs(hideBin(process.argv))
         ['$0 --to 0x742d35... --message "Hello!"', 'Send text message'],
         ['$0 --to 0x742d35... --message "Secret" --session', 'Send private session message'],
         ['$0 --to 0x742d35... --message "Expires soon" --expiry 3600', 'Send expiring message'],
+        ['$0 --to 0x742d35... --attach photo.png --message "Look!"', 'Send an encrypted attachment'],
+        ['$0 --to 0x742d35... --message "Hello!" --estimate', 'Compare standard and session costs without sending'],
+        ['$0 --react 42 👍', 'React to message #42 (encrypted)'],
         ['$0 --replay 0x742d35...', 'View conversation history'],
+        ['$0 --chat 0x742d35...', 'Open a live chat'],
+        ['$0 --inbox', 'List conversations with unread counts'],
+        ['$0 --export md --conversation 0x742d35...', 'Export one conversation as Markdown'],
+        ['$0 --export json --decrypt', 'Export every conversation in plaintext, passphrase-protected'],
+        ['$0 --export html --decrypt', 'Export a readable HTML transcript, passphrase-protected'],
+        ['$0 --import exports/chainwhisper-export-2025-01-01.json', 'Verify an export and load it into the local cache'],
+        ['$0 --listen --mailbox inbox.jsonl --on-message ./notify.sh', 'Deliver incoming messages in the background'],
+        ['$0 --create-group "Team" --members 0x742d35... 0x8ba1f1...', 'Create a group conversation'],
+        ['$0 --group 0 --message "Hi team!"', 'Send message to a group'],
+        ['$0 --replay-group 0', 'View group history'],
+        ['$0 --sessions', 'List your private sessions'],
+        ['$0 --to 0x742d35... --message "Hi" --session --session-duration 86400', 'Open a session that lasts a day'],
+        ['$0 --extend-session 0x5FbDB2... --session-duration 7200', 'Keep a session open two more hours'],
+        ['$0 --close-session 0x5FbDB2...', 'Close a private session early'],
+        ['$0 --register-key', 'Publish your public key so others can message you'],
         ['$0 --list-wallets', 'Show all saved wallets'],
-        ['$0 --delete-wallet myWallet', 'Delete saved wallet']
+        ['$0 --delete-wallet myWallet', 'Delete saved wallet'],
+        ['$0 --derive-identity work', 'Derive a new identity from your recovery phrase'],
+        ['$0 --inbox --identity work', 'Use the "work" identity of an HD wallet'],
+        ['$0 --import-keystore ./UTC--2025...json', 'Import a JSON keystore'],
+        ['$0 --export-keystore myWallet', 'Export a wallet to myWallet.keystore.json'],
+        ['$0 --inbox --wallet myWallet --passphrase-file ~/.cw-pass', 'Run without prompts (cron, CI)'],
+        ['$0 --replay 0x742d35... --output json', 'Print one JSON event per line']
     ])
 
-    .group(['to', 'message'], 'Message Options:')
-    .group(['session', 'expiry'], 'Privacy & Security Options:')
-    .group(['replay'], 'History Options:')
-    .group(['list-wallets', 'delete-wallet'], 'Wallet Management:')
-    .group(['network'], 'Network Options:')
+    .group(['to', 'message', 'attach', 'react', 'public-reaction', 'estimate'], 'Message Options:')
+    .group(['session', 'session-duration', 'expiry', 'storage'], 'Privacy & Security Options:')
+    .group(['replay', 'chat', 'inbox', 'save-attachments'], 'History Options:')
+    .group(['export', 'conversation', 'decrypt', 'open-export', 'import'], 'Export Options:')
+    .group(['listen', 'on-message', 'mailbox', 'confirmations'], 'Listener Options:')
+    .group(['create-group', 'members', 'group-invite', 'group-remove', 'group', 'replay-group', 'list-groups'], 'Group Options:')
+    .group(['sessions', 'extend-session', 'close-session', 'cleanup-sessions'], 'Session Options:')
+    .group(['list-wallets', 'delete-wallet', 'wallet', 'passphrase-file', 'identity', 'derive-identity', 'derivation-path', 'import-keystore', 'export-keystore', 'register-key'], 'Wallet Management:')
+    .group(['network', 'verbose'], 'Network Options:')
+    .group(['output', 'yes'], 'General Options:')
 
     .help('help', 'Show help information')
     .alias('help', 'h')
@@ -109,23 +344,45 @@ const argv = yargs(hideBin(process.argv))
     .epilogue(chalk.blue(`
 🔐 Privacy Features:
   Standard Mode:    Main contract + XChaCha20 encryption (cost-effective)
-  Session Mode:     Private contracts + XChaCha20 encryption (maximum privacy)
+  Session Mode:     Private contracts + X3DH / Double Ratchet (forward & post-compromise secrecy)
+
+👥 Group Mode:
+  GroupChat contract + sender keys (one ciphertext reaches every member)
 
 ⏰ Self-Destructing Messages:
   Use --expiry <seconds> to set message expiration
 
 💼 Wallet Management:
   Supports .env files, interactive entry, or saved wallet aliases
-  Wallets saved in .wallets/ directory (keep secure!)
+  Wallets saved as passphrase-encrypted keystores in .wallets/
+  Run --register-key once so others can encrypt messages to you
+
+🤖 Scripts & CI:
+  --wallet, --passphrase-file and --yes avoid every prompt; when stdin is not
+  a terminal a prompt fails immediately with exit code ${prompt.INPUT_REQUIRED_EXIT_CODE}
   `))
 
+    // Pick the output format before validation, so its errors are printed in that format too
+    .middleware((argv) => {
+        if (reporter.formats.includes(argv.output)) {
+            reporter.use(argv.output);
+        }
+    }, true)
+
     .check((argv) => {
 
-        const hasMessageCommand = argv.to && argv.message;
-        const hasReplayCommand = argv.replay;
-        const hasWalletCommand = argv['list-wallets'] || argv['delete-wallet'];
+        const hasMessageCommand = argv.to && (argv.message || argv.attach);
+        const hasReplayCommand = argv.replay || argv.chat || argv.inbox;
+        const hasReactCommand = argv.react !== undefined;
+        const hasListenCommand = argv.listen;
+        const hasExportCommand = argv.export !== undefined || argv['open-export'] !== undefined || argv.import !== undefined;
+        const hasWalletCommand = argv['list-wallets'] || argv['delete-wallet'] || argv['register-key'] ||
+            argv['import-keystore'] || argv['export-keystore'] || argv['derive-identity'];
+        const hasSessionCommand = argv.sessions || argv['close-session'] !== undefined || argv['extend-session'] !== undefined || argv['cleanup-sessions'];
+        const hasGroupCommand = argv['list-groups'] ||
+            ['create-group', 'group-invite', 'group-remove', 'group', 'replay-group'].some((option) => argv[option] !== undefined);
 
-        const commandCount = [hasMessageCommand, hasReplayCommand, hasWalletCommand].filter(Boolean).length;
+        const commandCount = [hasMessageCommand, hasReplayCommand, hasReactCommand, hasListenCommand, hasExportCommand, hasWalletCommand, hasSessionCommand, hasGroupCommand].filter(Boolean).length;
 
         if (commandCount === 0) {
             throw new Error(chalk.red('Please specify a command. Use --help for available options.'));
@@ -136,8 +393,86 @@ const argv = yargs(hideBin(process.argv))
         }
 
 
-        if (hasMessageCommand) {
-            if (!argv.message) {
+        if ((argv['group-invite'] !== undefined || argv['group-remove'] !== undefined) && !argv.members?.length) {
+            throw new Error(chalk.red('--members is required when using --group-invite or --group-remove'));
+        }
+
+        if (argv.group !== undefined && !argv.message) {
+            throw new Error(chalk.red('--message is required when using --group'));
+        }
+
+
+        if (argv['passphrase-file'] !== undefined && !fs.existsSync(argv['passphrase-file'])) {
+            throw new Error(chalk.red(`Passphrase file not found: ${argv['passphrase-file']}`));
+        }
+
+
+        if ((argv.conversation !== undefined || argv.decrypt) && argv.export === undefined) {
+            throw new Error(chalk.red('--conversation and --decrypt can only be used with --export'));
+        }
+
+        if (argv.conversation !== undefined && !/^0x[0-9a-fA-F]{40}$/.test(argv.conversation)) {
+            throw new Error(chalk.red(`Invalid address for --conversation: ${argv.conversation}`));
+        }
+
+        if (argv['open-export'] !== undefined && !fs.existsSync(argv['open-export'])) {
+            throw new Error(chalk.red(`Export not found: ${argv['open-export']}`));
+        }
+
+        if (argv.import !== undefined && !fs.existsSync(argv.import)) {
+            throw new Error(chalk.red(`Export not found: ${argv.import}`));
+        }
+
+
+        for (const option of ['close-session', 'extend-session']) {
+            if (argv[option] !== undefined && !/^0x[0-9a-fA-F]{40}$/.test(argv[option])) {
+                throw new Error(chalk.red(`Invalid session address for --${option}: ${argv[option]}`));
+            }
+        }
+
+        const sessionDuration = argv['session-duration'];
+        if (!Number.isInteger(sessionDuration) || sessionDuration < SessionManager.MIN_DURATION || sessionDuration > SessionManager.MAX_DURATION) {
+            throw new Error(chalk.red(`--session-duration must be whole seconds between ${SessionManager.MIN_DURATION} and ${SessionManager.MAX_DURATION}`));
+        }
+
+
+        if (argv['derivation-path'] !== undefined && !argv['derive-identity']) {
+            throw new Error(chalk.red('--derivation-path can only be used with --derive-identity'));
+        }
+
+
+        if (argv.confirmations !== undefined && (!Number.isInteger(argv.confirmations) || argv.confirmations < 1)) {
+            throw new Error(chalk.red('--confirmations must be a whole number of at least 1'));
+        }
+
+
+        if (hasReactCommand && (argv.react.length !== 2 || !/^\d+$/.test(argv.react[0]))) {
+            throw new Error(chalk.red('Usage: --react <messageId> <emoji>'));
+        }
+
+
+        if (argv.estimate && !hasMessageCommand) {
+            throw new Error(chalk.red('--estimate can only be used with --to and --message or --attach'));
+        }
+
+
+        if (argv.attach !== undefined) {
+            if (!argv.to) {
+                throw new Error(chalk.red('--attach can only be used with --to'));
+            }
+
+            if (!fs.existsSync(argv.attach) || !fs.statSync(argv.attach).isFile()) {
+                throw new Error(chalk.red(`Attachment not found: ${argv.attach}`));
+            }
+
+            if (fs.statSync(argv.attach).size > AttachmentService.maxSize) {
+                throw new Error(chalk.red(`Attachment exceeds ${AttachmentService.formatSize(AttachmentService.maxSize)} limit`));
+            }
+        }
+
+
+        if (hasMessageCommand || argv.group !== undefined) {
+            if (!argv.message && !argv.attach) {
                 throw new Error(chalk.red('--message is required when using --to'));
             }
 
@@ -147,7 +482,7 @@ const argv = yargs(hideBin(process.argv))
 
 
             if (argv.expiry > 0 && argv.expiry < 60) {
-                console.log(chalk.yellow('⚠️  Warning: Expiry less than 1 minute'));
+                reporter.warn(chalk.yellow('⚠️  Warning: Expiry less than 1 minute'));
             }
         }
 
@@ -156,11 +491,11 @@ const argv = yargs(hideBin(process.argv))
 
     .fail((msg, err, yargs) => {
         if (err) {
-            console.error(chalk.red('\n❌ Error:'), err.message);
+            reporter.error(chalk.red('\n❌ Error:'), err.message);
         } else {
-            console.error(chalk.red('\n❌ Error:'), msg);
+            reporter.error(chalk.red('\n❌ Error:'), msg);
         }
-        console.log(chalk.yellow('\nUse --help for usage information\n'));
+        reporter.info(chalk.yellow('\nUse --help for usage information\n'));
         process.exit(1);
     })
 
@@ -168,8 +503,8 @@ const argv = yargs(hideBin(process.argv))
 
 
 function displayWalletInfo(walletInfo, networkName) {
-    console.log(chalk.green(`✅ Connected: ${walletInfo.address}`));
-    console.log(chalk.gray(`💰 Balance: ${walletInfo.balance} ETH\n`));
+    reporter.info(chalk.green(`✅ Connected: ${walletInfo.address}`));
+    reporter.info(chalk.gray(`💰 Balance: ${walletInfo.balance} ETH\n`));
 }
 
 
@@ -178,28 +513,77 @@ async function main() {
 
         const networkConfig = getNetworkConfig(argv.network);
         validateNetworkConfig(networkConfig);
+        RpcProvider.verbose = Boolean(argv.verbose);
+        WalletService.options = { wallet: argv.wallet, identity: argv.identity };
+        prompt.configure({ yes: Boolean(argv.yes), passphraseFile: argv['passphrase-file'] || null });
 
 
-        if (argv.to && argv.message) {
+        if (argv.to && (argv.message || argv.attach) && argv.estimate) {
+            await handleEstimateCommand(argv, networkConfig);
+        } else if (argv.to && (argv.message || argv.attach)) {
             await handleSendCommand(argv, networkConfig);
         } else if (argv.replay) {
             await handleReplayCommand(argv, networkConfig);
+        } else if (argv.chat) {
+            await handleChatCommand(argv, networkConfig);
+        } else if (argv.inbox) {
+            await handleInboxCommand(argv, networkConfig);
+        } else if (argv.react) {
+            await handleReactCommand(argv, networkConfig);
+        } else if (argv.listen) {
+            await handleListenCommand(argv, networkConfig);
+        } else if (argv.export) {
+            displayHeader();
+            await savedCommand(argv, networkConfig);
+        } else if (argv['open-export']) {
+            await openExportCommand(argv['open-export']);
+        } else if (argv.import) {
+            displayHeader();
+            await importCommand(argv, networkConfig);
         } else if (argv['list-wallets']) {
             await handleListWalletsCommand(networkConfig);
         } else if (argv['delete-wallet']) {
             await handleDeleteWalletCommand(argv['delete-wallet'], networkConfig);
+        } else if (argv['derive-identity']) {
+            await handleDeriveIdentityCommand(argv, networkConfig);
+        } else if (argv['import-keystore']) {
+            await handleImportKeystoreCommand(argv['import-keystore'], argv.wallet, networkConfig);
+        } else if (argv['export-keystore']) {
+            await handleExportKeystoreCommand(argv['export-keystore'], networkConfig);
+        } else if (argv['register-key']) {
+            await handleRegisterKeyCommand(networkConfig);
+        } else if (argv['create-group'] !== undefined) {
+            await handleCreateGroupCommand(argv, networkConfig);
+        } else if (argv['group-invite'] !== undefined) {
+            await handleGroupMembersCommand(argv['group-invite'], argv.members, 'invite', networkConfig);
+        } else if (argv['group-remove'] !== undefined) {
+            await handleGroupMembersCommand(argv['group-remove'], argv.members, 'remove', networkConfig);
+        } else if (argv.group !== undefined) {
+            await handleGroupSendCommand(argv, networkConfig);
+        } else if (argv['replay-group'] !== undefined) {
+            await handleGroupReplayCommand(argv, networkConfig);
+        } else if (argv['list-groups']) {
+            await handleListGroupsCommand(networkConfig);
+        } else if (argv.sessions) {
+            await handleSessionsCommand(networkConfig);
+        } else if (argv['extend-session']) {
+            await handleExtendSessionCommand(argv['extend-session'], argv['session-duration'], networkConfig);
+        } else if (argv['close-session']) {
+            await handleCloseSessionCommand(argv['close-session'], networkConfig);
+        } else if (argv['cleanup-sessions']) {
+            await handleCleanupSessionsCommand(networkConfig);
         }
 
     } catch (error) {
-        console.error(chalk.red('❌ ERROR:'), error.message);
+        reporter.error(chalk.red('❌ ERROR:'), error.message);
         logger.error('CLI execution failed', error);
 
         if (process.env.LOG_LEVEL === 'debug') {
-            console.error(chalk.gray('\nDebug information:'));
-            console.error(error);
+            reporter.error(chalk.gray('\nDebug information:'));
+            reporter.error(error);
         }
 
-        process.exit(1);
+        process.exit(error.exitCode || 1);
     }
 }
 
@@ -207,13 +591,13 @@ async function main() {
 async function handleListWalletsCommand(networkConfig) {
     try {
         displayHeader();
-        console.log(chalk.blue('💼 ChainWhisper - Wallet Management\n'));
+        reporter.info(chalk.blue('💼 ChainWhisper - Wallet Management\n'));
 
         const walletService = new WalletService(networkConfig);
         walletService.listSavedWallets();
 
     } catch (error) {
-        console.error(chalk.red('❌ List wallets failed:'), error.message);
+        reporter.error(chalk.red('❌ List wallets failed:'), error.message);
         throw error;
     }
 }
@@ -222,250 +606,1214 @@ async function handleListWalletsCommand(networkConfig) {
 async function handleDeleteWalletCommand(walletAlias, networkConfig) {
     try {
         displayHeader();
-        console.log(chalk.blue('🗑️  ChainWhisper - Delete Wallet\n'));
+        reporter.info(chalk.blue('🗑️  ChainWhisper - Delete Wallet\n'));
 
         const walletService = new WalletService(networkConfig);
+        if (!await prompt.confirm(chalk.yellow(`⚠️  Delete wallet "${walletAlias}"? This cannot be undone (y/N): `))) {
+            reporter.info(chalk.gray('Cancelled'));
+            return;
+        }
+
         walletService.deleteSavedWallet(walletAlias);
 
     } catch (error) {
-        console.error(chalk.red('❌ Delete wallet failed:'), error.message);
+        reporter.error(chalk.red('❌ Delete wallet failed:'), error.message);
         throw error;
     }
 }
 
 
-async function handleSendCommand(argv, networkConfig) {
+async function handleDeriveIdentityCommand(argv, networkConfig) {
     try {
         displayHeader();
-        console.log(chalk.blue('🚀 ChainWhisper - Send Message\n'));
-
+        reporter.info(chalk.blue('🪪 ChainWhisper - Derive Identity\n'));
 
         const walletService = new WalletService(networkConfig);
-        const walletInfo = await walletService.connect();
+        const hdWallets = walletService.getSavedWallets().filter((alias) => walletService.isHdWallet(alias));
 
+        if (hdWallets.length === 0) {
+            throw new Error('No HD wallets saved - generate one or import a recovery phrase first');
+        }
 
-        if (walletInfo.address.toLowerCase() === argv.to.toLowerCase()) {
-            throw new Error('Cannot send message to yourself');
+        let walletAlias = argv.wallet || hdWallets[0];
+        if (!argv.wallet && hdWallets.length > 1) {
+            hdWallets.forEach((alias, index) => reporter.info(chalk.white(`  ${index + 1}. ${alias}`)));
+            walletAlias = hdWallets[parseInt(await prompt.ask(chalk.cyan('\nSelect HD wallet: '))) - 1];
+            if (!walletAlias) {
+                throw new Error('Invalid choice');
+            }
         }
 
+        const identity = await walletService.deriveIdentity(walletAlias, argv['derive-identity'], argv['derivation-path']);
+        reporter.info(chalk.gray(`\n💡 Use it with --identity ${identity.alias} (or --identity ${identity.index})`));
 
-        const blockchainService = new BlockchainService(walletService.getWallet(), networkConfig);
-        const sessionManager = new SessionManager(blockchainService, walletService.getWallet());
+        logger.info('Identity derived', {
+            wallet: walletAlias,
+            identity: identity.alias,
+            path: identity.path,
+            address: identity.address
+        });
 
-        let result;
+    } catch (error) {
+        reporter.error(chalk.red('❌ Derive identity failed:'), error.message);
+        throw error;
+    }
+}
 
 
-        console.log(chalk.blue('🔐 Encrypting message...'));
+async function handleImportKeystoreCommand(keystorePath, walletAlias, networkConfig) {
+    try {
+        displayHeader();
+        reporter.info(chalk.blue('📥 ChainWhisper - Import Keystore\n'));
 
-        const encryptedMessage = await EncryptionService.encryptForRecipient(
-            argv.message,
-            walletService.getWallet().privateKey,
-            argv.to
-        );
+        if (!fs.existsSync(keystorePath)) {
+            throw new Error(`Keystore not found: ${keystorePath}`);
+        }
 
-        console.log(chalk.green('✅ Content processed'));
+        const walletService = new WalletService(networkConfig);
+        const alias = walletAlias || await prompt.ask(chalk.cyan('📝 Enter wallet alias: '));
+        const address = await walletService.importKeystore(keystorePath, alias);
 
+        logger.info('Keystore imported', { alias, address });
 
-        const currentTime = Math.floor(Date.now() / 1000);
-        const absoluteExpiry = argv.expiry > 0 ? currentTime + argv.expiry : 0;
+    } catch (error) {
+        reporter.error(chalk.red('❌ Import keystore failed:'), error.message);
+        throw error;
+    }
+}
 
 
-        if (argv.session) {
-            console.log(chalk.blue('🔒 Using private session...'));
-            const session = await sessionManager.getOrCreateSession(argv.to);
+async function handleExportKeystoreCommand(walletAlias, networkConfig) {
+    try {
+        displayHeader();
+        reporter.info(chalk.blue('📤 ChainWhisper - Export Keystore\n'));
 
-            result = await blockchainService.sendSessionMessage(
-                session.contractAddress,
-                encryptedMessage,
-                absoluteExpiry,
-                false,
-                'text'
-            );
+        const walletService = new WalletService(networkConfig);
+        walletService.exportKeystore(walletAlias, `${walletAlias}.keystore.json`);
+        reporter.warn(chalk.yellow('⚠️  The keystore is protected by the wallet passphrase - keep both safe'));
 
-            result.sessionInfo = session;
-        } else {
-            console.log(chalk.blue('📨 Sending message...'));
-            result = await blockchainService.sendMessageWithMedia(
-                argv.to,
-                encryptedMessage,
-                absoluteExpiry,
-                'text'
-            );
-        }
+    } catch (error) {
+        reporter.error(chalk.red('❌ Export keystore failed:'), error.message);
+        throw error;
+    }
+}
 
 
-        console.log(chalk.green('✅ Message sent successfully!'));
-        console.log(chalk.gray(`📋 Transaction: ${result.transactionHash}`));
-        console.log(chalk.gray(`⛽ Gas used: ${result.gasUsed}`));
+async function handleRegisterKeyCommand(networkConfig) {
+    try {
+        displayHeader();
+        reporter.info(chalk.blue('🔑 ChainWhisper - Register Public Key\n'));
 
-        if (result.sessionInfo && !result.sessionInfo.existed) {
-            console.log(chalk.blue('🔒 New private session created'));
+        const walletService = new WalletService(networkConfig);
+        const walletInfo = await walletService.connect();
+
+        const blockchainService = new BlockchainService(walletService.getWallet(), networkConfig);
+        const publicKey = EncryptionService.getPublicKeyFromPrivate(walletService.getWallet().privateKey);
+
+
+        const registeredKey = await blockchainService.getRegisteredPublicKey(walletInfo.address);
+        if (registeredKey && registeredKey.toLowerCase() === publicKey.toLowerCase()) {
+            reporter.info(chalk.green('✅ Public key already registered - others can message you'));
+            reporter.event('summary', { command: 'register-key', address: walletInfo.address, transactionHash: null });
+            return;
         }
 
+        const result = await blockchainService.registerPublicKey(publicKey);
 
-        logger.info('Message sent successfully', {
-            recipient: argv.to,
-            mode: argv.session ? 'session' : 'standard',
+        reporter.info(chalk.green('✅ Public key registered successfully!'));
+        reporter.info(chalk.gray(`📋 Transaction: ${result.transactionHash}`));
+        reporter.info(chalk.gray(`⛽ Gas used: ${result.gasUsed}`));
+
+        logger.info('Public key registered', {
+            address: walletInfo.address,
             transactionHash: result.transactionHash,
             gasUsed: result.gasUsed
         });
 
-        console.log(chalk.green('\n🎉 Success!'));
+        reporter.event('summary', { command: 'register-key', address: walletInfo.address, transactionHash: result.transactionHash });
 
     } catch (error) {
-        console.error(chalk.red('❌ Send failed:'), error.message);
-        logger.error('Send command failed', error);
+        reporter.error(chalk.red('❌ Key registration failed:'), error.message);
+        logger.error('Register key command failed', error);
         throw error;
     }
 }
 
 
-async function handleReplayCommand(argv, networkConfig) {
+async function handleEstimateCommand(argv, networkConfig) {
     try {
         displayHeader();
-        console.log(chalk.blue('🔄 ChainWhisper - Replay Conversation\n'));
+        reporter.info(chalk.blue('💰 ChainWhisper - Cost Estimate (dry run, nothing is sent)\n'));
 
 
         const walletService = new WalletService(networkConfig);
         const walletInfo = await walletService.connect();
-        displayWalletInfo(walletInfo, networkConfig.name);
+
+        if (walletInfo.address.toLowerCase() === argv.to.toLowerCase()) {
+            throw new Error('Cannot send message to yourself');
+        }
 
 
         const blockchainService = new BlockchainService(walletService.getWallet(), networkConfig);
-        const sessionManager = new SessionManager(blockchainService, walletService.getWallet());
+        const conversation = new ConversationService(blockchainService, walletService.getWallet(), new IPFSService(argv.storage));
+        EncryptionService.attachBlockchain(blockchainService);
+
+        const estimate = await conversation.estimateMessage(argv.to, {
+            message: argv.message,
+            attachPath: argv.attach,
+            expiry: argv.expiry,
+            sessionDuration: argv['session-duration']
+        });
 
-        console.log(chalk.blue(`📚 Fetching conversation with ${argv.replay.substring(0, 8)}...${argv.replay.substring(argv.replay.length - 4)}...\n`));
+        reporter.info(chalk.gray(`\n⛽ Fees: ${blockchainService.feeStrategy.describe(estimate.fees)}`));
+        reporter.info(chalk.gray(`   Gas limits padded ×${Number(blockchainService.feeStrategy.gasLimitPercent) / 100}; max cost is the whole gas limit at the max fee`));
 
 
-        console.log(chalk.blue('📨 Checking main contract messages...'));
-        let standardMessages = [];
-        try {
-            standardMessages = await blockchainService.getConversationMessages(argv.replay);
-            console.log(chalk.gray(`   Found ${standardMessages.length} messages in main contract`));
-        } catch (error) {
-            console.log(chalk.yellow(`   ⚠️  Standard messages unavailable: ${error.message}`));
+        const totals = {};
+        for (const [mode, label, steps] of [['standard', '📨 Standard mode', estimate.standard], ['session', '🔒 Session mode', estimate.session]]) {
+            reporter.info(chalk.cyan(`\n${label}`));
+
+            for (const step of steps) {
+                if (step.gas === null) {
+                    reporter.info(chalk.gray(`   ${step.action.padEnd(18)} gas known once the session is open`));
+                } else {
+                    reporter.info(`   ${step.action.padEnd(18)} ${String(step.gas).padStart(9)} gas   ~${ethers.formatEther(step.cost)} ETH (max ${ethers.formatEther(step.maxCost)} ETH)`);
+                }
+
+                reporter.event('estimate', { mode, ...step });
+            }
+
+            const priced = steps.filter((step) => step.gas !== null);
+            totals[mode] = {
+                gas: priced.reduce((sum, step) => sum + step.gas, 0n),
+                cost: priced.reduce((sum, step) => sum + step.cost, 0n),
+                maxCost: priced.reduce((sum, step) => sum + step.maxCost, 0n),
+                complete: priced.length === steps.length
+            };
+
+            const prefix = totals[mode].complete ? '' : 'at least ';
+            reporter.info(chalk.white(`   Total: ${prefix}~${ethers.formatEther(totals[mode].cost)} ETH (max ${prefix}${ethers.formatEther(totals[mode].maxCost)} ETH)`));
         }
 
 
-        console.log(chalk.blue('🔒 Checking private session messages...'));
-        let sessionMessages = [];
-        try {
-            sessionMessages = await sessionManager.getMessages(argv.replay);
-            console.log(chalk.gray(`   Found ${sessionMessages.length} messages in sessions`));
-        } catch (error) {
-            console.log(chalk.yellow(`   ⚠️  Session messages unavailable: ${error.message.split('\n')[0]}`));
+        if (totals.session.cost > totals.standard.cost) {
+            reporter.info(chalk.yellow(`\n💡 Session mode costs ${totals.session.complete ? '' : 'at least '}${ethers.formatEther(totals.session.cost - totals.standard.cost)} ETH more for this message`));
+        }
+
+        reporter.event('summary', {
+            command: 'estimate',
+            to: argv.to,
+            messageType: estimate.messageType,
+            fees: estimate.fees,
+            standard: totals.standard,
+            session: totals.session
+        });
+
+    } catch (error) {
+        reporter.error(chalk.red('❌ Estimate failed:'), error.message);
+        logger.error('Estimate command failed', error);
+        throw error;
+    }
+}
+
+
+async function handleSendCommand(argv, networkConfig) {
+    try {
+        displayHeader();
+        reporter.info(chalk.blue('🚀 ChainWhisper - Send Message\n'));
+
+
+        const walletService = new WalletService(networkConfig);
+        const walletInfo = await walletService.connect();
+
+
+        if (walletInfo.address.toLowerCase() === argv.to.toLowerCase()) {
+            throw new Error('Cannot send message to yourself');
         }
 
 
-        const allMessages = [...standardMessages, ...sessionMessages];
-        allMessages.sort((a, b) => a.timestamp - b.timestamp);
+        const blockchainService = new BlockchainService(walletService.getWallet(), networkConfig);
+        const storage = new IPFSService(argv.storage);
+        const conversation = new ConversationService(blockchainService, walletService.getWallet(), storage);
+        EncryptionService.attachBlockchain(blockchainService);
+
+        const result = await conversation.sendMessage(argv.to, {
+            message: argv.message,
+            attachPath: argv.attach,
+            session: argv.session,
+            expiry: argv.expiry,
+            sessionDuration: argv['session-duration']
+        });
+
+
+        reporter.info(chalk.green('✅ Message sent successfully!'));
+        reporter.info(chalk.gray(`📋 Transaction: ${result.transactionHash}`));
+        reporter.info(chalk.gray(`⛽ Gas used: ${result.gasUsed}`));
 
-        if (allMessages.length === 0) {
-            console.log(chalk.yellow('\n💬 No messages found in this conversation'));
-            console.log(chalk.gray(`   Start a conversation with:`));
-            console.log(chalk.white(`   npm run start -- --to ${argv.replay} --message "Hello!"`));
-            return;
+        if (result.sessionInfo && !result.sessionInfo.existed) {
+            reporter.info(chalk.blue('🔒 New private session created'));
         }
 
-        console.log(chalk.green(`\n📬 Found ${allMessages.length} messages total\n`));
-        console.log(chalk.blue('═'.repeat(80)));
-        console.log(chalk.cyan.bold('                CONVERSATION HISTORY'));
-        console.log(chalk.blue('═'.repeat(80)));
 
+        logger.info('Message sent successfully', {
+            recipient: argv.to,
+            mode: argv.session ? 'session' : 'standard',
+            messageType: result.messageType,
+            storage: storage.backend.name,
+            transactionHash: result.transactionHash,
+            gasUsed: result.gasUsed
+        });
 
-        let displayedCount = 0;
-        let failedCount = 0;
-        const currentTime = Math.floor(Date.now() / 1000);
+        reporter.event('summary', {
+            command: 'send',
+            to: argv.to,
+            mode: argv.session ? 'session' : 'standard',
+            messageType: result.messageType,
+            messageId: result.messageId ?? null,
+            sessionAddress: result.sessionAddress ?? null,
+            transactionHash: result.transactionHash,
+            gasUsed: result.gasUsed
+        });
 
-        for (const [index, message] of allMessages.entries()) {
-            try {
+        reporter.info(chalk.green('\n🎉 Success!'));
 
-                const isExpired = message.expiry && message.expiry > 0 &&
-                    currentTime > message.expiry;
+    } catch (error) {
+        reporter.error(chalk.red('❌ Send failed:'), error.message);
+        logger.error('Send command failed', error);
+        throw error;
+    }
+}
 
-                if (isExpired) {
-                    console.log(chalk.gray(`\n[${index + 1}] ⏰ [EXPIRED] Message from ${new Date(message.timestamp * 1000).toLocaleString()}`));
-                    console.log(chalk.red('   [Content hidden - message has expired]'));
-                    continue;
-                }
 
+/**
+ * Print one conversation message as replay shows it. Returns 'displayed', 'expired' or 'failed'.
+ */
+async function renderConversationMessage(message, position, view) {
+    const currentTime = Math.floor(Date.now() / 1000);
 
-                let decryptedContent = null;
-                try {
-                    decryptedContent = await EncryptionService.decryptFromSender(
-                        message.cid,
-                        walletService.getWallet().privateKey,
-                        message.from
-                    );
-                } catch (decryptError) {
-                    console.log(chalk.red(`\n[${index + 1}] ❌ Failed to decrypt message from ${message.from.substring(0, 8)}...`));
-                    console.log(chalk.gray(`   Error: ${decryptError.message.split('\n')[0]}`));
-                    failedCount++;
-                    continue;
-                }
+    const isExpired = message.expiry && message.expiry > 0 &&
+        currentTime > message.expiry;
 
+    if (isExpired) {
+        reporter.info(chalk.gray(`\n[${position}] ⏰ [EXPIRED] Message from ${new Date(message.timestamp * 1000).toLocaleString()}`));
+        reporter.info(chalk.red('   [Content hidden - message has expired]'));
+        reporter.event('message.expired', describeMessage(message, position));
+        return 'expired';
+    }
 
-                const isFromMe = message.from.toLowerCase() === walletInfo.address.toLowerCase();
-                const senderLabel = isFromMe ? 'You' : 'Them';
-                const senderColor = isFromMe ? chalk.cyan : chalk.green;
-                const messageDate = new Date(message.timestamp * 1000).toLocaleString();
-                const source = message.source === 'session' ? '🔒' : '📨';
+    if (message.decryptError) {
+        reporter.info(chalk.red(`\n[${position}] ❌ Failed to decrypt message from ${message.from.substring(0, 8)}...`));
+        reporter.info(chalk.gray(`   Error: ${message.decryptError}`));
+        reporter.event('message.failed', { ...describeMessage(message, position), error: message.decryptError });
+        return 'failed';
+    }
 
-                console.log(`\n[${index + 1}] ${source} ${senderColor(senderLabel)} (${messageDate}):`);
-                console.log(chalk.white(`   ${decryptedContent}`));
 
-                if (message.expiry > 0) {
-                    const expiryDate = new Date(message.expiry * 1000).toLocaleString();
-                    const timeLeft = message.expiry - currentTime;
-                    if (timeLeft > 0) {
-                        const hours = Math.floor(timeLeft / 3600);
-                        const minutes = Math.floor((timeLeft % 3600) / 60);
-                        console.log(chalk.yellow(`   ⏰ Expires: ${expiryDate} (${hours}h ${minutes}m left)`));
-                    }
-                }
+    const isFromMe = message.from.toLowerCase() === view.walletAddress.toLowerCase();
+    const senderLabel = isFromMe ? 'You' : 'Them';
+    const senderColor = isFromMe ? chalk.cyan : chalk.green;
+    const messageDate = new Date(message.timestamp * 1000).toLocaleString();
+    const source = message.source === 'session' ? '🔒' : '📨';
+    const messageRef = message.source === 'main' ? chalk.gray(` #${message.messageId}`) : '';
 
-                displayedCount++;
+    reporter.info(`\n[${position}] ${source} ${senderColor(senderLabel)} (${messageDate})${messageRef}:`);
 
-            } catch (messageError) {
-                console.log(chalk.red(`\n[${index + 1}] ❌ Message processing error`));
-                console.log(chalk.gray(`   Error: ${messageError.message.split('\n')[0]}`));
-                failedCount++;
+    if (AttachmentService.isAttachmentPayload(message.content)) {
+        const manifest = JSON.parse(message.content);
+        view.attachments.push({ index: position, manifest });
+
+        reporter.info(chalk.magenta(`   📎 ${manifest.name} (${manifest.mimeType}, ${AttachmentService.formatSize(manifest.size)})`));
+        if (manifest.caption) {
+            reporter.info(chalk.white(`   ${manifest.caption}`));
+        }
+
+        if (reporter.isPretty && canPreview(manifest.mimeType, manifest.size)) {
+            try {
+                renderImage(await view.attachmentService.decryptAttachment(manifest), manifest.mimeType);
+            } catch (previewError) {
+                reporter.warn(chalk.yellow(`   ⚠️  Preview unavailable: ${previewError.message.split('\n')[0]}`));
             }
         }
+    } else {
+        reporter.info(chalk.white(`   ${message.content}`));
+    }
 
-        console.log(chalk.blue('\n' + '═'.repeat(80)));
-        console.log(chalk.green(`📊 Summary:`));
-        console.log(chalk.gray(`   Total messages found: ${allMessages.length}`));
-        console.log(chalk.gray(`   Successfully displayed: ${displayedCount}`));
-        if (failedCount > 0) {
-            console.log(chalk.yellow(`   Failed to decrypt: ${failedCount}`));
+    const reactions = message.source === 'main' ? view.reactionSummaries.get(message.messageId) : null;
+    if (reactions) {
+        const summary = reactions
+            .map(({ reaction, count, includesMe }) => (includesMe ? chalk.cyan : chalk.white)(`${reaction} ${count}`))
+            .join('  ');
+        reporter.info(`   ${summary}`);
+    }
+
+    if (message.expiry > 0) {
+        const expiryDate = new Date(message.expiry * 1000).toLocaleString();
+        const timeLeft = message.expiry - currentTime;
+        if (timeLeft > 0) {
+            const hours = Math.floor(timeLeft / 3600);
+            const minutes = Math.floor((timeLeft % 3600) / 60);
+            reporter.info(chalk.yellow(`   ⏰ Expires: ${expiryDate} (${hours}h ${minutes}m left)`));
         }
+    }
 
+    reporter.event('message.decrypted', {
+        ...describeMessage(message, position),
+        content: AttachmentService.isAttachmentPayload(message.content) ? null : message.content,
+        attachment: view.attachments.find((attachment) => attachment.index === position)?.manifest.name ?? null,
+        reactions: reactions ? reactions.map(({ reaction, count }) => ({ reaction, count })) : []
+    });
 
-        logger.info('Conversation replayed successfully', {
+    return 'displayed';
+}
+
+
+/**
+ * Fields of a conversation message shared by every machine-readable message event
+ */
+function describeMessage(message, position) {
+    return {
+        position,
+        source: message.source,
+        messageId: message.messageId ?? null,
+        sessionAddress: message.sessionAddress ?? null,
+        transactionHash: message.transactionHash ?? null,
+        from: message.from,
+        to: message.to ?? null,
+        timestamp: message.timestamp,
+        expiry: message.expiry || 0
+    };
+}
+
+
+async function handleReplayCommand(argv, networkConfig) {
+    try {
+        displayHeader();
+        reporter.info(chalk.blue('🔄 ChainWhisper - Replay Conversation\n'));
+
+
+        const walletService = new WalletService(networkConfig);
+        const walletInfo = await walletService.connect();
+        displayWalletInfo(walletInfo, networkConfig.name);
+
+
+        const blockchainService = new BlockchainService(walletService.getWallet(), networkConfig);
+        const conversation = new ConversationService(blockchainService, walletService.getWallet(), new IPFSService(argv.storage));
+        EncryptionService.attachBlockchain(blockchainService);
+
+        reporter.info(chalk.blue(`📚 Fetching conversation with ${argv.replay.substring(0, 8)}...${argv.replay.substring(argv.replay.length - 4)}...\n`));
+
+        const { messages: allMessages, reactionSummaries } = await conversation.loadMessages(argv.replay);
+        const inbox = new InboxService(blockchainService, walletService.getWallet(), conversation.storage);
+
+        if (allMessages.length === 0) {
+            reporter.info(chalk.yellow('\n💬 No messages found in this conversation'));
+            reporter.info(chalk.gray(`   Start a conversation with:`));
+            reporter.info(chalk.white(`   npm run start -- --to ${argv.replay} --message "Hello!"`));
+            reporter.event('summary', { command: 'replay', peer: argv.replay, total: 0, displayed: 0, failed: 0 });
+            return;
+        }
+
+        reporter.info(chalk.green(`\n📬 Found ${allMessages.length} messages total\n`));
+        reporter.info(chalk.blue('═'.repeat(80)));
+        reporter.info(chalk.cyan.bold('                CONVERSATION HISTORY'));
+        reporter.info(chalk.blue('═'.repeat(80)));
+
+
+        let displayedCount = 0;
+        let failedCount = 0;
+        const view = {
+            walletAddress: walletInfo.address,
+            reactionSummaries,
+            attachmentService: conversation.attachmentService,
+            attachments: []
+        };
+
+        for (const [index, message] of allMessages.entries()) {
+            try {
+                const outcome = await renderConversationMessage(message, index + 1, view);
+
+                if (outcome === 'displayed') {
+                    displayedCount++;
+                } else if (outcome === 'failed') {
+                    failedCount++;
+                }
+
+            } catch (messageError) {
+                reporter.info(chalk.red(`\n[${index + 1}] ❌ Message processing error`));
+                reporter.info(chalk.gray(`   Error: ${messageError.message.split('\n')[0]}`));
+                failedCount++;
+            }
+        }
+
+        reporter.info(chalk.blue('\n' + '═'.repeat(80)));
+        reporter.info(chalk.green(`📊 Summary:`));
+        reporter.info(chalk.gray(`   Total messages found: ${allMessages.length}`));
+        reporter.info(chalk.gray(`   Successfully displayed: ${displayedCount}`));
+        if (failedCount > 0) {
+            reporter.info(chalk.yellow(`   Failed to decrypt: ${failedCount}`));
+        }
+
+        inbox.markSeen(argv.replay, allMessages);
+
+        await offerAttachmentDownloads(view.attachments, conversation.attachmentService, argv['save-attachments']);
+
+
+        logger.info('Conversation replayed successfully', {
             otherParty: argv.replay,
             totalMessages: allMessages.length,
             displayedMessages: displayedCount,
             failedMessages: failedCount
         });
 
+        reporter.event('summary', {
+            command: 'replay',
+            peer: argv.replay,
+            total: allMessages.length,
+            displayed: displayedCount,
+            failed: failedCount
+        });
+
     } catch (error) {
-        console.error(chalk.red('\n❌ Replay failed:'), error.message);
+        reporter.error(chalk.red('\n❌ Replay failed:'), error.message);
         logger.error('Replay command failed', error);
         throw error;
     }
 }
 
 
+async function handleChatCommand(argv, networkConfig) {
+    try {
+        prompt.requireTerminal('--chat');
+
+        displayHeader();
+        reporter.info(chalk.blue('💬 ChainWhisper - Live Chat\n'));
+
+
+        const walletService = new WalletService(networkConfig);
+        const walletInfo = await walletService.connect();
+        displayWalletInfo(walletInfo, networkConfig.name);
+
+        if (walletInfo.address.toLowerCase() === argv.chat.toLowerCase()) {
+            throw new Error('Cannot chat with yourself');
+        }
+
+
+        const blockchainService = new BlockchainService(walletService.getWallet(), networkConfig);
+        const conversation = new ConversationService(blockchainService, walletService.getWallet(), new IPFSService(argv.storage));
+        EncryptionService.attachBlockchain(blockchainService);
+
+        const peerLabel = `${argv.chat.substring(0, 8)}...${argv.chat.substring(argv.chat.length - 4)}`;
+        reporter.info(chalk.blue(`📚 Loading conversation with ${peerLabel}...\n`));
+
+        const { messages, reactionSummaries } = await conversation.loadMessages(argv.chat);
+        const view = {
+            walletAddress: walletInfo.address,
+            reactionSummaries,
+            attachmentService: conversation.attachmentService,
+            attachments: []
+        };
+
+        reporter.info(chalk.blue('═'.repeat(80)));
+        reporter.info(chalk.cyan.bold(`                CHAT WITH ${peerLabel}`));
+        reporter.info(chalk.blue('═'.repeat(80)));
+
+        let position = 0;
+        for (const message of messages) {
+            await renderConversationMessage(message, ++position, view);
+        }
+
+        const inbox = new InboxService(blockchainService, walletService.getWallet(), conversation.storage);
+        inbox.markSeen(argv.chat, messages);
+
+
+        let sessionMode = Boolean(argv.session);
+        const rl = readline.createInterface({
+            input: process.stdin,
+            output: process.stdout,
+            prompt: chalk.cyan('you> ')
+        });
+
+        // Read by the watch callback too, which can fire before the first line is typed
+        let closed = false;
+        rl.on('close', () => {
+            closed = true;
+        });
+
+        const printAbovePrompt = async (print) => {
+            readline.clearLine(process.stdout, 0);
+            readline.cursorTo(process.stdout, 0);
+            await print();
+            if (!closed) {
+                rl.prompt(true);
+            }
+        };
+
+        const stopWatching = await conversation.watch(argv.chat, async (message) => {
+            await printAbovePrompt(() => renderConversationMessage(message, ++position, view));
+            inbox.markSeen(argv.chat, [message]);
+        });
+
+        const sendLine = async (options) => {
+            const result = await conversation.sendMessage(argv.chat, {
+                session: sessionMode,
+                expiry: argv.expiry,
+                sessionDuration: argv['session-duration'],
+                ...options
+            });
+
+            await renderConversationMessage( {
+                messageId: result.messageId,
+                from: walletInfo.address,
+                content: result.plaintext,
+                timestamp: Math.floor(Date.now() / 1000),
+                expiry: result.expiry,
+                source: sessionMode ? 'session' : 'main'
+            }, ++position, view);
+        };
+
+        const handleLine = async (line) => {
+            const [command, ...rest] = line.split(' ');
+
+            switch (command) {
+            case '/quit':
+            case '/exit':
+                rl.close();
+                return;
+            case '/help':
+                reporter.info(chalk.gray('   /session             toggle private session mode'));
+                reporter.info(chalk.gray('   /attach <path> [caption]  send an encrypted file'));
+                reporter.info(chalk.gray('   /react <id> <emoji>  react to a message'));
+                reporter.info(chalk.gray('   /quit                leave the chat'));
+                return;
+            case '/session':
+                sessionMode = !sessionMode;
+                reporter.info(chalk.blue(`🔒 Session mode ${sessionMode ? 'on' : 'off'}`));
+                return;
+            case '/attach':
+                if (!rest[0] || !fs.existsSync(rest[0])) {
+                    reporter.info(chalk.red(`❌ Attachment not found: ${rest[0] || ''}`));
+                    return;
+                }
+                await sendLine({ attachPath: rest[0], message: rest.slice(1).join(' ') });
+                return;
+            case '/react':
+                if (rest.length !== 2 || !/^\d+$/.test(rest[0])) {
+                    reporter.info(chalk.red('❌ Usage: /react <messageId> <emoji>'));
+                    return;
+                }
+                await conversation.reactionService.react(rest[0], rest[1]);
+                return;
+            default:
+                await sendLine({ message: line });
+            }
+        };
+
+        reporter.info(chalk.gray(`\n💡 Type a message and press Enter to send (${sessionMode ? 'session' : 'standard'} mode). /help for commands.\n`));
+        rl.prompt();
+
+
+        // Lines are handled one at a time so sends never race each other
+        let queue = Promise.resolve();
+        rl.on('line', (input) => {
+            const line = input.trim();
+            queue = queue.then(async () => {
+                if (line) {
+                    try {
+                        await handleLine(line);
+                    } catch (error) {
+                        reporter.info(chalk.red(`❌ ${error.message.split('\n')[0]}`));
+                    }
+                }
+                if (!closed) {
+                    rl.prompt();
+                }
+            });
+        });
+
+        await new Promise((resolve) => rl.once('close', resolve));
+        await queue;
+        await stopWatching();
+        blockchainService.provider.destroy();
+
+        reporter.info(chalk.gray('\n👋 Chat closed'));
+
+        logger.info('Chat closed', {
+            otherParty: argv.chat,
+            messagesShown: position
+        });
+
+    } catch (error) {
+        reporter.error(chalk.red('❌ Chat failed:'), error.message);
+        logger.error('Chat command failed', error);
+        throw error;
+    }
+}
+
+
+async function handleInboxCommand(argv, networkConfig) {
+    try {
+        displayHeader();
+        reporter.info(chalk.blue('📥 ChainWhisper - Inbox\n'));
+
+
+        const walletService = new WalletService(networkConfig);
+        const walletInfo = await walletService.connect();
+        displayWalletInfo(walletInfo, networkConfig.name);
+
+
+        const blockchainService = new BlockchainService(walletService.getWallet(), networkConfig);
+        const inbox = new InboxService(blockchainService, walletService.getWallet(), new IPFSService(argv.storage));
+        EncryptionService.attachBlockchain(blockchainService);
+
+        reporter.info(chalk.blue('📚 Collecting conversations...\n'));
+        const conversations = await inbox.getConversations();
+
+        if (conversations.length === 0) {
+            reporter.info(chalk.yellow('💬 No conversations yet'));
+            reporter.event('summary', { command: 'inbox', conversations: 0, unread: 0 });
+            return;
+        }
+
+        const totalUnread = conversations.reduce((sum, conversation) => sum + conversation.unread, 0);
+        reporter.info(chalk.green(`📬 ${conversations.length} conversations, ${totalUnread} unread\n`));
+
+
+        for (const conversation of conversations) {
+            const { latest } = conversation;
+            const unreadBadge = conversation.unread > 0 ? chalk.yellow.bold(` (${conversation.unread} unread)`) : '';
+            const lastActivity = conversation.lastActivity ? new Date(conversation.lastActivity * 1000).toLocaleString() : 'never';
+
+            reporter.event('conversation', {
+                address: conversation.address,
+                lastActivity: conversation.lastActivity,
+                standardMessages: conversation.mainCount,
+                sessionMessages: conversation.sessionCount,
+                unread: conversation.unread,
+                latest: latest ? {
+                    from: latest.from,
+                    source: latest.source,
+                    timestamp: latest.timestamp,
+                    content: latest.decryptError || AttachmentService.isAttachmentPayload(latest.content) ? null : latest.content
+                } : null
+            });
+
+            reporter.info(`${conversation.unread > 0 ? '🔵' : '⚪'} ${chalk.green(conversation.address)}${unreadBadge}`);
+            reporter.info(chalk.gray(`   Last activity: ${lastActivity} · ${conversation.mainCount} standard, ${conversation.sessionCount} session messages`));
+
+            if (!latest) {
+                reporter.info('');
+                continue;
+            }
+
+            let preview;
+            if (latest.decryptError) {
+                preview = chalk.red(`[${latest.decryptError}]`);
+            } else if (AttachmentService.isAttachmentPayload(latest.content)) {
+                preview = chalk.magenta(`📎 ${JSON.parse(latest.content).name}`);
+            } else {
+                const text = latest.content.replace(/\s+/g, ' ');
+                preview = chalk.white(text.length > 60 ? `${text.substring(0, 57)}...` : text);
+            }
+
+            const sender = latest.from.toLowerCase() === walletInfo.address.toLowerCase() ? chalk.cyan('You: ') : '';
+            reporter.info(`   ${latest.source === 'session' ? '🔒' : '📨'} ${sender}${preview}\n`);
+        }
+
+        reporter.info(chalk.gray('💡 Open a conversation with --replay <address> or --chat <address> to mark it as read'));
+
+
+        logger.info('Inbox listed', {
+            conversations: conversations.length,
+            unread: totalUnread
+        });
+
+        reporter.event('summary', { command: 'inbox', conversations: conversations.length, unread: totalUnread });
+
+    } catch (error) {
+        reporter.error(chalk.red('\n❌ Inbox failed:'), error.message);
+        logger.error('Inbox command failed', error);
+        throw error;
+    }
+}
+
+
+async function handleListenCommand(argv, networkConfig) {
+    try {
+        displayHeader();
+        reporter.info(chalk.blue('👂 ChainWhisper - Listener\n'));
+
+
+        const walletService = new WalletService(networkConfig);
+        const walletInfo = await walletService.connect();
+        displayWalletInfo(walletInfo, networkConfig.name);
+
+
+        const blockchainService = new BlockchainService(walletService.getWallet(), networkConfig);
+        EncryptionService.attachBlockchain(blockchainService);
+
+        const listener = new ListenerService(blockchainService, walletService.getWallet(), new IPFSService(argv.storage), {
+            confirmations: argv.confirmations ?? (Number(process.env.LISTEN_CONFIRMATIONS) || 1),
+            hook: argv['on-message'] || process.env.LISTEN_HOOK,
+            mailbox: argv.mailbox || process.env.MAILBOX_FILE
+        });
+
+        const shutdown = () => {
+            reporter.info(chalk.gray('\n🛑 Stopping listener...'));
+            listener.stop();
+        };
+        process.once('SIGINT', shutdown);
+        process.once('SIGTERM', shutdown);
+
+        await listener.start();
+        blockchainService.provider.destroy();
+
+        logger.info('Listener stopped', { address: walletInfo.address });
+
+    } catch (error) {
+        reporter.error(chalk.red('❌ Listener failed:'), error.message);
+        logger.error('Listen command failed', error);
+        throw error;
+    }
+}
+
+
+async function handleReactCommand(argv, networkConfig) {
+    try {
+        displayHeader();
+        reporter.info(chalk.blue('💬 ChainWhisper - React to Message\n'));
+
+        const [messageId, reaction] = argv.react;
+
+        const walletService = new WalletService(networkConfig);
+        await walletService.connect();
+
+        const blockchainService = new BlockchainService(walletService.getWallet(), networkConfig);
+        EncryptionService.attachBlockchain(blockchainService);
+
+        const reactionService = new ReactionService(blockchainService, walletService.getWallet(), new IPFSService(argv.storage));
+        const result = await reactionService.react(messageId, reaction, { encrypt: !argv['public-reaction'] });
+
+        reporter.info(chalk.gray(`📋 Transaction: ${result.transactionHash}`));
+        reporter.info(chalk.gray(`⛽ Gas used: ${result.gasUsed}`));
+
+        logger.info('Reaction sent', {
+            messageId,
+            encrypted: !argv['public-reaction'],
+            transactionHash: result.transactionHash
+        });
+
+        reporter.event('summary', {
+            command: 'react',
+            messageId,
+            reaction,
+            encrypted: !argv['public-reaction'],
+            transactionHash: result.transactionHash,
+            gasUsed: result.gasUsed
+        });
+
+        reporter.info(chalk.green('\n🎉 Success!'));
+
+    } catch (error) {
+        reporter.error(chalk.red('❌ React failed:'), error.message);
+        logger.error('React command failed', error);
+        throw error;
+    }
+}
+
+
+async function offerAttachmentDownloads(attachments, attachmentService, saveDirectory) {
+    if (attachments.length === 0) {
+        return;
+    }
+
+    if (!saveDirectory && !process.stdin.isTTY) {
+        reporter.info(chalk.gray(`   📎 ${attachments.length} attachment(s) - use --save-attachments <dir> to save them`));
+        return;
+    }
+
+    reporter.info(chalk.blue(`\n📎 Attachments (${attachments.length}):`));
+
+    for (const { index, manifest } of attachments) {
+        if (!saveDirectory) {
+            if (!await prompt.confirm(chalk.cyan(`💾 Decrypt and save [${index}] ${manifest.name}? (y/N): `))) {
+                continue;
+            }
+        }
+
+        try {
+            const savedPath = await attachmentService.saveAttachment(manifest, saveDirectory || process.cwd());
+            reporter.info(chalk.green(`   ✅ Saved ${savedPath}`));
+        } catch (error) {
+            reporter.warn(chalk.red(`   ❌ Could not save ${manifest.name}: ${error.message.split('\n')[0]}`));
+        }
+    }
+}
+
+
+async function connectGroupManager(networkConfig, storageBackend) {
+    const walletService = new WalletService(networkConfig);
+    const walletInfo = await walletService.connect();
+
+    const blockchainService = new BlockchainService(walletService.getWallet(), networkConfig);
+    blockchainService.getGroupChatContract();
+    EncryptionService.attachBlockchain(blockchainService);
+
+    return {
+        walletInfo,
+        groupManager: new GroupManager(blockchainService, walletService.getWallet(), new IPFSService(storageBackend))
+    };
+}
+
+
+async function handleCreateGroupCommand(argv, networkConfig) {
+    try {
+        displayHeader();
+        reporter.info(chalk.blue('👥 ChainWhisper - Create Group\n'));
+
+        const { groupManager } = await connectGroupManager(networkConfig);
+        const result = await groupManager.createGroup(argv['create-group'], argv.members || []);
+
+        reporter.info(chalk.gray(`📋 Transaction: ${result.transactionHash}`));
+        reporter.info(chalk.white(`\n   Send with: chain-whisper --group ${result.groupId} --message "Hello!"`));
+
+        logger.info('Group created', {
+            groupId: result.groupId,
+            name: argv['create-group'],
+            transactionHash: result.transactionHash
+        });
+
+        reporter.event('summary', {
+            command: 'create-group',
+            groupId: result.groupId,
+            name: argv['create-group'],
+            transactionHash: result.transactionHash
+        });
+
+    } catch (error) {
+        reporter.error(chalk.red('❌ Create group failed:'), error.message);
+        logger.error('Create group command failed', error);
+        throw error;
+    }
+}
+
+
+async function handleGroupMembersCommand(groupId, members, action, networkConfig) {
+    try {
+        displayHeader();
+        reporter.info(chalk.blue(`👥 ChainWhisper - ${action === 'remove' ? 'Remove' : 'Invite'} Group Members\n`));
+
+        const { groupManager } = await connectGroupManager(networkConfig);
+        const results = await groupManager.updateMembers(groupId, members, action);
+
+        logger.info('Group members updated', {
+            groupId,
+            action,
+            members: results.map((result) => result.member)
+        });
+
+        reporter.event('summary', {
+            command: action === 'remove' ? 'group-remove' : 'group-invite',
+            groupId,
+            members: results.map((result) => result.member),
+            transactionHashes: results.map((result) => result.transactionHash)
+        });
+
+    } catch (error) {
+        reporter.error(chalk.red('❌ Group membership update failed:'), error.message);
+        logger.error('Group members command failed', error);
+        throw error;
+    }
+}
+
+
+async function handleGroupSendCommand(argv, networkConfig) {
+    try {
+        displayHeader();
+        reporter.info(chalk.blue('👥 ChainWhisper - Send Group Message\n'));
+
+        const { groupManager } = await connectGroupManager(networkConfig, argv.storage);
+
+        const currentTime = Math.floor(Date.now() / 1000);
+        const absoluteExpiry = argv.expiry > 0 ? currentTime + argv.expiry : 0;
+
+        const result = await groupManager.sendMessage(argv.group, argv.message, absoluteExpiry);
+
+        reporter.info(chalk.gray(`📋 Transaction: ${result.transactionHash}`));
+        reporter.info(chalk.gray(`⛽ Gas used: ${result.gasUsed}`));
+
+        logger.info('Group message sent', {
+            groupId: argv.group,
+            transactionHash: result.transactionHash,
+            gasUsed: result.gasUsed
+        });
+
+        reporter.event('summary', {
+            command: 'group-send',
+            groupId: argv.group,
+            transactionHash: result.transactionHash,
+            gasUsed: result.gasUsed
+        });
+
+        reporter.info(chalk.green('\n🎉 Success!'));
+
+    } catch (error) {
+        reporter.error(chalk.red('❌ Group send failed:'), error.message);
+        logger.error('Group send command failed', error);
+        throw error;
+    }
+}
+
+
+async function handleGroupReplayCommand(argv, networkConfig) {
+    try {
+        displayHeader();
+        reporter.info(chalk.blue('🔄 ChainWhisper - Replay Group\n'));
+
+        const { walletInfo, groupManager } = await connectGroupManager(networkConfig, argv.storage);
+        displayWalletInfo(walletInfo, networkConfig.name);
+
+        const { info, messages } = await groupManager.getMessages(argv['replay-group']);
+
+        if (messages.length === 0) {
+            reporter.info(chalk.yellow(`\n💬 No messages in "${info.name}" yet`));
+            reporter.event('summary', { command: 'replay-group', groupId: argv['replay-group'], total: 0, failed: 0 });
+            return;
+        }
+
+        reporter.info(chalk.blue('═'.repeat(80)));
+        reporter.info(chalk.cyan.bold(`                GROUP: ${info.name} (${info.memberCount} members)`));
+        reporter.info(chalk.blue('═'.repeat(80)));
+
+        let failedCount = 0;
+        const currentTime = Math.floor(Date.now() / 1000);
+
+        for (const [index, message] of messages.entries()) {
+            const messageDate = new Date(message.timestamp * 1000).toLocaleString();
+
+            if (message.expiry > 0 && currentTime > message.expiry) {
+                reporter.info(chalk.gray(`\n[${index + 1}] ⏰ [EXPIRED] Message from ${messageDate}`));
+                continue;
+            }
+
+            const isFromMe = message.from.toLowerCase() === walletInfo.address.toLowerCase();
+            const senderLabel = isFromMe ? chalk.cyan('You') : chalk.green(`${message.from.substring(0, 8)}...${message.from.substring(message.from.length - 4)}`);
+
+            reporter.info(`\n[${index + 1}] 👥 ${senderLabel} (${messageDate}):`);
+
+            const groupMessage = {
+                position: index + 1,
+                source: 'group',
+                groupId: argv['replay-group'],
+                transactionHash: message.transactionHash ?? null,
+                from: message.from,
+                timestamp: message.timestamp,
+                expiry: message.expiry || 0
+            };
+
+            if (message.storageError) {
+                reporter.info(chalk.red(`   [${message.storageError}]`));
+                reporter.event('message.failed', { ...groupMessage, error: message.storageError });
+                failedCount++;
+            } else if (message.content === null) {
+                reporter.info(chalk.red('   [No sender key for this message - sent before you joined or key not distributed to you]'));
+                reporter.event('message.failed', { ...groupMessage, error: 'No sender key for this message' });
+                failedCount++;
+            } else {
+                reporter.info(chalk.white(`   ${message.content}`));
+                reporter.event('message.decrypted', { ...groupMessage, content: message.content });
+            }
+        }
+
+        reporter.info(chalk.blue('\n' + '═'.repeat(80)));
+        reporter.info(chalk.green(`📊 Summary:`));
+        reporter.info(chalk.gray(`   Total messages found: ${messages.length}`));
+        if (failedCount > 0) {
+            reporter.info(chalk.yellow(`   Failed to decrypt: ${failedCount}`));
+        }
+
+        logger.info('Group replayed successfully', {
+            groupId: argv['replay-group'],
+            totalMessages: messages.length,
+            failedMessages: failedCount
+        });
+
+        reporter.event('summary', { command: 'replay-group', groupId: argv['replay-group'], total: messages.length, failed: failedCount });
+
+    } catch (error) {
+        reporter.error(chalk.red('\n❌ Group replay failed:'), error.message);
+        logger.error('Group replay command failed', error);
+        throw error;
+    }
+}
+
+
+async function handleListGroupsCommand(networkConfig) {
+    try {
+        displayHeader();
+        reporter.info(chalk.blue('👥 ChainWhisper - Your Groups\n'));
+
+        const { groupManager } = await connectGroupManager(networkConfig);
+        const groups = await groupManager.getUserGroups();
+
+        if (groups.length === 0) {
+            reporter.info(chalk.yellow('👥 You are not in any groups'));
+            return;
+        }
+
+        groups.forEach((group) => {
+            reporter.event('group', {
+                groupId: group.groupId,
+                name: group.name,
+                isMember: group.isMember,
+                owner: group.owner,
+                memberCount: group.memberCount,
+                messageCount: group.messageCount,
+                epoch: group.epoch,
+                createdAt: group.createdAt
+            });
+
+            const status = group.isMember ? chalk.green('member') : chalk.gray('left');
+            reporter.info(chalk.white(`📝 [${group.groupId}] ${group.name} (${status})`));
+            reporter.info(chalk.gray(`   Owner: ${group.owner}`));
+            reporter.info(chalk.gray(`   Members: ${group.memberCount}  Messages: ${group.messageCount}  Epoch: ${group.epoch}`));
+            reporter.info(chalk.gray(`   Created: ${new Date(group.createdAt * 1000).toLocaleString()}\n`));
+        });
+
+    } catch (error) {
+        reporter.error(chalk.red('❌ List groups failed:'), error.message);
+        logger.error('List groups command failed', error);
+        throw error;
+    }
+}
+
+
+async function connectSessionManager(networkConfig) {
+    const walletService = new WalletService(networkConfig);
+    const walletInfo = await walletService.connect();
+
+    const blockchainService = new BlockchainService(walletService.getWallet(), networkConfig);
+
+    return {
+        walletInfo,
+        sessionManager: new SessionManager(blockchainService, walletService.getWallet())
+    };
+}
+
+
+async function handleSessionsCommand(networkConfig) {
+    try {
+        displayHeader();
+        reporter.info(chalk.blue('🔒 ChainWhisper - Private Sessions\n'));
+
+        const { sessionManager } = await connectSessionManager(networkConfig);
+        const sessions = await sessionManager.displaySessions();
+
+        reporter.event('summary', {
+            command: 'sessions',
+            sessions: sessions.length,
+            active: sessions.filter((session) => SessionManager.getStatus(session) === 'active').length
+        });
+
+    } catch (error) {
+        reporter.error(chalk.red('❌ Listing sessions failed:'), error.message);
+        logger.error('Sessions command failed', error);
+        throw error;
+    }
+}
+
+
+async function handleCloseSessionCommand(sessionAddress, networkConfig) {
+    try {
+        displayHeader();
+        reporter.info(chalk.blue('🔒 ChainWhisper - Close Session\n'));
+
+        const { sessionManager } = await connectSessionManager(networkConfig);
+
+        if (!await prompt.confirm(chalk.yellow(`Close session ${sessionAddress}? Neither participant can send to it afterwards (y/N): `))) {
+            reporter.info(chalk.gray('Cancelled'));
+            return;
+        }
+
+        const result = await sessionManager.closeSession(sessionAddress);
+
+        reporter.info(chalk.green(`✅ Session ${sessionAddress} closed`));
+        reporter.info(chalk.gray(`📋 Transaction: ${result.transactionHash}`));
+        reporter.info(chalk.gray('   The next --session message to this peer starts a new session'));
+
+        reporter.event('summary', { command: 'close-session', sessionAddress, transactionHash: result.transactionHash });
+
+    } catch (error) {
+        reporter.error(chalk.red('❌ Close session failed:'), error.message);
+        logger.error('Close session command failed', error, { sessionAddress });
+        throw error;
+    }
+}
+
+
+async function handleExtendSessionCommand(sessionAddress, duration, networkConfig) {
+    try {
+        displayHeader();
+        reporter.info(chalk.blue('⏳ ChainWhisper - Extend Session\n'));
+
+        const { sessionManager } = await connectSessionManager(networkConfig);
+        const result = await sessionManager.extendSession(sessionAddress, duration);
+
+        reporter.info(chalk.gray(`📋 Transaction: ${result.transactionHash}`));
+        reporter.info(chalk.gray(`⛽ Gas used: ${result.gasUsed}`));
+
+        reporter.event('summary', {
+            command: 'extend-session',
+            sessionAddress,
+            expiry: result.expiry,
+            transactionHash: result.transactionHash
+        });
+
+    } catch (error) {
+        reporter.error(chalk.red('❌ Extend session failed:'), error.message);
+        logger.error('Extend session command failed', error, { sessionAddress });
+        throw error;
+    }
+}
+
+
+async function handleCleanupSessionsCommand(networkConfig) {
+    try {
+        displayHeader();
+        reporter.info(chalk.blue('🧹 ChainWhisper - Clean Up Expired Sessions\n'));
+
+        const { sessionManager } = await connectSessionManager(networkConfig);
+        const result = await sessionManager.cleanupExpiredSessions();
+
+        if (result.expired === 0) {
+            reporter.info(chalk.green('✅ No expired sessions to clean up'));
+        } else {
+            reporter.info(chalk.green(`✅ ${result.expired} expired sessions marked inactive in ${result.transactions.length} transaction(s)`));
+            result.transactions.forEach((transaction) => reporter.info(chalk.gray(`📋 Transaction: ${transaction.transactionHash} (${transaction.sessions} sessions)`)));
+        }
+
+        reporter.event('summary', {
+            command: 'cleanup-sessions',
+            sessions: result.expired,
+            transactions: result.transactions.map((transaction) => transaction.transactionHash)
+        });
+
+    } catch (error) {
+        reporter.error(chalk.red('❌ Session cleanup failed:'), error.message);
+        logger.error('Cleanup sessions command failed', error);
+        throw error;
+    }
+}
+
+
 process.on('unhandledRejection', (error) => {
-    console.error(chalk.red('\n💥 Unhandled promise rejection:'), error.message);
+    reporter.error(chalk.red('\n💥 Unhandled promise rejection:'), error.message);
     logger.error('Unhandled promise rejection', error);
     process.exit(1);
 });
 
 
 process.on('uncaughtException', (error) => {
-    console.error(chalk.red('\n💥 Uncaught exception:'), error.message);
+    reporter.error(chalk.red('\n💥 Uncaught exception:'), error.message);
     logger.error('Uncaught exception', error);
     process.exit(1);
 });
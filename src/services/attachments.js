@@ -0,0 +1,208 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const chalk = require('chalk');
+const EncryptionService = require('./encryption');
+const reporter = require('../utils/reporter');
+
+
+const ATTACHMENT_VERSION = '1.0';
+const CHUNK_SIZE = 256 * 1024;
+const MAX_ATTACHMENT_SIZE = 25 * 1024 * 1024;
+
+const MIME_TYPES = {
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.gif': 'image/gif',
+    '.webp': 'image/webp',
+    '.bmp': 'image/bmp',
+    '.svg': 'image/svg+xml',
+    '.pdf': 'application/pdf',
+    '.zip': 'application/zip',
+    '.json': 'application/json',
+    '.txt': 'text/plain',
+    '.md': 'text/markdown',
+    '.csv': 'text/csv',
+    '.mp3': 'audio/mpeg',
+    '.wav': 'audio/wav',
+    '.mp4': 'video/mp4',
+    '.mov': 'video/quicktime'
+};
+
+// Magic bytes take precedence over the extension for the formats we can preview
+const IMAGE_SIGNATURES = [
+    { mimeType: 'image/png', bytes: [0x89, 0x50, 0x4e, 0x47] },
+    { mimeType: 'image/jpeg', bytes: [0xff, 0xd8, 0xff] },
+    { mimeType: 'image/gif', bytes: [0x47, 0x49, 0x46, 0x38] }
+];
+
+class AttachmentService {
+    constructor(storage) {
+        this.storage = storage;
+    }
+
+
+    static get maxSize() {
+        return MAX_ATTACHMENT_SIZE;
+    }
+
+
+    static detectMimeType(filePath, content) {
+        const signature = IMAGE_SIGNATURES.find((candidate) =>
+            candidate.bytes.every((byte, index) => content[index] === byte)
+        );
+
+        if (signature) {
+            return signature.mimeType;
+        }
+
+        return MIME_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream';
+    }
+
+
+    static isAttachmentPayload(plaintext) {
+        try {
+            const payload = JSON.parse(plaintext);
+            return payload.type === 'attachment' && payload.version === ATTACHMENT_VERSION;
+        } catch (error) {
+            return false;
+        }
+    }
+
+
+    static formatSize(bytes) {
+        if (bytes < 1024) {
+            return `${bytes} B`;
+        }
+        if (bytes < 1024 * 1024) {
+            return `${(bytes / 1024).toFixed(1)} KB`;
+        }
+        return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    }
+
+
+    /**
+     * Encrypt a file with a fresh key as a secretstream of fixed-size chunks and upload each chunk.
+     * Returns the manifest (file key included) that is then sent as an ordinary encrypted message.
+     */
+    async encryptFile(filePath, caption = '') {
+        try {
+            await EncryptionService.initialize();
+            const sodium = EncryptionService.sodium;
+
+            const content = fs.readFileSync(filePath);
+
+            if (content.length > MAX_ATTACHMENT_SIZE) {
+                throw new Error(`Attachment exceeds ${AttachmentService.formatSize(MAX_ATTACHMENT_SIZE)} limit`);
+            }
+
+            const name = path.basename(filePath);
+            const mimeType = AttachmentService.detectMimeType(filePath, content);
+
+            reporter.info(chalk.blue(`📎 Encrypting ${name} (${mimeType}, ${AttachmentService.formatSize(content.length)})...`));
+
+            const key = sodium.crypto_secretstream_xchacha20poly1305_keygen();
+            const { state, header } = sodium.crypto_secretstream_xchacha20poly1305_init_push(key);
+
+            const chunks = [];
+            const chunkCount = Math.max(1, Math.ceil(content.length / CHUNK_SIZE));
+
+            for (let index = 0; index < chunkCount; index++) {
+                const chunk = content.subarray(index * CHUNK_SIZE, (index + 1) * CHUNK_SIZE);
+                const tag = index === chunkCount - 1
+                    ? sodium.crypto_secretstream_xchacha20poly1305_TAG_FINAL
+                    : sodium.crypto_secretstream_xchacha20poly1305_TAG_MESSAGE;
+
+                const encryptedChunk = sodium.crypto_secretstream_xchacha20poly1305_push(state, chunk, null, tag);
+                chunks.push(await this.storage.storeContent(Buffer.from(encryptedChunk)));
+            }
+
+            reporter.info(chalk.green(`✅ Attachment stored in ${chunks.length} encrypted chunk(s) via ${this.storage.backend.describe()}`));
+
+            return {
+                mimeType,
+                payload: JSON.stringify( {
+                    type: 'attachment',
+                    name,
+                    mimeType,
+                    size: content.length,
+                    sha256: crypto.createHash('sha256').update(content).digest('hex'),
+                    key: sodium.to_base64(key, sodium.base64_variants.ORIGINAL),
+                    header: sodium.to_base64(header, sodium.base64_variants.ORIGINAL),
+                    chunks,
+                    caption,
+                    version: ATTACHMENT_VERSION
+                })
+            };
+
+        } catch (error) {
+            reporter.error(chalk.red('❌ Attachment encryption failed:'), error.message);
+            throw error;
+        }
+    }
+
+
+    async decryptAttachment(manifest) {
+        await EncryptionService.initialize();
+        const sodium = EncryptionService.sodium;
+
+        const state = sodium.crypto_secretstream_xchacha20poly1305_init_pull(
+            sodium.from_base64(manifest.header, sodium.base64_variants.ORIGINAL),
+            sodium.from_base64(manifest.key, sodium.base64_variants.ORIGINAL)
+        );
+
+        const parts = [];
+        let finalTagSeen = false;
+
+        for (const cid of manifest.chunks) {
+            if (finalTagSeen) {
+                throw new Error('Attachment has data after its final chunk');
+            }
+
+            const encryptedChunk = await this.storage.fetchContent(cid);
+            const result = sodium.crypto_secretstream_xchacha20poly1305_pull(state, encryptedChunk, null);
+
+            if (!result) {
+                throw new Error(`Attachment chunk ${cid} failed authentication`);
+            }
+
+            parts.push(Buffer.from(result.message));
+            finalTagSeen = result.tag === sodium.crypto_secretstream_xchacha20poly1305_TAG_FINAL;
+        }
+
+        if (!finalTagSeen) {
+            throw new Error('Attachment is truncated');
+        }
+
+        const content = Buffer.concat(parts);
+
+        if (crypto.createHash('sha256').update(content).digest('hex') !== manifest.sha256) {
+            throw new Error('Attachment content does not match its checksum');
+        }
+
+        return content;
+    }
+
+
+    async saveAttachment(manifest, directory, content = null) {
+        const data = content || await this.decryptAttachment(manifest);
+
+        fs.mkdirSync(directory, { recursive: true });
+
+        // Never trust the sender's file name as a path, and never overwrite an existing file
+        const safeName = path.basename(manifest.name).replace(/[^\w.\- ]/g, '_') || 'attachment';
+        const extension = path.extname(safeName);
+        const stem = safeName.slice(0, safeName.length - extension.length);
+
+        let targetPath = path.join(directory, safeName);
+        for (let copy = 1; fs.existsSync(targetPath); copy++) {
+            targetPath = path.join(directory, `${stem} (${copy})${extension}`);
+        }
+
+        fs.writeFileSync(targetPath, data, { mode: 0o600 });
+        return targetPath;
+    }
+}
+
+module.exports = AttachmentService;
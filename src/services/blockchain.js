@@ -1,20 +1,36 @@
 const chalk = require('chalk');
 const { ethers } = require('ethers');
+const FeeStrategy = require('./feeStrategy');
 const logger = require('../utils/logger');
+const reporter = require('../utils/reporter');
+
+
+// Blocks after the first one stamped with an event's timestamp that may still hold the event
+const TIMESTAMP_BLOCK_WINDOW = 100;
+
+// Blocks per log query, and per retry when the RPC rejects that range
+const LOG_CHUNK_SIZE = 500;
+const SMALL_LOG_CHUNK_SIZE = 100;
+
 
 class BlockchainService {
     constructor(wallet, networkConfig) {
         this.wallet = wallet;
         this.provider = wallet.provider;
         this.networkConfig = networkConfig;
+        this.feeStrategy = new FeeStrategy(this.provider);
 
 
         this.chatContractAddress = networkConfig.contracts.chatContract;
         this.factoryContractAddress = networkConfig.contracts.factoryContract;
+        this.keyRegistryAddress = networkConfig.contracts.keyRegistry;
+        this.groupChatAddress = networkConfig.contracts.groupChat;
 
 
         this.chatContract = this.initializeChatContract();
         this.factoryContract = this.initializeFactoryContract();
+        this.keyRegistryContract = this.initializeKeyRegistryContract();
+        this.groupChatContract = this.initializeGroupChatContract();
     }
 
     initializeChatContract() {
@@ -25,7 +41,9 @@ class BlockchainService {
             "function getConversationMessages(bytes32 conversationHash) external view returns (uint256[] memory)",
             "function generateConversationHash(address user1, address user2) public pure returns (bytes32)",
             "function isExpired(uint256 messageId) external view returns (bool)",
-            "event MessageSent(address indexed from, address indexed to, string cid, uint256 timestamp, uint256 expiry, uint256 messageId, bytes32 indexed conversationHash)"
+            "function addReaction(uint256 messageId, string calldata reaction) external",
+            "event MessageSent(address indexed from, address indexed to, string cid, uint256 timestamp, uint256 expiry, uint256 messageId, bytes32 indexed conversationHash)",
+            "event MessageReaction(uint256 indexed messageId, address indexed reactor, string reaction, uint256 timestamp)"
         ];
 
         return new ethers.Contract(this.chatContractAddress, chatABI, this.wallet);
@@ -33,59 +51,116 @@ class BlockchainService {
 
     initializeFactoryContract() {
         const factoryABI = [
-            "function createChatSession(address participant) external returns (address sessionContract, bytes32 sessionId)",
+            "function createChatSession(address participant, uint256 duration) external returns (address sessionContract, bytes32 sessionId)",
             "function getSessionBetween(address user1, address user2) external view returns (bytes32 sessionId, address contractAddr, bool isActive)",
             "function getUserSessions(address user) external view returns (bytes32[] memory)",
-            "event ChatSessionCreated(address indexed sessionContract, address indexed initiator, address indexed participant, bytes32 sessionId, uint256 timestamp)"
+            "function getSessionContract(bytes32 sessionId) external view returns (address)",
+            "function cleanupExpiredSessions(bytes32[] calldata sessionIds) external",
+            "event ChatSessionCreated(address indexed sessionContract, address indexed initiator, address indexed participant, bytes32 sessionId, uint256 timestamp, uint256 expiryTime)"
         ];
 
         return new ethers.Contract(this.factoryContractAddress, factoryABI, this.wallet);
     }
 
+    initializeKeyRegistryContract() {
+        if (!this.keyRegistryAddress) {
+            return null;
+        }
+
+        const keyRegistryABI = [
+            "function registerKey(bytes calldata publicKey) external",
+            "function getPublicKey(address user) external view returns (bytes memory)",
+            "function hasKey(address user) external view returns (bool)",
+            "event PublicKeyRegistered(address indexed user, bytes publicKey, uint256 timestamp)"
+        ];
+
+        return new ethers.Contract(this.keyRegistryAddress, keyRegistryABI, this.wallet);
+    }
+
+
+    initializeGroupChatContract() {
+        if (!this.groupChatAddress) {
+            return null;
+        }
+
+        const groupChatABI = [
+            "function createGroup(string calldata name, address[] calldata members) external returns (uint256 groupId)",
+            "function addMember(uint256 groupId, address member) external",
+            "function removeMember(uint256 groupId, address member) external",
+            "function distributeSenderKey(uint256 groupId, uint256 epoch, string calldata keys) external",
+            "function sendMessage(uint256 groupId, string calldata cid, uint256 expiry) external",
+            "function getGroupInfo(uint256 groupId) external view returns (address owner, string name, uint256 memberCount, uint256 messageCount, uint256 epoch, uint256 createdAt, uint256 createdBlock)",
+            "function getMembers(uint256 groupId) external view returns (address[] memory)",
+            "function isMember(uint256 groupId, address user) external view returns (bool)",
+            "function getUserGroups(address user) external view returns (uint256[] memory)",
+            "event GroupCreated(uint256 indexed groupId, address indexed owner, string name, uint256 timestamp)",
+            "event MemberAdded(uint256 indexed groupId, address indexed member, address addedBy, uint256 epoch, uint256 timestamp)",
+            "event MemberRemoved(uint256 indexed groupId, address indexed member, address removedBy, uint256 epoch, uint256 timestamp)",
+            "event SenderKeyDistributed(uint256 indexed groupId, address indexed from, uint256 epoch, string keys, uint256 timestamp)",
+            "event GroupMessage(uint256 indexed groupId, address indexed from, string cid, uint256 timestamp, uint256 expiry, uint256 messageIndex, uint256 epoch)"
+        ];
+
+        return new ethers.Contract(this.groupChatAddress, groupChatABI, this.wallet);
+    }
+
+
+    getGroupChatContract() {
+        if (!this.groupChatContract) {
+            throw new Error('Group chat address not configured. Set GROUP_CHAT_ADDRESS in your .env file');
+        }
+        return this.groupChatContract;
+    }
+
+
+    getKeyRegistryContract() {
+        if (!this.keyRegistryContract) {
+            throw new Error('Key registry address not configured. Set KEY_REGISTRY_ADDRESS in your .env file');
+        }
+        return this.keyRegistryContract;
+    }
+
 
-    displayFundingInstructions(walletAddress, requiredGas, currentBalance) {
-        console.log(chalk.red('\n💸 Insufficient Funds!'));
-        console.log(chalk.gray('═'.repeat(60)));
-        console.log(chalk.yellow(`📍 Wallet Address: ${walletAddress}`));
-        console.log(chalk.red(`💰 Current Balance: ${currentBalance} ETH`));
-        console.log(chalk.yellow(`⛽ Required Gas Cost: ~${ethers.formatEther(requiredGas * 20000000000n)} ETH`));
+    displayFundingInstructions(walletAddress, requiredCost, currentBalance) {
+        reporter.info(chalk.red('\n💸 Insufficient Funds!'));
+        reporter.info(chalk.gray('═'.repeat(60)));
+        reporter.info(chalk.yellow(`📍 Wallet Address: ${walletAddress}`));
+        reporter.info(chalk.red(`💰 Current Balance: ${currentBalance} ETH`));
+        reporter.info(chalk.yellow(`⛽ Required Gas Cost: ~${ethers.formatEther(requiredCost)} ETH`));
 
-        console.log(chalk.blue('\n🚰 Get Free Sepolia Scroll Testnet ETH from these faucets:'));
-        console.log(chalk.white('1. 🔗 Sepolia Scroll Official Faucet:'));
-        console.log(chalk.cyan('   https://sepolia.scroll.io/'));
+        reporter.info(chalk.blue('\n🚰 Get Free Sepolia Scroll Testnet ETH from these faucets:'));
+        reporter.info(chalk.white('1. 🔗 Sepolia Scroll Official Faucet:'));
+        reporter.info(chalk.cyan('   https://sepolia.scroll.io/'));
 
-        console.log(chalk.white('\n2. 🔗 Alchemy Sepolia Faucet (requires account):'));
-        console.log(chalk.cyan('   https://sepoliafaucet.com/'));
+        reporter.info(chalk.white('\n2. 🔗 Alchemy Sepolia Faucet (requires account):'));
+        reporter.info(chalk.cyan('   https://sepoliafaucet.com/'));
 
-        console.log(chalk.white('\n3. 🔗 Chainlink Sepolia Faucet:'));
-        console.log(chalk.cyan('   https://faucets.chain.link/sepolia'));
+        reporter.info(chalk.white('\n3. 🔗 Chainlink Sepolia Faucet:'));
+        reporter.info(chalk.cyan('   https://faucets.chain.link/sepolia'));
 
-        console.log(chalk.white('\n4. 🔗 QuickNode Sepolia Faucet:'));
-        console.log(chalk.cyan('   https://faucet.quicknode.com/ethereum/sepolia'));
+        reporter.info(chalk.white('\n4. 🔗 QuickNode Sepolia Faucet:'));
+        reporter.info(chalk.cyan('   https://faucet.quicknode.com/ethereum/sepolia'));
 
-        console.log(chalk.blue('\n📋 Instructions:'));
-        console.log(chalk.gray('1. Copy your wallet address above'));
-        console.log(chalk.gray('2. Visit any faucet link'));
-        console.log(chalk.gray('3. Paste your address and request testnet ETH'));
-        console.log(chalk.gray('4. Wait 1-2 minutes for funds to arrive'));
-        console.log(chalk.gray('5. Retry your ChainWhisper command'));
+        reporter.info(chalk.blue('\n📋 Instructions:'));
+        reporter.info(chalk.gray('1. Copy your wallet address above'));
+        reporter.info(chalk.gray('2. Visit any faucet link'));
+        reporter.info(chalk.gray('3. Paste your address and request testnet ETH'));
+        reporter.info(chalk.gray('4. Wait 1-2 minutes for funds to arrive'));
+        reporter.info(chalk.gray('5. Retry your ChainWhisper command'));
 
-        console.log(chalk.yellow('\n⏳ Pro tip: You only need ~0.01 ETH for several messages!'));
-        console.log(chalk.gray('═'.repeat(60)));
+        reporter.info(chalk.yellow('\n⏳ Pro tip: You only need ~0.01 ETH for several messages!'));
+        reporter.info(chalk.gray('═'.repeat(60)));
     }
 
 
-    async checkSufficientBalance(estimatedGas) {
+    async checkSufficientBalance(estimatedGas, fees) {
         try {
             const balance = await this.provider.getBalance(this.wallet.address);
             const balanceEth = ethers.formatEther(balance);
-            const requiredGas = estimatedGas * 120n / 100n;
-            const gasPrice = await this.provider.getFeeData();
-            const totalCost = requiredGas * gasPrice.gasPrice;
+            const { maxCost } = this.feeStrategy.getCost(estimatedGas, fees);
 
-            if (balance < totalCost) {
-                this.displayFundingInstructions(this.wallet.address, requiredGas, balanceEth);
-                throw new Error(`Insufficient funds. Need ${ethers.formatEther(totalCost)} ETH, have ${balanceEth} ETH`);
+            if (balance < maxCost) {
+                this.displayFundingInstructions(this.wallet.address, maxCost, balanceEth);
+                throw new Error(`Insufficient funds. Need ${ethers.formatEther(maxCost)} ETH, have ${balanceEth} ETH`);
             }
 
             return true;
@@ -93,42 +168,71 @@ class BlockchainService {
             if (error.message.includes('Insufficient funds')) {
                 throw error;
             }
-            console.error(chalk.red('❌ Balance check failed:'), error.message);
+            reporter.error(chalk.red('❌ Balance check failed:'), error.message);
             throw error;
         }
     }
 
 
+    /**
+     * Fees, padded gas limit and balance check for a transaction about to be sent.
+     * Returns the overrides to send it with.
+     */
+    async prepareTransaction(gasEstimate) {
+        const fees = await this.feeStrategy.getFees();
+        const { cost, maxCost } = this.feeStrategy.getCost(gasEstimate, fees);
+
+        reporter.info(chalk.gray(`⛽ Estimated gas: ${gasEstimate}`));
+        reporter.info(chalk.gray(`💰 Estimated cost: ~${ethers.formatEther(cost)} ETH (max ${ethers.formatEther(maxCost)} ETH)`));
+
+
+        await this.checkSufficientBalance(gasEstimate, fees);
+
+        return this.feeStrategy.getOverrides(this.feeStrategy.getGasLimit(gasEstimate), fees);
+    }
+
+
+    /**
+     * Funding instructions for an insufficient-funds error from the node, priced at current fees
+     */
+    async displayFundingShortfall(estimatedGas) {
+        const balance = await this.provider.getBalance(this.wallet.address);
+        const fees = await this.feeStrategy.getFees();
+
+        this.displayFundingInstructions(this.wallet.address, this.feeStrategy.getCost(estimatedGas, fees).maxCost, ethers.formatEther(balance));
+    }
+
+
     async sendMessageWithMedia(to, encryptedContent, expiry = 0, messageType = 'text') {
         try {
-            console.log(chalk.blue('📤 Sending message to main contract...'));
+            reporter.info(chalk.blue('📤 Sending message to main contract...'));
+
+            const isMedia = messageType !== 'text';
 
 
             const gasEstimate = await this.chatContract.sendMessage.estimateGas(
                 to,
                 encryptedContent,
                 expiry,
-                false,
+                isMedia,
                 messageType
             );
 
-            console.log(chalk.gray(`⛽ Estimated gas: ${gasEstimate}`));
-
-
-            await this.checkSufficientBalance(gasEstimate);
+            const overrides = await this.prepareTransaction(gasEstimate);
 
 
             const tx = await this.chatContract.sendMessage(
                 to,
                 encryptedContent,
                 expiry,
-                false,
+                isMedia,
                 messageType,
-                { gasLimit: gasEstimate * 120n / 100n }
+                overrides
             );
 
-            console.log(chalk.yellow(`📡 Transaction sent: ${tx.hash}`));
-            console.log(chalk.yellow('⏳ Waiting for confirmation...'));
+            reporter.info(chalk.yellow(`📡 Transaction sent: ${tx.hash}`));
+            reporter.event('tx.sent', { action: 'sendMessage', hash: tx.hash });
+            reporter.info(chalk.yellow('⏳ Waiting for confirmation...'));
 
             const receipt = await tx.wait();
 
@@ -136,7 +240,9 @@ class BlockchainService {
                 throw new Error('Transaction failed');
             }
 
-            console.log(chalk.green('✅ Message sent to blockchain successfully!'));
+            reporter.event('tx.confirmed', { action: 'sendMessage', hash: receipt.hash, blockNumber: receipt.blockNumber, gasUsed: receipt.gasUsed });
+
+            reporter.info(chalk.green('✅ Message sent to blockchain successfully!'));
 
 
             const messageEvent = receipt.logs.find(log => {
@@ -164,21 +270,36 @@ class BlockchainService {
         } catch (error) {
             if (error.code === 'INSUFFICIENT_FUNDS' || error.message.includes('insufficient funds')) {
 
-                const balance = await this.provider.getBalance(this.wallet.address);
-                const balanceEth = ethers.formatEther(balance);
-                this.displayFundingInstructions(this.wallet.address, 400000n, balanceEth);
+                await this.displayFundingShortfall(400000n);
             }
 
-            console.error(chalk.red('❌ Blockchain send failed:'), error.message);
+            reporter.error(chalk.red('❌ Blockchain send failed:'), error.message);
             logger.error('Blockchain send failed', error);
             throw error;
         }
     }
 
 
+    /**
+     * Gas a main-contract message would use, without sending it
+     */
+    async estimateMessageGas(to, cid, expiry = 0, messageType = 'text') {
+        return this.chatContract.sendMessage.estimateGas(to, cid, expiry, messageType !== 'text', messageType);
+    }
+
+
+    async estimateSessionMessageGas(sessionAddress, cid, expiry = 0, messageType = 'text') {
+        const sessionContract = new ethers.Contract(sessionAddress, [
+            "function sendMessage(string calldata cid, uint256 expiry, bool isMedia, string calldata messageType) external"
+        ], this.wallet);
+
+        return sessionContract.sendMessage.estimateGas(cid, expiry, messageType !== 'text', messageType);
+    }
+
+
     async sendSessionMessage(sessionAddress, encryptedContent, expiry = 0, isMedia = false, messageType = 'text') {
         try {
-            console.log(chalk.blue('📤 Sending message to private session...'));
+            reporter.info(chalk.blue('📤 Sending message to private session...'));
 
             const sessionABI = [
                 "function sendMessage(string calldata cid, uint256 expiry, bool isMedia, string calldata messageType) external",
@@ -195,10 +316,7 @@ class BlockchainService {
                 messageType
             );
 
-            console.log(chalk.gray(`⛽ Estimated gas: ${gasEstimate}`));
-
-
-            await this.checkSufficientBalance(gasEstimate);
+            const overrides = await this.prepareTransaction(gasEstimate);
 
 
             const tx = await sessionContract.sendMessage(
@@ -206,11 +324,12 @@ class BlockchainService {
                 expiry,
                 isMedia,
                 messageType,
-                { gasLimit: gasEstimate * 120n / 100n }
+                overrides
             );
 
-            console.log(chalk.yellow(`📡 Transaction sent: ${tx.hash}`));
-            console.log(chalk.yellow('⏳ Waiting for confirmation...'));
+            reporter.info(chalk.yellow(`📡 Transaction sent: ${tx.hash}`));
+            reporter.event('tx.sent', { action: 'sendSessionMessage', hash: tx.hash });
+            reporter.info(chalk.yellow('⏳ Waiting for confirmation...'));
 
             const receipt = await tx.wait();
 
@@ -218,7 +337,9 @@ class BlockchainService {
                 throw new Error('Session transaction failed');
             }
 
-            console.log(chalk.green('✅ Session message sent successfully!'));
+            reporter.event('tx.confirmed', { action: 'sendSessionMessage', hash: receipt.hash, blockNumber: receipt.blockNumber, gasUsed: receipt.gasUsed });
+
+            reporter.info(chalk.green('✅ Session message sent successfully!'));
 
             return {
                 transactionHash: receipt.hash,
@@ -230,18 +351,456 @@ class BlockchainService {
         } catch (error) {
             if (error.code === 'INSUFFICIENT_FUNDS' || error.message.includes('insufficient funds')) {
 
-                const balance = await this.provider.getBalance(this.wallet.address);
-                const balanceEth = ethers.formatEther(balance);
-                this.displayFundingInstructions(this.wallet.address, 50000n, balanceEth);
+                await this.displayFundingShortfall(50000n);
             }
 
-            console.error(chalk.red('❌ Session send failed:'), error.message);
+            reporter.error(chalk.red('❌ Session send failed:'), error.message);
             logger.error('Session send failed', error);
             throw error;
         }
     }
 
 
+    async registerPublicKey(publicKey) {
+        try {
+            const keyRegistry = this.getKeyRegistryContract();
+            const publicKeyBytes = publicKey.startsWith('0x') ? publicKey : '0x' + publicKey;
+
+            reporter.info(chalk.blue('📤 Publishing public key to key registry...'));
+
+            const gasEstimate = await keyRegistry.registerKey.estimateGas(publicKeyBytes);
+
+            const overrides = await this.prepareTransaction(gasEstimate);
+
+
+            const tx = await keyRegistry.registerKey(publicKeyBytes, overrides);
+
+            reporter.info(chalk.yellow(`📡 Transaction sent: ${tx.hash}`));
+            reporter.event('tx.sent', { action: 'registerKey', hash: tx.hash });
+            reporter.info(chalk.yellow('⏳ Waiting for confirmation...'));
+
+            const receipt = await tx.wait();
+
+            if (receipt.status === 0) {
+                throw new Error('Key registration transaction failed');
+            }
+
+            reporter.event('tx.confirmed', { action: 'registerKey', hash: receipt.hash, blockNumber: receipt.blockNumber, gasUsed: receipt.gasUsed });
+
+            return {
+                transactionHash: receipt.hash,
+                gasUsed: receipt.gasUsed.toString(),
+                blockNumber: receipt.blockNumber
+            };
+
+        } catch (error) {
+            reporter.error(chalk.red('❌ Key registration failed:'), error.message);
+            logger.error('Key registration failed', error);
+            throw error;
+        }
+    }
+
+
+    async getRegisteredPublicKey(address) {
+        const keyRegistry = this.getKeyRegistryContract();
+        const publicKey = await keyRegistry.getPublicKey(address);
+
+        if (!publicKey || publicKey === '0x') {
+            return null;
+        }
+
+        return publicKey.slice(2);
+    }
+
+
+    async executeTransaction(contract, methodName, args, description) {
+        const gasEstimate = await contract[methodName].estimateGas(...args);
+        const overrides = await this.prepareTransaction(gasEstimate);
+
+        const tx = await contract[methodName](...args, overrides);
+
+        reporter.info(chalk.yellow(`📡 Transaction sent: ${tx.hash}`));
+        reporter.event('tx.sent', { action: methodName, hash: tx.hash });
+        reporter.info(chalk.yellow('⏳ Waiting for confirmation...'));
+
+        const receipt = await tx.wait();
+
+        if (receipt.status === 0) {
+            throw new Error(`${description} transaction failed`);
+        }
+
+        reporter.event('tx.confirmed', { action: methodName, hash: receipt.hash, blockNumber: receipt.blockNumber, gasUsed: receipt.gasUsed });
+
+        return receipt;
+    }
+
+
+    async createGroup(name, members) {
+        try {
+            const groupChat = this.getGroupChatContract();
+
+            reporter.info(chalk.blue(`📤 Creating group "${name}" with ${members.length} invited members...`));
+
+            const receipt = await this.executeTransaction(groupChat, 'createGroup', [name, members], 'Group creation');
+
+            const createdEvent = receipt.logs
+                .map((log) => {
+                    try {
+                        return groupChat.interface.parseLog(log);
+                    } catch (e) {
+                        return null;
+                    }
+                })
+                .find((parsed) => parsed?.name === 'GroupCreated');
+
+            return {
+                groupId: createdEvent ? createdEvent.args.groupId.toString() : null,
+                transactionHash: receipt.hash,
+                gasUsed: receipt.gasUsed.toString(),
+                blockNumber: receipt.blockNumber
+            };
+
+        } catch (error) {
+            reporter.error(chalk.red('❌ Group creation failed:'), error.message);
+            logger.error('Group creation failed', error);
+            throw error;
+        }
+    }
+
+
+    async updateGroupMembers(groupId, members, action) {
+        try {
+            const groupChat = this.getGroupChatContract();
+            const methodName = action === 'remove' ? 'removeMember' : 'addMember';
+            const results = [];
+
+            for (const member of members) {
+                reporter.info(chalk.blue(`📤 ${action === 'remove' ? 'Removing' : 'Inviting'} ${member}...`));
+
+                const receipt = await this.executeTransaction(groupChat, methodName, [groupId, member], 'Group membership');
+
+                results.push( {
+                    member,
+                    transactionHash: receipt.hash,
+                    gasUsed: receipt.gasUsed.toString()
+                });
+            }
+
+            return results;
+
+        } catch (error) {
+            reporter.error(chalk.red('❌ Group membership update failed:'), error.message);
+            logger.error('Group membership update failed', error);
+            throw error;
+        }
+    }
+
+
+    async distributeSenderKey(groupId, epoch, keys) {
+        try {
+            reporter.info(chalk.blue('📤 Distributing sender key to group members...'));
+
+            const receipt = await this.executeTransaction(
+                this.getGroupChatContract(),
+                'distributeSenderKey',
+                [groupId, epoch, keys],
+                'Sender key distribution'
+            );
+
+            return {
+                transactionHash: receipt.hash,
+                gasUsed: receipt.gasUsed.toString(),
+                blockNumber: receipt.blockNumber
+            };
+
+        } catch (error) {
+            reporter.error(chalk.red('❌ Sender key distribution failed:'), error.message);
+            logger.error('Sender key distribution failed', error);
+            throw error;
+        }
+    }
+
+
+    async sendGroupMessage(groupId, encryptedContent, expiry = 0) {
+        try {
+            reporter.info(chalk.blue('📤 Sending message to group...'));
+
+            const receipt = await this.executeTransaction(
+                this.getGroupChatContract(),
+                'sendMessage',
+                [groupId, encryptedContent, expiry],
+                'Group message'
+            );
+
+            reporter.info(chalk.green('✅ Group message sent successfully!'));
+
+            return {
+                transactionHash: receipt.hash,
+                gasUsed: receipt.gasUsed.toString(),
+                blockNumber: receipt.blockNumber
+            };
+
+        } catch (error) {
+            reporter.error(chalk.red('❌ Group send failed:'), error.message);
+            logger.error('Group send failed', error);
+            throw error;
+        }
+    }
+
+
+    async getGroupInfo(groupId) {
+        const info = await this.getGroupChatContract().getGroupInfo(groupId);
+
+        return {
+            groupId: groupId.toString(),
+            owner: info.owner,
+            name: info.name,
+            memberCount: Number(info.memberCount),
+            messageCount: Number(info.messageCount),
+            epoch: Number(info.epoch),
+            createdAt: Number(info.createdAt),
+            createdBlock: Number(info.createdBlock)
+        };
+    }
+
+
+    async addReaction(messageId, reaction) {
+        try {
+            reporter.info(chalk.blue(`📤 Reacting to message #${messageId}...`));
+
+            const receipt = await this.executeTransaction(this.chatContract, 'addReaction', [messageId, reaction], 'Reaction');
+
+            reporter.info(chalk.green('✅ Reaction added'));
+
+            return {
+                transactionHash: receipt.hash,
+                gasUsed: receipt.gasUsed.toString(),
+                blockNumber: receipt.blockNumber
+            };
+
+        } catch (error) {
+            reporter.error(chalk.red('❌ Reaction failed:'), error.message);
+            logger.error('Reaction failed', error);
+            throw error;
+        }
+    }
+
+
+    async getReactionEvents(messageIds, fromBlock = 0) {
+        const reactions = [];
+
+        // Indexed topics accept an OR-list; batch it to keep filters a sane size
+        for (let i = 0; i < messageIds.length; i += 100) {
+            const batch = messageIds.slice(i, i + 100);
+            const events = await this.chatContract.queryFilter(
+                this.chatContract.filters.MessageReaction(batch),
+                fromBlock
+            );
+
+            events.forEach((event) => reactions.push( {
+                messageId: event.args.messageId.toString(),
+                reactor: event.args.reactor,
+                reaction: event.args.reaction,
+                timestamp: Number(event.args.timestamp),
+                blockNumber: event.blockNumber,
+                transactionHash: event.transactionHash
+            }));
+        }
+
+        return reactions;
+    }
+
+
+    async getGroupEvents(groupId, fromBlock = 0) {
+        const groupChat = this.getGroupChatContract();
+
+        const [distributionEvents, messageEvents] = await Promise.all([
+            groupChat.queryFilter(groupChat.filters.SenderKeyDistributed(groupId), fromBlock),
+            groupChat.queryFilter(groupChat.filters.GroupMessage(groupId), fromBlock)
+        ]);
+
+        const distributions = distributionEvents.map((event) => ( {
+            from: event.args.from,
+            epoch: Number(event.args.epoch),
+            keys: event.args.keys,
+            timestamp: Number(event.args.timestamp),
+            blockNumber: event.blockNumber,
+            transactionHash: event.transactionHash
+        }));
+
+        const messages = messageEvents.map((event) => ( {
+            messageId: event.args.messageIndex.toString(),
+            from: event.args.from,
+            to: null,
+            cid: event.args.cid,
+            timestamp: Number(event.args.timestamp),
+            expiry: Number(event.args.expiry),
+            epoch: Number(event.args.epoch),
+            isMedia: false,
+            messageType: 'text',
+            source: 'group',
+            groupId: groupId.toString(),
+            blockNumber: event.blockNumber,
+            transactionHash: event.transactionHash
+        }));
+
+        return { distributions, messages };
+    }
+
+
+    /**
+     * `queryFilter` over a block range in LOG_CHUNK_SIZE-block chunks; a chunk the RPC rejects as
+     * too large is retried in SMALL_LOG_CHUNK_SIZE-block chunks. `onChunk` gets each chunk's first block.
+     */
+    async queryFilterChunked(contract, filter, fromBlock, toBlock, onChunk = null) {
+        const events = [];
+
+        for (let block = fromBlock; block <= toBlock; block += LOG_CHUNK_SIZE) {
+            const chunkEnd = Math.min(block + LOG_CHUNK_SIZE - 1, toBlock);
+
+            try {
+                events.push(...await contract.queryFilter(filter, block, chunkEnd));
+            } catch (rangeError) {
+                if (!rangeError.message.includes('too large') && !rangeError.message.includes('range')) {
+                    throw rangeError;
+                }
+
+                reporter.info(chalk.yellow(`   🔄 RPC limit reached, retrying blocks ${block}-${chunkEnd} in ${SMALL_LOG_CHUNK_SIZE}-block chunks...`));
+
+                for (let smallBlock = block; smallBlock <= chunkEnd; smallBlock += SMALL_LOG_CHUNK_SIZE) {
+                    events.push(...await contract.queryFilter(filter, smallBlock, Math.min(smallBlock + SMALL_LOG_CHUNK_SIZE - 1, chunkEnd)));
+                }
+            }
+
+            onChunk?.(block);
+        }
+
+        return events;
+    }
+
+
+    /**
+     * Transactions signed by `address`, to recover its public key from. The contracts index the
+     * address's messages and sessions, and each one's timestamp narrows its log to a few blocks, so
+     * no query spans the whole chain; otherwise the last `maxBlocksToScan` blocks are searched.
+     * Throws when a lookup failed and nothing was found, rather than reporting "no transactions".
+     */
+    async findTransactionHashesFrom(address, maxBlocksToScan = 200) {
+        const nonce = await this.provider.getTransactionCount(address);
+        if (nonce === 0) {
+            return [];
+        }
+
+        const normalizedAddress = address.toLowerCase();
+        const failures = [];
+
+        const findNear = async (timestamp, contract, filter) => {
+            const fromBlock = await this.findBlockByTimestamp(timestamp);
+            const events = await this.queryFilterChunked(contract, filter, fromBlock, fromBlock + TIMESTAMP_BLOCK_WINDOW);
+            return events.map((event) => event.transactionHash);
+        };
+
+
+        try {
+            // Newest first: recent blocks are the likeliest to still be served by the RPC
+            for (const messageId of (await this.getUserMessageIds(address)).reverse()) {
+                const message = await this.getMessageById(messageId);
+                if (message.from.toLowerCase() !== normalizedAddress) {
+                    continue;
+                }
+
+                const hashes = await findNear(message.timestamp, this.chatContract, this.chatContract.filters.MessageSent(address));
+                if (hashes.length > 0) {
+                    return hashes;
+                }
+            }
+        } catch (error) {
+            failures.push(`message lookup: ${error.message.split('\n')[0]}`);
+        }
+
+        try {
+            for (const { sessionAddress } of (await this.getUserSessionIds(address)).reverse()) {
+                const session = await this.getSessionInfo(sessionAddress);
+                if (session.participant1.toLowerCase() !== normalizedAddress) {
+                    continue;
+                }
+
+                const hashes = await findNear(session.createdAt, this.factoryContract, this.factoryContract.filters.ChatSessionCreated(sessionAddress, address));
+                if (hashes.length > 0) {
+                    return hashes;
+                }
+            }
+        } catch (error) {
+            failures.push(`session lookup: ${error.message.split('\n')[0]}`);
+        }
+
+
+        const hashes = new Set();
+        const currentBlock = await this.provider.getBlockNumber();
+        const startBlock = Math.max(currentBlock - maxBlocksToScan, 0);
+
+        for (let blockNumber = currentBlock; blockNumber >= startBlock && hashes.size === 0; blockNumber--) {
+            try {
+                const block = await this.provider.getBlock(blockNumber, true);
+                block?.prefetchedTransactions
+                    .filter((tx) => tx.from?.toLowerCase() === normalizedAddress)
+                    .forEach((tx) => hashes.add(tx.hash));
+            } catch (error) {
+                logger.debug(`Block ${blockNumber} scan failed: ${error.message}`);
+            }
+        }
+
+        if (hashes.size === 0 && failures.length > 0) {
+            throw new Error(`Transaction lookup for ${address} failed (${failures.join('; ')})`);
+        }
+
+        return Array.from(hashes);
+    }
+
+
+    async getMessageById(messageId) {
+        const messageData = await this.chatContract.getMessage(messageId);
+
+        return {
+            messageId: messageId.toString(),
+            from: messageData.from,
+            to: messageData.to,
+            cid: messageData.cid,
+            timestamp: Number(messageData.timestamp),
+            expiry: Number(messageData.expiry),
+            isMedia: messageData.isMedia,
+            messageType: messageData.messageType,
+            conversationHash: messageData.conversationHash,
+            source: 'main'
+        };
+    }
+
+
+    /**
+     * Main-contract messages sent or received by `address` in a block range, from their
+     * MessageSent logs, each with the block and transaction it was mined in
+     */
+    async getMessageEvents(address, fromBlock, toBlock) {
+        const filters = [
+            this.chatContract.filters.MessageSent(address),
+            this.chatContract.filters.MessageSent(null, address)
+        ];
+
+        const events = new Map();
+        for (const filter of filters) {
+            for (const event of await this.chatContract.queryFilter(filter, fromBlock, toBlock)) {
+                events.set(event.args.messageId.toString(), {
+                    messageId: event.args.messageId.toString(),
+                    blockNumber: event.blockNumber,
+                    transactionHash: event.transactionHash
+                });
+            }
+        }
+
+        return Array.from(events.values()).sort((a, b) => Number(a.messageId) - Number(b.messageId));
+    }
+
+
     async getConversationMessages(otherAddress) {
         try {
             const conversationHash = await this.chatContract.generateConversationHash(
@@ -254,19 +813,7 @@ class BlockchainService {
             const messages = [];
             for (const messageId of messageIds) {
                 try {
-                    const messageData = await this.chatContract.getMessage(messageId);
-                    messages.push( {
-                        messageId: messageId.toString(),
-                        from: messageData.from,
-                        to: messageData.to,
-                        cid: messageData.cid,
-                        timestamp: Number(messageData.timestamp),
-                        expiry: Number(messageData.expiry),
-                        isMedia: messageData.isMedia,
-                        messageType: messageData.messageType,
-                        conversationHash: messageData.conversationHash,
-                        source: 'main'
-                    });
+                    messages.push(await this.getMessageById(messageId));
                 } catch (msgError) {
                     logger.warn(`Failed to fetch message ${messageId}: ${msgError.message}`);
                 }
@@ -275,13 +822,233 @@ class BlockchainService {
             return messages;
 
         } catch (error) {
-            console.error(chalk.red('❌ Failed to get conversation messages:'), error.message);
+            reporter.error(chalk.red('❌ Failed to get conversation messages:'), error.message);
             throw error;
         }
     }
 
 
-    async getSessionMessages(sessionAddress, fromBlock = 0) {
+    async getUserMessageIds(address = this.wallet.address) {
+        const messageIds = await this.chatContract.getUserMessages(address);
+        return messageIds.map((messageId) => messageId.toString());
+    }
+
+
+    async getUserSessionContracts(address = this.wallet.address) {
+        return (await this.getUserSessionIds(address)).map(({ sessionAddress }) => sessionAddress);
+    }
+
+
+    /**
+     * The factory's bytes32 session IDs for a user, each with its session contract
+     */
+    async getUserSessionIds(address = this.wallet.address) {
+        const sessionIds = await this.factoryContract.getUserSessions(address);
+        const sessions = [];
+
+        for (const sessionId of sessionIds) {
+            const sessionAddress = await this.factoryContract.getSessionContract(sessionId);
+            if (sessionAddress !== ethers.ZeroAddress) {
+                sessions.push({ sessionId, sessionAddress });
+            }
+        }
+
+        return sessions;
+    }
+
+    async getSessionInfo(sessionAddress) {
+        const sessionABI = [
+            "function getSessionInfo() external view returns (address p1, address p2, uint256 messages, bool active, uint256 created, uint256 lastMsg, uint256 expiry, uint256 remaining)",
+            "function sessionActive() external view returns (bool)"
+        ];
+
+        const sessionContract = new ethers.Contract(sessionAddress, sessionABI, this.provider);
+        const [info, sessionActive] = await Promise.all([sessionContract.getSessionInfo(), sessionContract.sessionActive()]);
+
+        // `active` is false both for closed and for expired sessions; `closed` tells them apart
+        return {
+            sessionAddress,
+            participant1: info.p1,
+            participant2: info.p2,
+            messageCount: Number(info.messages),
+            active: info.active,
+            createdAt: Number(info.created),
+            lastActivity: Number(info.lastMsg),
+            expiry: Number(info.expiry),
+            remaining: Number(info.remaining),
+            closed: !sessionActive
+        };
+    }
+
+
+    async closeSession(sessionAddress) {
+        try {
+            const sessionContract = new ethers.Contract(sessionAddress, ["function closeSession() external"], this.wallet);
+
+            reporter.info(chalk.blue(`🔒 Closing session ${sessionAddress}...`));
+
+            const receipt = await this.executeTransaction(sessionContract, 'closeSession', [], 'Session close');
+
+            return {
+                transactionHash: receipt.hash,
+                gasUsed: receipt.gasUsed.toString(),
+                blockNumber: receipt.blockNumber
+            };
+
+        } catch (error) {
+            reporter.error(chalk.red('❌ Closing session failed:'), error.message);
+            logger.error('Session close failed', error);
+            throw error;
+        }
+    }
+
+
+    /**
+     * Whether the code deployed at `address` dispatches `signature`. Contracts deployed before a
+     * signature change revert every call to the new one with no reason, so this gives a clear error instead.
+     */
+    async hasFunction(address, signature) {
+        const code = await this.provider.getCode(address);
+        return code.includes(ethers.id(signature).slice(2, 10));
+    }
+
+
+    /**
+     * Fail with redeploy instructions when the configured factory predates session durations
+     */
+    async checkSessionFactory() {
+        if (this.sessionFactoryChecked) {
+            return;
+        }
+
+        if (!await this.hasFunction(this.factoryContractAddress, 'createChatSession(address,uint256)')) {
+            throw new Error(`The ChatFactory at ${this.factoryContractAddress} on ${this.networkConfig.name} does not support session durations. ` +
+                'Redeploy the contracts (npx hardhat run scripts/deploy.js --network sepolia-scroll) or set FACTORY_CONTRACT_ADDRESS to an up-to-date factory');
+        }
+
+        this.sessionFactoryChecked = true;
+    }
+
+
+    async extendSession(sessionAddress, duration) {
+        try {
+            if (!await this.hasFunction(sessionAddress, 'extendSession(uint256)')) {
+                throw new Error(`Session ${sessionAddress} was created by a factory without extendSession; open a new session instead`);
+            }
+
+            const sessionContract = new ethers.Contract(sessionAddress, ["function extendSession(uint256 duration) external"], this.wallet);
+
+            reporter.info(chalk.blue(`⏳ Extending session ${sessionAddress} by ${Math.round(duration / 60)} minutes...`));
+
+            const receipt = await this.executeTransaction(sessionContract, 'extendSession', [duration], 'Session extension');
+            const { expiry } = await this.getSessionInfo(sessionAddress);
+
+            return {
+                transactionHash: receipt.hash,
+                gasUsed: receipt.gasUsed.toString(),
+                blockNumber: receipt.blockNumber,
+                expiry
+            };
+
+        } catch (error) {
+            reporter.error(chalk.red('❌ Extending session failed:'), error.message);
+            logger.error('Session extension failed', error);
+            throw error;
+        }
+    }
+
+
+    async cleanupExpiredSessions(sessionIds) {
+        try {
+            reporter.info(chalk.blue(`🧹 Marking ${sessionIds.length} expired sessions inactive...`));
+
+            const receipt = await this.executeTransaction(this.factoryContract, 'cleanupExpiredSessions', [sessionIds], 'Session cleanup');
+
+            return {
+                transactionHash: receipt.hash,
+                gasUsed: receipt.gasUsed.toString(),
+                blockNumber: receipt.blockNumber
+            };
+
+        } catch (error) {
+            reporter.error(chalk.red('❌ Session cleanup failed:'), error.message);
+            logger.error('Session cleanup failed', error);
+            throw error;
+        }
+    }
+
+
+    /**
+     * First block from `low` on with a timestamp at or after `timestamp`, or head + 1 if there is
+     * none yet (binary search, ~log2(head - low) block reads)
+     */
+    async findBlockByTimestamp(timestamp, low = 0) {
+        let high = await this.provider.getBlockNumber() + 1;
+
+        while (low < high) {
+            const middle = Math.floor((low + high) / 2);
+            const block = await this.provider.getBlock(middle);
+
+            if (block.timestamp < timestamp) {
+                low = middle + 1;
+            } else {
+                high = middle;
+            }
+        }
+
+        return low;
+    }
+
+
+    /**
+     * Block in which a session was created, read from the factory's ChatSessionCreated event
+     * (indexed by session contract, so one query covers the whole chain). RPCs that cap log ranges
+     * reject that query; then `createdAt` narrows the search to the blocks sharing that timestamp,
+     * and the first of them is still a safe place to start scanning if the event cannot be read.
+     */
+    async getSessionCreationBlock(sessionAddress, createdAt) {
+        const filter = this.factoryContract.filters.ChatSessionCreated(sessionAddress);
+
+        try {
+            const events = await this.factoryContract.queryFilter(filter);
+            if (events.length > 0) {
+                return events[0].blockNumber;
+            }
+        } catch (error) {
+            logger.debug(`Full-range ChatSessionCreated lookup failed for ${sessionAddress}: ${error.message}`);
+        }
+
+        const firstBlock = await this.findBlockByTimestamp(createdAt);
+
+        try {
+            const events = await this.factoryContract.queryFilter(
+                filter,
+                firstBlock,
+                firstBlock + TIMESTAMP_BLOCK_WINDOW
+            );
+
+            return events.length > 0 ? events[0].blockNumber : firstBlock;
+        } catch (error) {
+            logger.debug(`ChatSessionCreated lookup failed for ${sessionAddress}: ${error.message}`);
+            return firstBlock;
+        }
+    }
+
+
+    /**
+     * Last block a closed or expired session can hold messages in: the last one stamped at or
+     * before its `lastActivity`. Null while the session can still receive messages.
+     */
+    async getSessionEndBlock(session, fromBlock = 0) {
+        if (session.active) {
+            return null;
+        }
+
+        return await this.findBlockByTimestamp(session.lastActivity + 1, fromBlock) - 1;
+    }
+
+
+    async getSessionMessages(sessionAddress, fromBlock = 0, toBlock = 'latest') {
         try {
             const sessionABI = [
                 "event MessageSent(address indexed from, string cid, uint256 timestamp, uint256 expiry, uint256 messageIndex, bool isMedia, string messageType)"
@@ -290,7 +1057,7 @@ class BlockchainService {
             const sessionContract = new ethers.Contract(sessionAddress, sessionABI, this.provider);
 
             const filter = sessionContract.filters.MessageSent();
-            const events = await sessionContract.queryFilter(filter, fromBlock);
+            const events = await sessionContract.queryFilter(filter, fromBlock, toBlock);
 
             const messages = events.map((event, index) => ( {
                 messageId: event.args.messageIndex.toString(),
@@ -310,7 +1077,7 @@ class BlockchainService {
             return messages;
 
         } catch (error) {
-            console.error(chalk.red('❌ Failed to get session messages:'), error.message);
+            reporter.error(chalk.red('❌ Failed to get session messages:'), error.message);
             throw error;
         }
     }
@@ -321,7 +1088,7 @@ class BlockchainService {
             const balance = await this.provider.getBalance(this.wallet.address);
             return ethers.formatEther(balance);
         } catch (error) {
-            console.error(chalk.red('❌ Failed to get balance:'), error.message);
+            reporter.error(chalk.red('❌ Failed to get balance:'), error.message);
             throw error;
         }
     }
@@ -336,10 +1103,10 @@ class BlockchainService {
                 name: this.networkConfig.name,
                 chainId: Number(network.chainId),
                 blockNumber,
-                rpcUrl: this.networkConfig.rpcUrl
+                rpcUrl: this.provider.activeUrl ?? this.networkConfig.rpcUrl
             };
         } catch (error) {
-            console.error(chalk.red('❌ Failed to get network info:'), error.message);
+            reporter.error(chalk.red('❌ Failed to get network info:'), error.message);
             throw error;
         }
     }
@@ -0,0 +1,357 @@
+const fs = require('fs');
+const chalk = require('chalk');
+const { ethers } = require('ethers');
+const EncryptionService = require('./encryption');
+const IPFSService = require('./ipfs');
+const SessionManager = require('./sessionManager');
+const RatchetService = require('./ratchet');
+const AttachmentService = require('./attachments');
+const ReactionService = require('./reactions');
+const MessageCache = require('./messageCache');
+const reporter = require('../utils/reporter');
+
+
+const SESSION_EVENT_ABI = [
+    "event MessageSent(address indexed from, string cid, uint256 timestamp, uint256 expiry, uint256 messageIndex, bool isMedia, string messageType)"
+];
+
+/**
+ * One-to-one conversation with a peer across the main contract and session contracts:
+ * sending, loading history, decrypting and watching for new messages.
+ */
+class ConversationService {
+    constructor(blockchainService, wallet, storage) {
+        this.blockchain = blockchainService;
+        this.wallet = wallet;
+        this.storage = storage;
+        this.address = wallet.address.toLowerCase();
+
+        this.sessionManager = new SessionManager(blockchainService, wallet);
+        this.ratchetService = new RatchetService(wallet);
+        this.attachmentService = new AttachmentService(storage);
+        this.reactionService = new ReactionService(blockchainService, wallet, storage);
+        this.cache = new MessageCache(blockchainService, wallet, storage);
+    }
+
+
+    async sendMessage(peerAddress, { message, attachPath = null, session = false, expiry = 0, sessionDuration }) {
+        // Before a session contract or anything else is paid for
+        await this.storage.ensureReady();
+
+        let plaintext = message;
+        let messageType = 'text';
+
+        if (attachPath) {
+            const attachment = await this.attachmentService.encryptFile(attachPath, message || '');
+            plaintext = attachment.payload;
+            messageType = attachment.mimeType;
+        }
+
+        const currentTime = Math.floor(Date.now() / 1000);
+        const absoluteExpiry = expiry > 0 ? currentTime + expiry : 0;
+
+        let result;
+
+        if (session) {
+
+            // Resolve the peer key before paying for a session contract
+            await EncryptionService.resolvePublicKey(peerAddress);
+
+            reporter.info(chalk.blue('🔒 Using private session...'));
+            const sessionInfo = await this.sessionManager.getOrCreateSession(peerAddress, { duration: sessionDuration });
+
+
+            if (sessionInfo.existed && !await this.ratchetService.hasState(sessionInfo.contractAddress)) {
+                reporter.info(chalk.blue('🔄 Syncing session handshake...'));
+                const sessionMessages = await this.getSessionMessages(sessionInfo.contractAddress);
+                await this.storage.resolveMessages(sessionMessages);
+                await this.ratchetService.decryptSessionMessages(sessionMessages);
+            }
+
+            const encryptedMessage = await this.ratchetService.encrypt(
+                sessionInfo.contractAddress,
+                peerAddress,
+                plaintext
+            );
+
+            const cid = await this.storage.uploadEncryptedContent(encryptedMessage);
+
+            reporter.info(chalk.green('✅ Content processed'));
+
+            result = await this.blockchain.sendSessionMessage(
+                sessionInfo.contractAddress,
+                cid,
+                absoluteExpiry,
+                messageType !== 'text',
+                messageType
+            );
+
+            result.sessionInfo = sessionInfo;
+        } else {
+            reporter.info(chalk.blue('🔐 Encrypting message...'));
+
+            const encryptedMessage = await EncryptionService.encryptForRecipient(
+                plaintext,
+                this.wallet.privateKey,
+                peerAddress,
+                { senderCopy: true }
+            );
+
+            const cid = await this.storage.uploadEncryptedContent(encryptedMessage);
+
+            reporter.info(chalk.green('✅ Content processed'));
+
+            reporter.info(chalk.blue('📨 Sending message...'));
+            result = await this.blockchain.sendMessageWithMedia(
+                peerAddress,
+                cid,
+                absoluteExpiry,
+                messageType
+            );
+        }
+
+        result.messageType = messageType;
+        result.expiry = absoluteExpiry;
+        result.plaintext = plaintext;
+        return result;
+    }
+
+
+    /**
+     * What sending a message would cost in standard and in session mode, without encrypting,
+     * uploading or sending anything. Every CID has the same length, so a locally computed one
+     * puts exactly as much calldata on-chain as the real upload would.
+     */
+    async estimateMessage(peerAddress, { message, attachPath = null, expiry = 0, sessionDuration }) {
+        // Both modes need the peer's key; fail here rather than after the estimate
+        await EncryptionService.resolvePublicKey(peerAddress);
+
+        const messageType = attachPath ? AttachmentService.detectMimeType(attachPath, fs.readFileSync(attachPath)) : 'text';
+        const cid = IPFSService.computeCid(Buffer.from(message || ''));
+
+        const currentTime = Math.floor(Date.now() / 1000);
+        const absoluteExpiry = expiry > 0 ? currentTime + expiry : 0;
+
+        const fees = await this.blockchain.feeStrategy.getFees();
+        const price = (steps) => steps.map((step) => ({
+            ...step,
+            ...(step.gas === null ? { cost: null, maxCost: null } : this.blockchain.feeStrategy.getCost(step.gas, fees))
+        }));
+
+
+        reporter.info(chalk.blue('📨 Estimating standard mode...'));
+        const standard = price([
+            { action: 'sendMessage', gas: await this.blockchain.estimateMessageGas(peerAddress, cid, absoluteExpiry, messageType) }
+        ]);
+
+        reporter.info(chalk.blue('🔒 Estimating session mode...'));
+        const session = price(await this.sessionManager.estimateSessionMessage(peerAddress, {
+            duration: sessionDuration,
+            cid,
+            expiry: absoluteExpiry,
+            messageType
+        }));
+
+        return { fees, messageType, standard, session };
+    }
+
+
+    /**
+     * Sync the local message cache, falling back to what is already cached when the network fails
+     */
+    async syncCache() {
+        reporter.info(chalk.blue('🗄️  Syncing local message cache...'));
+        try {
+            const added = await this.cache.sync();
+            reporter.info(chalk.gray(`   ${added} new messages since last sync`));
+        } catch (error) {
+            await this.cache.load();
+            reporter.warn(chalk.yellow(`   ⚠️  Sync failed, showing cached messages: ${error.message.split('\n')[0]}`));
+        }
+    }
+
+
+    /**
+     * Messages of one session read from the chain, or from the synced cache when that read fails
+     */
+    async getSessionMessages(sessionAddress) {
+        try {
+            return await this.sessionManager.getSessionHistory(sessionAddress);
+        } catch (error) {
+            reporter.warn(chalk.yellow(`   ⚠️  Session history unavailable, using cached messages: ${error.message.split('\n')[0]}`));
+            await this.syncCache();
+
+            return Object.values(this.cache.data.sessions)
+                .filter((session) => session.sessionAddress.toLowerCase() === sessionAddress.toLowerCase())
+                .flatMap((session) => session.messages.map((message) => ({ ...message })));
+        }
+    }
+
+
+    async loadMessages(peerAddress) {
+        await this.syncCache();
+
+        const { mainMessages: standardMessages, sessionMessages } = this.cache.getConversation(peerAddress, { unconfirmed: true });
+        reporter.info(chalk.gray(`   Found ${standardMessages.length} messages in main contract`));
+        reporter.info(chalk.gray(`   Found ${sessionMessages.length} messages in sessions`));
+
+
+        let reactionSummaries = new Map();
+        try {
+            reactionSummaries = await this.reactionService.getReactionSummaries(standardMessages.map((message) => message.messageId));
+        } catch (error) {
+            reporter.warn(chalk.yellow(`   ⚠️  Reactions unavailable: ${error.message.split('\n')[0]}`));
+        }
+
+
+        const messages = [...standardMessages, ...sessionMessages];
+        await this.decryptMessages(messages, peerAddress);
+        messages.sort((a, b) => a.timestamp - b.timestamp);
+
+        return { messages, reactionSummaries };
+    }
+
+
+    /**
+     * Fetch and decrypt content in place: sets `content` on success or `decryptError` on failure
+     */
+    async decryptMessages(messages, peerAddress) {
+        await this.storage.resolveMessages(messages);
+
+        const ratchetPlaintexts = await this.ratchetService.decryptSessionMessages(
+            messages.filter((message) => message.source === 'session')
+        );
+
+        for (const message of messages) {
+            const isFromMe = message.from.toLowerCase() === this.address;
+
+            try {
+                if (message.storageError) {
+                    throw new Error(message.storageError);
+                } else if (RatchetService.isRatchetPayload(message.cid)) {
+                    const plaintext = ratchetPlaintexts.get(message.transactionHash);
+                    if (plaintext === null || plaintext === undefined) {
+                        throw new Error('Ratchet keys for this message are not available on this device');
+                    }
+                    message.content = plaintext;
+                } else if (isFromMe && EncryptionService.isForwardSecretEnvelope(message.cid)) {
+                    message.content = await EncryptionService.decryptSentMessage(
+                        message.cid,
+                        this.wallet.privateKey,
+                        peerAddress
+                    );
+                } else {
+                    message.content = await EncryptionService.decryptFromSender(
+                        message.cid,
+                        this.wallet.privateKey,
+                        peerAddress
+                    );
+                }
+            } catch (error) {
+                message.decryptError = error.message.split('\n')[0];
+            }
+        }
+
+        return messages;
+    }
+
+
+    /**
+     * Stream new messages from the peer on the main contract and on every session contract
+     * between us (including sessions created while watching). Returns a function that stops watching.
+     */
+    async watch(peerAddress, onMessage) {
+        const peer = ethers.getAddress(peerAddress);
+        const subscriptions = [];
+        const watchedSessions = new Set();
+
+        // ethers drops the promise a listener returns, so a failure in one must not escape as an unhandled rejection
+        const subscribe = (contract, filter, listener) => {
+            const guarded = async (...args) => {
+                try {
+                    await listener(...args);
+                } catch (error) {
+                    reporter.warn(chalk.yellow(`⚠️  Could not process chain event: ${error.message.split('\n')[0]}`));
+                }
+            };
+
+            contract.on(filter, guarded);
+            subscriptions.push(() => contract.off(filter, guarded));
+        };
+
+        const deliver = async (message) => {
+            if (message.from.toLowerCase() === this.address) {
+                return;
+            }
+
+            try {
+                await this.decryptMessages([message], peer);
+                await onMessage(message);
+            } catch (error) {
+                reporter.warn(chalk.yellow(`⚠️  Could not process incoming message: ${error.message.split('\n')[0]}`));
+            }
+        };
+
+
+        const conversationHash = await this.blockchain.chatContract.generateConversationHash(this.wallet.address, peer);
+
+        subscribe(
+            this.blockchain.chatContract,
+            this.blockchain.chatContract.filters.MessageSent(null, null, null, null, null, null, conversationHash),
+            async (...args) => {
+                const payload = args[args.length - 1];
+                const message = await this.blockchain.getMessageById(payload.args.messageId);
+                message.transactionHash = payload.log.transactionHash;
+                await deliver(message);
+            }
+        );
+
+
+        const watchSession = (sessionAddress) => {
+            const normalized = sessionAddress.toLowerCase();
+            if (sessionAddress === ethers.ZeroAddress || watchedSessions.has(normalized)) {
+                return;
+            }
+            watchedSessions.add(normalized);
+
+            const sessionContract = new ethers.Contract(sessionAddress, SESSION_EVENT_ABI, this.blockchain.provider);
+
+            subscribe(sessionContract, sessionContract.filters.MessageSent(peer), async (...args) => {
+                const payload = args[args.length - 1];
+                await deliver( {
+                    messageId: payload.args.messageIndex.toString(),
+                    from: payload.args.from,
+                    to: null,
+                    cid: payload.args.cid,
+                    timestamp: Number(payload.args.timestamp),
+                    expiry: Number(payload.args.expiry),
+                    isMedia: payload.args.isMedia,
+                    messageType: payload.args.messageType,
+                    source: 'session',
+                    sessionAddress,
+                    blockNumber: payload.log.blockNumber,
+                    transactionHash: payload.log.transactionHash
+                });
+            });
+        };
+
+        for (const session of await this.sessionManager.getSessionsWith(peer)) {
+            if (!session.closed) {
+                watchSession(session.sessionAddress);
+            }
+        }
+
+        const factory = this.blockchain.factoryContract;
+        const onSessionCreated = (...args) => watchSession(args[args.length - 1].args.sessionContract);
+        subscribe(factory, factory.filters.ChatSessionCreated(null, this.wallet.address, peer), onSessionCreated);
+        subscribe(factory, factory.filters.ChatSessionCreated(null, peer, this.wallet.address), onSessionCreated);
+
+        return async () => {
+            for (const unsubscribe of subscriptions) {
+                await unsubscribe();
+            }
+        };
+    }
+}
+
+module.exports = ConversationService;
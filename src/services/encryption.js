@@ -1,12 +1,25 @@
 const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
 const { ethers } = require('ethers');
 const chalk = require('chalk');
 
 
 const _sodium = require('libsodium-wrappers');
+const reporter = require('../utils/reporter');
+
+
+const ENVELOPE_VERSION = '4.0';
+const ENVELOPE_KDF_INFO = 'ChainWhisper envelope v4';
+
+// scrypt cost for passphrase-protected files (about 128 MB and half a second)
+const PASSPHRASE_KDF = { N: 2 ** 17, r: 8, p: 1 };
 
 class EncryptionService {
     static sodium = null;
+    static blockchain = null;
+    static publicKeyCache = null;
+    static publicKeyCachePath = path.join(process.cwd(), '.chainwhisper', 'public-keys.json');
 
 
     static async initialize() {
@@ -25,72 +38,219 @@ class EncryptionService {
             const publicKey = wallet.signingKey.publicKey;
             return publicKey.slice(4);
         } catch (error) {
-            console.error(chalk.red('❌ Public key derivation failed:'), error.message);
+            reporter.error(chalk.red('❌ Public key derivation failed:'), error.message);
             throw error;
         }
     }
 
 
-    static generateSharedSecret(privateKeyHex, publicKeyHex) {
-        try {
-            const cleanPrivateKey = privateKeyHex.startsWith('0x') ? privateKeyHex.slice(2) : privateKeyHex;
-            const cleanPublicKey = publicKeyHex.startsWith('0x') ? publicKeyHex.slice(2) : publicKeyHex;
+    static computeECDH(privateKeyHex, publicKeyHex) {
+        const cleanPrivateKey = privateKeyHex.startsWith('0x') ? privateKeyHex.slice(2) : privateKeyHex;
+        const cleanPublicKey = publicKeyHex.startsWith('0x') ? publicKeyHex.slice(2) : publicKeyHex;
 
-            const ecdh = crypto.createECDH('secp256k1');
-            ecdh.setPrivateKey(Buffer.from(cleanPrivateKey, 'hex'));
+        const ecdh = crypto.createECDH('secp256k1');
+        ecdh.setPrivateKey(Buffer.from(cleanPrivateKey, 'hex'));
 
-            let publicKeyBuffer;
-            if (cleanPublicKey.length === 128) {
-                publicKeyBuffer = Buffer.from('04' + cleanPublicKey, 'hex');
-            } else if (cleanPublicKey.length === 130 && cleanPublicKey.startsWith('04')) {
-                publicKeyBuffer = Buffer.from(cleanPublicKey, 'hex');
-            } else {
-                throw new Error(`Invalid public key format. Length: ${cleanPublicKey.length}`);
-            }
+        let publicKeyBuffer;
+        if (cleanPublicKey.length === 128) {
+            publicKeyBuffer = Buffer.from('04' + cleanPublicKey, 'hex');
+        } else if (cleanPublicKey.length === 130 && cleanPublicKey.startsWith('04')) {
+            publicKeyBuffer = Buffer.from(cleanPublicKey, 'hex');
+        } else {
+            throw new Error(`Invalid public key format. Length: ${cleanPublicKey.length}`);
+        }
 
-            const sharedSecret = ecdh.computeSecret(publicKeyBuffer);
+        return ecdh.computeSecret(publicKeyBuffer);
+    }
+
+
+    static generateSharedSecret(privateKeyHex, publicKeyHex) {
+        try {
+            const sharedSecret = this.computeECDH(privateKeyHex, publicKeyHex);
             const derivedKey = crypto.createHash('sha256').update(sharedSecret).digest();
 
             return derivedKey;
         } catch (error) {
-            console.error(chalk.red('❌ ECDH shared secret generation failed:'), error.message);
+            reporter.error(chalk.red('❌ ECDH shared secret generation failed:'), error.message);
             throw error;
         }
     }
 
 
-    static getRecipientPrivateKeyForTesting(recipientAddress) {
-        const testingKeys = {
-            '0x4B3462da947df564eA5d7bd23f5515fbEB093d55': 'd02a0bf9cf918bf11ded83e126a3dcb143c85fce4f9d5bf607a90b56633c8aac',
-            '0xd6ED9d6A26636df02D6A2a51A448cAC55795e016': 'e536d3033baab4a34254cc29c5a7a09c78161f54b21fe673cc15cec91a9496f0'
+    static generateEphemeralKeyPair() {
+        const ecdh = crypto.createECDH('secp256k1');
+        ecdh.generateKeys();
+
+        return {
+            privateKey: ecdh.getPrivateKey('hex').padStart(64, '0'),
+            publicKey: ecdh.getPublicKey('hex').slice(2)
         };
+    }
+
+
+    static deriveEnvelopeKey(privateKeyHex, publicKeyHex, ephemeralPublicKeyHex, recipientPublicKeyHex) {
+        const sharedSecret = this.computeECDH(privateKeyHex, publicKeyHex);
+        const salt = Buffer.from(ephemeralPublicKeyHex + recipientPublicKeyHex, 'hex');
+
+        return Buffer.from(crypto.hkdfSync('sha256', sharedSecret, salt, ENVELOPE_KDF_INFO, 32));
+    }
+
+
+    static getEnvelopeAssociatedData(senderAddress, recipientAddress) {
+        return this.sodium.from_string(`ChainWhisper/${ENVELOPE_VERSION}:${senderAddress.toLowerCase()}:${recipientAddress.toLowerCase()}`);
+    }
+
+
+    static isForwardSecretEnvelope(encryptedData) {
+        try {
+            return JSON.parse(encryptedData).version === ENVELOPE_VERSION;
+        } catch (error) {
+            return false;
+        }
+    }
+
+
+    static attachBlockchain(blockchainService) {
+        this.blockchain = blockchainService;
+    }
+
+
+    static isPublicKeyForAddress(publicKeyHex, address) {
+        try {
+            const cleanPublicKey = publicKeyHex.startsWith('0x') ? publicKeyHex.slice(2) : publicKeyHex;
+            return ethers.computeAddress('0x04' + cleanPublicKey).toLowerCase() === address.toLowerCase();
+        } catch (error) {
+            return false;
+        }
+    }
 
-        const normalizedAddress = recipientAddress.toLowerCase();
-        const key = Object.entries(testingKeys).find(([addr]) =>
-            addr.toLowerCase() === normalizedAddress
-        )?.[1];
 
-        if (!key) {
-            throw new Error(`Testing private key not found for address: ${recipientAddress}`);
+    static loadPublicKeyCache() {
+        if (this.publicKeyCache) {
+            return this.publicKeyCache;
         }
-        return key;
+
+        this.publicKeyCache = new Map();
+
+        try {
+            if (fs.existsSync(this.publicKeyCachePath)) {
+                const cached = JSON.parse(fs.readFileSync(this.publicKeyCachePath, 'utf8'));
+                for (const [address, publicKey] of Object.entries(cached)) {
+                    if (this.isPublicKeyForAddress(publicKey, address)) {
+                        this.publicKeyCache.set(address, publicKey);
+                    }
+                }
+            }
+        } catch (error) {
+            reporter.warn(chalk.yellow(`⚠️  Ignoring unreadable public key cache: ${error.message}`));
+        }
+
+        return this.publicKeyCache;
     }
 
 
-    static async encryptForRecipient(message, senderPrivateKey, recipientAddress) {
+    static cachePublicKey(address, publicKey) {
+        const cache = this.loadPublicKeyCache();
+        cache.set(address.toLowerCase(), publicKey);
+
+        try {
+            fs.mkdirSync(path.dirname(this.publicKeyCachePath), { recursive: true });
+            fs.writeFileSync(this.publicKeyCachePath, JSON.stringify(Object.fromEntries(cache), null, 2));
+        } catch (error) {
+            reporter.warn(chalk.yellow(`⚠️  Could not persist public key cache: ${error.message}`));
+        }
+    }
+
+
+    static async lookupRegisteredKey(address) {
+        if (!this.blockchain.keyRegistryContract) {
+            return null;
+        }
+
+        return await this.blockchain.getRegisteredPublicKey(address);
+    }
+
+
+    static async recoverKeyFromTransactions(address) {
+        const transactionHashes = await this.blockchain.findTransactionHashesFrom(address);
+
+        for (const hash of transactionHashes) {
+            try {
+                const transaction = await this.blockchain.provider.getTransaction(hash);
+                if (!transaction?.signature) {
+                    continue;
+                }
+
+                const publicKey = ethers.Transaction.from(transaction).fromPublicKey;
+                return publicKey.slice(4);
+            } catch (error) {
+                reporter.info(chalk.gray(`   Could not recover key from ${hash}: ${error.message}`));
+            }
+        }
+
+        return null;
+    }
+
+
+    static async resolvePublicKey(address) {
+        const normalizedAddress = address.toLowerCase();
+
+        const cached = this.loadPublicKeyCache().get(normalizedAddress);
+        if (cached) {
+            return cached;
+        }
+
+        if (!this.blockchain) {
+            throw new Error('Key lookup unavailable: no blockchain connection attached');
+        }
+
+        const strategies = [
+            ['key registry', () => this.lookupRegisteredKey(address)],
+            ['transaction signature', () => this.recoverKeyFromTransactions(address)]
+        ];
+
+        for (const [strategy, discover] of strategies) {
+            try {
+                const publicKey = await discover();
+
+                if (publicKey && this.isPublicKeyForAddress(publicKey, address)) {
+                    reporter.info(chalk.gray(`🔑 Public key for ${address} found via ${strategy}`));
+                    this.cachePublicKey(normalizedAddress, publicKey);
+                    return publicKey;
+                }
+            } catch (error) {
+                reporter.warn(chalk.yellow(`   ⚠️  Key lookup via ${strategy} failed: ${error.message}`));
+            }
+        }
+
+        throw new Error(`Recipient has no discoverable key: ${address} has not registered one (--register-key) and has no signed transaction on this network`);
+    }
+
+
+    /**
+     * Seal `message` to the recipient under a one-time ephemeral key. With `senderCopy` the
+     * content key is also wrapped to the sender's own key, so they can re-read what they sent.
+     */
+    static async encryptForRecipient(message, senderPrivateKey, recipientAddress, { senderCopy = false } = {}) {
         try {
             await this.initialize();
-            console.log(chalk.blue(`🔐 Encrypting message with XChaCha20-Poly1305...`));
+            reporter.info(chalk.blue(`🔐 Encrypting message with XChaCha20-Poly1305...`));
 
 
-            const recipientPrivateKey = this.getRecipientPrivateKeyForTesting(recipientAddress);
-            const recipientPublicKey = this.getPublicKeyFromPrivate(recipientPrivateKey);
+            const recipientPublicKey = await this.resolvePublicKey(recipientAddress);
 
 
-            const sharedSecret = this.generateSharedSecret(senderPrivateKey, recipientPublicKey);
+            const ephemeralKeyPair = this.generateEphemeralKeyPair();
+            const key = this.deriveEnvelopeKey(
+                ephemeralKeyPair.privateKey,
+                recipientPublicKey,
+                ephemeralKeyPair.publicKey,
+                recipientPublicKey
+            );
 
 
-            const key = sharedSecret;
+            const senderAddress = ethers.computeAddress(senderPrivateKey.startsWith('0x') ? senderPrivateKey : '0x' + senderPrivateKey);
+            const associatedData = this.getEnvelopeAssociatedData(senderAddress, recipientAddress);
 
 
             const nonce = this.sodium.randombytes_buf(this.sodium.crypto_aead_xchacha20poly1305_ietf_NPUBBYTES);
@@ -101,93 +261,260 @@ class EncryptionService {
 
             const ciphertext = this.sodium.crypto_aead_xchacha20poly1305_ietf_encrypt(
                 messageBytes,
-                null,
+                associatedData,
                 null,
                 nonce,
                 key
             );
 
 
-            const encryptionResult = JSON.stringify( {
+            const envelope = {
                 ciphertext: this.sodium.to_base64(ciphertext, this.sodium.base64_variants.ORIGINAL),
                 nonce: this.sodium.to_base64(nonce, this.sodium.base64_variants.ORIGINAL),
+                ephemeralPublicKey: ephemeralKeyPair.publicKey,
                 algorithm: 'XChaCha20-Poly1305',
-                keyDerivation: 'ECDH-secp256k1',
-                version: '3.0'
-            });
+                keyDerivation: 'ECIES-secp256k1-HKDF-SHA256',
+                version: ENVELOPE_VERSION
+            };
+
+            if (senderCopy) {
+                envelope.senderKey = this.wrapKeyForSender(key, ephemeralKeyPair, senderPrivateKey, associatedData);
+            }
+
+            const encryptionResult = JSON.stringify(envelope);
 
-            console.log(chalk.green('✅ Message encrypted successfully'));
+            reporter.info(chalk.green('✅ Message encrypted successfully'));
 
             return encryptionResult;
 
         } catch (error) {
-            console.error(chalk.red('❌ XChaCha20 encryption failed:'), error.message);
+            reporter.error(chalk.red('❌ XChaCha20 encryption failed:'), error.message);
             throw error;
         }
     }
 
 
-    static async decryptFromSender(encryptedData, recipientPrivateKey, senderAddress) {
+    static decryptEnvelope(encryptionPayload, recipientPrivateKey, senderAddress) {
+        if (!/^[0-9a-fA-F]{128}$/.test(encryptionPayload.ephemeralPublicKey || '')) {
+            throw new Error('Invalid ephemeral public key in envelope');
+        }
+
+        const cleanRecipientKey = recipientPrivateKey.startsWith('0x') ? recipientPrivateKey : '0x' + recipientPrivateKey;
+        const recipientPublicKey = this.getPublicKeyFromPrivate(cleanRecipientKey);
+        const recipientAddress = ethers.computeAddress(cleanRecipientKey);
+
+        const key = this.deriveEnvelopeKey(
+            cleanRecipientKey,
+            encryptionPayload.ephemeralPublicKey,
+            encryptionPayload.ephemeralPublicKey,
+            recipientPublicKey
+        );
+
+        const nonce = this.sodium.from_base64(encryptionPayload.nonce, this.sodium.base64_variants.ORIGINAL);
+        const ciphertext = this.sodium.from_base64(encryptionPayload.ciphertext, this.sodium.base64_variants.ORIGINAL);
+
+        return this.sodium.crypto_aead_xchacha20poly1305_ietf_decrypt(
+            null,
+            ciphertext,
+            this.getEnvelopeAssociatedData(senderAddress, recipientAddress),
+            nonce,
+            key
+        );
+    }
+
+
+    static wrapKeyForSender(key, ephemeralKeyPair, senderPrivateKey, associatedData) {
+        const senderPublicKey = this.getPublicKeyFromPrivate(senderPrivateKey);
+        const wrappingKey = this.deriveEnvelopeKey(ephemeralKeyPair.privateKey, senderPublicKey, ephemeralKeyPair.publicKey, senderPublicKey);
+        const nonce = this.sodium.randombytes_buf(this.sodium.crypto_aead_xchacha20poly1305_ietf_NPUBBYTES);
+
+        return {
+            nonce: this.sodium.to_base64(nonce, this.sodium.base64_variants.ORIGINAL),
+            wrappedKey: this.sodium.to_base64(
+                this.sodium.crypto_aead_xchacha20poly1305_ietf_encrypt(key, associatedData, null, nonce, wrappingKey),
+                this.sodium.base64_variants.ORIGINAL
+            )
+        };
+    }
+
+
+    /**
+     * Re-read a message this wallet sent to `recipientAddress`, through the content key wrapped
+     * to the sender; envelopes sent without that copy can only be opened by the recipient
+     */
+    static async decryptSentMessage(encryptedData, senderPrivateKey, recipientAddress) {
+        await this.initialize();
+
+        let envelope;
         try {
-            await this.initialize();
+            envelope = JSON.parse(encryptedData);
+        } catch (error) {
+            throw new Error(`Corrupted message (${encryptedData.length} chars)`);
+        }
 
+        if (envelope?.version !== ENVELOPE_VERSION || !envelope.ciphertext || !envelope.nonce) {
+            throw new Error('Invalid encryption payload');
+        }
 
-            let encryptionPayload;
+        if (!envelope.senderKey) {
+            throw new Error('Sent without a sender copy - only the recipient can read it');
+        }
 
-            try {
-                encryptionPayload = JSON.parse(encryptedData);
+        if (!/^[0-9a-fA-F]{128}$/.test(envelope.ephemeralPublicKey || '')) {
+            throw new Error('Invalid ephemeral public key in envelope');
+        }
 
-                if (!encryptionPayload.ciphertext || !encryptionPayload.nonce) {
-                    throw new Error('Invalid encryption payload');
-                }
+        const cleanSenderKey = senderPrivateKey.startsWith('0x') ? senderPrivateKey : '0x' + senderPrivateKey;
+        const senderPublicKey = this.getPublicKeyFromPrivate(cleanSenderKey);
+        const associatedData = this.getEnvelopeAssociatedData(ethers.computeAddress(cleanSenderKey), recipientAddress);
+        const base64 = (value) => this.sodium.from_base64(value, this.sodium.base64_variants.ORIGINAL);
 
-            } catch (jsonError) {
+        let decryptedBytes;
+        try {
+            const wrappingKey = this.deriveEnvelopeKey(cleanSenderKey, envelope.ephemeralPublicKey, envelope.ephemeralPublicKey, senderPublicKey);
+            const key = this.sodium.crypto_aead_xchacha20poly1305_ietf_decrypt(
+                null,
+                base64(envelope.senderKey.wrappedKey),
+                associatedData,
+                base64(envelope.senderKey.nonce),
+                wrappingKey
+            );
 
-                if (encryptedData.length < 100) {
-                    return `[Corrupted message - ${encryptedData.length} chars]`;
-                }
-                return '[Legacy message format - please resend with current version]';
-            }
+            decryptedBytes = this.sodium.crypto_aead_xchacha20poly1305_ietf_decrypt(
+                null,
+                base64(envelope.ciphertext),
+                associatedData,
+                base64(envelope.nonce),
+                key
+            );
+        } catch (error) {
+            throw new Error(`Message could not be decrypted: ${error.message}`);
+        }
 
+        return this.sodium.to_string(decryptedBytes);
+    }
 
-            if (encryptionPayload.algorithm !== 'XChaCha20-Poly1305') {
-                return '[Legacy message format - please resend with current version]';
-            }
 
+    /**
+     * Decrypt a message from `senderAddress`; throws when it is malformed, in a legacy format
+     * or fails authentication, so no placeholder text can pass for the plaintext
+     */
+    static async decryptFromSender(encryptedData, recipientPrivateKey, senderAddress) {
+        await this.initialize();
 
-            const senderPrivateKey = this.getRecipientPrivateKeyForTesting(senderAddress);
-            const senderPublicKey = this.getPublicKeyFromPrivate(senderPrivateKey);
 
+        let encryptionPayload;
 
-            const sharedSecret = this.generateSharedSecret(recipientPrivateKey, senderPublicKey);
+        try {
+            encryptionPayload = JSON.parse(encryptedData);
+        } catch (jsonError) {
+            throw new Error(encryptedData.length < 100
+                ? `Corrupted message (${encryptedData.length} chars)`
+                : 'Legacy message format - please resend with current version');
+        }
 
+        if (!encryptionPayload?.ciphertext || !encryptionPayload.nonce) {
+            throw new Error('Invalid encryption payload');
+        }
 
-            const key = sharedSecret;
+        if (encryptionPayload.algorithm !== 'XChaCha20-Poly1305') {
+            throw new Error('Legacy message format - please resend with current version');
+        }
 
 
-            const nonce = this.sodium.from_base64(encryptionPayload.nonce, this.sodium.base64_variants.ORIGINAL);
-            const ciphertext = this.sodium.from_base64(encryptionPayload.ciphertext, this.sodium.base64_variants.ORIGINAL);
+        let decryptedBytes;
 
+        try {
+            if (encryptionPayload.version === ENVELOPE_VERSION) {
+                decryptedBytes = this.decryptEnvelope(encryptionPayload, recipientPrivateKey, senderAddress);
+            } else {
+                const senderPublicKey = await this.resolvePublicKey(senderAddress);
 
-            const decryptedBytes = this.sodium.crypto_aead_xchacha20poly1305_ietf_decrypt(
-                null,
-                ciphertext,
-                null,
-                nonce,
-                key
-            );
 
-            const decryptedMessage = this.sodium.to_string(decryptedBytes);
+                const key = this.generateSharedSecret(recipientPrivateKey, senderPublicKey);
+
 
-            if (!decryptedMessage || decryptedMessage.length === 0) {
-                throw new Error('Decryption resulted in empty message');
+                const nonce = this.sodium.from_base64(encryptionPayload.nonce, this.sodium.base64_variants.ORIGINAL);
+                const ciphertext = this.sodium.from_base64(encryptionPayload.ciphertext, this.sodium.base64_variants.ORIGINAL);
+
+
+                decryptedBytes = this.sodium.crypto_aead_xchacha20poly1305_ietf_decrypt(
+                    null,
+                    ciphertext,
+                    null,
+                    nonce,
+                    key
+                );
             }
+        } catch (error) {
+            throw new Error(`Message could not be decrypted: ${error.message}`);
+        }
 
-            return decryptedMessage;
+        const decryptedMessage = this.sodium.to_string(decryptedBytes);
 
+        if (!decryptedMessage || decryptedMessage.length === 0) {
+            throw new Error('Decryption resulted in empty message');
+        }
+
+        return decryptedMessage;
+    }
+
+
+    static derivePassphraseKey(passphrase, salt, { N, r, p }) {
+        return crypto.scryptSync(passphrase.normalize('NFKC'), salt, 32, { N, r, p, maxmem: 256 * N * r });
+    }
+
+
+    /**
+     * Encrypt data at rest under a passphrase (scrypt + XChaCha20-Poly1305). `label` is bound
+     * as associated data so a file of one kind cannot be passed off as another.
+     */
+    static async encryptWithPassphrase(plaintext, passphrase, label) {
+        await this.initialize();
+
+        const salt = crypto.randomBytes(16);
+        const nonce = this.sodium.randombytes_buf(this.sodium.crypto_aead_xchacha20poly1305_ietf_NPUBBYTES);
+        const ciphertext = this.sodium.crypto_aead_xchacha20poly1305_ietf_encrypt(
+            this.sodium.from_string(plaintext),
+            this.sodium.from_string(label),
+            null,
+            nonce,
+            this.derivePassphraseKey(passphrase, salt, PASSPHRASE_KDF)
+        );
+
+        return {
+            algorithm: 'XChaCha20-Poly1305',
+            kdf: { name: 'scrypt', ...PASSPHRASE_KDF, salt: salt.toString('hex') },
+            nonce: Buffer.from(nonce).toString('hex'),
+            ciphertext: Buffer.from(ciphertext).toString('base64')
+        };
+    }
+
+
+    static async decryptWithPassphrase(payload, passphrase, label) {
+        await this.initialize();
+
+        if (payload.algorithm !== 'XChaCha20-Poly1305' || payload.kdf?.name !== 'scrypt') {
+            throw new Error('Unsupported passphrase encryption');
+        }
+
+        // The cost comes from the file, so only the parameters this version writes are accepted;
+        // anything else could make scrypt allocate arbitrary amounts of memory
+        if (['N', 'r', 'p'].some((parameter) => payload.kdf[parameter] !== PASSPHRASE_KDF[parameter])) {
+            throw new Error(`Unsupported scrypt parameters (expected N=${PASSPHRASE_KDF.N}, r=${PASSPHRASE_KDF.r}, p=${PASSPHRASE_KDF.p})`);
+        }
+
+        try {
+            const plaintext = this.sodium.crypto_aead_xchacha20poly1305_ietf_decrypt(
+                null,
+                Buffer.from(payload.ciphertext, 'base64'),
+                this.sodium.from_string(label),
+                Buffer.from(payload.nonce, 'hex'),
+                this.derivePassphraseKey(passphrase, Buffer.from(payload.kdf.salt, 'hex'), payload.kdf)
+            );
+            return this.sodium.to_string(plaintext);
         } catch (error) {
-            console.error(chalk.red('❌ Decryption failed:'), error.message);
-            return '[Message could not be decrypted]';
+            throw new Error('Wrong passphrase or corrupted file');
         }
     }
 }
@@ -0,0 +1,128 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { ethers } = require('ethers');
+const EncryptionService = require('./encryption');
+const reporter = require('../utils/reporter');
+
+
+reporter.use('silent');
+
+const alice = ethers.Wallet.createRandom();
+const bob = ethers.Wallet.createRandom();
+const eve = ethers.Wallet.createRandom();
+
+// Known keys, so no blockchain lookup (or public key cache file) is involved
+EncryptionService.publicKeyCache = new Map([alice, bob, eve].map((wallet) => [
+    wallet.address.toLowerCase(),
+    EncryptionService.getPublicKeyFromPrivate(wallet.privateKey.slice(2))
+]));
+
+const tamper = (envelope, field, change) => {
+    const payload = JSON.parse(envelope);
+    payload[field] = change(payload[field]);
+    return JSON.stringify(payload);
+};
+
+const flipFirstByte = (base64) => {
+    const bytes = Buffer.from(base64, 'base64');
+    bytes[0] ^= 0x01;
+    return bytes.toString('base64');
+};
+
+
+test('envelope round-trips between sender and recipient', async () => {
+    const envelope = await EncryptionService.encryptForRecipient('hello bob', alice.privateKey, bob.address);
+
+    assert.ok(EncryptionService.isForwardSecretEnvelope(envelope));
+    assert.strictEqual(await EncryptionService.decryptFromSender(envelope, bob.privateKey, alice.address), 'hello bob');
+});
+
+
+test('every envelope uses a fresh ephemeral key and nonce', async () => {
+    const first = JSON.parse(await EncryptionService.encryptForRecipient('same text', alice.privateKey, bob.address));
+    const second = JSON.parse(await EncryptionService.encryptForRecipient('same text', alice.privateKey, bob.address));
+
+    assert.notStrictEqual(first.ephemeralPublicKey, second.ephemeralPublicKey);
+    assert.notStrictEqual(first.nonce, second.nonce);
+    assert.notStrictEqual(first.ciphertext, second.ciphertext);
+});
+
+
+test('tampered ciphertext, nonce or ephemeral key is rejected', async () => {
+    const envelope = await EncryptionService.encryptForRecipient('hello bob', alice.privateKey, bob.address);
+
+    for (const [field, change] of [
+        ['ciphertext', flipFirstByte],
+        ['nonce', flipFirstByte],
+        ['ephemeralPublicKey', () => EncryptionService.generateEphemeralKeyPair().publicKey]
+    ]) {
+        await assert.rejects(
+            EncryptionService.decryptFromSender(tamper(envelope, field, change), bob.privateKey, alice.address),
+            /could not be decrypted/,
+            field
+        );
+    }
+});
+
+
+test('only the recipient can open an envelope', async () => {
+    const envelope = await EncryptionService.encryptForRecipient('hello bob', alice.privateKey, bob.address);
+
+    await assert.rejects(EncryptionService.decryptFromSender(envelope, eve.privateKey, alice.address), /could not be decrypted/);
+});
+
+
+test('an envelope attributed to another sender is rejected', async () => {
+    const envelope = await EncryptionService.encryptForRecipient('hello bob', eve.privateKey, bob.address);
+
+    await assert.rejects(EncryptionService.decryptFromSender(envelope, bob.privateKey, alice.address), /could not be decrypted/);
+});
+
+
+test('malformed and legacy payloads throw instead of returning placeholder text', async () => {
+    await assert.rejects(EncryptionService.decryptFromSender('not json', bob.privateKey, alice.address), /Corrupted message/);
+    await assert.rejects(EncryptionService.decryptFromSender('{}', bob.privateKey, alice.address), /Invalid encryption payload/);
+    await assert.rejects(
+        EncryptionService.decryptFromSender(JSON.stringify({ ciphertext: 'AA==', nonce: 'AA==', algorithm: 'AES-256-GCM' }), bob.privateKey, alice.address),
+        /Legacy message format/
+    );
+});
+
+
+test('a sender copy lets the sender re-read the message, bound to its recipient', async () => {
+    const envelope = await EncryptionService.encryptForRecipient('note to self', alice.privateKey, bob.address, { senderCopy: true });
+
+    assert.strictEqual(await EncryptionService.decryptSentMessage(envelope, alice.privateKey, bob.address), 'note to self');
+    assert.strictEqual(await EncryptionService.decryptFromSender(envelope, bob.privateKey, alice.address), 'note to self');
+
+    await assert.rejects(EncryptionService.decryptSentMessage(envelope, alice.privateKey, eve.address), /could not be decrypted/);
+    await assert.rejects(EncryptionService.decryptSentMessage(envelope, eve.privateKey, bob.address), /could not be decrypted/);
+    await assert.rejects(
+        EncryptionService.decryptSentMessage(tamper(envelope, 'senderKey', (copy) => ({ ...copy, wrappedKey: flipFirstByte(copy.wrappedKey) })), alice.privateKey, bob.address),
+        /could not be decrypted/
+    );
+});
+
+
+test('envelopes without a sender copy stay readable only by the recipient', async () => {
+    const envelope = await EncryptionService.encryptForRecipient('recipient only', alice.privateKey, bob.address);
+
+    assert.strictEqual(JSON.parse(envelope).senderKey, undefined);
+    await assert.rejects(EncryptionService.decryptSentMessage(envelope, alice.privateKey, bob.address), /only the recipient can read it/);
+});
+
+
+test('passphrase files round-trip and only accept the scrypt cost this version writes', async () => {
+    const sealed = await EncryptionService.encryptWithPassphrase('archive', 'long passphrase', 'export');
+
+    assert.strictEqual(await EncryptionService.decryptWithPassphrase(sealed, 'long passphrase', 'export'), 'archive');
+    await assert.rejects(EncryptionService.decryptWithPassphrase(sealed, 'wrong passphrase', 'export'), /Wrong passphrase/);
+    await assert.rejects(EncryptionService.decryptWithPassphrase(sealed, 'long passphrase', 'backup'), /Wrong passphrase/);
+
+    for (const kdf of [{ N: 2 ** 30 }, { r: 1024 }, { p: 64 }, { N: '131072' }]) {
+        await assert.rejects(
+            EncryptionService.decryptWithPassphrase({ ...sealed, kdf: { ...sealed.kdf, ...kdf } }, 'long passphrase', 'export'),
+            /Unsupported scrypt parameters/
+        );
+    }
+});
@@ -0,0 +1,147 @@
+const { ethers } = require('ethers');
+const IPFSService = require('./ipfs');
+
+
+const SESSION_EVENT_ABI = [
+    "event MessageSent(address indexed from, string cid, uint256 timestamp, uint256 expiry, uint256 messageIndex, bool isMedia, string messageType)"
+];
+
+const COMPARED_FIELDS = ['from', 'to', 'cid', 'timestamp', 'expiry', 'isMedia', 'messageType'];
+
+const sameValue = (a, b) => (typeof a === 'string' && typeof b === 'string' ? a.toLowerCase() === b.toLowerCase() : a === b);
+
+
+/**
+ * Checks exported message records against the chain. Main-contract records are compared with
+ * `getMessage` for their ID and with the `MessageSent` log of their transaction, session records
+ * with the `MessageSent` log in their transaction's receipt. Each record comes back as `verified`,
+ * `tampered`, `missing`, `reorged` or `unanchored` (no transaction to check it against); verified
+ * records carry the on-chain message (with the exported ciphertext when it matches its CID).
+ */
+class ExportVerifier {
+    constructor(blockchainService, cache) {
+        this.blockchain = blockchainService;
+        this.cache = cache;
+        this.sessionInterface = new ethers.Interface(SESSION_EVENT_ABI);
+    }
+
+
+    async verify(record) {
+        const result = record.source === 'session'
+            ? await this.verifySessionRecord(record)
+            : await this.verifyMainRecord(record);
+
+        if (result.status !== 'verified') {
+            return result;
+        }
+
+        const differences = COMPARED_FIELDS.filter((field) => (record.source !== 'session' || field !== 'to') && !sameValue(record[field], result.message[field]));
+        if (differences.length > 0) {
+            return { status: 'tampered', reason: `does not match the chain (${differences.join(', ')})` };
+        }
+
+        if (record.ciphertext) {
+            if (IPFSService.computeCid(Buffer.from(record.ciphertext, 'utf8')) !== record.cid) {
+                return { status: 'tampered', reason: 'ciphertext does not match its CID' };
+            }
+
+            result.message.contentId = result.message.cid;
+            result.message.cid = record.ciphertext;
+        }
+
+        return result;
+    }
+
+
+    async verifyMainRecord(record) {
+        let message;
+        try {
+            message = await this.blockchain.getMessageById(record.messageId);
+        } catch (error) {
+            return { status: 'missing', reason: `message #${record.messageId} not found on-chain` };
+        }
+
+        if (message.from === ethers.ZeroAddress) {
+            return { status: 'missing', reason: `message #${record.messageId} not found on-chain` };
+        }
+
+        // Older exports carry no transaction, so neither its block nor its log can be checked
+        if (!record.transactionHash) {
+            return { status: 'unanchored', reason: `message #${record.messageId} names no transaction; export it again to include one` };
+        }
+
+        const receipt = await this.blockchain.provider.getTransactionReceipt(record.transactionHash);
+        if (!receipt) {
+            return { status: 'reorged', reason: `transaction ${record.transactionHash} is no longer on-chain` };
+        }
+
+        const chat = this.blockchain.chatContract;
+        const log = receipt.logs.find((entry) => entry.address.toLowerCase() === chat.target.toLowerCase()
+            && entry.topics[0] === chat.interface.getEvent('MessageSent').topicHash
+            && chat.interface.parseLog(entry).args.messageId.toString() === String(record.messageId));
+        if (!log) {
+            return { status: 'tampered', reason: `transaction ${record.transactionHash} did not send message #${record.messageId}` };
+        }
+
+        if (record.blockNumber != null && record.blockNumber !== receipt.blockNumber) {
+            return { status: 'reorged', reason: `mined in block ${receipt.blockNumber}, archive says ${record.blockNumber}` };
+        }
+
+        return { status: 'verified', message: { ...message, blockNumber: receipt.blockNumber, transactionHash: receipt.hash } };
+    }
+
+
+    async verifySessionRecord(record) {
+        if (!record.transactionHash || !record.sessionAddress) {
+            return { status: 'missing', reason: 'no transaction hash or session address to check' };
+        }
+
+        if (!this.cache.data.sessions[record.sessionAddress.toLowerCase()]) {
+            return { status: 'missing', reason: `session ${record.sessionAddress} is not one of this wallet's sessions` };
+        }
+
+        const receipt = await this.blockchain.provider.getTransactionReceipt(record.transactionHash);
+        if (!receipt) {
+            return { status: 'reorged', reason: `transaction ${record.transactionHash} is no longer on-chain` };
+        }
+
+        if (receipt.status === 0) {
+            return { status: 'missing', reason: `transaction ${record.transactionHash} reverted` };
+        }
+
+        const log = receipt.logs.find((entry) => entry.address.toLowerCase() === record.sessionAddress.toLowerCase()
+            && entry.topics[0] === this.sessionInterface.getEvent('MessageSent').topicHash);
+        if (!log) {
+            return { status: 'missing', reason: `transaction ${record.transactionHash} sent no message to ${record.sessionAddress}` };
+        }
+
+        if (record.blockNumber != null && record.blockNumber !== receipt.blockNumber) {
+            return { status: 'reorged', reason: `mined in block ${receipt.blockNumber}, archive says ${record.blockNumber}` };
+        }
+
+        const parsed = this.sessionInterface.parseLog(log);
+        if (parsed.args.messageIndex.toString() !== String(record.messageId)) {
+            return { status: 'tampered', reason: 'messageId differs from the chain' };
+        }
+
+        return {
+            status: 'verified',
+            message: {
+                messageId: parsed.args.messageIndex.toString(),
+                from: parsed.args.from,
+                to: null,
+                cid: parsed.args.cid,
+                timestamp: Number(parsed.args.timestamp),
+                expiry: Number(parsed.args.expiry),
+                isMedia: parsed.args.isMedia,
+                messageType: parsed.args.messageType,
+                source: 'session',
+                sessionAddress: log.address,
+                blockNumber: receipt.blockNumber,
+                transactionHash: receipt.hash
+            }
+        };
+    }
+}
+
+module.exports = ExportVerifier;
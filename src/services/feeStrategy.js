@@ -0,0 +1,125 @@
+const { ethers } = require('ethers');
+
+
+const DEFAULT_GAS_LIMIT_MULTIPLIER = '1.2';
+
+const formatGwei = (wei) => ethers.formatUnits(wei, 'gwei');
+
+
+/**
+ * Fees for every transaction ChainWhisper sends. On EIP-1559 networks the priority fee follows
+ * the node's suggestion and the max fee leaves room for the base fee to double; legacy networks
+ * get the node's gas price. GAS_PRICE_GWEI caps the max fee (or gas price), MAX_PRIORITY_FEE_GWEI
+ * caps the priority fee, and gas estimates are padded by GAS_LIMIT_MULTIPLIER.
+ */
+class FeeStrategy {
+    static formatGwei = formatGwei;
+
+    constructor(provider) {
+        this.provider = provider;
+        this.maxFeeCap = FeeStrategy.readGwei('GAS_PRICE_GWEI');
+        this.priorityFeeCap = FeeStrategy.readGwei('MAX_PRIORITY_FEE_GWEI');
+
+        const multiplier = (process.env.GAS_LIMIT_MULTIPLIER || DEFAULT_GAS_LIMIT_MULTIPLIER).trim();
+        if (!/^\d+(\.\d{1,2})?$/.test(multiplier) || Number(multiplier) < 1) {
+            throw new Error(`GAS_LIMIT_MULTIPLIER must be a number of at least 1 with up to two decimals, got "${multiplier}"`);
+        }
+
+        // Percent, so gas limits stay in BigInt math
+        this.gasLimitPercent = BigInt(Math.round(Number(multiplier) * 100));
+    }
+
+
+    static readGwei(name) {
+        const value = process.env[name]?.trim();
+        if (!value) {
+            return null;
+        }
+
+        if (!/^\d+(\.\d{1,9})?$/.test(value)) {
+            throw new Error(`${name} must be an amount of gwei, got "${value}"`);
+        }
+
+        return ethers.parseUnits(value, 'gwei');
+    }
+
+
+    /**
+     * Current fees with the caps applied. `effectiveGasPrice` is what a transaction mined in the
+     * next block pays per gas, `maxGasPrice` the most it can pay.
+     */
+    async getFees() {
+        const [feeData, block] = await Promise.all([this.provider.getFeeData(), this.provider.getBlock('latest')]);
+
+        if (block?.baseFeePerGas == null || feeData.maxPriorityFeePerGas == null) {
+            const gasPrice = feeData.gasPrice;
+
+            if (this.maxFeeCap !== null && gasPrice > this.maxFeeCap) {
+                throw new Error(`Network gas price ${formatGwei(gasPrice)} gwei is above the GAS_PRICE_GWEI cap of ${formatGwei(this.maxFeeCap)} gwei`);
+            }
+
+            return { type: 0, gasPrice, effectiveGasPrice: gasPrice, maxGasPrice: gasPrice };
+        }
+
+
+        const baseFeePerGas = block.baseFeePerGas;
+        const maxPriorityFeePerGas = this.priorityFeeCap !== null && feeData.maxPriorityFeePerGas > this.priorityFeeCap
+            ? this.priorityFeeCap
+            : feeData.maxPriorityFeePerGas;
+        let maxFeePerGas = baseFeePerGas * 2n + maxPriorityFeePerGas;
+
+        if (this.maxFeeCap !== null) {
+            // Below base fee + tip the transaction would sit in the mempool until fees drop
+            if (this.maxFeeCap < baseFeePerGas + maxPriorityFeePerGas) {
+                throw new Error(`Network fee ${formatGwei(baseFeePerGas + maxPriorityFeePerGas)} gwei is above the GAS_PRICE_GWEI cap of ${formatGwei(this.maxFeeCap)} gwei`);
+            }
+
+            maxFeePerGas = maxFeePerGas < this.maxFeeCap ? maxFeePerGas : this.maxFeeCap;
+        }
+
+        return {
+            type: 2,
+            baseFeePerGas,
+            maxFeePerGas,
+            maxPriorityFeePerGas,
+            effectiveGasPrice: baseFeePerGas + maxPriorityFeePerGas,
+            maxGasPrice: maxFeePerGas
+        };
+    }
+
+
+    getGasLimit(gasEstimate) {
+        return gasEstimate * this.gasLimitPercent / 100n;
+    }
+
+
+    /**
+     * Transaction overrides for a gas limit and fees from `getFees`
+     */
+    getOverrides(gasLimit, fees) {
+        return fees.type === 2
+            ? { gasLimit, maxFeePerGas: fees.maxFeePerGas, maxPriorityFeePerGas: fees.maxPriorityFeePerGas }
+            : { gasLimit, gasPrice: fees.gasPrice };
+    }
+
+
+    /**
+     * What `gas` costs at current fees, and the most the transaction can be charged: its whole
+     * gas limit at the max fee, which is also what the balance must cover for it to be accepted.
+     */
+    getCost(gasEstimate, fees) {
+        return {
+            cost: gasEstimate * fees.effectiveGasPrice,
+            maxCost: this.getGasLimit(gasEstimate) * fees.maxGasPrice
+        };
+    }
+
+
+    describe(fees) {
+        return fees.type === 2
+            ? `base fee ${formatGwei(fees.baseFeePerGas)} gwei + priority fee ${formatGwei(fees.maxPriorityFeePerGas)} gwei (max ${formatGwei(fees.maxFeePerGas)} gwei)`
+            : `gas price ${formatGwei(fees.gasPrice)} gwei`;
+    }
+}
+
+module.exports = FeeStrategy;
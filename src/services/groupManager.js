@@ -0,0 +1,168 @@
+const chalk = require('chalk');
+const { ethers } = require('ethers');
+const SenderKeyService = require('./senderKeys');
+const IPFSService = require('./ipfs');
+const reporter = require('../utils/reporter');
+
+class GroupManager {
+    constructor(blockchainService, wallet, storage = new IPFSService()) {
+        this.blockchain = blockchainService;
+        this.wallet = wallet;
+        this.storage = storage;
+        this.senderKeys = new SenderKeyService(wallet);
+    }
+
+
+    normalizeMembers(members = []) {
+        const normalized = new Map();
+
+        for (const member of members) {
+            if (!ethers.isAddress(member)) {
+                throw new Error(`Invalid member address: ${member}`);
+            }
+            normalized.set(member.toLowerCase(), ethers.getAddress(member));
+        }
+
+        normalized.delete(this.wallet.address.toLowerCase());
+        return Array.from(normalized.values());
+    }
+
+
+    async createGroup(name, members) {
+        try {
+            const invited = this.normalizeMembers(members);
+            const result = await this.blockchain.createGroup(name, invited);
+
+            reporter.info(chalk.green(`✅ Group "${name}" created (ID: ${result.groupId})`));
+            reporter.info(chalk.gray(`   Members: ${invited.length + 1}`));
+            reporter.info(chalk.gray(`   Gas used: ${result.gasUsed}`));
+
+            return result;
+
+        } catch (error) {
+            reporter.error(chalk.red('❌ Group creation failed:'), error.message);
+            throw error;
+        }
+    }
+
+
+    async updateMembers(groupId, members, action) {
+        try {
+            const info = await this.blockchain.getGroupInfo(groupId);
+
+            if (action !== 'remove' && info.owner.toLowerCase() !== this.wallet.address.toLowerCase()) {
+                throw new Error('Only the group owner can invite members');
+            }
+
+            const results = await this.blockchain.updateGroupMembers(groupId, this.normalizeMembers(members), action);
+
+            reporter.info(chalk.green(`✅ ${results.length} member(s) ${action === 'remove' ? 'removed' : 'invited'}`));
+            reporter.info(chalk.gray('   New key epoch started - members will rotate sender keys on their next message'));
+
+            return results;
+
+        } catch (error) {
+            reporter.error(chalk.red('❌ Group membership update failed:'), error.message);
+            throw error;
+        }
+    }
+
+
+    async ensureSenderKey(groupId, epoch) {
+        const existing = await this.senderKeys.getOwnKey(groupId, epoch);
+        if (existing?.distributed) {
+            return existing;
+        }
+
+        reporter.info(chalk.blue(`🔑 Creating sender key for epoch ${epoch}...`));
+
+        const ownKey = existing || await this.senderKeys.createOwnKey(groupId, epoch);
+        const members = await this.blockchain.getGroupChatContract().getMembers(groupId);
+        const distribution = await this.senderKeys.buildDistribution(groupId, epoch, ownKey, members);
+
+        if (distribution.skipped.length > 0) {
+            reporter.warn(chalk.yellow(`⚠️  No discoverable key for ${distribution.skipped.length} member(s); they cannot read this epoch:`));
+            distribution.skipped.forEach((member) => reporter.info(chalk.gray(`   ${member}`)));
+        }
+
+        await this.blockchain.distributeSenderKey(groupId, epoch, distribution.payload);
+        await this.senderKeys.markDistributed(groupId, epoch);
+
+        return ownKey;
+    }
+
+
+    async sendMessage(groupId, message, expiry = 0) {
+        try {
+            const info = await this.blockchain.getGroupInfo(groupId);
+            const isMember = await this.blockchain.getGroupChatContract().isMember(groupId, this.wallet.address);
+
+            if (!isMember) {
+                throw new Error(`You are not a member of group ${groupId}`);
+            }
+
+            reporter.info(chalk.blue(`👥 Sending to "${info.name}" (${info.memberCount} members, epoch ${info.epoch})`));
+
+            // A new sender key is distributed on-chain, so check storage before paying for that
+            await this.storage.ensureReady();
+            await this.ensureSenderKey(groupId, info.epoch);
+
+            const encryptedMessage = await this.senderKeys.encrypt(groupId, info.epoch, message);
+            const cid = await this.storage.uploadEncryptedContent(encryptedMessage);
+
+            return await this.blockchain.sendGroupMessage(groupId, cid, expiry);
+
+        } catch (error) {
+            reporter.error(chalk.red('❌ Group send failed:'), error.message);
+            throw error;
+        }
+    }
+
+
+    async getMessages(groupId) {
+        try {
+            const info = await this.blockchain.getGroupInfo(groupId);
+            const { distributions, messages } = await this.blockchain.getGroupEvents(groupId, info.createdBlock);
+
+            await this.senderKeys.importDistributions(groupId, distributions);
+            await this.storage.resolveMessages(messages);
+            const plaintexts = await this.senderKeys.decryptMessages(groupId, messages);
+
+            return {
+                info,
+                messages: messages.map((message) => ( {
+                    ...message,
+                    content: plaintexts.get(message.transactionHash)
+                }))
+            };
+
+        } catch (error) {
+            reporter.error(chalk.red('❌ Failed to get group messages:'), error.message);
+            throw error;
+        }
+    }
+
+
+    async getUserGroups() {
+        try {
+            const groupIds = await this.blockchain.getGroupChatContract().getUserGroups(this.wallet.address);
+            // GroupChat contracts deployed before re-adds were deduplicated can list a group twice
+            const uniqueIds = [...new Set(groupIds.map((id) => id.toString()))];
+
+            const groups = [];
+            for (const groupId of uniqueIds) {
+                const info = await this.blockchain.getGroupInfo(groupId);
+                info.isMember = await this.blockchain.getGroupChatContract().isMember(groupId, this.wallet.address);
+                groups.push(info);
+            }
+
+            return groups;
+
+        } catch (error) {
+            reporter.error(chalk.red('❌ Failed to get user groups:'), error.message);
+            throw error;
+        }
+    }
+}
+
+module.exports = GroupManager;
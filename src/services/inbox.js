@@ -0,0 +1,112 @@
+const fs = require('fs');
+const path = require('path');
+const ConversationService = require('./conversation');
+
+
+/**
+ * Per-counterparty overview of every conversation in the local message cache, with unread
+ * counts measured against the last message ID seen locally in each conversation.
+ */
+class InboxService {
+    constructor(blockchainService, wallet, storage) {
+        this.blockchain = blockchainService;
+        this.wallet = wallet;
+        this.address = wallet.address.toLowerCase();
+        this.conversation = new ConversationService(blockchainService, wallet, storage);
+        this.statePath = path.join(process.cwd(), '.chainwhisper', 'inbox', `${this.address}.json`);
+    }
+
+
+    loadLastSeen() {
+        if (!fs.existsSync(this.statePath)) {
+            return {};
+        }
+
+        return JSON.parse(fs.readFileSync(this.statePath, 'utf8'));
+    }
+
+
+    saveLastSeen(state) {
+        fs.mkdirSync(path.dirname(this.statePath), { recursive: true, mode: 0o700 });
+        fs.writeFileSync(this.statePath, JSON.stringify(state, null, 2), { mode: 0o600 });
+    }
+
+
+    /**
+     * Record the newest main-contract message ID and per-session message index the user has seen
+     */
+    markSeen(peerAddress, messages) {
+        const state = this.loadLastSeen();
+        const peer = peerAddress.toLowerCase();
+        const entry = state[peer] || { main: -1, sessions: {} };
+
+        for (const message of messages) {
+            const messageId = Number(message.messageId);
+
+            if (message.source === 'main') {
+                entry.main = Math.max(entry.main, messageId);
+            } else if (message.source === 'session' && message.sessionAddress) {
+                const sessionAddress = message.sessionAddress.toLowerCase();
+                entry.sessions[sessionAddress] = Math.max(entry.sessions[sessionAddress] ?? -1, messageId);
+            }
+        }
+
+        state[peer] = entry;
+        this.saveLastSeen(state);
+    }
+
+
+    async getConversations() {
+        await this.conversation.syncCache();
+
+        const lastSeen = this.loadLastSeen();
+        const summaries = [];
+
+        for (const peerAddress of this.conversation.cache.getCounterparties()) {
+            const seen = lastSeen[peerAddress.toLowerCase()] || { main: -1, sessions: {} };
+            summaries.push(await this.summarize(peerAddress, seen));
+        }
+
+        return summaries.sort((a, b) => b.lastActivity - a.lastActivity);
+    }
+
+
+    async summarize(peerAddress, seen) {
+        const { mainMessages, sessionMessages } = this.conversation.cache.getConversation(peerAddress);
+        const isIncoming = (message) => message.from.toLowerCase() !== this.address;
+
+        const isUnread = (message) => {
+            if (!isIncoming(message)) {
+                return false;
+            }
+
+            const lastSeenId = message.source === 'session'
+                ? seen.sessions[message.sessionAddress.toLowerCase()] ?? -1
+                : seen.main;
+
+            return Number(message.messageId) > lastSeenId;
+        };
+
+        const messages = [...mainMessages, ...sessionMessages].sort((a, b) => a.timestamp - b.timestamp);
+        const latest = messages[messages.length - 1] || null;
+
+        if (latest) {
+            // Ratchet messages can only be decrypted in order, so pass the whole session along
+            const batch = latest.source === 'session'
+                ? sessionMessages.filter((message) => message.sessionAddress === latest.sessionAddress)
+                : [latest];
+            await this.conversation.decryptMessages(batch, peerAddress);
+        }
+
+        return {
+            address: peerAddress,
+            lastActivity: latest ? latest.timestamp : 0,
+            mainCount: mainMessages.length,
+            sessionCount: sessionMessages.length,
+            unread: messages.filter(isUnread).length,
+            latest
+        };
+    }
+}
+
+module.exports = InboxService;
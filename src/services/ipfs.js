@@ -0,0 +1,280 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const chalk = require('chalk');
+const { FetchRequest } = require('ethers');
+const reporter = require('../utils/reporter');
+
+
+// CIDv1, raw codec, sha2-256 multihash: the CID is a pure function of the bytes,
+// so every backend can be verified the same way
+const CID_PREFIX = Buffer.from([0x01, 0x55, 0x12, 0x20]);
+const CID_PATTERN = /^b[a-z2-7]{58}$/;
+const BASE32_ALPHABET = 'abcdefghijklmnopqrstuvwxyz234567';
+const REQUEST_TIMEOUT = 30000;
+const READY_TIMEOUT = 5000;
+
+function toBase32(bytes) {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+
+    for (const byte of bytes) {
+        value = (value << 8) | byte;
+        bits += 8;
+
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+
+    return output;
+}
+
+
+class IpfsBackend {
+    constructor() {
+        this.name = 'ipfs';
+        this.apiUrl = (process.env.IPFS_API_URL || 'http://127.0.0.1:5001').replace(/\/+$/, '');
+        this.gatewayUrl = (process.env.IPFS_GATEWAY_URL || 'https://ipfs.io').replace(/\/+$/, '');
+        this.authorization = process.env.IPFS_API_AUTH || null;
+    }
+
+
+    createApiRequest(endpoint) {
+        const request = new FetchRequest(`${this.apiUrl}/api/v0/${endpoint}`);
+        request.method = 'POST';
+        request.timeout = REQUEST_TIMEOUT;
+
+        if (this.authorization) {
+            request.setHeader('authorization', this.authorization);
+        }
+
+        return request;
+    }
+
+
+    /**
+     * Fail before anything is encrypted or paid for when no IPFS API answers
+     */
+    async checkReady() {
+        try {
+            const request = this.createApiRequest('version');
+            request.timeout = READY_TIMEOUT;
+
+            const response = await request.send();
+            response.assertOk();
+        } catch (error) {
+            throw new Error([
+                `No IPFS node is reachable at ${this.apiUrl} (${error.message.split('\n')[0]}).`,
+                'Message ciphertext is stored on IPFS, so sending needs one of:',
+                '  - a local node: install Kubo (https://docs.ipfs.tech/install/command-line/) and run "ipfs init && ipfs daemon"',
+                '  - a pinning service with an IPFS RPC API: set IPFS_API_URL and IPFS_API_AUTH in .env',
+                'For single-machine testing only, --storage local keeps ciphertext in a directory no one else can read from.'
+            ].join('\n'));
+        }
+    }
+
+
+    async put(content) {
+        const boundary = `----ChainWhisper${crypto.randomBytes(12).toString('hex')}`;
+        const request = this.createApiRequest('block/put?cid-codec=raw&mhtype=sha2-256&pin=true');
+
+        request.setHeader('content-type', `multipart/form-data; boundary=${boundary}`);
+        request.body = Buffer.concat([
+            Buffer.from(`--${boundary}\r\nContent-Disposition: form-data; name="file"; filename="blob"\r\nContent-Type: application/octet-stream\r\n\r\n`),
+            content,
+            Buffer.from(`\r\n--${boundary}--\r\n`)
+        ]);
+
+        const response = await request.send();
+        response.assertOk();
+
+        return response.bodyJson.Key;
+    }
+
+
+    async get(cid) {
+        try {
+            const request = this.createApiRequest(`block/get?arg=${cid}`);
+            const response = await request.send();
+            response.assertOk();
+            return Buffer.from(response.body);
+        } catch (apiError) {
+            const request = new FetchRequest(`${this.gatewayUrl}/ipfs/${cid}`);
+            request.setHeader('accept', 'application/vnd.ipld.raw');
+            request.timeout = REQUEST_TIMEOUT;
+
+            const response = await request.send();
+            response.assertOk();
+            return Buffer.from(response.body);
+        }
+    }
+
+
+    describe() {
+        return `IPFS (${this.apiUrl})`;
+    }
+}
+
+
+class LocalBackend {
+    constructor() {
+        this.name = 'local';
+        this.storageDir = process.env.STORAGE_DIR || path.join(process.cwd(), '.chainwhisper', 'storage');
+    }
+
+
+    async put(content, cid) {
+        fs.mkdirSync(this.storageDir, { recursive: true, mode: 0o700 });
+        fs.writeFileSync(path.join(this.storageDir, cid), content, { mode: 0o600 });
+        return cid;
+    }
+
+
+    async get(cid) {
+        const filePath = path.join(this.storageDir, cid);
+
+        if (!fs.existsSync(filePath)) {
+            throw new Error(`Content ${cid} not found in ${this.storageDir}`);
+        }
+
+        return fs.readFileSync(filePath);
+    }
+
+
+    async checkReady() {}
+
+
+    describe() {
+        return `local store (${this.storageDir}, this machine only)`;
+    }
+}
+
+
+class IPFSService {
+    static backends = {
+        ipfs: IpfsBackend,
+        local: LocalBackend
+    };
+
+
+    constructor(backendName = process.env.STORAGE_BACKEND || 'ipfs') {
+        const Backend = IPFSService.backends[backendName];
+
+        if (!Backend) {
+            throw new Error(`Unknown storage backend: ${backendName}. Available: ${Object.keys(IPFSService.backends).join(', ')}`);
+        }
+
+        this.backend = new Backend();
+        this.ready = null;
+    }
+
+
+    /**
+     * Check once per run that the backend can take uploads
+     */
+    ensureReady() {
+        if (!this.ready) {
+            this.ready = this.backend.checkReady().catch((error) => {
+                this.ready = null;
+                throw error;
+            });
+        }
+
+        return this.ready;
+    }
+
+
+    static computeCid(content) {
+        const digest = crypto.createHash('sha256').update(content).digest();
+        return 'b' + toBase32(Buffer.concat([CID_PREFIX, digest]));
+    }
+
+
+    static isContentId(value) {
+        return typeof value === 'string' && CID_PATTERN.test(value);
+    }
+
+
+    async storeContent(content) {
+        await this.ensureReady();
+
+        const cid = IPFSService.computeCid(content);
+
+        const storedCid = await this.backend.put(content, cid);
+        if (storedCid !== cid) {
+            throw new Error(`Storage returned unexpected CID ${storedCid}`);
+        }
+
+        return cid;
+    }
+
+
+    async fetchContent(cid) {
+        if (!IPFSService.isContentId(cid)) {
+            throw new Error(`Unsupported CID: ${cid}`);
+        }
+
+        const content = await this.backend.get(cid);
+
+        if (IPFSService.computeCid(content) !== cid) {
+            throw new Error(`Content for ${cid} failed hash verification`);
+        }
+
+        return content;
+    }
+
+
+    async uploadEncryptedContent(encryptedContent) {
+        try {
+            const content = Buffer.from(encryptedContent, 'utf8');
+
+            reporter.info(chalk.blue(`📤 Uploading ciphertext to ${this.backend.describe()}...`));
+
+            const cid = await this.storeContent(content);
+
+            reporter.info(chalk.gray(`📎 CID: ${cid} (${content.length} bytes)`));
+            return cid;
+
+        } catch (error) {
+            reporter.error(chalk.red('❌ Upload failed:'), error.message);
+            throw error;
+        }
+    }
+
+
+    async downloadContent(cid) {
+        return (await this.fetchContent(cid)).toString('utf8');
+    }
+
+
+    /**
+     * Replace each message's on-chain CID with its verified ciphertext.
+     * Messages written before storage was introduced carry the ciphertext inline and are left as-is.
+     */
+    async resolveMessages(messages) {
+        for (const message of messages) {
+            if (!IPFSService.isContentId(message.cid)) {
+                continue;
+            }
+
+            message.contentId = message.cid;
+
+            try {
+                message.cid = await this.downloadContent(message.contentId);
+            } catch (error) {
+                message.storageError = `Could not fetch ${message.contentId}: ${error.message.split('\n')[0]}`;
+            }
+        }
+
+        return messages;
+    }
+}
+
+module.exports = IPFSService;
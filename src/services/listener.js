@@ -0,0 +1,275 @@
+const fs = require('fs');
+const path = require('path');
+const { spawn } = require('child_process');
+const chalk = require('chalk');
+const { ethers } = require('ethers');
+const ConversationService = require('./conversation');
+const logger = require('../utils/logger');
+const reporter = require('../utils/reporter');
+
+
+const SESSION_EVENT_ABI = [
+    "event MessageSent(address indexed from, string cid, uint256 timestamp, uint256 expiry, uint256 messageIndex, bool isMedia, string messageType)"
+];
+
+const POLL_INTERVAL = 5000;
+const MAX_BLOCK_RANGE = 2000;
+const HOOK_TIMEOUT = 60000;
+
+/**
+ * Polls for messages addressed to the wallet once they have enough confirmations,
+ * and hands each decrypted message to the console, a mailbox file and/or a shell hook.
+ */
+class ListenerService {
+    constructor(blockchainService, wallet, storage, options = {}) {
+        this.blockchain = blockchainService;
+        this.wallet = wallet;
+        this.address = wallet.address.toLowerCase();
+        this.conversation = new ConversationService(blockchainService, wallet, storage);
+
+        this.confirmations = Math.max(1, options.confirmations || 1);
+        this.hook = options.hook || null;
+        this.mailbox = options.mailbox || null;
+
+        this.sessionInterface = new ethers.Interface(SESSION_EVENT_ABI);
+        this.statePath = path.join(process.cwd(), '.chainwhisper', 'listener', `${this.address}.json`);
+        this.sessions = new Set();
+        this.running = false;
+        this.wakeUp = null;
+    }
+
+
+    loadState() {
+        if (!fs.existsSync(this.statePath)) {
+            return null;
+        }
+
+        return JSON.parse(fs.readFileSync(this.statePath, 'utf8'));
+    }
+
+
+    saveState(lastBlock) {
+        fs.mkdirSync(path.dirname(this.statePath), { recursive: true, mode: 0o700 });
+        fs.writeFileSync(this.statePath, JSON.stringify({ lastBlock }, null, 2), { mode: 0o600 });
+    }
+
+
+    async loadSessions() {
+        const sessionAddresses = await this.blockchain.getUserSessionContracts();
+        sessionAddresses.forEach((sessionAddress) => this.sessions.add(sessionAddress));
+    }
+
+
+    async start() {
+        this.running = true;
+
+        await this.loadSessions();
+
+        const head = await this.blockchain.provider.getBlockNumber();
+        const state = this.loadState();
+        let lastBlock = state ? state.lastBlock : head - this.confirmations + 1;
+
+        reporter.info(chalk.green(`👂 Listening for messages to ${this.wallet.address}`));
+        reporter.info(chalk.gray(`   Sessions watched: ${this.sessions.size}`));
+        reporter.info(chalk.gray(`   Confirmations: ${this.confirmations}`));
+        reporter.info(chalk.gray(`   Resuming after block: ${lastBlock}`));
+        if (this.mailbox) {
+            reporter.info(chalk.gray(`   Mailbox: ${this.mailbox}`));
+        }
+        if (this.hook) {
+            reporter.info(chalk.gray(`   Hook: ${this.hook}`));
+        }
+        reporter.info(chalk.gray('   Press Ctrl+C to stop\n'));
+
+        while (this.running) {
+            try {
+                lastBlock = await this.poll(lastBlock);
+            } catch (error) {
+                reporter.warn(chalk.yellow(`⚠️  Poll failed, retrying: ${error.message.split('\n')[0]}`));
+                logger.warn(`Listener poll failed: ${error.message}`);
+            }
+
+            await new Promise((resolve) => {
+                this.wakeUp = resolve;
+                setTimeout(resolve, POLL_INTERVAL);
+            });
+        }
+    }
+
+
+    stop() {
+        this.running = false;
+        if (this.wakeUp) {
+            this.wakeUp();
+        }
+    }
+
+
+    async poll(lastBlock) {
+        const head = await this.blockchain.provider.getBlockNumber();
+        const safeHead = head - this.confirmations + 1;
+
+        while (lastBlock < safeHead && this.running) {
+            const fromBlock = lastBlock + 1;
+            const toBlock = Math.min(safeHead, fromBlock + MAX_BLOCK_RANGE - 1);
+
+            const messages = await this.fetchMessages(fromBlock, toBlock);
+            for (const message of messages) {
+                await this.deliver(message);
+            }
+
+            lastBlock = toBlock;
+            this.saveState(lastBlock);
+        }
+
+        return lastBlock;
+    }
+
+
+    async fetchMessages(fromBlock, toBlock) {
+        const factory = this.blockchain.factoryContract;
+        const chat = this.blockchain.chatContract;
+
+        // Sessions created in this range can already carry messages in the same range
+        const [initiated, joined] = await Promise.all([
+            factory.queryFilter(factory.filters.ChatSessionCreated(null, this.wallet.address), fromBlock, toBlock),
+            factory.queryFilter(factory.filters.ChatSessionCreated(null, null, this.wallet.address), fromBlock, toBlock)
+        ]);
+        [...initiated, ...joined].forEach((event) => this.sessions.add(event.args.sessionContract));
+
+
+        const mainEvents = await chat.queryFilter(chat.filters.MessageSent(null, this.wallet.address), fromBlock, toBlock);
+
+        const messages = [];
+        for (const event of mainEvents) {
+            const message = await this.blockchain.getMessageById(event.args.messageId);
+            messages.push({ ...message, blockNumber: event.blockNumber, logIndex: event.index, transactionHash: event.transactionHash });
+        }
+
+
+        if (this.sessions.size > 0) {
+            const sessionLogs = await this.blockchain.provider.getLogs( {
+                address: Array.from(this.sessions),
+                topics: [this.sessionInterface.getEvent('MessageSent').topicHash],
+                fromBlock,
+                toBlock
+            });
+
+            for (const log of sessionLogs) {
+                const parsed = this.sessionInterface.parseLog(log);
+                if (parsed.args.from.toLowerCase() === this.address) {
+                    continue;
+                }
+
+                messages.push( {
+                    messageId: parsed.args.messageIndex.toString(),
+                    from: parsed.args.from,
+                    to: this.wallet.address,
+                    cid: parsed.args.cid,
+                    timestamp: Number(parsed.args.timestamp),
+                    expiry: Number(parsed.args.expiry),
+                    isMedia: parsed.args.isMedia,
+                    messageType: parsed.args.messageType,
+                    source: 'session',
+                    sessionAddress: log.address,
+                    blockNumber: log.blockNumber,
+                    logIndex: log.index,
+                    transactionHash: log.transactionHash
+                });
+            }
+        }
+
+        return messages.sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+    }
+
+
+    async deliver(message) {
+        await this.conversation.decryptMessages([message], message.from);
+
+        const record = {
+            receivedAt: new Date().toISOString(),
+            from: message.from,
+            source: message.source,
+            messageId: message.messageId,
+            sessionAddress: message.sessionAddress || null,
+            transactionHash: message.transactionHash,
+            blockNumber: message.blockNumber,
+            timestamp: message.timestamp,
+            expiry: message.expiry,
+            messageType: message.messageType,
+            content: message.content ?? null,
+            error: message.decryptError ?? null
+        };
+
+        const sourceIcon = message.source === 'session' ? '🔒' : '📨';
+        const preview = record.error ? chalk.red(`[${record.error}]`) : chalk.white(message.messageType === 'text' ? record.content : `[${message.messageType} attachment]`);
+        reporter.info(`${sourceIcon} ${chalk.green(message.from)} (${new Date(message.timestamp * 1000).toLocaleString()}): ${preview}`);
+        reporter.event(record.error ? 'message.failed' : 'message.decrypted', record);
+
+        if (this.mailbox) {
+            try {
+                fs.mkdirSync(path.dirname(path.resolve(this.mailbox)), { recursive: true });
+                fs.appendFileSync(this.mailbox, JSON.stringify(record) + '\n', { mode: 0o600 });
+            } catch (error) {
+                reporter.warn(chalk.red(`   ❌ Mailbox write failed: ${error.message}`));
+                logger.error('Mailbox write failed', error);
+            }
+        }
+
+        // The hook only ever sees plaintext; failures are in the mailbox and the message.failed event
+        if (this.hook && !record.error) {
+            await this.runHook(record);
+        }
+
+        logger.info('Incoming message delivered', {
+            from: record.from,
+            source: record.source,
+            transactionHash: record.transactionHash
+        });
+    }
+
+
+    /**
+     * Run the hook through the shell with the record as JSON on stdin and its
+     * metadata in CHAINWHISPER_* environment variables. Failures never stop the listener.
+     */
+    runHook(record) {
+        return new Promise((resolve) => {
+            const child = spawn(this.hook, {
+                shell: true,
+                stdio: ['pipe', 'inherit', 'inherit'],
+                env: {
+                    ...process.env,
+                    CHAINWHISPER_FROM: record.from,
+                    CHAINWHISPER_SOURCE: record.source,
+                    CHAINWHISPER_MESSAGE_ID: record.messageId,
+                    CHAINWHISPER_TX_HASH: record.transactionHash,
+                    CHAINWHISPER_TIMESTAMP: String(record.timestamp),
+                    CHAINWHISPER_MESSAGE_TYPE: record.messageType
+                }
+            });
+
+            const timer = setTimeout(() => {
+                reporter.warn(chalk.yellow(`   ⚠️  Hook timed out after ${HOOK_TIMEOUT / 1000}s`));
+                child.kill();
+            }, HOOK_TIMEOUT);
+
+            child.on('error', (error) => {
+                reporter.warn(chalk.red(`   ❌ Hook failed to start: ${error.message}`));
+            });
+
+            child.on('close', (code) => {
+                clearTimeout(timer);
+                if (code !== 0 && code !== null) {
+                    reporter.warn(chalk.yellow(`   ⚠️  Hook exited with code ${code}`));
+                }
+                resolve();
+            });
+
+            child.stdin.on('error', () => {});
+            child.stdin.end(JSON.stringify(record));
+        });
+    }
+}
+
+module.exports = ListenerService;
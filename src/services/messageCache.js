@@ -0,0 +1,389 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const chalk = require('chalk');
+const EncryptionService = require('./encryption');
+const IPFSService = require('./ipfs');
+const logger = require('../utils/logger');
+const reporter = require('../utils/reporter');
+
+
+const CACHE_VERSION = 'cache-1.0';
+const CACHE_KDF_INFO = 'ChainWhisper message cache';
+const MAX_BLOCK_RANGE = 2000;
+
+// Blocks a message needs (counting its own) before it is written to the cache
+const DEFAULT_CONFIRMATIONS = 12;
+
+// Set while reading messages; never persisted
+const TRANSIENT_FIELDS = ['content', 'decryptError', 'storageError'];
+
+/**
+ * Local copy of every message the wallet can see on one network, encrypted at rest with
+ * a key derived from the wallet. Each sync reads the MessageSent logs of main-contract messages
+ * not cached yet (from the last confirmed block, or the block of the oldest of them) and session
+ * events after the last synced block of each session; a session seen for the first time is
+ * scanned from the block it was created in. Messages are only cached, with their block and
+ * transaction, once they have CACHE_CONFIRMATIONS confirmations, and when the last confirmed
+ * block of the main contract or of a session was reorged away it is scanned again; newer
+ * messages are kept in memory as unconfirmed. A closed or expired session is marked finished
+ * once its last active block is confirmed and synced, and is not queried again.
+ */
+class MessageCache {
+    constructor(blockchainService, wallet, storage) {
+        this.blockchain = blockchainService;
+        this.wallet = wallet;
+        this.storage = storage;
+        this.address = wallet.address.toLowerCase();
+
+        const { chainId, contracts } = blockchainService.networkConfig;
+        this.chainId = chainId;
+        this.chatContract = contracts.chatContract.toLowerCase();
+        this.cachePath = path.join(process.cwd(), '.chainwhisper', 'cache', String(chainId), `${this.address}.json`);
+        this.data = null;
+        this.unconfirmed = [];
+        this.confirmations = Math.max(1, Number(process.env.CACHE_CONFIRMATIONS) || DEFAULT_CONFIRMATIONS);
+    }
+
+
+    deriveKey() {
+        const privateKey = Buffer.from(this.wallet.privateKey.replace(/^0x/, ''), 'hex');
+        return Buffer.from(crypto.hkdfSync('sha256', privateKey, Buffer.from(this.address), CACHE_KDF_INFO, 32));
+    }
+
+
+    getAssociatedData() {
+        return Buffer.from(`${CACHE_VERSION}:${this.chainId}:${this.chatContract}:${this.address}`);
+    }
+
+
+    emptyCache() {
+        return {
+            chatContract: this.chatContract,
+            lastMessageId: -1,
+            lastSyncedAt: 0,
+            messages: {},
+            sessions: {}
+        };
+    }
+
+
+    async load() {
+        if (this.data) {
+            return this.data;
+        }
+
+        this.data = this.emptyCache();
+
+        if (!fs.existsSync(this.cachePath)) {
+            return this.data;
+        }
+
+        try {
+            await EncryptionService.initialize();
+            const sodium = EncryptionService.sodium;
+            const file = JSON.parse(fs.readFileSync(this.cachePath, 'utf8'));
+
+            const plaintext = sodium.crypto_aead_xchacha20poly1305_ietf_decrypt(
+                null,
+                Buffer.from(file.ciphertext, 'base64'),
+                this.getAssociatedData(),
+                Buffer.from(file.nonce, 'hex'),
+                this.deriveKey()
+            );
+
+            const data = JSON.parse(sodium.to_string(plaintext));
+            if (data.chatContract === this.chatContract) {
+                this.data = data;
+            }
+        } catch (error) {
+            reporter.warn(chalk.yellow('⚠️  Local message cache could not be read, rebuilding it'));
+            logger.warn(`Message cache unreadable: ${error.message}`);
+        }
+
+        return this.data;
+    }
+
+
+    async save() {
+        await EncryptionService.initialize();
+        const sodium = EncryptionService.sodium;
+
+        const nonce = sodium.randombytes_buf(sodium.crypto_aead_xchacha20poly1305_ietf_NPUBBYTES);
+        const ciphertext = sodium.crypto_aead_xchacha20poly1305_ietf_encrypt(
+            sodium.from_string(JSON.stringify(this.data)),
+            this.getAssociatedData(),
+            null,
+            nonce,
+            this.deriveKey()
+        );
+
+        const file = {
+            version: CACHE_VERSION,
+            nonce: Buffer.from(nonce).toString('hex'),
+            ciphertext: Buffer.from(ciphertext).toString('base64')
+        };
+
+        fs.mkdirSync(path.dirname(this.cachePath), { recursive: true, mode: 0o700 });
+        fs.writeFileSync(this.cachePath, JSON.stringify(file), { mode: 0o600 });
+    }
+
+
+    /**
+     * Fetch everything new since the last sync. Returns how many messages were added.
+     */
+    async sync() {
+        const data = await this.load();
+        const head = await this.blockchain.provider.getBlockNumber();
+        const safeHead = head - this.confirmations + 1;
+        const added = [];
+        this.unconfirmed = [];
+
+
+        if (data.mainLastBlockHash) {
+            const block = await this.blockchain.provider.getBlock(data.mainLastBlock);
+            if (block?.hash !== data.mainLastBlockHash) {
+                reporter.warn(chalk.yellow(`⚠️  Block ${data.mainLastBlock} was reorganized, rescanning main contract messages`));
+                data.messages = {};
+                delete data.mainLastBlock;
+                delete data.mainLastBlockHash;
+            }
+        }
+
+        // Messages cached before transactions were kept are looked up again to anchor them
+        const pendingIds = (await this.blockchain.getUserMessageIds())
+            .filter((messageId) => !data.messages[messageId]?.transactionHash)
+            .sort((a, b) => Number(a) - Number(b));
+
+        if (pendingIds.length > 0) {
+            let fromBlock = data.mainLastBlock + 1;
+            if (data.mainLastBlock === undefined) {
+                const oldest = await this.blockchain.getMessageById(pendingIds[0]);
+                fromBlock = await this.blockchain.findBlockByTimestamp(oldest.timestamp);
+            }
+
+            for (let chunkStart = fromBlock; chunkStart <= head; chunkStart += MAX_BLOCK_RANGE) {
+                const events = await this.blockchain.getMessageEvents(this.wallet.address, chunkStart, Math.min(chunkStart + MAX_BLOCK_RANGE - 1, head));
+
+                for (const { messageId, blockNumber, transactionHash } of events.filter((event) => pendingIds.includes(event.messageId))) {
+                    const cached = data.messages[messageId];
+                    if (cached && blockNumber <= safeHead) {
+                        Object.assign(cached, { blockNumber, transactionHash });
+                        continue;
+                    }
+
+                    const message = { ...await this.blockchain.getMessageById(messageId), blockNumber, transactionHash };
+
+                    if (blockNumber > safeHead) {
+                        this.unconfirmed.push(message);
+                        continue;
+                    }
+
+                    data.messages[messageId] = message;
+                    data.lastMessageId = Math.max(data.lastMessageId, Number(messageId));
+                    added.push(message);
+                }
+            }
+
+            if (safeHead >= fromBlock) {
+                data.mainLastBlock = safeHead;
+                data.mainLastBlockHash = (await this.blockchain.provider.getBlock(safeHead)).hash;
+            }
+        }
+
+
+        for (const { sessionId, sessionAddress } of await this.blockchain.getUserSessionIds(this.wallet.address)) {
+            if (data.sessions[sessionAddress.toLowerCase()]) {
+                continue;
+            }
+
+            const info = await this.blockchain.getSessionInfo(sessionAddress);
+            const createdBlock = await this.blockchain.getSessionCreationBlock(sessionAddress, info.createdAt);
+
+            data.sessions[sessionAddress.toLowerCase()] = {
+                sessionId,
+                sessionAddress,
+                participants: [info.participant1, info.participant2],
+                createdBlock,
+                lastBlock: createdBlock - 1,
+                messages: []
+            };
+        }
+
+
+        // Caches written before creation blocks were tracked only scanned the last 10,000 blocks
+        for (const session of Object.values(data.sessions).filter((cached) => cached.createdBlock === undefined)) {
+            const info = await this.blockchain.getSessionInfo(session.sessionAddress);
+            session.createdBlock = await this.blockchain.getSessionCreationBlock(session.sessionAddress, info.createdAt);
+            session.lastBlock = session.createdBlock - 1;
+        }
+
+
+        // A reorg deeper than the confirmation margin can have dropped or moved cached events
+        for (const [key, session] of Object.entries(data.sessions).filter(([, cached]) => cached.lastBlockHash && !cached.finished)) {
+            const block = await this.blockchain.provider.getBlock(session.lastBlock);
+            if (block?.hash !== session.lastBlockHash) {
+                reporter.warn(chalk.yellow(`⚠️  Block ${session.lastBlock} of session ${session.sessionAddress} was reorganized, rescanning the session`));
+
+                // The reorg can have taken the session contract itself with it
+                if (await this.blockchain.provider.getCode(session.sessionAddress) === '0x') {
+                    delete data.sessions[key];
+                    continue;
+                }
+
+                session.messages = [];
+                session.lastBlock = session.createdBlock - 1;
+                delete session.lastBlockHash;
+            }
+        }
+
+
+        for (const session of Object.values(data.sessions).filter((cached) => !cached.finished)) {
+            const info = await this.blockchain.getSessionInfo(session.sessionAddress);
+            const endBlock = await this.blockchain.getSessionEndBlock(info, session.createdBlock) ?? head;
+            const scanTo = Math.min(endBlock, safeHead);
+
+            for (let fromBlock = session.lastBlock + 1; fromBlock <= scanTo; fromBlock += MAX_BLOCK_RANGE) {
+                const toBlock = Math.min(fromBlock + MAX_BLOCK_RANGE - 1, scanTo);
+                const events = await this.blockchain.getSessionMessages(session.sessionAddress, fromBlock, toBlock);
+
+                for (const message of events) {
+                    if (!session.messages.some((cached) => cached.transactionHash === message.transactionHash)) {
+                        session.messages.push(message);
+                        added.push(message);
+                    }
+                }
+
+                session.lastBlock = toBlock;
+            }
+
+            if (session.lastBlock >= session.createdBlock) {
+                session.lastBlockHash = (await this.blockchain.provider.getBlock(session.lastBlock)).hash;
+            }
+
+            // Closed or expired, and everything up to its last activity is confirmed and cached
+            if (!info.active && session.lastBlock >= endBlock) {
+                session.finished = true;
+                continue;
+            }
+
+            if (session.lastBlock < endBlock) {
+                const events = await this.blockchain.getSessionMessages(session.sessionAddress, session.lastBlock + 1, endBlock);
+                this.unconfirmed.push(...events.filter((message) => !session.messages.some((cached) => cached.transactionHash === message.transactionHash)));
+            }
+        }
+
+
+        // Keep the ciphertext itself so storage is only hit again for content that failed to download
+        const unresolved = [...this.getAllRecords(), ...this.unconfirmed].filter((message) => IPFSService.isContentId(message.cid));
+        await this.storage.resolveMessages(unresolved);
+
+        unresolved.forEach((message) => TRANSIENT_FIELDS.forEach((field) => delete message[field]));
+
+        data.lastSyncedAt = Math.floor(Date.now() / 1000);
+        await this.save();
+
+        return added.length;
+    }
+
+
+    /**
+     * Add a message that was verified against the chain outside of sync (an imported export).
+     * Returns true when the message was new or brought ciphertext that storage could not provide.
+     */
+    merge(message) {
+        const fillCiphertext = (cached) => {
+            if (!IPFSService.isContentId(cached.cid) || IPFSService.isContentId(message.cid)) {
+                return false;
+            }
+
+            cached.contentId = cached.cid;
+            cached.cid = message.cid;
+            return true;
+        };
+
+        if (message.source === 'main') {
+            const cached = this.data.messages[message.messageId];
+            if (cached) {
+                return fillCiphertext(cached);
+            }
+
+            this.data.messages[message.messageId] = message;
+            this.data.lastMessageId = Math.max(this.data.lastMessageId, Number(message.messageId));
+            return true;
+        }
+
+        const session = this.data.sessions[message.sessionAddress.toLowerCase()];
+        const cached = session.messages.find((existing) => existing.transactionHash === message.transactionHash);
+        if (cached) {
+            return fillCiphertext(cached);
+        }
+
+        session.messages.push(message);
+        session.messages.sort((a, b) => a.blockNumber - b.blockNumber);
+        return true;
+    }
+
+
+    getAllRecords() {
+        return [
+            ...Object.values(this.data.messages),
+            ...Object.values(this.data.sessions).flatMap((session) => session.messages)
+        ];
+    }
+
+
+    /**
+     * Copies of the cached messages with one peer, split by source; `unconfirmed` adds the
+     * messages from the last sync that do not have enough confirmations yet
+     */
+    getConversation(peerAddress, { unconfirmed = false } = {}) {
+        const peer = peerAddress.toLowerCase();
+        const isWithPeer = (addresses) => addresses.some((address) => address.toLowerCase() === peer);
+
+        const mainRecords = Object.values(this.data.messages);
+        if (unconfirmed) {
+            mainRecords.push(...this.unconfirmed.filter((message) => message.source === 'main'));
+        }
+
+        const mainMessages = mainRecords
+            .filter((message) => isWithPeer([message.from, message.to]))
+            .sort((a, b) => Number(a.messageId) - Number(b.messageId))
+            .map((message) => ({ ...message }));
+
+        const sessions = Object.values(this.data.sessions).filter((session) => isWithPeer(session.participants));
+        const sessionMessages = sessions.flatMap((session) => session.messages.map((message) => ({ ...message })));
+
+        if (unconfirmed) {
+            const addresses = sessions.map((session) => session.sessionAddress.toLowerCase());
+            sessionMessages.push(...this.unconfirmed
+                .filter((message) => message.source === 'session' && addresses.includes(message.sessionAddress.toLowerCase()))
+                .map((message) => ({ ...message })));
+        }
+
+        return { mainMessages, sessionMessages };
+    }
+
+
+    /**
+     * Every counterparty with cached messages or sessions
+     */
+    getCounterparties() {
+        const counterparties = new Map();
+        const add = (address) => {
+            if (address.toLowerCase() !== this.address) {
+                counterparties.set(address.toLowerCase(), address);
+            }
+        };
+
+        Object.values(this.data.messages).forEach((message) => {
+            add(message.from);
+            add(message.to);
+        });
+        Object.values(this.data.sessions).forEach((session) => session.participants.forEach(add));
+
+        return Array.from(counterparties.values());
+    }
+}
+
+module.exports = MessageCache;
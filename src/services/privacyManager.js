@@ -26,9 +26,9 @@ class PrivacyManager {
             [this.privacyModes.SESSION]: {
                 name: 'Private Session Mode',
                 icon: '🔒',
-                description: 'Disposable contracts + ECDH encryption (maximum privacy)',
+                description: 'Disposable contracts + X3DH / Double Ratchet encryption (maximum privacy)',
                 gasCost: 'High (~285k + 50k gas)',
-                privacyLevel: 'Maximum privacy, isolated contracts'
+                privacyLevel: 'Maximum privacy, isolated contracts, per-message keys'
             }
         };
 
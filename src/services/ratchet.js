@@ -0,0 +1,469 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const chalk = require('chalk');
+const EncryptionService = require('./encryption');
+const reporter = require('../utils/reporter');
+
+
+const RATCHET_VERSION = '5.0';
+const MAX_SKIP = 1000;
+const X3DH_KDF_INFO = 'ChainWhisper X3DH';
+const ROOT_KDF_INFO = 'ChainWhisper ratchet';
+const STATE_VERSION = 'ratchet-state-1.0';
+const STATE_KDF_INFO = 'ChainWhisper ratchet state';
+
+/**
+ * X3DH + Double Ratchet for session messages. Each session's state lives in its own file,
+ * encrypted with XChaCha20-Poly1305 under a key derived from the wallet (as the message cache
+ * is); next to the state it keeps the key of every message already opened or sent, so history
+ * can be re-read from the cached ciphertext without storing any plaintext.
+ */
+class RatchetService {
+    constructor(wallet) {
+        this.wallet = wallet;
+        this.address = wallet.address.toLowerCase();
+        this.privateKey = wallet.privateKey.startsWith('0x') ? wallet.privateKey.slice(2) : wallet.privateKey;
+        this.identityPublicKey = EncryptionService.getPublicKeyFromPrivate(this.privateKey);
+        this.ratchetDir = path.join(process.cwd(), '.chainwhisper', 'ratchets', this.address);
+    }
+
+
+    static isRatchetPayload(encryptedData) {
+        try {
+            return JSON.parse(encryptedData).version === RATCHET_VERSION;
+        } catch (error) {
+            return false;
+        }
+    }
+
+
+    getStatePath(sessionAddress) {
+        return path.join(this.ratchetDir, `${sessionAddress.toLowerCase()}.json`);
+    }
+
+
+    deriveStateKey() {
+        return Buffer.from(crypto.hkdfSync('sha256', Buffer.from(this.privateKey, 'hex'), Buffer.from(this.address), STATE_KDF_INFO, 32));
+    }
+
+
+    // Binds each file to its wallet and session, so files cannot be swapped between sessions
+    getStateAssociatedData(sessionAddress) {
+        return Buffer.from(`${STATE_VERSION}:${this.address}:${sessionAddress.toLowerCase()}`);
+    }
+
+
+    async loadRecord(sessionAddress) {
+        const statePath = this.getStatePath(sessionAddress);
+
+        if (!fs.existsSync(statePath)) {
+            return { state: null, messageKeys: {} };
+        }
+
+        await EncryptionService.initialize();
+        const sodium = EncryptionService.sodium;
+        const file = JSON.parse(fs.readFileSync(statePath, 'utf8'));
+
+        // Written before state was encrypted: keep the state, drop the plaintext history
+        if (!file.ciphertext) {
+            const record = { state: file.state, messageKeys: {} };
+            await this.saveRecord(sessionAddress, record);
+            return record;
+        }
+
+        try {
+            const plaintext = sodium.crypto_aead_xchacha20poly1305_ietf_decrypt(
+                null,
+                Buffer.from(file.ciphertext, 'base64'),
+                this.getStateAssociatedData(sessionAddress),
+                Buffer.from(file.nonce, 'hex'),
+                this.deriveStateKey()
+            );
+
+            return JSON.parse(sodium.to_string(plaintext));
+        } catch (error) {
+            throw new Error(`Ratchet state ${statePath} could not be decrypted with this wallet`);
+        }
+    }
+
+
+    async saveRecord(sessionAddress, record) {
+        await EncryptionService.initialize();
+        const sodium = EncryptionService.sodium;
+
+        const nonce = sodium.randombytes_buf(sodium.crypto_aead_xchacha20poly1305_ietf_NPUBBYTES);
+        const ciphertext = sodium.crypto_aead_xchacha20poly1305_ietf_encrypt(
+            sodium.from_string(JSON.stringify(record)),
+            this.getStateAssociatedData(sessionAddress),
+            null,
+            nonce,
+            this.deriveStateKey()
+        );
+
+        const file = {
+            version: STATE_VERSION,
+            nonce: Buffer.from(nonce).toString('hex'),
+            ciphertext: Buffer.from(ciphertext).toString('base64')
+        };
+
+        fs.mkdirSync(this.ratchetDir, { recursive: true, mode: 0o700 });
+        fs.writeFileSync(this.getStatePath(sessionAddress), JSON.stringify(file), { mode: 0o600 });
+    }
+
+
+    async hasState(sessionAddress) {
+        return (await this.loadRecord(sessionAddress)).state !== null;
+    }
+
+
+    kdfRoot(rootKey, dhOutput) {
+        const output = Buffer.from(crypto.hkdfSync('sha256', dhOutput, Buffer.from(rootKey, 'hex'), ROOT_KDF_INFO, 64));
+
+        return {
+            rootKey: output.subarray(0, 32).toString('hex'),
+            chainKey: output.subarray(32).toString('hex')
+        };
+    }
+
+
+    kdfChain(chainKey) {
+        const key = Buffer.from(chainKey, 'hex');
+
+        return {
+            messageKey: crypto.createHmac('sha256', key).update(Buffer.from([0x01])).digest(),
+            chainKey: crypto.createHmac('sha256', key).update(Buffer.from([0x02])).digest('hex')
+        };
+    }
+
+
+    deriveX3DHSecret(dhOutputs, sessionAddress) {
+        const salt = Buffer.from(sessionAddress.toLowerCase().replace(/^0x/, ''), 'hex');
+        return Buffer.from(crypto.hkdfSync('sha256', Buffer.concat(dhOutputs), salt, X3DH_KDF_INFO, 32)).toString('hex');
+    }
+
+
+    getAssociatedData(associatedData, header) {
+        const handshake = header.x3dh ? `${header.x3dh.ik}${header.x3dh.ek}` : '';
+        return EncryptionService.sodium.from_string(
+            `${associatedData}:${header.dh}:${header.pn}:${header.n}:${handshake}`
+        );
+    }
+
+
+    async initiateSession(sessionAddress, peerAddress) {
+        const peerIdentityKey = await EncryptionService.resolvePublicKey(peerAddress);
+        const ephemeralKeyPair = EncryptionService.generateEphemeralKeyPair();
+
+
+        const sharedSecret = this.deriveX3DHSecret([
+            EncryptionService.computeECDH(this.privateKey, peerIdentityKey),
+            EncryptionService.computeECDH(ephemeralKeyPair.privateKey, peerIdentityKey)
+        ], sessionAddress);
+
+
+        const sendingKeyPair = EncryptionService.generateEphemeralKeyPair();
+        const { rootKey, chainKey } = this.kdfRoot(
+            sharedSecret,
+            EncryptionService.computeECDH(sendingKeyPair.privateKey, peerIdentityKey)
+        );
+
+        return {
+            role: 'initiator',
+            peer: peerAddress.toLowerCase(),
+            associatedData: this.identityPublicKey + peerIdentityKey,
+            handshake: { ik: this.identityPublicKey, ek: ephemeralKeyPair.publicKey },
+            acknowledged: false,
+            dhSelf: sendingKeyPair,
+            dhRemote: peerIdentityKey,
+            rootKey,
+            sendingChainKey: chainKey,
+            receivingChainKey: null,
+            sendCount: 0,
+            receiveCount: 0,
+            previousCount: 0,
+            skippedKeys: {}
+        };
+    }
+
+
+    acceptHandshake(sessionAddress, senderAddress, handshake) {
+        if (!EncryptionService.isPublicKeyForAddress(handshake.ik, senderAddress)) {
+            throw new Error('Handshake identity key does not match sender address');
+        }
+
+        if (!/^[0-9a-fA-F]{128}$/.test(handshake.ek || '')) {
+            throw new Error('Invalid handshake ephemeral key');
+        }
+
+        const sharedSecret = this.deriveX3DHSecret([
+            EncryptionService.computeECDH(this.privateKey, handshake.ik),
+            EncryptionService.computeECDH(this.privateKey, handshake.ek)
+        ], sessionAddress);
+
+        return {
+            role: 'responder',
+            peer: senderAddress.toLowerCase(),
+            associatedData: handshake.ik + this.identityPublicKey,
+            peerHandshake: handshake.ek,
+            dhSelf: { privateKey: this.privateKey, publicKey: this.identityPublicKey },
+            dhRemote: null,
+            rootKey: sharedSecret,
+            sendingChainKey: null,
+            receivingChainKey: null,
+            sendCount: 0,
+            receiveCount: 0,
+            previousCount: 0,
+            skippedKeys: {}
+        };
+    }
+
+
+    shouldAcceptHandshake(state, handshake, senderAddress) {
+        if (!state) {
+            return true;
+        }
+
+        if (state.role === 'responder') {
+            return state.peerHandshake !== handshake.ek;
+        }
+
+
+        // Both sides initiated before seeing each other: the lower address keeps the initiator role
+        return !state.acknowledged && senderAddress.toLowerCase() < this.address;
+    }
+
+
+    skipMessageKeys(state, until) {
+        if (state.receiveCount + MAX_SKIP < until) {
+            throw new Error('Too many skipped ratchet messages');
+        }
+
+        if (!state.receivingChainKey) {
+            return;
+        }
+
+        while (state.receiveCount < until) {
+            const { messageKey, chainKey } = this.kdfChain(state.receivingChainKey);
+            state.receivingChainKey = chainKey;
+            state.skippedKeys[`${state.dhRemote}:${state.receiveCount}`] = messageKey.toString('hex');
+            state.receiveCount++;
+        }
+    }
+
+
+    dhRatchet(state, remotePublicKey) {
+        state.previousCount = state.sendCount;
+        state.sendCount = 0;
+        state.receiveCount = 0;
+        state.dhRemote = remotePublicKey;
+
+        let derived = this.kdfRoot(state.rootKey, EncryptionService.computeECDH(state.dhSelf.privateKey, state.dhRemote));
+        state.rootKey = derived.rootKey;
+        state.receivingChainKey = derived.chainKey;
+
+        state.dhSelf = EncryptionService.generateEphemeralKeyPair();
+
+        derived = this.kdfRoot(state.rootKey, EncryptionService.computeECDH(state.dhSelf.privateKey, state.dhRemote));
+        state.rootKey = derived.rootKey;
+        state.sendingChainKey = derived.chainKey;
+    }
+
+
+    openPayload(associatedData, payload, messageKey) {
+        const sodium = EncryptionService.sodium;
+
+        const plaintext = sodium.crypto_aead_xchacha20poly1305_ietf_decrypt(
+            null,
+            sodium.from_base64(payload.ciphertext, sodium.base64_variants.ORIGINAL),
+            this.getAssociatedData(associatedData, payload.header),
+            sodium.from_base64(payload.nonce, sodium.base64_variants.ORIGINAL),
+            messageKey
+        );
+
+        return sodium.to_string(plaintext);
+    }
+
+
+    /**
+     * Message key for `payload`, advancing `state`; the payload is opened with it to authenticate
+     */
+    decryptWithState(state, payload) {
+        const header = payload.header;
+
+        if (!/^[0-9a-fA-F]{128}$/.test(header?.dh || '')) {
+            throw new Error('Invalid ratchet header');
+        }
+
+        const skippedId = `${header.dh}:${header.n}`;
+        if (state.skippedKeys[skippedId]) {
+            const messageKey = Buffer.from(state.skippedKeys[skippedId], 'hex');
+            delete state.skippedKeys[skippedId];
+            return { plaintext: this.openPayload(state.associatedData, payload, messageKey), messageKey };
+        }
+
+        if (header.dh !== state.dhRemote) {
+            this.skipMessageKeys(state, header.pn);
+            this.dhRatchet(state, header.dh);
+        }
+
+        this.skipMessageKeys(state, header.n);
+
+        const { messageKey, chainKey } = this.kdfChain(state.receivingChainKey);
+        state.receivingChainKey = chainKey;
+        state.receiveCount++;
+
+        return { plaintext: this.openPayload(state.associatedData, payload, messageKey), messageKey };
+    }
+
+
+    async encrypt(sessionAddress, peerAddress, message) {
+        try {
+            await EncryptionService.initialize();
+            const sodium = EncryptionService.sodium;
+
+            const record = await this.loadRecord(sessionAddress);
+
+            if (!record.state) {
+                reporter.info(chalk.blue('🤝 Starting X3DH handshake for this session...'));
+                record.state = await this.initiateSession(sessionAddress, peerAddress);
+            }
+
+            const state = record.state;
+
+            if (!state.sendingChainKey) {
+                throw new Error('Ratchet cannot send yet: waiting for the first message from the session initiator');
+            }
+
+            reporter.info(chalk.blue('🔐 Encrypting message with Double Ratchet + XChaCha20-Poly1305...'));
+
+
+            const { messageKey, chainKey } = this.kdfChain(state.sendingChainKey);
+            state.sendingChainKey = chainKey;
+
+            const header = { dh: state.dhSelf.publicKey, pn: state.previousCount, n: state.sendCount };
+            if (state.role === 'initiator' && !state.acknowledged) {
+                header.x3dh = state.handshake;
+            }
+
+            state.sendCount++;
+
+
+            const nonce = sodium.randombytes_buf(sodium.crypto_aead_xchacha20poly1305_ietf_NPUBBYTES);
+            const ciphertext = sodium.crypto_aead_xchacha20poly1305_ietf_encrypt(
+                sodium.from_string(message),
+                this.getAssociatedData(state.associatedData, header),
+                null,
+                nonce,
+                messageKey
+            );
+
+            const encodedNonce = sodium.to_base64(nonce, sodium.base64_variants.ORIGINAL);
+            record.messageKeys[encodedNonce] = { messageKey: messageKey.toString('hex'), associatedData: state.associatedData };
+
+            await this.saveRecord(sessionAddress, record);
+
+            reporter.info(chalk.green('✅ Message encrypted successfully'));
+
+            return JSON.stringify( {
+                header,
+                ciphertext: sodium.to_base64(ciphertext, sodium.base64_variants.ORIGINAL),
+                nonce: encodedNonce,
+                algorithm: 'XChaCha20-Poly1305',
+                keyDerivation: 'X3DH-DoubleRatchet',
+                version: RATCHET_VERSION
+            });
+
+        } catch (error) {
+            reporter.error(chalk.red('❌ Ratchet encryption failed:'), error.message);
+            throw error;
+        }
+    }
+
+
+    receive(record, sessionAddress, message, payload) {
+        const handshake = payload.header?.x3dh;
+
+        let state = record.state;
+
+        if (handshake && this.shouldAcceptHandshake(state, handshake, message.from)) {
+            state = this.acceptHandshake(sessionAddress, message.from, handshake);
+        }
+
+        if (!state) {
+            throw new Error('No ratchet state for this session and message carries no handshake');
+        }
+
+
+        const workingState = JSON.parse(JSON.stringify(state));
+        const { plaintext, messageKey } = this.decryptWithState(workingState, payload);
+
+        if (workingState.role === 'initiator') {
+            workingState.acknowledged = true;
+        }
+
+        record.state = workingState;
+        record.messageKeys[payload.nonce] = { messageKey: messageKey.toString('hex'), associatedData: workingState.associatedData };
+        return plaintext;
+    }
+
+
+    async decryptSessionMessages(messages) {
+        await EncryptionService.initialize();
+
+        const plaintexts = new Map();
+        const messagesBySession = new Map();
+
+        for (const message of messages) {
+            if (!RatchetService.isRatchetPayload(message.cid)) {
+                continue;
+            }
+
+            const sessionAddress = message.sessionAddress.toLowerCase();
+            if (!messagesBySession.has(sessionAddress)) {
+                messagesBySession.set(sessionAddress, []);
+            }
+            messagesBySession.get(sessionAddress).push(message);
+        }
+
+        for (const [sessionAddress, sessionMessages] of messagesBySession.entries()) {
+            const record = await this.loadRecord(sessionAddress);
+            let changed = false;
+
+            sessionMessages.sort((a, b) => Number(a.messageId) - Number(b.messageId));
+
+            for (const message of sessionMessages) {
+                const transactionHash = message.transactionHash;
+
+                try {
+                    const payload = JSON.parse(message.cid);
+                    const known = record.messageKeys[payload.nonce];
+
+                    if (known) {
+                        plaintexts.set(transactionHash, this.openPayload(known.associatedData, payload, Buffer.from(known.messageKey, 'hex')));
+                        continue;
+                    }
+
+                    if (message.from.toLowerCase() === this.address) {
+                        plaintexts.set(transactionHash, null);
+                        continue;
+                    }
+
+                    plaintexts.set(transactionHash, this.receive(record, sessionAddress, message, payload));
+                    changed = true;
+                } catch (error) {
+                    reporter.warn(chalk.yellow(`   ⚠️  Ratchet message #${message.messageId} could not be decrypted: ${error.message}`));
+                    plaintexts.set(transactionHash, null);
+                }
+            }
+
+            if (changed) {
+                await this.saveRecord(sessionAddress, record);
+            }
+        }
+
+        return plaintexts;
+    }
+}
+
+module.exports = RatchetService;
@@ -0,0 +1,161 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ethers } = require('ethers');
+const EncryptionService = require('./encryption');
+const RatchetService = require('./ratchet');
+const reporter = require('../utils/reporter');
+
+
+reporter.use('silent');
+// State files go under the working directory
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'chainwhisper-ratchet-'));
+process.chdir(workDir);
+test.after(() => fs.rmSync(workDir, { recursive: true, force: true }));
+
+const alice = ethers.Wallet.createRandom();
+const bob = ethers.Wallet.createRandom();
+
+EncryptionService.publicKeyCache = new Map([alice, bob].map((wallet) => [
+    wallet.address.toLowerCase(),
+    EncryptionService.getPublicKeyFromPrivate(wallet.privateKey.slice(2))
+]));
+
+
+/**
+ * Two participants of a fresh session, and the session's on-chain messages in order
+ */
+function createSession() {
+    const sessionAddress = ethers.Wallet.createRandom().address;
+    const messages = [];
+    const peers = { [alice.address]: bob.address, [bob.address]: alice.address };
+
+    const send = async (service, text) => {
+        const from = service.wallet.address;
+        const message = {
+            messageId: String(messages.length),
+            from,
+            cid: await service.encrypt(sessionAddress, peers[from], text),
+            sessionAddress,
+            transactionHash: ethers.id(`${sessionAddress}:${messages.length}`)
+        };
+        messages.push(message);
+        return message;
+    };
+
+    const read = async (service, subset = messages) => [...(await service.decryptSessionMessages(subset)).values()];
+
+    return { sessionAddress, messages, send, read, alice: new RatchetService(alice), bob: new RatchetService(bob) };
+}
+
+
+test('X3DH handshake and ratchet steps round-trip in both directions', async () => {
+    const session = createSession();
+
+    await session.send(session.alice, 'hi bob');
+    assert.deepStrictEqual(await session.read(session.bob), ['hi bob']);
+
+    await session.send(session.bob, 'hi alice');
+    await session.send(session.bob, 'still there?');
+    assert.deepStrictEqual(await session.read(session.alice), ['hi bob', 'hi alice', 'still there?']);
+
+    await session.send(session.alice, 'yes');
+    assert.deepStrictEqual(await session.read(session.bob), ['hi bob', 'hi alice', 'still there?', 'yes']);
+});
+
+
+test('messages arriving out of order are opened with skipped keys', async () => {
+    const session = createSession();
+
+    await session.send(session.alice, 'first');
+    await session.send(session.alice, 'second');
+    const third = await session.send(session.alice, 'third');
+
+    assert.deepStrictEqual(await session.read(session.bob, [session.messages[0], third]), ['first', 'third']);
+    assert.deepStrictEqual(await session.read(session.bob, [session.messages[1]]), ['second']);
+});
+
+
+test('history re-reads from message keys on a fresh service instance', async () => {
+    const session = createSession();
+
+    await session.send(session.alice, 'hello');
+    await session.read(session.bob);
+    await session.send(session.bob, 'hello back');
+
+    assert.deepStrictEqual(await session.read(new RatchetService(bob)), ['hello', 'hello back']);
+    assert.deepStrictEqual(await session.read(new RatchetService(alice)), ['hello', 'hello back']);
+});
+
+
+test('tampered ciphertext or header is rejected without advancing the ratchet', async () => {
+    const session = createSession();
+    const message = await session.send(session.alice, 'authentic');
+
+    const tamperedCiphertext = JSON.parse(message.cid);
+    const bytes = Buffer.from(tamperedCiphertext.ciphertext, 'base64');
+    bytes[0] ^= 0x01;
+    tamperedCiphertext.ciphertext = bytes.toString('base64');
+
+    const tamperedHeader = JSON.parse(message.cid);
+    tamperedHeader.header.pn += 1;
+
+    for (const payload of [tamperedCiphertext, tamperedHeader]) {
+        const forged = { ...message, cid: JSON.stringify(payload), transactionHash: ethers.id(JSON.stringify(payload)) };
+        assert.deepStrictEqual(await session.read(session.bob, [forged]), [null]);
+    }
+
+    assert.deepStrictEqual(await session.read(session.bob, [message]), ['authentic']);
+});
+
+
+test('a handshake claiming another identity is rejected', async () => {
+    const session = createSession();
+    const message = await session.send(session.alice, 'from alice');
+    const mallory = ethers.Wallet.createRandom();
+
+    assert.deepStrictEqual(await session.read(session.bob, [{ ...message, from: mallory.address }]), [null]);
+});
+
+
+test('state is stored encrypted, without plaintext, and bound to its session', async () => {
+    const session = createSession();
+    await session.send(session.alice, 'secret words');
+    await session.read(session.bob);
+
+    const statePath = session.bob.getStatePath(session.sessionAddress);
+    const file = fs.readFileSync(statePath, 'utf8');
+
+    assert.deepStrictEqual(Object.keys(JSON.parse(file)), ['version', 'nonce', 'ciphertext']);
+    assert.doesNotMatch(file, /secret words|rootKey|chainKey/);
+
+    const otherSession = ethers.Wallet.createRandom().address;
+    fs.copyFileSync(statePath, session.bob.getStatePath(otherSession));
+    await assert.rejects(session.bob.loadRecord(otherSession), /could not be decrypted/);
+
+    const otherWallet = new RatchetService(ethers.Wallet.createRandom());
+    fs.mkdirSync(otherWallet.ratchetDir, { recursive: true });
+    fs.copyFileSync(statePath, otherWallet.getStatePath(session.sessionAddress));
+    await assert.rejects(otherWallet.loadRecord(session.sessionAddress), /could not be decrypted/);
+});
+
+
+test('cleartext state from older versions is re-encrypted and its plaintext history dropped', async () => {
+    const session = createSession();
+    await session.send(session.alice, 'before upgrade');
+    await session.read(session.bob);
+
+    const statePath = session.bob.getStatePath(session.sessionAddress);
+    const { state } = await session.bob.loadRecord(session.sessionAddress);
+    fs.writeFileSync(statePath, JSON.stringify({ state, history: { [session.messages[0].transactionHash]: 'before upgrade' } }));
+
+    const record = await session.bob.loadRecord(session.sessionAddress);
+    assert.deepStrictEqual(record.state, state);
+    assert.deepStrictEqual(record.messageKeys, {});
+    assert.doesNotMatch(fs.readFileSync(statePath, 'utf8'), /before upgrade/);
+
+    await session.send(session.alice, 'after upgrade');
+    assert.deepStrictEqual(await session.read(session.bob, [session.messages[1]]), ['after upgrade']);
+});
@@ -0,0 +1,144 @@
+const chalk = require('chalk');
+const EncryptionService = require('./encryption');
+const IPFSService = require('./ipfs');
+const reporter = require('../utils/reporter');
+
+
+const REACTION_VERSION = 'reaction-1.0';
+const MAX_REACTION_LENGTH = 16;
+
+class ReactionService {
+    constructor(blockchainService, wallet, storage) {
+        this.blockchain = blockchainService;
+        this.wallet = wallet;
+        this.storage = storage;
+        this.address = wallet.address.toLowerCase();
+    }
+
+
+    static isReactionPayload(data) {
+        try {
+            return JSON.parse(data).version === REACTION_VERSION;
+        } catch (error) {
+            return false;
+        }
+    }
+
+
+    /**
+     * Encrypt the reaction once for the peer and once for ourselves; forward-secret
+     * envelopes can only be opened by their recipient, so without our own copy we
+     * could not show our own reactions on replay.
+     */
+    async encryptReaction(reaction, peerAddress) {
+        EncryptionService.cachePublicKey(this.address, EncryptionService.getPublicKeyFromPrivate(this.wallet.privateKey));
+
+        const copies = {};
+        for (const recipient of [peerAddress.toLowerCase(), this.address]) {
+            copies[recipient] = await EncryptionService.encryptForRecipient(reaction, this.wallet.privateKey, recipient);
+        }
+
+        return JSON.stringify({ copies, version: REACTION_VERSION });
+    }
+
+
+    async react(messageId, reaction, { encrypt = true } = {}) {
+        try {
+            if (!reaction || [...reaction].length > MAX_REACTION_LENGTH) {
+                throw new Error(`Reaction must be 1-${MAX_REACTION_LENGTH} characters`);
+            }
+
+            const message = await this.blockchain.chatContract.getMessage(messageId);
+            const participants = [message.from.toLowerCase(), message.to.toLowerCase()];
+
+            if (!participants.includes(this.address)) {
+                throw new Error(`Message #${messageId} is not in one of your conversations`);
+            }
+
+            const peerAddress = message.from.toLowerCase() === this.address ? message.to : message.from;
+
+            let onChainReaction = reaction;
+            if (encrypt) {
+                const payload = await this.encryptReaction(reaction, peerAddress);
+                onChainReaction = await this.storage.uploadEncryptedContent(payload);
+            } else {
+                reporter.warn(chalk.yellow('⚠️  Public reaction: the emoji will be readable by anyone'));
+            }
+
+            return await this.blockchain.addReaction(messageId, onChainReaction);
+
+        } catch (error) {
+            reporter.error(chalk.red('❌ Reaction failed:'), error.message);
+            throw error;
+        }
+    }
+
+
+    async decryptReaction(event) {
+        let data = event.reaction;
+
+        if (IPFSService.isContentId(data)) {
+            data = await this.storage.downloadContent(data);
+        }
+
+        if (!ReactionService.isReactionPayload(data)) {
+            return data;
+        }
+
+        const envelope = JSON.parse(data).copies?.[this.address];
+        if (!envelope) {
+            return null;
+        }
+
+        await EncryptionService.initialize();
+        const plaintext = EncryptionService.decryptEnvelope(JSON.parse(envelope), this.wallet.privateKey, event.reactor);
+        return EncryptionService.sodium.to_string(plaintext);
+    }
+
+
+    /**
+     * Fetch reactions for main-contract messages and aggregate them per message:
+     * Map messageId -> [{ reaction, count, includesMe }]
+     */
+    async getReactionSummaries(messageIds) {
+        const summaries = new Map();
+
+        if (messageIds.length === 0) {
+            return summaries;
+        }
+
+        const events = await this.blockchain.getReactionEvents(messageIds);
+
+        for (const event of events) {
+            let reaction;
+            try {
+                reaction = await this.decryptReaction(event);
+            } catch (error) {
+                reaction = null;
+            }
+
+            if (!reaction) {
+                continue;
+            }
+
+            const byReaction = summaries.get(event.messageId) || new Map();
+            const reactors = byReaction.get(reaction) || new Set();
+            reactors.add(event.reactor.toLowerCase());
+            byReaction.set(reaction, reactors);
+            summaries.set(event.messageId, byReaction);
+        }
+
+        const aggregated = new Map();
+        for (const [messageId, byReaction] of summaries) {
+            aggregated.set(messageId, Array.from(byReaction, ([reaction, reactors]) => ( {
+                reaction,
+                count: reactors.size,
+                includesMe: reactors.has(this.address)
+            })));
+        }
+
+        return aggregated;
+    }
+}
+
+module.exports = ReactionService;
@@ -0,0 +1,232 @@
+const chalk = require('chalk');
+const { ethers } = require('ethers');
+const logger = require('../utils/logger');
+const reporter = require('../utils/reporter');
+
+
+const HEALTH_RECHECK_INTERVAL = 60000;
+
+// Reads whose answer should not depend on which node serves them; receipts and nonces are
+// left out because a node a block behind legitimately answers differently
+const QUORUM_METHODS = new Set(['eth_call', 'eth_getLogs', 'eth_getBalance', 'eth_getCode', 'eth_getStorageAt']);
+
+/**
+ * JSON-RPC provider over every endpoint configured for a network (`rpcUrl` plus
+ * `fallbackRpcs`). Endpoints are health-checked for chain ID, block lag and latency;
+ * requests go to the fastest healthy one and fail over on transport errors, or with
+ * RPC_MODE=quorum, reads must get the same answer from RPC_QUORUM endpoints.
+ */
+class RpcProvider extends ethers.JsonRpcProvider {
+    static verbose = false;
+
+    constructor(networkConfig) {
+        const network = ethers.Network.from(networkConfig.chainId);
+        super(networkConfig.rpcUrl, network, { staticNetwork: network, batchMaxCount: 1 });
+
+        this.networkConfig = networkConfig;
+        this.mode = process.env.RPC_MODE || 'failover';
+        this.quorum = parseInt(process.env.RPC_QUORUM || '2', 10);
+        this.maxLag = parseInt(process.env.RPC_MAX_LAG_BLOCKS || '20', 10);
+        this.timeout = parseInt(process.env.RPC_TIMEOUT_MS || '10000', 10);
+
+        if (!['failover', 'quorum'].includes(this.mode)) {
+            throw new Error(`Unsupported RPC_MODE: ${this.mode} (use failover or quorum)`);
+        }
+
+        const urls = [...new Set([networkConfig.rpcUrl, ...(networkConfig.fallbackRpcs || [])])];
+        this.endpoints = urls.map((url) => {
+            const request = new ethers.FetchRequest(url);
+            request.timeout = this.timeout;
+
+            return {
+                url,
+                provider: new ethers.JsonRpcProvider(request, network, { staticNetwork: network, batchMaxCount: 1 }),
+                healthy: false,
+                latency: null,
+                blockNumber: null,
+                error: null
+            };
+        });
+
+        this.checkedAt = 0;
+        this.healthCheck = null;
+    }
+
+
+    get activeUrl() {
+        return this.endpoints.find((endpoint) => endpoint.healthy)?.url ?? this.networkConfig.rpcUrl;
+    }
+
+
+    async call(endpoint, method, params = []) {
+        const [response] = await endpoint.provider._send({ method, params, id: 1, jsonrpc: '2.0' });
+        if (response.error) {
+            throw new Error(response.error.message);
+        }
+        return response.result;
+    }
+
+
+    async checkEndpoint(endpoint) {
+        const startedAt = Date.now();
+
+        try {
+            const [chainId, blockNumber] = await Promise.all([
+                this.call(endpoint, 'eth_chainId'),
+                this.call(endpoint, 'eth_blockNumber')
+            ]);
+
+            endpoint.latency = Date.now() - startedAt;
+            endpoint.blockNumber = Number(blockNumber);
+            endpoint.error = Number(chainId) === this.networkConfig.chainId
+                ? null
+                : `wrong chain ID ${Number(chainId)}`;
+        } catch (error) {
+            endpoint.latency = null;
+            endpoint.blockNumber = null;
+            endpoint.error = (error.shortMessage || error.message).split('\n')[0];
+        }
+    }
+
+
+    /**
+     * Probe every endpoint and order the healthy ones by latency
+     */
+    async checkHealth() {
+        await Promise.all(this.endpoints.map((endpoint) => this.checkEndpoint(endpoint)));
+
+        const bestBlock = Math.max(...this.endpoints.filter((endpoint) => !endpoint.error).map((endpoint) => endpoint.blockNumber), 0);
+
+        for (const endpoint of this.endpoints) {
+            if (!endpoint.error && bestBlock - endpoint.blockNumber > this.maxLag) {
+                endpoint.error = `${bestBlock - endpoint.blockNumber} blocks behind`;
+            }
+            endpoint.healthy = !endpoint.error;
+        }
+
+        this.endpoints.sort((a, b) => (b.healthy - a.healthy) || (a.latency - b.latency));
+        this.checkedAt = Date.now();
+
+        if (RpcProvider.verbose) {
+            reporter.info(chalk.gray(`🌐 RPC health (${this.networkConfig.name}, ${this.mode}):`));
+            for (const endpoint of this.endpoints) {
+                const status = endpoint.healthy
+                    ? chalk.green(`ok, block ${endpoint.blockNumber}, ${endpoint.latency}ms`)
+                    : chalk.red(endpoint.error);
+                reporter.info(chalk.gray(`   ${endpoint.url}: `) + status);
+            }
+        }
+
+        const healthy = this.endpoints.filter((endpoint) => endpoint.healthy);
+        logger.debug('RPC health checked', { healthy: healthy.map((endpoint) => endpoint.url) });
+
+        if (healthy.length === 0) {
+            const reasons = this.endpoints.map((endpoint) => `${endpoint.url} (${endpoint.error})`).join(', ');
+            throw new Error(`No healthy RPC endpoint for ${this.networkConfig.name}: ${reasons}`);
+        }
+
+        if (this.mode === 'quorum' && healthy.length < this.quorum) {
+            throw new Error(`RPC quorum of ${this.quorum} needs ${this.quorum} healthy endpoints, only ${healthy.length} available`);
+        }
+    }
+
+
+    async ensureHealthy() {
+        if (Date.now() - this.checkedAt < HEALTH_RECHECK_INTERVAL) {
+            return;
+        }
+
+        if (!this.healthCheck) {
+            this.healthCheck = this.checkHealth().finally(() => {
+                this.healthCheck = null;
+            });
+        }
+
+        await this.healthCheck;
+    }
+
+
+    async _send(payload) {
+        await this.ensureHealthy();
+
+        const method = Array.isArray(payload) ? payload[0].method : payload.method;
+
+        if (this.mode === 'quorum' && QUORUM_METHODS.has(method)) {
+            return this.sendQuorum(payload, method);
+        }
+
+        return this.sendFailover(payload, method);
+    }
+
+
+    async sendFailover(payload, method) {
+        let lastError = null;
+
+        for (const endpoint of this.endpoints.filter((candidate) => candidate.healthy)) {
+            const startedAt = Date.now();
+
+            try {
+                const result = await endpoint.provider._send(payload);
+
+                if (RpcProvider.verbose) {
+                    reporter.info(chalk.gray(`🌐 ${method} → ${endpoint.url} (${Date.now() - startedAt}ms)`));
+                }
+
+                return result;
+            } catch (error) {
+                lastError = error;
+                endpoint.healthy = false;
+                endpoint.error = (error.shortMessage || error.message).split('\n')[0];
+
+                reporter.warn(chalk.yellow(`⚠️  RPC ${endpoint.url} failed on ${method}, failing over: ${endpoint.error}`));
+                logger.debug(`RPC endpoint failed: ${endpoint.url}`, { method, error: endpoint.error });
+            }
+        }
+
+        // Every endpoint failed: probe them all again on the next request
+        this.checkedAt = 0;
+        throw lastError || new Error(`No healthy RPC endpoint for ${this.networkConfig.name}`);
+    }
+
+
+    async sendQuorum(payload, method) {
+        const endpoints = this.endpoints.filter((endpoint) => endpoint.healthy);
+
+        const responses = await Promise.allSettled(endpoints.map((endpoint) => endpoint.provider._send(payload)));
+
+        const answers = new Map();
+        responses.forEach((response, index) => {
+            if (response.status !== 'fulfilled') {
+                endpoints[index].healthy = false;
+                endpoints[index].error = (response.reason.shortMessage || response.reason.message).split('\n')[0];
+                return;
+            }
+
+            const key = JSON.stringify(response.value.map(({ result, error }) => ({ result, error })));
+            const answer = answers.get(key) || { result: response.value, urls: [] };
+            answer.urls.push(endpoints[index].url);
+            answers.set(key, answer);
+        });
+
+        const agreed = Array.from(answers.values()).find((answer) => answer.urls.length >= this.quorum);
+
+        if (!agreed) {
+            this.checkedAt = 0;
+            throw new Error(`RPC endpoints did not reach a quorum of ${this.quorum} on ${method}`);
+        }
+
+        if (RpcProvider.verbose) {
+            reporter.info(chalk.gray(`🌐 ${method} → quorum of ${agreed.urls.join(', ')}`));
+        }
+
+        return agreed.result;
+    }
+
+
+    destroy() {
+        this.endpoints.forEach((endpoint) => endpoint.provider.destroy());
+        super.destroy();
+    }
+}
+
+module.exports = RpcProvider;
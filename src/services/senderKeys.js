@@ -0,0 +1,395 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const chalk = require('chalk');
+const EncryptionService = require('./encryption');
+const reporter = require('../utils/reporter');
+
+
+const SENDER_KEY_VERSION = '6.0';
+const STATE_VERSION = 'sender-keys-1.0';
+const STATE_KDF_INFO = 'ChainWhisper sender keys';
+
+// Chain steps one message may skip ahead of the last position opened for its sender key
+const MAX_SKIP = 1000;
+
+/**
+ * Sender keys for group messages. Each key is a hash chain: every message uses the next
+ * position and only the advanced chain key is kept, so a stolen state cannot open earlier
+ * messages; the keys of messages already sent or opened are cached to re-read history without
+ * re-deriving the chain. State is stored per group, encrypted with XChaCha20-Poly1305 under a
+ * key derived from the wallet.
+ */
+class SenderKeyService {
+    constructor(wallet) {
+        this.wallet = wallet;
+        this.address = wallet.address.toLowerCase();
+        this.groupsDir = path.join(process.cwd(), '.chainwhisper', 'groups', this.address);
+    }
+
+
+    static isSenderKeyPayload(encryptedData) {
+        try {
+            return JSON.parse(encryptedData).version === SENDER_KEY_VERSION;
+        } catch (error) {
+            return false;
+        }
+    }
+
+
+    getStatePath(groupId) {
+        return path.join(this.groupsDir, `${groupId}.json`);
+    }
+
+
+    deriveStateKey() {
+        const privateKey = Buffer.from(this.wallet.privateKey.replace(/^0x/, ''), 'hex');
+        return Buffer.from(crypto.hkdfSync('sha256', privateKey, Buffer.from(this.address), STATE_KDF_INFO, 32));
+    }
+
+
+    getStateAssociatedData(groupId) {
+        return Buffer.from(`${STATE_VERSION}:${this.address}:${groupId}`);
+    }
+
+
+    async loadRecord(groupId) {
+        const statePath = this.getStatePath(groupId);
+
+        if (!fs.existsSync(statePath)) {
+            return { ownKeys: {}, peerKeys: {}, messageKeys: {} };
+        }
+
+        await EncryptionService.initialize();
+        const sodium = EncryptionService.sodium;
+        const file = JSON.parse(fs.readFileSync(statePath, 'utf8'));
+
+        if (!file.ciphertext) {
+            const record = this.migrateRecord(file);
+            await this.saveRecord(groupId, record);
+            return record;
+        }
+
+        try {
+            const plaintext = sodium.crypto_aead_xchacha20poly1305_ietf_decrypt(
+                null,
+                Buffer.from(file.ciphertext, 'base64'),
+                this.getStateAssociatedData(groupId),
+                Buffer.from(file.nonce, 'hex'),
+                this.deriveStateKey()
+            );
+
+            return JSON.parse(sodium.to_string(plaintext));
+        } catch (error) {
+            throw new Error(`Sender keys ${statePath} could not be decrypted with this wallet`);
+        }
+    }
+
+
+    async saveRecord(groupId, record) {
+        await EncryptionService.initialize();
+        const sodium = EncryptionService.sodium;
+
+        const nonce = sodium.randombytes_buf(sodium.crypto_aead_xchacha20poly1305_ietf_NPUBBYTES);
+        const ciphertext = sodium.crypto_aead_xchacha20poly1305_ietf_encrypt(
+            sodium.from_string(JSON.stringify(record)),
+            this.getStateAssociatedData(groupId),
+            null,
+            nonce,
+            this.deriveStateKey()
+        );
+
+        const file = {
+            version: STATE_VERSION,
+            nonce: Buffer.from(nonce).toString('hex'),
+            ciphertext: Buffer.from(ciphertext).toString('base64')
+        };
+
+        fs.mkdirSync(this.groupsDir, { recursive: true, mode: 0o700 });
+        fs.writeFileSync(this.getStatePath(groupId), JSON.stringify(file), { mode: 0o600 });
+    }
+
+
+    /**
+     * Cleartext records from older versions kept each key's seed: advance own keys to their
+     * current position (caching the keys of messages already sent) and start peer keys at 0
+     */
+    migrateRecord(legacy) {
+        const record = { ownKeys: {}, peerKeys: {}, messageKeys: {} };
+
+        for (const [epoch, ownKey] of Object.entries(legacy.ownKeys || {})) {
+            let chainKey = ownKey.seed;
+            for (let iteration = 0; iteration < ownKey.iteration; iteration++) {
+                const step = this.kdfChain(chainKey);
+                record.messageKeys[`${ownKey.keyId}:${iteration}`] = step.messageKey.toString('hex');
+                chainKey = step.chainKey;
+            }
+
+            record.ownKeys[epoch] = { keyId: ownKey.keyId, chainKey, iteration: ownKey.iteration, distributed: ownKey.distributed };
+        }
+
+        for (const [keyId, peerKey] of Object.entries(legacy.peerKeys || {})) {
+            record.peerKeys[keyId] = { from: peerKey.from, epoch: peerKey.epoch, chainKey: peerKey.seed, iteration: 0 };
+        }
+
+        return record;
+    }
+
+
+    async getOwnKey(groupId, epoch) {
+        return (await this.loadRecord(groupId)).ownKeys[epoch] || null;
+    }
+
+
+    async createOwnKey(groupId, epoch) {
+        const record = await this.loadRecord(groupId);
+        const seed = crypto.randomBytes(32).toString('hex');
+
+        record.ownKeys[epoch] = {
+            keyId: crypto.createHash('sha256').update(Buffer.from(seed, 'hex')).digest('hex').slice(0, 16),
+            chainKey: seed,
+            iteration: 0,
+            distributed: false
+        };
+
+        await this.saveRecord(groupId, record);
+        return record.ownKeys[epoch];
+    }
+
+
+    async markDistributed(groupId, epoch) {
+        const record = await this.loadRecord(groupId);
+        record.ownKeys[epoch].distributed = true;
+        await this.saveRecord(groupId, record);
+    }
+
+
+    kdfChain(chainKey) {
+        const key = Buffer.from(chainKey, 'hex');
+
+        return {
+            messageKey: crypto.createHmac('sha256', key).update(Buffer.from([0x01])).digest(),
+            chainKey: crypto.createHmac('sha256', key).update(Buffer.from([0x02])).digest('hex')
+        };
+    }
+
+
+    /**
+     * Key of a peer's message at `iteration`: cached if that position was already reached,
+     * otherwise the peer's chain is advanced to it, caching the positions it skips
+     */
+    getPeerMessageKey(record, keyId, iteration) {
+        const cached = record.messageKeys[`${keyId}:${iteration}`];
+        if (cached) {
+            return Buffer.from(cached, 'hex');
+        }
+
+        const peerKey = record.peerKeys[keyId];
+        if (!Number.isInteger(iteration) || iteration < peerKey.iteration) {
+            throw new Error('Sender key position already used');
+        }
+        if (iteration - peerKey.iteration > MAX_SKIP) {
+            throw new Error('Too many skipped sender key messages');
+        }
+
+        let step;
+        while (peerKey.iteration <= iteration) {
+            step = this.kdfChain(peerKey.chainKey);
+            record.messageKeys[`${keyId}:${peerKey.iteration}`] = step.messageKey.toString('hex');
+            peerKey.chainKey = step.chainKey;
+            peerKey.iteration++;
+        }
+
+        return step.messageKey;
+    }
+
+
+    getAssociatedData(groupId, senderAddress, header) {
+        return EncryptionService.sodium.from_string(
+            `ChainWhisper/group:${groupId}:${senderAddress.toLowerCase()}:${header.epoch}:${header.keyId}:${header.iteration}`
+        );
+    }
+
+
+    async buildDistribution(groupId, epoch, ownKey, members) {
+        const keys = {};
+        const skipped = [];
+
+        for (const member of members) {
+            if (member.toLowerCase() === this.address) {
+                continue;
+            }
+
+            try {
+                keys[member.toLowerCase()] = await EncryptionService.encryptForRecipient(
+                    JSON.stringify({ groupId: groupId.toString(), epoch, keyId: ownKey.keyId, seed: ownKey.chainKey, iteration: ownKey.iteration }),
+                    this.wallet.privateKey,
+                    member
+                );
+            } catch (error) {
+                skipped.push(member);
+            }
+        }
+
+        return {
+            payload: JSON.stringify({ keyId: ownKey.keyId, keys, version: SENDER_KEY_VERSION }),
+            skipped
+        };
+    }
+
+
+    async importDistributions(groupId, distributions) {
+        const record = await this.loadRecord(groupId);
+        let changed = false;
+
+        for (const distribution of distributions) {
+            if (distribution.from.toLowerCase() === this.address) {
+                continue;
+            }
+
+            let envelope;
+            try {
+                const payload = JSON.parse(distribution.keys);
+                if (record.peerKeys[payload.keyId]) {
+                    continue;
+                }
+                envelope = payload.keys?.[this.address];
+            } catch (error) {
+                continue;
+            }
+
+            if (!envelope) {
+                continue;
+            }
+
+            try {
+                const decrypted = await EncryptionService.decryptFromSender(envelope, this.wallet.privateKey, distribution.from);
+                const senderKey = JSON.parse(decrypted);
+
+                if (senderKey.groupId !== groupId.toString() || senderKey.epoch !== distribution.epoch ||
+                    !/^[0-9a-f]{64}$/.test(senderKey.seed) || !Number.isInteger(senderKey.iteration ?? 0)) {
+                    throw new Error('Sender key does not match its distribution');
+                }
+
+                record.peerKeys[senderKey.keyId] = {
+                    from: distribution.from.toLowerCase(),
+                    epoch: senderKey.epoch,
+                    chainKey: senderKey.seed,
+                    iteration: senderKey.iteration ?? 0
+                };
+                changed = true;
+            } catch (error) {
+                reporter.warn(chalk.yellow(`   ⚠️  Ignoring sender key from ${distribution.from.substring(0, 8)}...: ${error.message}`));
+            }
+        }
+
+        if (changed) {
+            await this.saveRecord(groupId, record);
+        }
+    }
+
+
+    async encrypt(groupId, epoch, message) {
+        try {
+            await EncryptionService.initialize();
+            const sodium = EncryptionService.sodium;
+
+            const record = await this.loadRecord(groupId);
+            const ownKey = record.ownKeys[epoch];
+
+            if (!ownKey?.distributed) {
+                throw new Error(`No distributed sender key for epoch ${epoch}`);
+            }
+
+            reporter.info(chalk.blue('🔐 Encrypting message with sender key + XChaCha20-Poly1305...'));
+
+            const header = { epoch, keyId: ownKey.keyId, iteration: ownKey.iteration };
+            const { messageKey, chainKey } = this.kdfChain(ownKey.chainKey);
+
+            record.messageKeys[`${ownKey.keyId}:${ownKey.iteration}`] = messageKey.toString('hex');
+            ownKey.chainKey = chainKey;
+            ownKey.iteration++;
+            await this.saveRecord(groupId, record);
+
+
+            const nonce = sodium.randombytes_buf(sodium.crypto_aead_xchacha20poly1305_ietf_NPUBBYTES);
+            const ciphertext = sodium.crypto_aead_xchacha20poly1305_ietf_encrypt(
+                sodium.from_string(message),
+                this.getAssociatedData(groupId, this.address, header),
+                null,
+                nonce,
+                messageKey
+            );
+
+            reporter.info(chalk.green('✅ Message encrypted successfully'));
+
+            return JSON.stringify( {
+                header,
+                ciphertext: sodium.to_base64(ciphertext, sodium.base64_variants.ORIGINAL),
+                nonce: sodium.to_base64(nonce, sodium.base64_variants.ORIGINAL),
+                algorithm: 'XChaCha20-Poly1305',
+                keyDerivation: 'SenderKey-HMAC-SHA256',
+                version: SENDER_KEY_VERSION
+            });
+
+        } catch (error) {
+            reporter.error(chalk.red('❌ Sender key encryption failed:'), error.message);
+            throw error;
+        }
+    }
+
+
+    async decryptMessages(groupId, messages) {
+        await EncryptionService.initialize();
+        const sodium = EncryptionService.sodium;
+
+        const record = await this.loadRecord(groupId);
+        const plaintexts = new Map();
+        let changed = false;
+
+        for (const message of messages) {
+            try {
+                const payload = JSON.parse(message.cid);
+                const header = payload.header;
+                const isFromMe = message.from.toLowerCase() === this.address;
+
+                let messageKey;
+                if (isFromMe) {
+                    const cached = record.messageKeys[`${header.keyId}:${header.iteration}`];
+                    if (!cached) {
+                        throw new Error('Sender key not available');
+                    }
+                    messageKey = Buffer.from(cached, 'hex');
+                } else {
+                    const senderKey = record.peerKeys[header.keyId];
+                    if (!senderKey || senderKey.from !== message.from.toLowerCase()) {
+                        throw new Error('Sender key not available');
+                    }
+
+                    changed = changed || !record.messageKeys[`${header.keyId}:${header.iteration}`];
+                    messageKey = this.getPeerMessageKey(record, header.keyId, header.iteration);
+                }
+
+                const plaintext = sodium.crypto_aead_xchacha20poly1305_ietf_decrypt(
+                    null,
+                    sodium.from_base64(payload.ciphertext, sodium.base64_variants.ORIGINAL),
+                    this.getAssociatedData(groupId, message.from, header),
+                    sodium.from_base64(payload.nonce, sodium.base64_variants.ORIGINAL),
+                    messageKey
+                );
+
+                plaintexts.set(message.transactionHash, sodium.to_string(plaintext));
+            } catch (error) {
+                plaintexts.set(message.transactionHash, null);
+            }
+        }
+
+        if (changed) {
+            await this.saveRecord(groupId, record);
+        }
+
+        return plaintexts;
+    }
+}
+
+module.exports = SenderKeyService;
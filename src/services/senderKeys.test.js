@@ -0,0 +1,183 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ethers } = require('ethers');
+const EncryptionService = require('./encryption');
+const SenderKeyService = require('./senderKeys');
+const reporter = require('../utils/reporter');
+
+
+reporter.use('silent');
+// State files go under the working directory
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'chainwhisper-sender-keys-'));
+process.chdir(workDir);
+test.after(() => fs.rmSync(workDir, { recursive: true, force: true }));
+
+const alice = ethers.Wallet.createRandom();
+const bob = ethers.Wallet.createRandom();
+const carol = ethers.Wallet.createRandom();
+const members = [alice.address, bob.address, carol.address];
+
+EncryptionService.publicKeyCache = new Map([alice, bob, carol].map((wallet) => [
+    wallet.address.toLowerCase(),
+    EncryptionService.getPublicKeyFromPrivate(wallet.privateKey.slice(2))
+]));
+
+
+/**
+ * A fresh group with alice's sender key distributed to bob and carol, and its on-chain messages in order
+ */
+async function createGroup() {
+    const groupId = ethers.hexlify(ethers.randomBytes(8));
+    const epoch = 1;
+    const messages = [];
+    const services = { alice: new SenderKeyService(alice), bob: new SenderKeyService(bob), carol: new SenderKeyService(carol) };
+
+    const ownKey = await services.alice.createOwnKey(groupId, epoch);
+    const { payload, skipped } = await services.alice.buildDistribution(groupId, epoch, ownKey, members);
+    assert.deepStrictEqual(skipped, []);
+    await services.alice.markDistributed(groupId, epoch);
+
+    const distribution = { from: alice.address, epoch, keys: payload };
+    await services.bob.importDistributions(groupId, [distribution]);
+    await services.carol.importDistributions(groupId, [distribution]);
+
+    const send = async (service, text) => {
+        const message = {
+            from: service.wallet.address,
+            cid: await service.encrypt(groupId, epoch, text),
+            transactionHash: ethers.id(`${groupId}:${messages.length}`)
+        };
+        messages.push(message);
+        return message;
+    };
+
+    const read = async (service, subset = messages) => [...(await service.decryptMessages(groupId, subset)).values()];
+
+    return { groupId, epoch, messages, distribution, send, read, ...services };
+}
+
+const retag = (message, payload) => ({ ...message, cid: JSON.stringify(payload), transactionHash: ethers.id(JSON.stringify(payload)) });
+
+
+test('sender key messages round-trip to every member that received the key', async () => {
+    const group = await createGroup();
+
+    await group.send(group.alice, 'hello group');
+    await group.send(group.alice, 'second message');
+
+    assert.deepStrictEqual(await group.read(group.bob), ['hello group', 'second message']);
+    assert.deepStrictEqual(await group.read(group.carol), ['hello group', 'second message']);
+});
+
+
+test('a member outside the distribution cannot open messages', async () => {
+    const group = await createGroup();
+    await group.send(group.alice, 'members only');
+
+    const outsider = new SenderKeyService(ethers.Wallet.createRandom());
+    await outsider.importDistributions(group.groupId, [group.distribution]);
+
+    assert.deepStrictEqual(await group.read(outsider), [null]);
+});
+
+
+test('messages arriving out of order are opened from cached chain positions', async () => {
+    const group = await createGroup();
+
+    await group.send(group.alice, 'first');
+    await group.send(group.alice, 'second');
+    const third = await group.send(group.alice, 'third');
+
+    assert.deepStrictEqual(await group.read(group.bob, [third]), ['third']);
+    assert.deepStrictEqual(await group.read(group.bob, [group.messages[1], group.messages[0]]), ['second', 'first']);
+});
+
+
+test('history re-reads on fresh service instances, including the sender\'s own messages', async () => {
+    const group = await createGroup();
+
+    await group.send(group.alice, 'kept');
+    await group.read(group.bob);
+
+    assert.deepStrictEqual(await group.read(new SenderKeyService(alice)), ['kept']);
+    assert.deepStrictEqual(await group.read(new SenderKeyService(bob)), ['kept']);
+});
+
+
+test('tampered ciphertext, iteration or sender is rejected', async () => {
+    const group = await createGroup();
+    const message = await group.send(group.alice, 'authentic');
+
+    const tamperedCiphertext = JSON.parse(message.cid);
+    const bytes = Buffer.from(tamperedCiphertext.ciphertext, 'base64');
+    bytes[0] ^= 0x01;
+    tamperedCiphertext.ciphertext = bytes.toString('base64');
+
+    const tamperedIteration = JSON.parse(message.cid);
+    tamperedIteration.header.iteration += 1;
+
+    for (const forged of [retag(message, tamperedCiphertext), retag(message, tamperedIteration), { ...message, from: carol.address }]) {
+        assert.deepStrictEqual(await group.read(group.bob, [forged]), [null]);
+    }
+
+    assert.deepStrictEqual(await group.read(group.bob, [message]), ['authentic']);
+});
+
+
+test('positions too far ahead of the chain are refused', async () => {
+    const group = await createGroup();
+    const message = await group.send(group.alice, 'far ahead');
+
+    const payload = JSON.parse(message.cid);
+    payload.header.iteration = 1001;
+
+    assert.deepStrictEqual(await group.read(group.bob, [retag(message, payload)]), [null]);
+    assert.deepStrictEqual(await group.read(group.bob, [message]), ['far ahead']);
+});
+
+
+test('state is stored encrypted, without chain keys, and bound to its group', async () => {
+    const group = await createGroup();
+    await group.send(group.alice, 'group secret');
+    await group.read(group.bob);
+
+    const { ownKeys } = await group.alice.loadRecord(group.groupId);
+    const { peerKeys } = await group.bob.loadRecord(group.groupId);
+
+    for (const [service, chainKey] of [[group.alice, ownKeys[group.epoch].chainKey], [group.bob, Object.values(peerKeys)[0].chainKey]]) {
+        const file = fs.readFileSync(service.getStatePath(group.groupId), 'utf8');
+
+        assert.deepStrictEqual(Object.keys(JSON.parse(file)), ['version', 'nonce', 'ciphertext']);
+        assert.ok(!file.includes(chainKey));
+        assert.doesNotMatch(file, /group secret|chainKey|seed/);
+    }
+
+    const otherGroup = ethers.hexlify(ethers.randomBytes(8));
+    fs.copyFileSync(group.bob.getStatePath(group.groupId), group.bob.getStatePath(otherGroup));
+    await assert.rejects(group.bob.loadRecord(otherGroup), /could not be decrypted/);
+});
+
+
+test('cleartext seeds from older versions are replaced by advanced chains', async () => {
+    const groupId = ethers.hexlify(ethers.randomBytes(8));
+    const service = new SenderKeyService(alice);
+    const seed = ethers.hexlify(ethers.randomBytes(32)).slice(2);
+
+    fs.mkdirSync(service.groupsDir, { recursive: true });
+    fs.writeFileSync(service.getStatePath(groupId), JSON.stringify({
+        ownKeys: { 1: { keyId: 'legacy', seed, iteration: 2, distributed: true } },
+        peerKeys: { other: { from: bob.address.toLowerCase(), epoch: 1, seed } }
+    }));
+
+    const record = await service.loadRecord(groupId);
+    const first = service.kdfChain(seed);
+    const second = service.kdfChain(first.chainKey);
+
+    assert.deepStrictEqual(record.ownKeys[1], { keyId: 'legacy', chainKey: second.chainKey, iteration: 2, distributed: true });
+    assert.deepStrictEqual(record.messageKeys, { 'legacy:0': first.messageKey.toString('hex'), 'legacy:1': second.messageKey.toString('hex') });
+    assert.deepStrictEqual(record.peerKeys.other, { from: bob.address.toLowerCase(), epoch: 1, chainKey: seed, iteration: 0 });
+    assert.ok(!fs.readFileSync(service.getStatePath(groupId), 'utf8').includes(seed));
+});
@@ -1,7 +1,20 @@
 const chalk = require('chalk');
 const { ethers } = require('ethers');
+const reporter = require('../utils/reporter');
+
+
+// Sessions per cleanupExpiredSessions transaction
+const CLEANUP_BATCH_SIZE = 50;
+
+const formatDuration = (seconds) => (seconds % 3600 === 0 ? `${seconds / 3600}h` : `${Math.round(seconds / 60)} min`);
+
 
 class SessionManager {
+    // Same bounds as ChatSession: 0 on-chain means the default, extensions need at least the minimum
+    static DEFAULT_DURATION = 60 * 60;
+    static MIN_DURATION = 5 * 60;
+    static MAX_DURATION = 30 * 24 * 60 * 60;
+
     constructor(blockchainService, wallet) {
         this.blockchain = blockchainService;
         this.wallet = wallet;
@@ -9,11 +22,15 @@ class SessionManager {
     }
 
 
-    async getOrCreateSession(participant) {
+    /**
+     * Reuse the session with a participant while it is active; once it is closed or expired a
+     * new session lasting `duration` seconds is created.
+     */
+    async getOrCreateSession(participant, { duration = SessionManager.DEFAULT_DURATION } = {}) {
         try {
             const normalizedParticipant = participant.toLowerCase();
 
-            console.log(chalk.blue(`🔍 Checking for existing session with ${participant}...`));
+            reporter.info(chalk.blue(`🔍 Checking for existing session with ${participant}...`));
 
 
             const existingSession = await this.blockchain.factoryContract.getSessionBetween(
@@ -23,37 +40,31 @@ class SessionManager {
 
             if (existingSession.contractAddr !== ethers.ZeroAddress) {
 
+                let session = null;
                 try {
-                    const sessionABI = [
-                        "function createdAt() external view returns (uint256)"
-                    ];
-
-                    const sessionContract = new ethers.Contract(
-                        existingSession.contractAddr,
-                        sessionABI,
-                        this.blockchain.provider
-                    );
+                    session = await this.blockchain.getSessionInfo(existingSession.contractAddr);
+                } catch (sessionCheckError) {
+                    reporter.warn(chalk.yellow(`⚠️  Could not check session expiry, using existing session`));
+                }
 
-                    const sessionCreatedAt = await sessionContract.createdAt();
-                    const now = Math.floor(Date.now() / 1000);
-                    const sessionAge = now - Number(sessionCreatedAt);
-                    const ONE_HOUR = 60 * 60;
+                if (session?.closed) {
+                    reporter.info(chalk.yellow('🔒 Existing session was closed'));
+                    reporter.info(chalk.blue('🆕 Creating new private session...'));
 
-                    if (sessionAge > ONE_HOUR) {
-                        const ageMinutes = Math.floor(sessionAge / 60);
-                        console.log(chalk.yellow(`⏰ Existing session is ${ageMinutes} minutes old (expired > 1 hour)`));
-                        console.log(chalk.blue('🆕 Creating new private session (old session expired)...'));
+                    return await this.createSession(normalizedParticipant, duration);
+                }
 
+                if (session && !session.active) {
+                    reporter.info(chalk.yellow(`⏰ Existing session expired at ${new Date(session.expiry * 1000).toLocaleString()}`));
+                    reporter.info(chalk.blue('🆕 Creating new private session...'));
 
-                        return await this.createSession(normalizedParticipant);
-                    } else {
-                        const remainingMinutes = Math.floor((ONE_HOUR - sessionAge) / 60);
-                        console.log(chalk.green(`✅ Found existing active session (${remainingMinutes} min remaining)`));
-                    }
+                    return await this.createSession(normalizedParticipant, duration);
+                }
 
-                } catch (sessionCheckError) {
-                    console.log(chalk.yellow(`⚠️  Could not check session age, using existing session`));
-                    console.log(chalk.green('✅ Found existing active session'));
+                if (session) {
+                    reporter.info(chalk.green(`✅ Found existing active session (${Math.floor(session.remaining / 60)} min remaining)`));
+                } else {
+                    reporter.info(chalk.green('✅ Found existing active session'));
                 }
 
 
@@ -71,34 +82,32 @@ class SessionManager {
             }
 
 
-            console.log(chalk.blue('🆕 Creating new private session...'));
+            reporter.info(chalk.blue('🆕 Creating new private session...'));
 
-            return await this.createSession(normalizedParticipant);
+            return await this.createSession(normalizedParticipant, duration);
 
         } catch (error) {
-            console.error(chalk.red('❌ Session management failed:'), error.message);
+            reporter.error(chalk.red('❌ Session management failed:'), error.message);
             throw error;
         }
     }
 
 
-    async createSession(participant) {
+    async createSession(participant, duration = SessionManager.DEFAULT_DURATION) {
         try {
-            console.log(chalk.blue(`🔧 Creating private session with ${participant}...`));
+            reporter.info(chalk.blue(`🔧 Creating private session with ${participant} (${formatDuration(duration)})...`));
 
-            const gasEstimate = await this.blockchain.factoryContract.createChatSession.estimateGas(participant);
-            const gasLimit = gasEstimate * 120n / 100n;
+            await this.blockchain.checkSessionFactory();
 
-            console.log(chalk.gray(`⛽ Estimated gas: ${gasEstimate}`));
-            console.log(chalk.gray(`💰 Estimated cost: ~${ethers.formatEther(gasEstimate * 20000000000n)} ETH`));
+            const gasEstimate = await this.blockchain.factoryContract.createChatSession.estimateGas(participant, duration);
+            const overrides = await this.blockchain.prepareTransaction(gasEstimate);
 
 
-            const tx = await this.blockchain.factoryContract.createChatSession(participant, {
-                gasLimit
-            });
+            const tx = await this.blockchain.factoryContract.createChatSession(participant, duration, overrides);
 
-            console.log(chalk.yellow(`📡 Transaction sent: ${tx.hash}`));
-            console.log(chalk.yellow('⏳ Waiting for confirmation...'));
+            reporter.info(chalk.yellow(`📡 Transaction sent: ${tx.hash}`));
+            reporter.event('tx.sent', { action: 'createChatSession', hash: tx.hash });
+            reporter.info(chalk.yellow('⏳ Waiting for confirmation...'));
 
             const receipt = await tx.wait();
 
@@ -106,6 +115,8 @@ class SessionManager {
                 throw new Error('Session creation transaction failed');
             }
 
+            reporter.event('tx.confirmed', { action: 'createChatSession', hash: receipt.hash, blockNumber: receipt.blockNumber, gasUsed: receipt.gasUsed });
+
 
             const sessionInfo = await this.blockchain.factoryContract.getSessionBetween(
                 this.wallet.address,
@@ -126,9 +137,9 @@ class SessionManager {
                 gasUsed: receipt.gasUsed
             });
 
-            console.log(chalk.green('✅ Private session created successfully'));
-            console.log(chalk.gray(`   Contract: ${sessionInfo.contractAddr}`));
-            console.log(chalk.gray(`   Gas used: ${receipt.gasUsed}`));
+            reporter.info(chalk.green('✅ Private session created successfully'));
+            reporter.info(chalk.gray(`   Contract: ${sessionInfo.contractAddr}`));
+            reporter.info(chalk.gray(`   Gas used: ${receipt.gasUsed}`));
 
             return {
                 contractAddress: sessionInfo.contractAddr,
@@ -139,173 +150,291 @@ class SessionManager {
             };
 
         } catch (error) {
-            console.error(chalk.red('❌ Session creation failed:'), error.message);
+            reporter.error(chalk.red('❌ Session creation failed:'), error.message);
             throw error;
         }
     }
 
 
-    async getMessages(participant, fromBlock = 0) {
-        try {
-            const normalizedParticipant = participant.toLowerCase();
+    /**
+     * Gas for one session message to a participant without sending anything: the setup
+     * getOrCreateSession would do, then the message. A message cannot be simulated against a
+     * session that does not exist yet, so its gas is null in that case.
+     */
+    async estimateSessionMessage(participant, { duration = SessionManager.DEFAULT_DURATION, cid, expiry = 0, messageType = 'text' }) {
+        const normalizedParticipant = participant.toLowerCase();
+        const existingSession = await this.blockchain.factoryContract.getSessionBetween(this.wallet.address, normalizedParticipant);
+
+        let session = null;
+        if (existingSession.contractAddr !== ethers.ZeroAddress) {
+            try {
+                session = await this.blockchain.getSessionInfo(existingSession.contractAddr);
+            } catch (sessionCheckError) {
+                reporter.warn(chalk.yellow('⚠️  Could not check session expiry, estimating with the existing session'));
+            }
+        }
 
-            const session = this.activeSessions.get(normalizedParticipant);
+        if (existingSession.contractAddr === ethers.ZeroAddress || (session && !session.active)) {
+            await this.blockchain.checkSessionFactory();
 
-            if (!session) {
+            return [
+                { action: 'createChatSession', gas: await this.blockchain.factoryContract.createChatSession.estimateGas(normalizedParticipant, duration) },
+                { action: 'sendMessage', gas: null }
+            ];
+        }
+
+        return [
+            { action: 'sendMessage', gas: await this.blockchain.estimateSessionMessageGas(existingSession.contractAddr, cid, expiry, messageType) }
+        ];
+    }
 
-                const existing = await this.blockchain.factoryContract.getSessionBetween(
-                    this.wallet.address,
-                    normalizedParticipant
-                );
 
-                if (existing.contractAddr === ethers.ZeroAddress) {
-                    return [];
-                }
+    /**
+     * Push a live session's expiry back by `duration` seconds
+     */
+    async extendSession(sessionAddress, duration = SessionManager.DEFAULT_DURATION) {
+        const session = await this.blockchain.getSessionInfo(ethers.getAddress(sessionAddress));
+        const address = this.wallet.address.toLowerCase();
 
-                return await this.getSessionMessagesWithLimit(existing.contractAddr, fromBlock);
+        if (![session.participant1, session.participant2].some((participant) => participant.toLowerCase() === address)) {
+            throw new Error(`You are not a participant of session ${sessionAddress}`);
+        }
+
+        if (session.closed) {
+            throw new Error(`Session ${sessionAddress} is closed and cannot be extended`);
+        }
+
+        if (!session.active) {
+            throw new Error(`Session ${sessionAddress} has expired and cannot be extended; sending with --session opens a new one`);
+        }
+
+        const result = await this.blockchain.extendSession(session.sessionAddress, duration);
+        reporter.info(chalk.green(`✅ Session now expires ${new Date(result.expiry * 1000).toLocaleString()}`));
+
+        return result;
+    }
+
+
+    /**
+     * Messages from every session ever opened with a participant, not just the latest one,
+     * so history in expired or closed sessions stays visible.
+     */
+    async getMessages(participant, fromBlock = 0) {
+        try {
+            const messages = [];
+
+            for (const session of await this.getSessionsWith(participant)) {
+                messages.push(...await this.getSessionHistory(session.sessionAddress, { fromBlock, session }));
             }
 
-            return await this.getSessionMessagesWithLimit(session.contractAddress, fromBlock);
+            return messages.sort((a, b) => a.timestamp - b.timestamp);
 
         } catch (error) {
-            console.error(chalk.red('❌ Failed to get session messages:'), error.message);
+            reporter.error(chalk.red('❌ Failed to get session messages:'), error.message);
             throw error;
         }
     }
 
 
-    async getSessionMessagesWithLimit(sessionAddress, fromBlock = 0) {
+    /**
+     * All sessions between the wallet and a participant, oldest first
+     */
+    async getSessionsWith(participant) {
+        const normalizedParticipant = participant.toLowerCase();
+        const sessions = [];
+
+        for (const { sessionId, sessionAddress } of await this.blockchain.getUserSessionIds(this.wallet.address)) {
+            const session = await this.blockchain.getSessionInfo(sessionAddress);
+
+            if ([session.participant1, session.participant2].some((address) => address.toLowerCase() === normalizedParticipant)) {
+                sessions.push({ sessionId, ...session });
+            }
+        }
+
+        return sessions.sort((a, b) => a.createdAt - b.createdAt);
+    }
+
+
+    /**
+     * Every MessageSent event of one session. Without a `fromBlock` checkpoint the scan starts at
+     * the block the session was created in, and a closed or expired session is only scanned up to
+     * its last activity. A range that cannot be read fails the whole call, so a partial history is
+     * never returned as a complete one.
+     */
+    async getSessionHistory(sessionAddress, { fromBlock = 0, session = null } = {}) {
         try {
             const sessionABI = [
                 "event MessageSent(address indexed from, string cid, uint256 timestamp, uint256 expiry, uint256 messageIndex, bool isMedia, string messageType)"
             ];
 
             const sessionContract = new ethers.Contract(sessionAddress, sessionABI, this.blockchain.provider);
+            const filter = sessionContract.filters.MessageSent();
 
+            const info = session ?? await this.blockchain.getSessionInfo(sessionAddress);
+            const startBlock = fromBlock > 0 ? fromBlock : await this.blockchain.getSessionCreationBlock(sessionAddress, info.createdAt);
             const currentBlock = await this.blockchain.provider.getBlockNumber();
-            const messages = [];
-
-            const maxBlocksToScan = 10000;
-            const chunkSize = 500;
-
-
-            const safeStartBlock = Math.max(currentBlock - maxBlocksToScan, fromBlock);
-
-            console.log(chalk.gray(`   📊 Scanning recent blocks: ${safeStartBlock} to ${currentBlock} (${currentBlock - safeStartBlock} blocks)`));
-
-            if (currentBlock - safeStartBlock > maxBlocksToScan) {
-                console.log(chalk.yellow(`   ⚠️  Limiting scan to last ${maxBlocksToScan} blocks for performance`));
-            }
-
-            for (let block = safeStartBlock; block <= currentBlock; block += chunkSize) {
-                const toBlock = Math.min(block + chunkSize - 1, currentBlock);
+            const endBlock = Math.min(await this.blockchain.getSessionEndBlock(info, startBlock) ?? currentBlock, currentBlock);
+
+            const toMessage = (event) => ( {
+                messageId: event.args.messageIndex.toString(),
+                from: event.args.from,
+                to: null,
+                cid: event.args.cid,
+                timestamp: Number(event.args.timestamp),
+                expiry: Number(event.args.expiry),
+                isMedia: event.args.isMedia,
+                messageType: event.args.messageType,
+                source: 'session',
+                sessionAddress,
+                blockNumber: event.blockNumber,
+                transactionHash: event.transactionHash
+            });
 
-                try {
-                    const filter = sessionContract.filters.MessageSent();
-                    const events = await sessionContract.queryFilter(filter, block, toBlock);
-
-                    events.forEach((event) => {
-                        messages.push( {
-                            messageId: event.args.messageIndex.toString(),
-                            from: event.args.from,
-                            to: null,
-                            cid: event.args.cid,
-                            timestamp: Number(event.args.timestamp),
-                            expiry: Number(event.args.expiry),
-                            isMedia: event.args.isMedia,
-                            messageType: event.args.messageType,
-                            source: 'session',
-                            sessionAddress,
-                            blockNumber: event.blockNumber,
-                            transactionHash: event.transactionHash
-                        });
-                    });
-
-                } catch (rangeError) {
-                    console.log(chalk.yellow(`   ⚠️  Skipping blocks ${block}-${toBlock}: RPC limit reached`));
-
-                    if (rangeError.message.includes('too large') || rangeError.message.includes('range')) {
-                        console.log(chalk.yellow(`   🔄 Trying smaller chunk (100 blocks)...`));
-
-                        for (let smallBlock = block; smallBlock <= toBlock; smallBlock += 100) {
-                            const smallToBlock = Math.min(smallBlock + 99, toBlock);
-                            try {
-                                const smallEvents = await sessionContract.queryFilter(filter, smallBlock, smallToBlock);
-                                smallEvents.forEach((event) => {
-                                    messages.push( {
-                                        messageId: event.args.messageIndex.toString(),
-                                        from: event.args.from,
-                                        to: null,
-                                        cid: event.args.cid,
-                                        timestamp: Number(event.args.timestamp),
-                                        expiry: Number(event.args.expiry),
-                                        isMedia: event.args.isMedia,
-                                        messageType: event.args.messageType,
-                                        source: 'session',
-                                        sessionAddress,
-                                        blockNumber: event.blockNumber,
-                                        transactionHash: event.transactionHash
-                                    });
-                                });
-                            } catch (smallError) {
-                                console.log(chalk.yellow(`   ⚠️  Skipping blocks ${smallBlock}-${smallToBlock}`));
-                                continue;
-                            }
-                        }
-                    }
-                    continue;
-                }
+            reporter.info(chalk.gray(`   📊 Scanning session ${sessionAddress.substring(0, 10)}... blocks ${startBlock} to ${endBlock} (${Math.max(endBlock - startBlock + 1, 0)} blocks)`));
 
-                if ((block - safeStartBlock) % 2000 === 0 && block > safeStartBlock) {
-                    const progress = Math.round(((block - safeStartBlock) / (currentBlock - safeStartBlock)) * 100);
-                    console.log(chalk.gray(`   📈 Progress: ${progress}% (Block ${block})`));
+            const events = await this.blockchain.queryFilterChunked(sessionContract, filter, startBlock, endBlock, (block) => {
+                if ((block - startBlock) % 2000 === 0 && block > startBlock) {
+                    const progress = Math.round(((block - startBlock) / (endBlock - startBlock)) * 100);
+                    reporter.info(chalk.gray(`   📈 Progress: ${progress}% (Block ${block})`));
                 }
-            }
-            messages.sort((a, b) => a.timestamp - b.timestamp);
+            });
+            const messages = events.map(toMessage).sort((a, b) => a.timestamp - b.timestamp);
 
-            console.log(chalk.gray(`   📥 Retrieved ${messages.length} session messages from recent blocks`));
-
-            if (messages.length === 0 && currentBlock - safeStartBlock < maxBlocksToScan) {
-                console.log(chalk.yellow(`   💡 No session messages found in scanned range. Session may be older than ${maxBlocksToScan} blocks.`));
-            }
+            reporter.info(chalk.gray(`   📥 Retrieved ${messages.length} session messages from blocks ${startBlock}-${endBlock}`));
 
             return messages;
 
         } catch (error) {
-            console.error(chalk.red('❌ Failed to get session messages:'), error.message);
-            return [];
+            reporter.error(chalk.red('❌ Failed to get session messages:'), error.message);
+            throw error;
         }
     }
 
 
+    /**
+     * Every session contract the wallet takes part in. The factory returns bytes32 session IDs,
+     * so each one is resolved to its contract and read for participants and status.
+     */
     async getUserSessions() {
         try {
-            if (typeof this.blockchain.factoryContract.getUserSessions === 'function') {
-                return await this.blockchain.factoryContract.getUserSessions(this.wallet.address);
+            const sessions = [];
+
+            for (const { sessionId, sessionAddress } of await this.blockchain.getUserSessionIds(this.wallet.address)) {
+                sessions.push({ sessionId, ...await this.blockchain.getSessionInfo(sessionAddress) });
             }
 
-            return Array.from(this.activeSessions.values());
+            return sessions;
 
         } catch (error) {
-            console.error(chalk.red('❌ Failed to get user sessions:'), error.message);
+            reporter.error(chalk.red('❌ Failed to get user sessions:'), error.message);
             return Array.from(this.activeSessions.values());
         }
     }
 
 
-    displaySessions() {
-        console.log(chalk.blue('\n📋 Your Chat Sessions:'));
-        console.log(chalk.blue('─'.repeat(80)));
+    /**
+     * `active`, `closed` (by a participant or by cleanup) or `expired` (past its expiry but
+     * still flagged active on-chain, which is what --cleanup-sessions clears)
+     */
+    static getStatus(session) {
+        if (session.active) {
+            return 'active';
+        }
+
+        return session.closed ? 'closed' : 'expired';
+    }
+
+
+    async displaySessions() {
+        const sessions = await this.getUserSessions();
+        const address = this.wallet.address.toLowerCase();
+
+        reporter.info(chalk.blue('\n📋 Your Chat Sessions:'));
+        reporter.info(chalk.blue('─'.repeat(80)));
+
+        if (sessions.length === 0) {
+            reporter.info('No sessions found');
+            return sessions;
+        }
+
+        const statusColors = { active: chalk.green, expired: chalk.yellow, closed: chalk.gray };
+
+        for (const session of sessions) {
+            const status = SessionManager.getStatus(session);
+            const peer = session.participant1.toLowerCase() === address ? session.participant2 : session.participant1;
+            const remaining = status === 'active'
+                ? `${Math.floor(session.remaining / 60)}m ${session.remaining % 60}s remaining`
+                : `Ended ${new Date(session.expiry * 1000).toLocaleString()}`;
+
+            reporter.event('session', {
+                sessionAddress: session.sessionAddress,
+                sessionId: session.sessionId,
+                peer,
+                status,
+                messageCount: session.messageCount,
+                createdAt: session.createdAt,
+                lastActivity: session.lastActivity,
+                expiry: session.expiry,
+                remaining: session.remaining
+            });
+
+            reporter.info(`${statusColors[status](`● ${status.padEnd(7)}`)} ${chalk.white(session.sessionAddress)}`);
+            reporter.info(chalk.gray(`   With: ${peer}`));
+            reporter.info(chalk.gray(`   Messages: ${session.messageCount}  Created: ${new Date(session.createdAt * 1000).toLocaleString()}  ${status === 'closed' ? 'Closed' : remaining}\n`));
+        }
+
+        const counts = sessions.reduce((totals, session) => {
+            totals[SessionManager.getStatus(session)]++;
+            return totals;
+        }, { active: 0, expired: 0, closed: 0 });
+
+        reporter.info(chalk.gray(`${sessions.length} sessions: ${counts.active} active, ${counts.expired} expired, ${counts.closed} closed`));
+        if (counts.expired > 0) {
+            reporter.info(chalk.gray('Mark expired sessions inactive on-chain with: chain-whisper --cleanup-sessions'));
+        }
+
+        return sessions;
+    }
+
+
+    async closeSession(sessionAddress) {
+        const session = await this.blockchain.getSessionInfo(ethers.getAddress(sessionAddress));
+        const address = this.wallet.address.toLowerCase();
 
-        if (this.activeSessions.size === 0) {
-            console.log('No sessions found');
-            return;
+        if (![session.participant1, session.participant2].some((participant) => participant.toLowerCase() === address)) {
+            throw new Error(`You are not a participant of session ${sessionAddress}`);
         }
 
-        for (const [participant, session] of this.activeSessions.entries()) {
-            const status = session.created ? 'Created' : 'Existing';
-            console.log(`${status}: ${participant} -> ${session.contractAddress}`);
+        if (session.closed) {
+            throw new Error(`Session ${sessionAddress} is already closed`);
         }
+
+        const result = await this.blockchain.closeSession(session.sessionAddress);
+
+        for (const [participant, cached] of this.activeSessions.entries()) {
+            if (cached.contractAddress.toLowerCase() === session.sessionAddress.toLowerCase()) {
+                this.activeSessions.delete(participant);
+            }
+        }
+
+        return result;
+    }
+
+
+    /**
+     * Send the IDs of every expired session still flagged active to the factory, in batches
+     * small enough to stay well under the block gas limit
+     */
+    async cleanupExpiredSessions() {
+        const expired = (await this.getUserSessions()).filter((session) => SessionManager.getStatus(session) === 'expired');
+        const results = [];
+
+        for (let start = 0; start < expired.length; start += CLEANUP_BATCH_SIZE) {
+            const batch = expired.slice(start, start + CLEANUP_BATCH_SIZE);
+            results.push({ ...await this.blockchain.cleanupExpiredSessions(batch.map((session) => session.sessionId)), sessions: batch.length });
+        }
+
+        return { expired: expired.length, transactions: results };
     }
 }
 
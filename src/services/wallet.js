@@ -1,10 +1,20 @@
 const { ethers } = require('ethers');
 const chalk = require('chalk');
+const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
-const readline = require('readline');
+const RpcProvider = require('./rpcProvider');
+const { ask, askHidden, askPassphrase, confirm, secretOutput, showSecret, options: promptOptions } = require('../utils/prompt');
+const reporter = require('../utils/reporter');
+
+
+const MIN_PASSPHRASE_LENGTH = 8;
+const DEFAULT_BASE_PATH = "m/44'/60'/0'/0";
 
 class WalletService {
+    // Selection made on the command line (e.g. { wallet: 'alice', identity: 'work' })
+    static options = {};
+
     constructor(networkConfig) {
         this.networkConfig = networkConfig;
         this.provider = null;
@@ -15,12 +25,122 @@ class WalletService {
 
     ensureWalletsDirectory() {
         if (!fs.existsSync(this.walletsDir)) {
-            fs.mkdirSync(this.walletsDir, { recursive: true });
-            console.log(chalk.gray(`📁 Created wallets directory: ${this.walletsDir}`));
+            fs.mkdirSync(this.walletsDir, { recursive: true, mode: 0o700 });
+            reporter.info(chalk.gray(`📁 Created wallets directory: ${this.walletsDir}`));
+        }
+        fs.chmodSync(this.walletsDir, 0o700);
+    }
+
+
+    getWalletPath(alias) {
+        return path.join(this.walletsDir, `${alias}.json`);
+    }
+
+
+    validateNewAlias(alias) {
+        if (!/^[\w.-]+$/.test(alias)) {
+            throw new Error('Wallet alias may only contain letters, digits, ".", "_" and "-"');
+        }
+
+        if (fs.existsSync(this.getWalletPath(alias))) {
+            throw new Error(`Wallet "${alias}" already exists`);
+        }
+    }
+
+
+    static isPlaintextWallet(walletData) {
+        return typeof walletData.privateKey === 'string';
+    }
+
+
+    /**
+     * Overwrite a file with random bytes and flush it before unlinking, so the old
+     * contents do not linger in the freed blocks (best effort on journaling/SSD storage)
+     */
+    static secureDelete(filePath) {
+        const { size } = fs.statSync(filePath);
+        const fd = fs.openSync(filePath, 'r+');
+
+        try {
+            fs.writeSync(fd, crypto.randomBytes(Math.max(size, 1)), 0, Math.max(size, 1), 0);
+            fs.fsyncSync(fd);
+        } finally {
+            fs.closeSync(fd);
+        }
+
+        fs.unlinkSync(filePath);
+    }
+
+
+    /**
+     * Replace a wallet file atomically, so a crash leaves either the old or the new version.
+     * With `shredPrevious` the old contents (e.g. a plaintext key) are overwritten once the new
+     * file is in place, through a hard link that keeps them reachable past the rename.
+     */
+    writeKeystore(alias, keystore, { shredPrevious = false } = {}) {
+        this.ensureWalletsDirectory();
+        const walletPath = this.getWalletPath(alias);
+        const tempPath = `${walletPath}.tmp`;
+        const previousPath = `${walletPath}.previous`;
+
+        fs.writeFileSync(tempPath, JSON.stringify(keystore, null, 2), { mode: 0o600 });
+
+        const keepPrevious = shredPrevious && fs.existsSync(walletPath);
+        if (keepPrevious) {
+            fs.rmSync(previousPath, { force: true });
+            fs.linkSync(walletPath, previousPath);
+        }
+
+        try {
+            fs.renameSync(tempPath, walletPath);
+        } catch (error) {
+            if (keepPrevious) {
+                fs.unlinkSync(previousPath);
+            }
+            throw error;
+        }
+
+        if (keepPrevious) {
+            WalletService.secureDelete(previousPath);
         }
     }
 
 
+    async encryptKeystore(alias, privateKey, passphrase) {
+        const wallet = new ethers.Wallet(privateKey.startsWith('0x') ? privateKey : '0x' + privateKey);
+
+        reporter.info(chalk.blue('🔐 Encrypting keystore (scrypt)...'));
+        const keystore = JSON.parse(await wallet.encrypt(passphrase));
+
+        return {
+            ...keystore,
+            'x-chainwhisper': {
+                alias,
+                createdAt: new Date().toISOString()
+            }
+        };
+    }
+
+
+    /**
+     * Encrypt a plaintext wallet left by older versions when it is loaded, then securely delete
+     * the plaintext. Other plaintext wallets are left alone until they are loaded themselves.
+     */
+    async migratePlaintextWallet(alias, walletData) {
+        reporter.warn(chalk.yellow(`\n⚠️  Wallet "${alias}" is not encrypted yet`));
+        reporter.info(chalk.yellow('   It will be encrypted with a passphrase and the plaintext file securely deleted.\n'));
+
+        const passphrase = await this.askNewPassphrase(alias);
+        const keystore = await this.encryptKeystore(alias, walletData.privateKey, passphrase);
+
+        keystore['x-chainwhisper'].createdAt = walletData.createdAt || keystore['x-chainwhisper'].createdAt;
+
+        this.writeKeystore(alias, keystore, { shredPrevious: true });
+        reporter.info(chalk.green(`🔒 Wallet "${alias}" encrypted`));
+        return keystore;
+    }
+
+
     getSavedWallets() {
         this.ensureWalletsDirectory();
         try {
@@ -34,205 +154,401 @@ class WalletService {
     }
 
 
-    saveWallet(alias, privateKey, address) {
-        this.ensureWalletsDirectory();
-        const walletPath = path.join(this.walletsDir, `${alias}.json`);
+    async saveWallet(alias, privateKey, address) {
+        this.validateNewAlias(alias);
 
-        const walletData = {
-            alias,
-            address,
-            privateKey,
-            createdAt: new Date().toISOString()
-        };
+        const passphrase = await this.askNewPassphrase(alias);
+        const keystore = await this.encryptKeystore(alias, privateKey, passphrase);
 
-        fs.writeFileSync(walletPath, JSON.stringify(walletData, null, 2));
-        console.log(chalk.green(`💾 Wallet saved as "${alias}"`));
-        console.log(chalk.gray(`📍 Address: ${address}`));
+        this.writeKeystore(alias, keystore);
+        reporter.info(chalk.green(`💾 Wallet saved as "${alias}" (encrypted keystore)`));
+        reporter.info(chalk.gray(`📍 Address: ${address}`));
     }
 
 
-    loadWallet(alias) {
-        const walletPath = path.join(this.walletsDir, `${alias}.json`);
+    readWalletFile(alias) {
+        const walletPath = this.getWalletPath(alias);
 
         if (!fs.existsSync(walletPath)) {
             throw new Error(`Wallet "${alias}" not found`);
         }
 
-        const walletData = JSON.parse(fs.readFileSync(walletPath, 'utf8'));
-        return walletData;
+        return JSON.parse(fs.readFileSync(walletPath, 'utf8'));
     }
 
 
-    async getPrivateKeyInteractively() {
-        const rl = readline.createInterface( {
-            input: process.stdin,
-            output: process.stdout
-        });
+    getWalletAddress(walletData) {
+        return ethers.getAddress(walletData.address.startsWith('0x') ? walletData.address : '0x' + walletData.address);
+    }
 
-        return new Promise((resolve) => {
-            console.log(chalk.yellow('🔑 Enter your private key (input will be hidden):'));
 
+    async decryptWallet(alias) {
+        const keystore = this.readWalletFile(alias);
 
-            rl.stdoutMuted = true;
-            rl._writeToOutput = function _writeToOutput(stringToWrite) {
-                if (rl.stdoutMuted) rl.output.write("*");
-                else rl.output.write(stringToWrite);
+        if (WalletService.isPlaintextWallet(keystore)) {
+            const privateKey = keystore.privateKey.startsWith('0x') ? keystore.privateKey : '0x' + keystore.privateKey;
+            return {
+                keystore: await this.migratePlaintextWallet(alias, keystore),
+                wallet: new ethers.Wallet(privateKey)
             };
+        }
 
-            rl.question('Private Key: ', (privateKey) => {
-                rl.close();
-                console.log(chalk.gray('\n🔒 Private key entered'));
-                resolve(privateKey.trim());
-            });
+        const passphrase = await askPassphrase(`🔑 Passphrase for "${alias}": `);
+
+        reporter.info(chalk.blue('🔓 Decrypting keystore...'));
+        try {
+            return {
+                keystore,
+                wallet: await ethers.Wallet.fromEncryptedJson(JSON.stringify(keystore), passphrase)
+            };
+        } catch (error) {
+            throw new Error(`Could not decrypt wallet "${alias}": wrong passphrase or corrupted keystore`);
+        }
+    }
+
+
+    async loadWallet(alias) {
+        const { keystore, wallet } = await this.decryptWallet(alias);
+        const metadata = keystore['x-chainwhisper'] || {};
+
+        if (metadata.type !== 'hd') {
+            return {
+                alias,
+                address: wallet.address,
+                privateKey: wallet.privateKey,
+                createdAt: metadata.createdAt
+            };
+        }
+
+        const identity = await this.selectIdentity(alias, keystore, wallet.mnemonic.phrase);
+        const derived = this.deriveFromPhrase(wallet.mnemonic.phrase, identity.path);
+
+        return {
+            alias,
+            address: derived.address,
+            privateKey: derived.privateKey,
+            createdAt: metadata.createdAt,
+            identity
+        };
+    }
+
+
+    isHdWallet(alias) {
+        try {
+            return this.readWalletFile(alias)['x-chainwhisper']?.type === 'hd';
+        } catch (error) {
+            return false;
+        }
+    }
+
+
+    deriveFromPhrase(phrase, derivationPath) {
+        try {
+            const node = ethers.HDNodeWallet.fromPhrase(phrase, undefined, derivationPath);
+            return { address: node.address, privateKey: node.privateKey, path: derivationPath };
+        } catch (error) {
+            throw new Error(`Cannot derive ${derivationPath}: ${error.shortMessage || error.message}`);
+        }
+    }
+
+
+    /**
+     * Save a BIP-39 recovery phrase as one keystore; identities derived from it are
+     * listed (alias, path, address) next to the encrypted phrase
+     */
+    async saveHdWallet(alias, phrase) {
+        this.validateNewAlias(alias);
+
+        const passphrase = await this.askNewPassphrase(alias);
+        const identity = this.deriveFromPhrase(phrase, `${DEFAULT_BASE_PATH}/0`);
+        const root = ethers.HDNodeWallet.fromPhrase(phrase, undefined, identity.path);
+
+        reporter.info(chalk.blue('🔐 Encrypting keystore (scrypt)...'));
+        const keystore = JSON.parse(await root.encrypt(passphrase));
+
+        this.writeKeystore(alias, {
+            ...keystore,
+            'x-chainwhisper': {
+                alias,
+                type: 'hd',
+                createdAt: new Date().toISOString(),
+                basePath: DEFAULT_BASE_PATH,
+                identities: [{ index: 0, alias: 'default', path: identity.path, address: identity.address }]
+            }
         });
+
+        reporter.info(chalk.green(`💾 HD wallet saved as "${alias}" (encrypted keystore)`));
+        reporter.info(chalk.gray(`📍 Identity 0 "default": ${identity.address}`));
+    }
+
+
+    /**
+     * Add an identity to an HD wallet, at `derivationPath` or the next index under its base path
+     */
+    addIdentity(walletAlias, keystore, phrase, identityAlias, derivationPath = null) {
+        const metadata = keystore['x-chainwhisper'];
+
+        if (!/^[\w.-]+$/.test(identityAlias) || /^\d+$/.test(identityAlias)) {
+            throw new Error('Identity alias may only contain letters, digits, ".", "_" and "-", and cannot be a plain number');
+        }
+
+        if (metadata.identities.some((identity) => identity.alias === identityAlias)) {
+            throw new Error(`Identity "${identityAlias}" already exists in "${walletAlias}"`);
+        }
+
+        const index = Math.max(...metadata.identities.map((identity) => identity.index)) + 1;
+        const derived = this.deriveFromPhrase(phrase, derivationPath || `${metadata.basePath}/${index}`);
+
+        if (metadata.identities.some((identity) => identity.path === derived.path)) {
+            throw new Error(`Path ${derived.path} is already used by another identity`);
+        }
+
+        const identity = { index, alias: identityAlias, path: derived.path, address: derived.address };
+        metadata.identities.push(identity);
+        this.writeKeystore(walletAlias, keystore);
+
+        reporter.info(chalk.green(`🆕 Identity ${index} "${identityAlias}" derived at ${derived.path}`));
+        reporter.info(chalk.gray(`📍 Address: ${derived.address}`));
+        return identity;
+    }
+
+
+    async deriveIdentity(walletAlias, identityAlias, derivationPath = null) {
+        if (!this.isHdWallet(walletAlias)) {
+            throw new Error(`Wallet "${walletAlias}" is not an HD wallet`);
+        }
+
+        const { keystore, wallet } = await this.decryptWallet(walletAlias);
+        return this.addIdentity(walletAlias, keystore, wallet.mnemonic.phrase, identityAlias, derivationPath);
+    }
+
+
+    /**
+     * Pick an identity by --identity (index or alias), automatically when there is only one,
+     * or interactively, with the option to derive a new one
+     */
+    async selectIdentity(walletAlias, keystore, phrase) {
+        const { identities } = keystore['x-chainwhisper'];
+        const wanted = WalletService.options.identity;
+
+        if (wanted !== undefined && wanted !== null) {
+            const identity = identities.find((candidate) => String(candidate.index) === String(wanted) || candidate.alias === wanted);
+            if (!identity) {
+                throw new Error(`Identity "${wanted}" not found in "${walletAlias}"`);
+            }
+            return identity;
+        }
+
+        if (identities.length === 1) {
+            return identities[0];
+        }
+
+        reporter.info(chalk.cyan(`\n🪪 Identities in "${walletAlias}":`));
+        identities.forEach((identity, position) => {
+            reporter.info(chalk.white(`  ${position + 1}. [${identity.index}] ${identity.alias} ${identity.address}`) + chalk.gray(` ${identity.path}`));
+        });
+        reporter.info(chalk.white(`  ${identities.length + 1}. Derive new identity`));
+
+        const choiceNum = parseInt(await ask(chalk.cyan('\nSelect identity: ')));
+
+        if (choiceNum >= 1 && choiceNum <= identities.length) {
+            return identities[choiceNum - 1];
+        }
+
+        if (choiceNum === identities.length + 1) {
+            const identityAlias = await ask(chalk.cyan('📝 Identity alias: '));
+            const derivationPath = await ask(chalk.cyan('🧭 Derivation path (Enter for next index): '));
+            return this.addIdentity(walletAlias, keystore, phrase, identityAlias, derivationPath || null);
+        }
+
+        throw new Error('Invalid identity choice');
+    }
+
+
+    async askNewPassphrase(alias) {
+        if (promptOptions.passphraseFile) {
+            const passphrase = await askPassphrase();
+            if (passphrase.length < MIN_PASSPHRASE_LENGTH) {
+                throw new Error(`Passphrase in ${promptOptions.passphraseFile} must be at least ${MIN_PASSPHRASE_LENGTH} characters`);
+            }
+            return passphrase;
+        }
+
+        for (let attempt = 0; attempt < 3; attempt++) {
+            const passphrase = await askHidden(`🔑 New passphrase for "${alias}": `);
+
+            if (passphrase.length < MIN_PASSPHRASE_LENGTH) {
+                reporter.info(chalk.red(`❌ Passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters`));
+                continue;
+            }
+
+            if (await askHidden('🔑 Repeat passphrase: ') !== passphrase) {
+                reporter.info(chalk.red('❌ Passphrases do not match'));
+                continue;
+            }
+
+            return passphrase;
+        }
+
+        throw new Error('No passphrase set');
+    }
+
+
+    async getPrivateKeyInteractively() {
+        reporter.info(chalk.yellow('🔑 Enter your private key (input will be hidden):'));
+        const privateKey = await askHidden('Private Key: ');
+        reporter.info(chalk.gray('🔒 Private key entered'));
+        return privateKey;
     }
 
 
     async selectWallet() {
-        console.log(chalk.blue('\n🔐 ChainWhisper Wallet Selection\n'));
+        reporter.info(chalk.blue('\n🔐 ChainWhisper Wallet Selection\n'));
 
 
-        if (process.env.PRIVATE_KEY) {
-            console.log(chalk.green('📝 Found private key in .env file'));
+        // An explicit --wallet wins over PRIVATE_KEY from .env
+        if (process.env.PRIVATE_KEY && !WalletService.options.wallet) {
+            reporter.info(chalk.green('📝 Found private key in .env file'));
             return {
                 source: 'env',
                 privateKey: process.env.PRIVATE_KEY
             };
         }
 
-        const rl = readline.createInterface( {
-            input: process.stdin,
-            output: process.stdout
-        });
-
+        if (WalletService.options.wallet) {
+            const walletData = await this.loadWallet(WalletService.options.wallet);
+            reporter.info(chalk.green(`✅ Loaded wallet: ${WalletService.options.wallet}${walletData.identity ? ` / ${walletData.identity.alias}` : ''}`));
+            return {
+                source: 'saved',
+                privateKey: walletData.privateKey,
+                alias: WalletService.options.wallet,
+                address: walletData.address,
+                identity: walletData.identity
+            };
+        }
 
         const savedWallets = this.getSavedWallets();
+        const actions = ['Enter new private key', 'Generate new wallet (recovery phrase)', 'Import recovery phrase'];
 
         if (savedWallets.length > 0) {
-            console.log(chalk.cyan('💼 Saved Wallets:'));
+            reporter.info(chalk.cyan('💼 Saved Wallets:'));
             savedWallets.forEach((wallet, index) => {
-                console.log(chalk.white(`  ${index + 1}. ${wallet}`));
+                const hdLabel = this.isHdWallet(wallet) ? chalk.gray(' (HD)') : '';
+                reporter.info(chalk.white(`  ${index + 1}. ${wallet}`) + hdLabel);
             });
-            console.log(chalk.white(`  ${savedWallets.length + 1}. Enter new private key`));
-            console.log(chalk.white(`  ${savedWallets.length + 2}. Generate new wallet`));
         } else {
-            console.log(chalk.yellow('💼 No saved wallets found'));
-            console.log(chalk.white('  1. Enter private key'));
-            console.log(chalk.white('  2. Generate new wallet'));
-        }
-
-        return new Promise(async (resolve, reject) => {
-            rl.question(chalk.cyan('\nSelect option: '), async (choice) => {
-                const choiceNum = parseInt(choice);
-
-                try {
-                    if (savedWallets.length > 0 && choiceNum >= 1 && choiceNum <= savedWallets.length) {
-
-                        const walletAlias = savedWallets[choiceNum - 1];
-                        try {
-                            const walletData = this.loadWallet(walletAlias);
-                            console.log(chalk.green(`✅ Loaded wallet: ${walletAlias}`));
-                            rl.close();
-                            resolve( {
-                                source: 'saved',
-                                privateKey: walletData.privateKey,
-                                alias: walletAlias,
-                                address: walletData.address
-                            });
-                        } catch (error) {
-                            console.log(chalk.red(`❌ Failed to load wallet: ${error.message}`));
-                            rl.close();
-                            const retry = await this.selectWallet();
-                            resolve(retry);
-                        }
-                    } else if ((savedWallets.length > 0 && choiceNum === savedWallets.length + 1) ||
-                              (savedWallets.length === 0 && choiceNum === 1)) {
-
-                        rl.close();
-                        const privateKey = await this.getPrivateKeyInteractively();
-
-
-                        const rl2 = readline.createInterface( {
-                            input: process.stdin,
-                            output: process.stdout
-                        });
-
-                        rl2.question(chalk.cyan('💾 Save this wallet? (y/N): '), (saveChoice) => {
-                            if (saveChoice.toLowerCase() === 'y' || saveChoice.toLowerCase() === 'yes') {
-                                rl2.question(chalk.cyan('📝 Enter wallet alias: '), (alias) => {
-                                    rl2.close();
-                                    try {
-                                        const wallet = new ethers.Wallet(privateKey);
-                                        this.saveWallet(alias, privateKey, wallet.address);
-                                        resolve( {
-                                            source: 'new',
-                                            privateKey,
-                                            alias,
-                                            address: wallet.address,
-                                            saved: true
-                                        });
-                                    } catch (error) {
-                                        console.log(chalk.red(`❌ Invalid private key: ${error.message}`));
-                                        this.selectWallet().then(resolve).catch(reject);
-                                    }
-                                });
-                            } else {
-                                rl2.close();
-                                resolve( {
-                                    source: 'new',
-                                    privateKey
-                                });
-                            }
-                        });
-                    } else if ((savedWallets.length > 0 && choiceNum === savedWallets.length + 2) ||
-                              (savedWallets.length === 0 && choiceNum === 2)) {
-
-                        const newWallet = ethers.Wallet.createRandom();
-                        console.log(chalk.green('🆕 Generated new wallet'));
-                        console.log(chalk.yellow('⚠️  SAVE THIS PRIVATE KEY SECURELY:'));
-                        console.log(chalk.white(`🔑 Private Key: ${newWallet.privateKey}`));
-                        console.log(chalk.gray(`📍 Address: ${newWallet.address}`));
-
-                        rl.question(chalk.cyan('💾 Save this wallet? (Y/n): '), (saveChoice) => {
-                            if (saveChoice.toLowerCase() !== 'n' && saveChoice.toLowerCase() !== 'no') {
-                                rl.question(chalk.cyan('📝 Enter wallet alias: '), (alias) => {
-                                    rl.close();
-                                    this.saveWallet(alias, newWallet.privateKey, newWallet.address);
-                                    resolve( {
-                                        source: 'generated',
-                                        privateKey: newWallet.privateKey,
-                                        alias,
-                                        address: newWallet.address,
-                                        saved: true
-                                    });
-                                });
-                            } else {
-                                rl.close();
-                                resolve( {
-                                    source: 'generated',
-                                    privateKey: newWallet.privateKey,
-                                    address: newWallet.address
-                                });
-                            }
-                        });
-                    } else {
-                        console.log(chalk.red('❌ Invalid choice'));
-                        rl.close();
-                        const retry = await this.selectWallet();
-                        resolve(retry);
-                    }
-                } catch (error) {
-                    rl.close();
-                    reject(error);
-                }
-            });
+            reporter.info(chalk.yellow('💼 No saved wallets found'));
+            actions[0] = 'Enter private key';
+        }
+        actions.forEach((action, index) => {
+            reporter.info(chalk.white(`  ${savedWallets.length + index + 1}. ${action}`));
         });
+
+        const choiceNum = parseInt(await ask(chalk.cyan('\nSelect option: ')));
+        const action = choiceNum - savedWallets.length;
+
+
+        if (choiceNum >= 1 && choiceNum <= savedWallets.length) {
+            const walletAlias = savedWallets[choiceNum - 1];
+            try {
+                const walletData = await this.loadWallet(walletAlias);
+                reporter.info(chalk.green(`✅ Loaded wallet: ${walletAlias}${walletData.identity ? ` / ${walletData.identity.alias}` : ''}`));
+                return {
+                    source: 'saved',
+                    privateKey: walletData.privateKey,
+                    alias: walletAlias,
+                    address: walletData.address,
+                    identity: walletData.identity
+                };
+            } catch (error) {
+                reporter.warn(chalk.red(`❌ Failed to load wallet: ${error.message}`));
+                return this.selectWallet();
+            }
+        }
+
+
+        if (action === 1) {
+            const privateKey = await this.getPrivateKeyInteractively();
+
+            if (!await confirm(chalk.cyan('💾 Save this wallet? (y/N): '))) {
+                return {
+                    source: 'new',
+                    privateKey
+                };
+            }
+
+            const alias = await ask(chalk.cyan('📝 Enter wallet alias: '));
+            try {
+                const wallet = new ethers.Wallet(privateKey.startsWith('0x') ? privateKey : '0x' + privateKey);
+                await this.saveWallet(alias, privateKey, wallet.address);
+                return {
+                    source: 'new',
+                    privateKey,
+                    alias,
+                    address: wallet.address,
+                    saved: true
+                };
+            } catch (error) {
+                reporter.warn(chalk.red(`❌ Could not save wallet: ${error.message}`));
+                return this.selectWallet();
+            }
+        }
+
+
+        if (action === 2 || action === 3) {
+            let phrase;
+
+            if (action === 2) {
+                // The phrase is the only backup, so never generate one that nobody gets to see
+                if (!secretOutput()) {
+                    throw new Error('Generating an HD wallet needs a terminal on stdout or stderr to show the recovery phrase');
+                }
+
+                phrase = ethers.Wallet.createRandom().mnemonic.phrase;
+                reporter.info(chalk.green('🆕 Generated new HD wallet'));
+                showSecret(chalk.yellow('⚠️  WRITE DOWN THIS RECOVERY PHRASE - it restores every identity of this wallet:'));
+                showSecret(chalk.white(`📜 ${phrase}`));
+            } else {
+                phrase = (await askHidden('📜 Recovery phrase: ')).toLowerCase().split(/\s+/).join(' ');
+                if (!ethers.Mnemonic.isValidMnemonic(phrase)) {
+                    reporter.info(chalk.red('❌ Invalid recovery phrase'));
+                    return this.selectWallet();
+                }
+            }
+
+            const identity = this.deriveFromPhrase(phrase, `${DEFAULT_BASE_PATH}/0`);
+            reporter.info(chalk.gray(`📍 Address: ${identity.address} (${identity.path})`));
+
+            const saveChoice = (await ask(chalk.cyan('💾 Save this wallet? (Y/n): '))).toLowerCase();
+            if (saveChoice === 'n' || saveChoice === 'no') {
+                return {
+                    source: action === 2 ? 'generated' : 'mnemonic',
+                    privateKey: identity.privateKey,
+                    address: identity.address
+                };
+            }
+
+            const alias = await ask(chalk.cyan('📝 Enter wallet alias: '));
+            await this.saveHdWallet(alias, phrase);
+            return {
+                source: action === 2 ? 'generated' : 'mnemonic',
+                privateKey: identity.privateKey,
+                alias,
+                address: identity.address,
+                identity: { index: 0, alias: 'default', path: identity.path, address: identity.address },
+                saved: true
+            };
+        }
+
+
+        reporter.info(chalk.red('❌ Invalid choice'));
+        return this.selectWallet();
     }
 
 
     async connect() {
         try {
-            console.log(chalk.blue('🔐 Connecting wallet...'));
+            reporter.info(chalk.blue('🔐 Connecting wallet...'));
 
 
             const walletChoice = await this.selectWallet();
@@ -242,16 +558,26 @@ class WalletService {
                 walletChoice.privateKey : '0x' + walletChoice.privateKey;
 
 
-            this.provider = new ethers.JsonRpcProvider(this.networkConfig.rpcUrl);
+            this.provider = new RpcProvider(this.networkConfig);
             this.wallet = new ethers.Wallet(privateKey, this.provider);
 
 
             const balance = await this.provider.getBalance(this.wallet.address);
             const balanceEth = ethers.formatEther(balance);
 
-            console.log(chalk.green(`✅ Wallet connected: ${this.wallet.address}`));
-            console.log(chalk.gray(`💰 Balance: ${balanceEth} ETH`));
-            console.log(chalk.gray(`🌐 Network: ${this.networkConfig.name}`));
+            reporter.info(chalk.green(`✅ Wallet connected: ${this.wallet.address}`));
+            reporter.info(chalk.gray(`💰 Balance: ${balanceEth} ETH`));
+            reporter.info(chalk.gray(`🌐 Network: ${this.networkConfig.name}`));
+
+            reporter.event('wallet.connected', {
+                address: this.wallet.address,
+                balance: balanceEth,
+                network: this.networkConfig.name,
+                chainId: this.networkConfig.chainId,
+                source: walletChoice.source,
+                alias: walletChoice.alias ?? null,
+                identity: walletChoice.identity?.alias ?? null
+            });
 
             return {
                 address: this.wallet.address,
@@ -260,7 +586,7 @@ class WalletService {
             };
 
         } catch (error) {
-            console.error(chalk.red('❌ Wallet connection failed:'), error.message);
+            reporter.error(chalk.red('❌ Wallet connection failed:'), error.message);
             throw error;
         }
     }
@@ -286,34 +612,115 @@ class WalletService {
         const savedWallets = this.getSavedWallets();
 
         if (savedWallets.length === 0) {
-            console.log(chalk.yellow('💼 No saved wallets found'));
+            reporter.info(chalk.yellow('💼 No saved wallets found'));
             return;
         }
 
-        console.log(chalk.blue('💼 Saved Wallets:\n'));
+        reporter.info(chalk.blue('💼 Saved Wallets:\n'));
 
         savedWallets.forEach((alias) => {
             try {
-                const walletData = this.loadWallet(alias);
-                console.log(chalk.white(`📝 ${alias}`));
-                console.log(chalk.gray(`   Address: ${walletData.address}`));
-                console.log(chalk.gray(`   Created: ${new Date(walletData.createdAt).toLocaleString()}\n`));
+                const walletData = this.readWalletFile(alias);
+                const createdAt = WalletService.isPlaintextWallet(walletData) ? walletData.createdAt : walletData['x-chainwhisper']?.createdAt;
+
+                reporter.event('wallet', {
+                    alias,
+                    address: this.getWalletAddress(walletData),
+                    createdAt: createdAt || null,
+                    type: walletData['x-chainwhisper']?.type || 'single',
+                    encrypted: !WalletService.isPlaintextWallet(walletData),
+                    identities: walletData['x-chainwhisper']?.identities || []
+                });
+
+                reporter.info(chalk.white(`📝 ${alias}`));
+                reporter.info(chalk.gray(`   Address: ${this.getWalletAddress(walletData)}`));
+                if (createdAt) {
+                    reporter.info(chalk.gray(`   Created: ${new Date(createdAt).toLocaleString()}`));
+                }
+                walletData['x-chainwhisper']?.identities?.forEach((identity) => {
+                    reporter.info(chalk.gray(`   🪪 [${identity.index}] ${identity.alias}: ${identity.address} (${identity.path})`));
+                });
+                reporter.info(WalletService.isPlaintextWallet(walletData)
+                    ? chalk.yellow('   ⚠️  Unencrypted - will be encrypted the next time it is loaded\n')
+                    : chalk.gray(`   🔒 Encrypted ${walletData['x-chainwhisper']?.type === 'hd' ? 'HD keystore (recovery phrase)' : 'keystore'}\n`));
             } catch (error) {
-                console.log(chalk.red(`❌ Error loading ${alias}: ${error.message}\n`));
+                reporter.warn(chalk.red(`❌ Error loading ${alias}: ${error.message}\n`));
             }
         });
     }
 
 
     deleteSavedWallet(alias) {
-        const walletPath = path.join(this.walletsDir, `${alias}.json`);
+        const walletPath = this.getWalletPath(alias);
 
         if (!fs.existsSync(walletPath)) {
             throw new Error(`Wallet "${alias}" not found`);
         }
 
-        fs.unlinkSync(walletPath);
-        console.log(chalk.green(`🗑️  Wallet "${alias}" deleted`));
+        WalletService.secureDelete(walletPath);
+        reporter.info(chalk.green(`🗑️  Wallet "${alias}" deleted`));
+    }
+
+
+    /**
+     * Add a standard JSON keystore (ethers, geth, MetaMask exports) under an alias, keeping its passphrase
+     */
+    async importKeystore(filePath, alias) {
+        this.validateNewAlias(alias);
+
+        const json = fs.readFileSync(filePath, 'utf8');
+        if (!ethers.isKeystoreJson(json)) {
+            throw new Error(`${filePath} is not a JSON keystore`);
+        }
+
+        const passphrase = await askPassphrase(`🔑 Passphrase for ${path.basename(filePath)}: `);
+
+        reporter.info(chalk.blue('🔓 Verifying keystore...'));
+        let wallet;
+        try {
+            wallet = await ethers.Wallet.fromEncryptedJson(json, passphrase);
+        } catch (error) {
+            throw new Error('Could not decrypt keystore: wrong passphrase or corrupted file');
+        }
+
+        const metadata = { alias, createdAt: new Date().toISOString() };
+
+        // Keystores that carry a recovery phrase become HD wallets with the stored path as identity 0
+        if (wallet.mnemonic && wallet.path) {
+            Object.assign(metadata, {
+                type: 'hd',
+                basePath: wallet.path.replace(/\/\d+$/, ''),
+                identities: [{ index: 0, alias: 'default', path: wallet.path, address: wallet.address }]
+            });
+        }
+
+        this.writeKeystore(alias, { ...JSON.parse(json), 'x-chainwhisper': metadata });
+
+        reporter.info(chalk.green(`💾 Keystore imported as "${alias}"`));
+        reporter.info(chalk.gray(`📍 Address: ${wallet.address}`));
+        return wallet.address;
+    }
+
+
+    /**
+     * Write a saved wallet as a standard JSON keystore; the passphrase stays the same
+     */
+    exportKeystore(alias, outputPath) {
+        const keystore = this.readWalletFile(alias);
+
+        if (WalletService.isPlaintextWallet(keystore)) {
+            throw new Error(`Wallet "${alias}" is not encrypted yet - load it once (--wallet ${alias}) to migrate it`);
+        }
+
+        if (fs.existsSync(outputPath)) {
+            throw new Error(`${outputPath} already exists`);
+        }
+
+        const { 'x-chainwhisper': metadata, ...standardKeystore } = keystore;
+        fs.writeFileSync(outputPath, JSON.stringify(standardKeystore, null, 2), { mode: 0o600, flag: 'wx' });
+
+        reporter.info(chalk.green(`📤 Wallet "${alias}" exported to ${outputPath}`));
+        reporter.info(chalk.gray(`📍 Address: ${this.getWalletAddress(keystore)}`));
     }
 }
 
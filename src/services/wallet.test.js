@@ -0,0 +1,127 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ethers } = require('ethers');
+const WalletService = require('./wallet');
+const prompt = require('../utils/prompt');
+const reporter = require('../utils/reporter');
+
+
+reporter.use('silent');
+// Wallets go under the working directory
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'chainwhisper-wallet-'));
+process.chdir(workDir);
+test.after(() => fs.rmSync(workDir, { recursive: true, force: true }));
+
+const PASSPHRASE = 'correct horse battery';
+const passphraseFile = path.join(workDir, 'passphrase.txt');
+fs.writeFileSync(passphraseFile, `${PASSPHRASE}\n`);
+prompt.configure({ passphraseFile });
+
+const service = new WalletService(null);
+
+
+test('keystores are scrypt-encrypted and only open with their passphrase', async () => {
+    const wallet = ethers.Wallet.createRandom();
+    await service.saveWallet('roundtrip', wallet.privateKey, wallet.address);
+
+    const file = fs.readFileSync(service.getWalletPath('roundtrip'), 'utf8');
+    const keystore = JSON.parse(file);
+    assert.strictEqual(keystore.Crypto.kdf, 'scrypt');
+    assert.ok(!file.includes(wallet.privateKey.slice(2)));
+    assert.strictEqual(fs.statSync(service.getWalletPath('roundtrip')).mode & 0o777, 0o600);
+
+    const loaded = await service.loadWallet('roundtrip');
+    assert.strictEqual(loaded.address, wallet.address);
+    assert.strictEqual(loaded.privateKey, wallet.privateKey);
+
+    fs.writeFileSync(passphraseFile, 'wrong passphrase\n');
+    try {
+        await assert.rejects(service.loadWallet('roundtrip'), /wrong passphrase or corrupted keystore/);
+    } finally {
+        fs.writeFileSync(passphraseFile, `${PASSPHRASE}\n`);
+    }
+});
+
+
+test('writeKeystore replaces the file in one step and leaves no temporary files', () => {
+    service.writeKeystore('atomic', { version: 1 });
+    service.writeKeystore('atomic', { version: 2 });
+
+    assert.deepStrictEqual(JSON.parse(fs.readFileSync(service.getWalletPath('atomic'), 'utf8')), { version: 2 });
+    assert.deepStrictEqual(fs.readdirSync(service.walletsDir).filter((file) => file.startsWith('atomic')), ['atomic.json']);
+});
+
+
+test('a plaintext wallet is encrypted when loaded and its old contents overwritten', async () => {
+    const wallet = ethers.Wallet.createRandom();
+    const other = ethers.Wallet.createRandom();
+    const walletPath = service.getWalletPath('legacy');
+    const otherPlaintext = JSON.stringify({ address: other.address, privateKey: other.privateKey });
+    fs.writeFileSync(walletPath, JSON.stringify({ address: wallet.address, privateKey: wallet.privateKey, createdAt: '2024-01-01T00:00:00.000Z' }));
+    fs.writeFileSync(service.getWalletPath('legacy-other'), otherPlaintext);
+
+    // A second name for the plaintext inode shows whether its blocks were overwritten
+    const witnessPath = path.join(workDir, 'legacy-witness');
+    fs.linkSync(walletPath, witnessPath);
+
+    const loaded = await service.loadWallet('legacy');
+    assert.strictEqual(loaded.privateKey, wallet.privateKey);
+    assert.strictEqual(loaded.createdAt, '2024-01-01T00:00:00.000Z');
+
+    assert.ok(!fs.readFileSync(witnessPath).includes(wallet.privateKey.slice(2)));
+    assert.ok(!fs.readFileSync(walletPath, 'utf8').includes(wallet.privateKey.slice(2)));
+    assert.ok(!fs.existsSync(`${walletPath}.previous`));
+    assert.strictEqual((await service.loadWallet('legacy')).privateKey, wallet.privateKey);
+
+    // Only the wallet being loaded is migrated
+    assert.strictEqual(fs.readFileSync(service.getWalletPath('legacy-other'), 'utf8'), otherPlaintext);
+});
+
+
+const TEST_PHRASE = 'test test test test test test test test test test test junk';
+
+
+test('identities derive from the recovery phrase along BIP-44 paths', () => {
+    assert.strictEqual(service.deriveFromPhrase(TEST_PHRASE, "m/44'/60'/0'/0/0").address, '0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266');
+    assert.strictEqual(service.deriveFromPhrase(TEST_PHRASE, "m/44'/60'/0'/0/1").address, '0x70997970C51812dc3A010C7d01b50e0d17dc79C8');
+    assert.throws(() => service.deriveFromPhrase(TEST_PHRASE, 'not a path'), /Cannot derive not a path/);
+});
+
+
+test('HD wallets keep the phrase encrypted and list derived identities', async () => {
+    await service.saveHdWallet('hd', TEST_PHRASE);
+
+    const file = fs.readFileSync(service.getWalletPath('hd'), 'utf8');
+    assert.ok(!file.includes('test test'));
+
+    const keystore = service.readWalletFile('hd');
+    const identity = service.addIdentity('hd', keystore, TEST_PHRASE, 'work');
+    assert.deepStrictEqual(identity, { index: 1, alias: 'work', path: "m/44'/60'/0'/0/1", address: '0x70997970C51812dc3A010C7d01b50e0d17dc79C8' });
+    assert.throws(() => service.addIdentity('hd', keystore, TEST_PHRASE, 'again', "m/44'/60'/0'/0/1"), /already used/);
+
+    WalletService.options.identity = 'work';
+    try {
+        const loaded = await service.loadWallet('hd');
+        assert.strictEqual(loaded.address, identity.address);
+        assert.strictEqual(loaded.privateKey, service.deriveFromPhrase(TEST_PHRASE, identity.path).privateKey);
+    } finally {
+        WalletService.options.identity = undefined;
+    }
+});
+
+
+test('secrets are never shown without a terminal', () => {
+    const ttys = [process.stdout.isTTY, process.stderr.isTTY];
+    process.stdout.isTTY = false;
+    process.stderr.isTTY = false;
+
+    try {
+        assert.strictEqual(prompt.secretOutput(), null);
+        assert.throws(() => prompt.showSecret('secret words'), /No terminal/);
+    } finally {
+        [process.stdout.isTTY, process.stderr.isTTY] = ttys;
+    }
+});
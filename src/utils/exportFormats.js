@@ -0,0 +1,504 @@
+const AttachmentService = require('../services/attachments');
+const IPFSService = require('../services/ipfs');
+
+
+const MBOX_DOMAIN = 'chainwhisper.invalid';
+
+const CSV_COLUMNS = [
+    'conversation', 'number', 'source', 'message_id', 'session_address', 'from', 'to', 'sent_at', 'expires_at',
+    'expired', 'message_type', 'cid', 'transaction_hash', 'block_number', 'explorer_url', 'content'
+];
+
+
+/**
+ * The message model every format renders from, built once per export. Dates are resolved
+ * (`expiry` is an absolute timestamp, 0 meaning never), session recipients are filled in
+ * from the conversation and explorer links are only set when the network has an explorer.
+ */
+function buildTranscript(exportData, networkConfig) {
+    const explorer = (networkConfig.blockExplorer || '').replace(/\/+$/, '');
+    const exporter = exportData.metadata.exportedBy;
+    const now = Math.floor(Date.now() / 1000);
+
+    const link = (kind, value) => (explorer && value ? `${explorer}/${kind}/${value}` : null);
+
+    const conversations = Object.values(exportData.conversations).map((conversation) => {
+        const partner = conversation.participant;
+
+        const messages = conversation.messages.map((record, index) => {
+            const outgoing = record.from.toLowerCase() === exporter.toLowerCase();
+            const to = record.to || (outgoing ? partner : exporter);
+
+            return {
+                number: index + 1,
+                source: record.source,
+                isSession: record.source === 'session',
+                sourceLabel: record.source === 'session' ? 'Private' : 'Standard',
+                messageId: record.messageId,
+                sessionAddress: record.sessionAddress,
+                from: record.from,
+                to,
+                outgoing,
+                sentAt: new Date(record.timestamp * 1000),
+                expiresAt: record.expiry > 0 ? new Date(record.expiry * 1000) : null,
+                expired: record.expiry > 0 && record.expiry < now,
+                isMedia: record.isMedia,
+                messageType: record.messageType,
+                cid: IPFSService.isContentId(record.cid) ? record.cid : null,
+                transactionHash: record.transactionHash,
+                blockNumber: record.blockNumber,
+                content: describeContent(record),
+                links: {
+                    from: link('address', record.from),
+                    to: link('address', to),
+                    session: link('address', record.sessionAddress),
+                    transaction: link('tx', record.transactionHash)
+                }
+            };
+        });
+
+        return {
+            participant: partner,
+            participantLink: link('address', partner),
+            totalMessages: conversation.totalMessages,
+            mainContractMessages: conversation.mainContractMessages,
+            sessionMessages: conversation.sessionMessages,
+            messages
+        };
+    });
+
+    return {
+        metadata: exportData.metadata,
+        exporterLink: link('address', exporter),
+        conversations
+    };
+}
+
+
+/**
+ * Readable content of an export record, or null when the export holds ciphertext only
+ */
+function describeContent(record) {
+    if (record.content === undefined) {
+        return null;
+    }
+
+    if (record.error) {
+        return `[${record.error}]`;
+    }
+
+    if (AttachmentService.isAttachmentPayload(record.content)) {
+        const manifest = JSON.parse(record.content);
+        return `📎 ${manifest.name} (${manifest.mimeType}, ${AttachmentService.formatSize(manifest.size)})${manifest.caption ? ` - ${manifest.caption}` : ''}`;
+    }
+
+    return record.content;
+}
+
+
+function exportJSON(data) {
+    return JSON.stringify(data, null, 2);
+}
+
+
+function exportMarkdown(data, networkConfig) {
+    const transcript = buildTranscript(data, networkConfig);
+    let markdown = `# ChainWhisper Chat Export\n\n`;
+
+    markdown += `**Exported:** ${data.metadata.exportedAt}\n`;
+    markdown += `**Account:** ${data.metadata.exportedBy}\n`;
+    markdown += `**Network:** ${data.metadata.network}\n`;
+    markdown += `**Conversations:** ${data.metadata.totalConversations}\n`;
+    markdown += `**Total Messages:** ${data.metadata.totalMessages}\n\n`;
+
+    markdown += `---\n\n`;
+
+    for (const conversation of transcript.conversations) {
+        markdown += `## Conversation with ${conversation.participant}\n\n`;
+        markdown += `- **Total Messages:** ${conversation.totalMessages}\n`;
+        markdown += `- **Main Contract:** ${conversation.mainContractMessages}\n`;
+        markdown += `- **Private Sessions:** ${conversation.sessionMessages}\n\n`;
+
+        for (const message of conversation.messages) {
+            markdown += `### Message ${message.number} - ${message.isSession ? '🔒' : '📨'} ${message.sourceLabel}\n\n`;
+            markdown += `**Date:** ${message.sentAt.toLocaleString()}\n`;
+            markdown += `**From:** ${message.from}\n`;
+            markdown += `**To:** ${message.to}\n`;
+            markdown += `**IPFS CID:** \`${message.cid || 'inline ciphertext'}\`\n`;
+
+            if (message.expiresAt) {
+                markdown += `**${message.expired ? 'Expired' : 'Expires'}:** ${message.expiresAt.toLocaleString()}\n`;
+            }
+
+            if (message.isMedia) {
+                markdown += `**Media Type:** ${message.messageType}\n`;
+            }
+
+            if (message.links.transaction) {
+                markdown += `**Transaction:** [${message.transactionHash}](${message.links.transaction})\n`;
+            }
+
+            if (message.content !== null) {
+                markdown += `\n${message.content.split('\n').map((line) => `> ${line}`).join('\n')}\n`;
+            }
+
+            markdown += `\n`;
+        }
+
+        markdown += `---\n\n`;
+    }
+
+    return markdown;
+}
+
+
+function exportText(data, networkConfig) {
+    const transcript = buildTranscript(data, networkConfig);
+    let text = `CHAINWHISPER CHAT EXPORT\n`;
+    text += `${'='.repeat(50)}\n\n`;
+
+    text += `Exported: ${data.metadata.exportedAt}\n`;
+    text += `Account: ${data.metadata.exportedBy}\n`;
+    text += `Network: ${data.metadata.network}\n`;
+    text += `Conversations: ${data.metadata.totalConversations}\n`;
+    text += `Total Messages: ${data.metadata.totalMessages}\n\n`;
+
+    text += `${'='.repeat(50)}\n\n`;
+
+    for (const conversation of transcript.conversations) {
+        text += `CONVERSATION WITH: ${conversation.participant}\n`;
+        text += `${'-'.repeat(30)}\n`;
+        text += `Total Messages: ${conversation.totalMessages}\n`;
+        text += `Main Contract: ${conversation.mainContractMessages}\n`;
+        text += `Private Sessions: ${conversation.sessionMessages}\n\n`;
+
+        for (const message of conversation.messages) {
+            text += `[${message.number}] [${message.sourceLabel.toUpperCase()}] ${message.sentAt.toLocaleString()}\n`;
+            text += `From: ${message.from}\n`;
+            text += `To: ${message.to}\n`;
+            text += `IPFS CID: ${message.cid || 'inline ciphertext'}\n`;
+
+            if (message.expiresAt) {
+                text += `${message.expired ? 'Expired' : 'Expires'}: ${message.expiresAt.toLocaleString()}\n`;
+            }
+
+            if (message.isMedia) {
+                text += `Media Type: ${message.messageType}\n`;
+            }
+
+            if (message.links.transaction) {
+                text += `Transaction: ${message.links.transaction}\n`;
+            }
+
+            if (message.content !== null) {
+                text += `Message: ${message.content}\n`;
+            }
+
+            text += `\n`;
+        }
+
+        text += `${'='.repeat(50)}\n\n`;
+    }
+
+    return text;
+}
+
+
+const escapeHtml = (value) => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+const htmlLink = (url, label) => (url
+    ? `<a href="${escapeHtml(url)}" rel="noopener noreferrer">${escapeHtml(label)}</a>`
+    : escapeHtml(label));
+
+const shortAddress = (address) => `${address.slice(0, 6)}…${address.slice(-4)}`;
+
+const HTML_STYLE = `
+body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", sans-serif; background: #f4f5f7; color: #1f2328; margin: 0; padding: 2rem; }
+main { max-width: 860px; margin: 0 auto; }
+header, section { background: #fff; border-radius: 8px; padding: 1rem 1.5rem; margin-bottom: 1.5rem; box-shadow: 0 1px 3px rgba(0, 0, 0, .08); }
+dl { display: grid; grid-template-columns: max-content 1fr; gap: .25rem 1rem; margin: 0; }
+dt { font-weight: 600; }
+dd { margin: 0; word-break: break-all; }
+details { border-left: 3px solid #d0d7de; margin: 1rem 0; padding-left: 1rem; }
+details.session { border-color: #8250df; }
+summary { cursor: pointer; font-weight: 600; margin-bottom: .5rem; }
+article { border-radius: 8px; padding: .6rem .9rem; margin: .6rem 0; max-width: 80%; background: #eef1f4; }
+article.outgoing { margin-left: auto; background: #ddf4ff; }
+article.expired { opacity: .6; }
+.meta { font-size: .8rem; color: #57606a; display: flex; flex-wrap: wrap; gap: .4rem; align-items: center; }
+.badge { border-radius: 999px; padding: 0 .5rem; font-size: .75rem; font-weight: 600; }
+.badge.standard { background: #dafbe1; color: #1a7f37; }
+.badge.session { background: #fbefff; color: #8250df; }
+.badge.expiry { background: #fff8c5; color: #9a6700; }
+.badge.expired { background: #ffebe9; color: #cf222e; }
+.content { white-space: pre-wrap; word-break: break-word; margin: .4rem 0 0; }
+.ciphertext { font-style: italic; color: #57606a; }
+code { font-size: .75rem; word-break: break-all; }
+a { color: #0969da; }
+`;
+
+
+function renderHtmlMessage(message) {
+    const classes = [message.outgoing ? 'outgoing' : 'incoming', message.expired ? 'expired' : ''].filter(Boolean).join(' ');
+    const badges = [`<span class="badge ${message.isSession ? 'session' : 'standard'}">${message.isSession ? '🔒' : '📨'} ${message.sourceLabel}</span>`];
+
+    if (message.expiresAt) {
+        badges.push(message.expired
+            ? `<span class="badge expired">⌛ Expired ${escapeHtml(message.expiresAt.toLocaleString())}</span>`
+            : `<span class="badge expiry">⏰ Expires ${escapeHtml(message.expiresAt.toLocaleString())}</span>`);
+    }
+
+    const details = [
+        `#${escapeHtml(message.messageId)}`,
+        `<time datetime="${message.sentAt.toISOString()}">${escapeHtml(message.sentAt.toLocaleString())}</time>`,
+        `${htmlLink(message.links.from, shortAddress(message.from))} → ${htmlLink(message.links.to, shortAddress(message.to))}`
+    ];
+
+    if (message.isMedia) {
+        details.push(escapeHtml(message.messageType));
+    }
+
+    if (message.transactionHash) {
+        details.push(htmlLink(message.links.transaction, `tx ${shortAddress(message.transactionHash)}`));
+    }
+
+    const body = message.content !== null
+        ? `<p class="content">${escapeHtml(message.content)}</p>`
+        : `<p class="content ciphertext">Encrypted${message.cid ? ` · <code>${escapeHtml(message.cid)}</code>` : ' (inline ciphertext)'}</p>`;
+
+    return `<article class="${classes}">
+<div class="meta">${badges.join(' ')} ${details.join(' · ')}</div>
+${body}
+</article>`;
+}
+
+
+/**
+ * A self-contained page (inline CSS, no scripts or remote assets). Each conversation is split
+ * into threads: the main contract and one per session contract.
+ */
+function exportHtml(data, networkConfig) {
+    const transcript = buildTranscript(data, networkConfig);
+    const { metadata } = transcript;
+
+    const sections = transcript.conversations.map((conversation, index) => {
+        const threads = new Map();
+        conversation.messages.forEach((message) => {
+            const key = message.sessionAddress || 'main';
+            threads.set(key, [...(threads.get(key) || []), message]);
+        });
+
+        const renderedThreads = Array.from(threads.entries()).map(([key, messages]) => {
+            const title = key === 'main'
+                ? '📨 Main contract'
+                : `🔒 Session ${htmlLink(messages[0].links.session, shortAddress(key))}`;
+
+            return `<details class="${key === 'main' ? 'main' : 'session'}" open>
+<summary>${title} (${messages.length} ${messages.length === 1 ? 'message' : 'messages'})</summary>
+${messages.map(renderHtmlMessage).join('\n')}
+</details>`;
+        });
+
+        return `<section id="conversation-${index + 1}">
+<h2>Conversation with ${htmlLink(conversation.participantLink, conversation.participant)}</h2>
+<p class="meta">${conversation.totalMessages} messages · ${conversation.mainContractMessages} main contract · ${conversation.sessionMessages} in private sessions</p>
+${renderedThreads.join('\n')}
+</section>`;
+    });
+
+    const toc = transcript.conversations
+        .map((conversation, index) => `<li><a href="#conversation-${index + 1}">${escapeHtml(conversation.participant)}</a> (${conversation.totalMessages})</li>`)
+        .join('\n');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<meta name="referrer" content="no-referrer">
+<title>ChainWhisper Chat Export - ${escapeHtml(metadata.exportedAt)}</title>
+<style>${HTML_STYLE}</style>
+</head>
+<body>
+<main>
+<header>
+<h1>🔐 ChainWhisper Chat Export</h1>
+<dl>
+<dt>Exported</dt><dd>${escapeHtml(metadata.exportedAt)}</dd>
+<dt>Account</dt><dd>${htmlLink(transcript.exporterLink, metadata.exportedBy)}</dd>
+<dt>Network</dt><dd>${escapeHtml(metadata.network)} (chain ${escapeHtml(metadata.chainId)})</dd>
+<dt>Content</dt><dd>${metadata.decrypted ? 'Decrypted' : 'Ciphertext only'}</dd>
+<dt>Conversations</dt><dd>${metadata.totalConversations}</dd>
+<dt>Total Messages</dt><dd>${metadata.totalMessages}</dd>
+</dl>
+<ol>
+${toc}
+</ol>
+</header>
+${sections.join('\n')}
+</main>
+</body>
+</html>
+`;
+}
+
+
+function csvCell(value) {
+    if (value === null || value === undefined) {
+        return '';
+    }
+
+    let text = String(value);
+
+    // Keep spreadsheets from evaluating message text as a formula
+    if (/^[=+\-@\t\r]/.test(text)) {
+        text = `'${text}`;
+    }
+
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+
+/**
+ * One row per message (RFC 4180, CRLF line endings, UTF-8 BOM so spreadsheets detect the encoding)
+ */
+function exportCsv(data, networkConfig) {
+    const transcript = buildTranscript(data, networkConfig);
+    const rows = [CSV_COLUMNS];
+
+    for (const conversation of transcript.conversations) {
+        for (const message of conversation.messages) {
+            rows.push([
+                conversation.participant,
+                message.number,
+                message.source,
+                message.messageId,
+                message.sessionAddress,
+                message.from,
+                message.to,
+                message.sentAt.toISOString(),
+                message.expiresAt ? message.expiresAt.toISOString() : '',
+                message.expired,
+                message.messageType,
+                message.cid,
+                message.transactionHash,
+                message.blockNumber,
+                message.links.transaction,
+                message.content
+            ]);
+        }
+    }
+
+    return '\uFEFF' + rows.map((row) => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+
+const mailAddress = (address) => `${address.toLowerCase()}@${MBOX_DOMAIN}`;
+
+function mboxMessageId(message, chainId) {
+    const local = message.transactionHash
+        ? `${message.transactionHash}.${message.messageId}`
+        : `main-${message.messageId}`;
+
+    return `<${local}.${chainId}@${MBOX_DOMAIN}>`;
+}
+
+
+/**
+ * mboxrd: one mail per message, each conversation threaded through References/In-Reply-To
+ */
+function exportMbox(data, networkConfig) {
+    const transcript = buildTranscript(data, networkConfig);
+    const { chainId } = transcript.metadata;
+    let mbox = '';
+
+    for (const conversation of transcript.conversations) {
+        const rootId = `<conversation-${conversation.participant.toLowerCase()}.${chainId}@${MBOX_DOMAIN}>`;
+        let previousId = null;
+
+        for (const message of conversation.messages) {
+            const messageId = mboxMessageId(message, chainId);
+            const headers = [
+                `From: ${mailAddress(message.from)}`,
+                `To: ${mailAddress(message.to)}`,
+                `Date: ${message.sentAt.toUTCString().replace('GMT', '+0000')}`,
+                `Subject: ChainWhisper: ${conversation.participant}`,
+                `Message-ID: ${messageId}`,
+                `References: ${[rootId, previousId].filter(Boolean).join(' ')}`,
+                `In-Reply-To: ${previousId || rootId}`,
+                'MIME-Version: 1.0',
+                'Content-Type: text/plain; charset=utf-8',
+                'Content-Transfer-Encoding: 8bit',
+                `X-ChainWhisper-Source: ${message.source}`,
+                `X-ChainWhisper-Message-Type: ${message.messageType}`
+            ];
+
+            if (message.sessionAddress) {
+                headers.push(`X-ChainWhisper-Session: ${message.sessionAddress}`);
+            }
+            if (message.cid) {
+                headers.push(`X-ChainWhisper-CID: ${message.cid}`);
+            }
+            if (message.expiresAt) {
+                headers.push(`Expires: ${message.expiresAt.toUTCString().replace('GMT', '+0000')}`);
+            }
+            if (message.transactionHash) {
+                headers.push(`X-ChainWhisper-Transaction: ${message.transactionHash}`);
+            }
+            if (message.links.transaction) {
+                headers.push(`X-ChainWhisper-Explorer: ${message.links.transaction}`);
+            }
+
+            const body = message.content !== null
+                ? message.content
+                : `[Encrypted ${message.sourceLabel.toLowerCase()} message${message.cid ? ` stored as ${message.cid}` : ''}]`;
+
+            // mboxrd quoting: any line that would read as (a quoted) separator gains one more '>'
+            const quoted = body.split(/\r?\n/).map((line) => (/^>*From /.test(line) ? `>${line}` : line)).join('\n');
+
+            mbox += `From ${mailAddress(message.from)} ${toAsctime(message.sentAt)}\n`;
+            mbox += `${headers.join('\n')}\n\n${quoted}\n\n`;
+
+            previousId = messageId;
+        }
+    }
+
+    return mbox;
+}
+
+
+function toAsctime(date) {
+    const [weekday, day, month, year, time] = date.toUTCString().replace(',', '').split(' ');
+    return `${weekday} ${month} ${day.replace(/^0/, ' ')} ${time} ${year}`;
+}
+
+
+const renderers = {
+    json: exportJSON,
+    md: exportMarkdown,
+    txt: exportText,
+    html: exportHtml,
+    csv: exportCsv,
+    mbox: exportMbox
+};
+
+
+function renderExport(format, data, networkConfig) {
+    const render = renderers[format];
+    if (!render) {
+        throw new Error(`Unsupported format: ${format}. Supported: ${Object.keys(renderers).join(', ')}`);
+    }
+
+    return render(data, networkConfig);
+}
+
+module.exports = {
+    EXPORT_FORMATS: Object.keys(renderers),
+    buildTranscript,
+    renderExport
+};
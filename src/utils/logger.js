@@ -1,6 +1,7 @@
 const chalk = require('chalk');
 const fs = require('fs');
 const path = require('path');
+const reporter = require('./reporter');
 
 class Logger {
   constructor(logLevel = 'info') {
@@ -21,6 +22,13 @@ class Logger {
     this.logFile = path.join(this.logDir, `chainwhisper-${new Date().toISOString().split('T')[0]}.log`);
   }
 
+  // Echo log lines to the terminal only in the human-readable output formats; the log file has them all
+  echo(method, ...parts) {
+    if (reporter.format === 'pretty' || reporter.format === 'plain') {
+      reporter[method](...parts);
+    }
+  }
+
   shouldLog(level) {
     return this.logLevels[level] >= this.logLevels[this.logLevel];
   }
@@ -52,8 +60,8 @@ class Logger {
     const formattedMessage = this.formatMessage('debug', message, data);
     this.writeToFile(formattedMessage);
 
-    console.log(chalk.gray(`🔍 DEBUG: ${message}`));
-    if (data) console.log(chalk.gray(JSON.stringify(data, null, 2)));
+    this.echo('info', chalk.gray(`🔍 DEBUG: ${message}`));
+    if (data) this.echo('info', chalk.gray(JSON.stringify(data, null, 2)));
   }
 
   info(message, data = null) {
@@ -62,8 +70,8 @@ class Logger {
     const formattedMessage = this.formatMessage('info', message, data);
     this.writeToFile(formattedMessage);
 
-    console.log(chalk.blue(`ℹ️  INFO: ${message}`));
-    if (data) console.log(JSON.stringify(data, null, 2));
+    this.echo('info', chalk.blue(`ℹ️  INFO: ${message}`));
+    if (data) this.echo('info', JSON.stringify(data, null, 2));
   }
 
   warn(message, data = null) {
@@ -72,8 +80,8 @@ class Logger {
     const formattedMessage = this.formatMessage('warn', message, data);
     this.writeToFile(formattedMessage);
 
-    console.log(chalk.yellow(`⚠️  WARN: ${message}`));
-    if (data) console.log(chalk.yellow(JSON.stringify(data, null, 2)));
+    this.echo('warn', chalk.yellow(`⚠️  WARN: ${message}`));
+    if (data) this.echo('warn', chalk.yellow(JSON.stringify(data, null, 2)));
   }
 
   error(message, error = null, data = null) {
@@ -90,15 +98,15 @@ class Logger {
     const formattedMessage = this.formatMessage('error', message, errorData);
     this.writeToFile(formattedMessage);
 
-    console.error(chalk.red(`❌ ERROR: ${message}`));
-    if (error) console.error(chalk.red(error.message));
-    if (data) console.error(chalk.red(JSON.stringify(data, null, 2)));
+    this.echo('error', chalk.red(`❌ ERROR: ${message}`));
+    if (error) this.echo('error', chalk.red(error.message));
+    if (data) this.echo('error', chalk.red(JSON.stringify(data, null, 2)));
   }
 
   transaction(hash, type = 'unknown', data = null) {
     const message = `Transaction ${type}: ${hash}`;
     this.info(message, data);
-    console.log(chalk.green(`📋 ${message}`));
+    this.echo('info', chalk.green(`📋 ${message}`));
   }
 
   gas(operation, gasUsed, gasPrice = null) {
@@ -106,7 +114,7 @@ class Logger {
     const gasData = { operation, gasUsed, gasPrice };
 
     this.info(message, gasData);
-    console.log(chalk.blue(`⛽ ${message}`));
+    this.echo('info', chalk.blue(`⛽ ${message}`));
   }
 
   setLogLevel(level) {
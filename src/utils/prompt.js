@@ -0,0 +1,151 @@
+const fs = require('fs');
+const readline = require('readline');
+const reporter = require('./reporter');
+
+
+// Exit code when input is needed but stdin is not a terminal, so scripts can tell it apart from failures
+const INPUT_REQUIRED_EXIT_CODE = 3;
+
+const options = {
+    yes: false,
+    passphraseFile: null
+};
+
+
+function configure(settings) {
+    Object.assign(options, settings);
+}
+
+
+function inputRequired(question) {
+    const label = question.replace(/\u001b\[[0-9;]*m/g, '').trim().replace(/:$/, '');
+    const error = new Error(`Input required but stdin is not a terminal (${label})`);
+    error.exitCode = INPUT_REQUIRED_EXIT_CODE;
+    return error;
+}
+
+
+/**
+ * For commands that are interactive by nature (e.g. --chat)
+ */
+function requireTerminal(what) {
+    if (!process.stdin.isTTY) {
+        const error = new Error(`${what} needs an interactive terminal`);
+        error.exitCode = INPUT_REQUIRED_EXIT_CODE;
+        throw error;
+    }
+}
+
+
+// Keep stdout clean for --output json
+const promptOutput = () => (reporter.format === 'json' ? process.stderr : process.stdout);
+
+
+function ask(question) {
+    if (!process.stdin.isTTY) {
+        return Promise.reject(inputRequired(question));
+    }
+
+    const rl = readline.createInterface({
+        input: process.stdin,
+        output: promptOutput()
+    });
+
+    return new Promise((resolve) => {
+        rl.question(question, (answer) => {
+            rl.close();
+            resolve(answer.trim());
+        });
+    });
+}
+
+
+function askHidden(question) {
+    if (!process.stdin.isTTY) {
+        return Promise.reject(inputRequired(question));
+    }
+
+    const rl = readline.createInterface({
+        input: process.stdin,
+        output: promptOutput()
+    });
+
+    return new Promise((resolve) => {
+        rl.question(question, (answer) => {
+            rl.close();
+            rl.output.write('\n');
+            resolve(answer.trim());
+        });
+
+        rl.stdoutMuted = true;
+        rl._writeToOutput = function _writeToOutput(stringToWrite) {
+            if (rl.stdoutMuted) rl.output.write("*");
+            else rl.output.write(stringToWrite);
+        };
+    });
+}
+
+
+/**
+ * y/N question that --yes answers with yes
+ */
+async function confirm(question) {
+    if (options.yes) {
+        return true;
+    }
+
+    const answer = (await ask(question)).toLowerCase();
+    return answer === 'y' || answer === 'yes';
+}
+
+
+/**
+ * Terminal a secret can be shown on whatever --output is (json and silent drop reporter lines);
+ * stderr first so it never ends up in captured stdout. Null when neither stream is a terminal.
+ */
+function secretOutput() {
+    return [process.stderr, process.stdout].find((stream) => stream.isTTY) || null;
+}
+
+
+/**
+ * Write a secret (e.g. a new recovery phrase) straight to the terminal
+ */
+function showSecret(text) {
+    const output = secretOutput();
+    if (!output) {
+        throw new Error('No terminal to show the secret on');
+    }
+
+    output.write(`${text}\n`);
+}
+
+
+/**
+ * First line of --passphrase-file when given, otherwise a hidden prompt
+ */
+async function askPassphrase(question) {
+    if (!options.passphraseFile) {
+        return askHidden(question);
+    }
+
+    try {
+        return fs.readFileSync(options.passphraseFile, 'utf8').split(/\r?\n/)[0];
+    } catch (error) {
+        throw new Error(`Could not read passphrase file ${options.passphraseFile}: ${error.message}`);
+    }
+}
+
+
+module.exports = {
+    INPUT_REQUIRED_EXIT_CODE,
+    configure,
+    ask,
+    askHidden,
+    askPassphrase,
+    confirm,
+    requireTerminal,
+    secretOutput,
+    showSecret,
+    options
+};
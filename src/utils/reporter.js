@@ -0,0 +1,143 @@
+const chalk = require('chalk');
+
+
+const ANSI_PATTERN = /\u001b\[[0-9;]*m/g;
+const EMOJI_PATTERN = /[\p{Extended_Pictographic}\u{FE0F}\u{200D}]+ */gu;
+
+const toPlainText = (parts) => parts.map((part) => String(part).replace(ANSI_PATTERN, '').replace(EMOJI_PATTERN, '')).join(' ');
+
+// Gas values and block numbers arrive as BigInt, which JSON.stringify rejects
+const toJson = (value) => JSON.stringify(value, (key, item) => (typeof item === 'bigint' ? item.toString() : item));
+
+
+/**
+ * Colored, emoji-decorated output for terminals (the default)
+ */
+class PrettyReporter {
+    info(...parts) {
+        console.log(...parts);
+    }
+
+    warn(...parts) {
+        console.log(...parts);
+    }
+
+    error(...parts) {
+        console.error(...parts);
+    }
+
+    // Events only matter to machine-readable output; the human lines already describe them
+    event() {}
+}
+
+
+/**
+ * The same lines without colors or emojis, for log files and dumb terminals
+ */
+class PlainReporter {
+    info(...parts) {
+        console.log(toPlainText(parts));
+    }
+
+    warn(...parts) {
+        console.log(toPlainText(parts));
+    }
+
+    error(...parts) {
+        console.error(toPlainText(parts));
+    }
+
+    event() {}
+}
+
+
+/**
+ * One JSON object per line on stdout for each event; progress text is dropped, warnings and
+ * errors become events of their own
+ */
+class JsonReporter {
+    info() {}
+
+    warn(...parts) {
+        this.event('warning', { message: toPlainText(parts).trim() });
+    }
+
+    error(...parts) {
+        this.event('error', { message: toPlainText(parts).trim() });
+    }
+
+    event(type, data = {}) {
+        process.stdout.write(toJson({ event: type, timestamp: new Date().toISOString(), ...data }) + '\n');
+    }
+}
+
+
+/**
+ * Nothing but errors (on stderr); the exit code tells the rest
+ */
+class SilentReporter extends PlainReporter {
+    info() {}
+
+    warn() {}
+}
+
+
+const reporters = {
+    pretty: PrettyReporter,
+    plain: PlainReporter,
+    json: JsonReporter,
+    silent: SilentReporter
+};
+
+
+/**
+ * Every user-facing line goes through here so the format is chosen in one place
+ * (--output). Services call info/warn/error with the text they always printed and
+ * event() with the data behind it.
+ */
+class Reporter {
+    constructor() {
+        this.use('pretty');
+    }
+
+    use(format) {
+        const Implementation = reporters[format];
+        if (!Implementation) {
+            throw new Error(`Unknown output format: ${format} (use ${Object.keys(reporters).join(', ')})`);
+        }
+
+        // NO_COLOR (https://no-color.org) applies to every format; chalk 4 does not read it itself
+        if (format !== 'pretty' || process.env.NO_COLOR) {
+            chalk.level = 0;
+        }
+
+        this.format = format;
+        this.implementation = new Implementation();
+    }
+
+    get isPretty() {
+        return this.format === 'pretty';
+    }
+
+    info(...parts) {
+        this.implementation.info(...parts);
+    }
+
+    warn(...parts) {
+        this.implementation.warn(...parts);
+    }
+
+    error(...parts) {
+        this.implementation.error(...parts);
+    }
+
+    event(type, data) {
+        this.implementation.event(type, data);
+    }
+}
+
+
+const reporter = new Reporter();
+
+module.exports = reporter;
+module.exports.formats = Object.keys(reporters);
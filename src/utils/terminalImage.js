@@ -0,0 +1,65 @@
+const MAX_PREVIEW_SIZE = 5 * 1024 * 1024;
+const PREVIEW_COLUMNS = 40;
+const KITTY_CHUNK_SIZE = 4096;
+
+
+function getImageProtocol() {
+    if (!process.stdout.isTTY) {
+        return null;
+    }
+
+    const { TERM = '', TERM_PROGRAM = '', LC_TERMINAL = '', KITTY_WINDOW_ID } = process.env;
+
+    if (TERM_PROGRAM === 'iTerm.app' || TERM_PROGRAM === 'WezTerm' || LC_TERMINAL === 'iTerm2') {
+        return 'iterm';
+    }
+
+    if (TERM === 'xterm-kitty' || KITTY_WINDOW_ID || TERM_PROGRAM === 'ghostty') {
+        return 'kitty';
+    }
+
+    return null;
+}
+
+
+function canPreview(mimeType, size) {
+    const protocol = getImageProtocol();
+
+    if (!protocol || size > MAX_PREVIEW_SIZE) {
+        return false;
+    }
+
+    // Kitty only decodes PNG itself; other formats would need pixel data
+    return protocol === 'kitty' ? mimeType === 'image/png' : mimeType.startsWith('image/');
+}
+
+
+function renderImage(content, mimeType) {
+    if (!canPreview(mimeType, content.length)) {
+        return false;
+    }
+
+    const encoded = content.toString('base64');
+
+    if (getImageProtocol() === 'iterm') {
+        process.stdout.write(`   \x1b]1337;File=inline=1;size=${content.length};width=${PREVIEW_COLUMNS};preserveAspectRatio=1:${encoded}\x07\n`);
+        return true;
+    }
+
+    process.stdout.write('   ');
+    for (let offset = 0; offset < encoded.length; offset += KITTY_CHUNK_SIZE) {
+        const chunk = encoded.slice(offset, offset + KITTY_CHUNK_SIZE);
+        const more = offset + KITTY_CHUNK_SIZE < encoded.length ? 1 : 0;
+        const control = offset === 0 ? `a=T,f=100,c=${PREVIEW_COLUMNS},m=${more}` : `m=${more}`;
+
+        process.stdout.write(`\x1b_G${control};${chunk}\x1b\\`);
+    }
+    process.stdout.write('\n');
+
+    return true;
+}
+
+module.exports = {
+    canPreview,
+    renderImage
+};